@@ -0,0 +1,21 @@
+// The original schema: one row per certificate minted through the API.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS mints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        campaignId INTEGER NOT NULL,
+        attendeeAddress TEXT NOT NULL,
+        transactionHash TEXT NOT NULL,
+        mintedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        -- This ensures a user can only mint once per campaign
+        UNIQUE(campaignId, attendeeAddress)
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS mints`);
+  },
+};
@@ -0,0 +1,25 @@
+// On-chain outcome of each mint, recorded by the receipt watcher.
+// status: pending -> confirmed | failed (| burned, from the indexer)
+const columns = {
+  status: "TEXT NOT NULL DEFAULT 'pending'",
+  blockNumber: "INTEGER",
+  tokenId: "TEXT",
+  gasUsed: "TEXT",
+  confirmedAt: "TIMESTAMP",
+};
+
+module.exports = {
+  async up({ run, addColumnIfMissing }) {
+    for (const [name, definition] of Object.entries(columns)) {
+      await addColumnIfMissing("mints", name, definition);
+    }
+    await run(`CREATE INDEX IF NOT EXISTS idx_mints_status ON mints (status)`);
+  },
+
+  async down({ run }) {
+    await run(`DROP INDEX IF EXISTS idx_mints_status`);
+    for (const name of Object.keys(columns)) {
+      await run(`ALTER TABLE mints DROP COLUMN ${name}`);
+    }
+  },
+};
@@ -0,0 +1,35 @@
+// Mint requests waiting for (or handed to) the relayer worker.
+// status: queued -> processing -> submitted | failed
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS mint_jobs (
+        id TEXT PRIMARY KEY,
+        campaignId INTEGER NOT NULL,
+        attendeeAddress TEXT NOT NULL,
+        merkleProof TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        nonce INTEGER,
+        transactionHash TEXT,
+        error TEXT,
+        errorCode TEXT,
+        nextAttemptAt INTEGER NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_mint_jobs_status ON mint_jobs (status, nextAttemptAt)`
+    );
+    // Only one live job per attendee and campaign; failed jobs may be retried.
+    await run(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_mint_jobs_active
+         ON mint_jobs (campaignId, attendeeAddress) WHERE status != 'failed'`
+    );
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS mint_jobs`);
+  },
+};
@@ -0,0 +1,62 @@
+// Every EventCertificate event as synced by the event indexer, the latest
+// state of each campaign built from them, and the indexer's checkpoints.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS contract_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        blockNumber INTEGER NOT NULL,
+        blockTimestamp INTEGER,
+        transactionHash TEXT NOT NULL,
+        logIndex INTEGER NOT NULL,
+        eventName TEXT NOT NULL,
+        campaignId INTEGER,
+        tokenId TEXT,
+        account TEXT,
+        args TEXT NOT NULL,
+        indexedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        UNIQUE(transactionHash, logIndex)
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_contract_events_name ON contract_events (eventName, campaignId)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_contract_events_token ON contract_events (tokenId)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_contract_events_account ON contract_events (account)`
+    );
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS campaigns (
+        campaignId INTEGER PRIMARY KEY,
+        merkleRoot TEXT,
+        startTime INTEGER,
+        endTime INTEGER,
+        maxMints INTEGER,
+        isActive INTEGER NOT NULL DEFAULT 0,
+        baseURI TEXT,
+        isDeleted INTEGER NOT NULL DEFAULT 0,
+        createdBlock INTEGER,
+        updatedBlock INTEGER
+      )
+    `);
+
+    // Key/value checkpoints, e.g. the last block the indexer has synced.
+    await run(`
+      CREATE TABLE IF NOT EXISTS indexer_state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS indexer_state`);
+    await run(`DROP TABLE IF EXISTS campaigns`);
+    await run(`DROP TABLE IF EXISTS contract_events`);
+  },
+};
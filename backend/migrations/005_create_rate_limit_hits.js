@@ -0,0 +1,22 @@
+// Sliding-window hits for the rate limiter.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS rate_limit_hits (
+        key TEXT NOT NULL,
+        hitAt INTEGER NOT NULL,
+        expiresAt INTEGER NOT NULL
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_key ON rate_limit_hits (key, hitAt)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_expires ON rate_limit_hits (expiresAt)`
+    );
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS rate_limit_hits`);
+  },
+};
@@ -0,0 +1,26 @@
+// Single-use Sign-In with Ethereum nonces, and the wallet sessions they
+// open, keyed by token hash.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS siwe_nonces (
+        nonce TEXT PRIMARY KEY,
+        expiresAt INTEGER NOT NULL
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        tokenHash TEXT PRIMARY KEY,
+        address TEXT NOT NULL,
+        chainId INTEGER NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expiresAt INTEGER NOT NULL
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS sessions`);
+    await run(`DROP TABLE IF EXISTS siwe_nonces`);
+  },
+};
@@ -0,0 +1,12 @@
+// The relayer pool wallet that sent each mint.
+module.exports = {
+  async up({ addColumnIfMissing }) {
+    await addColumnIfMissing("mints", "relayerAddress", "TEXT");
+    await addColumnIfMissing("mint_jobs", "relayerAddress", "TEXT");
+  },
+
+  async down({ run }) {
+    await run(`ALTER TABLE mint_jobs DROP COLUMN relayerAddress`);
+    await run(`ALTER TABLE mints DROP COLUMN relayerAddress`);
+  },
+};
@@ -0,0 +1,25 @@
+// Single-use claim codes for attendees imported with an email but no wallet.
+// A redeemed code waits in the campaign's pending whitelist batch until an
+// admin applies the batch to the Merkle tree (appliedAt).
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS claim_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        campaignId INTEGER NOT NULL,
+        email TEXT NOT NULL,
+        codeHash TEXT NOT NULL UNIQUE,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        redeemedAt TIMESTAMP,
+        redeemedAddress TEXT,
+        appliedAt TIMESTAMP,
+
+        UNIQUE(campaignId, email)
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS claim_codes`);
+  },
+};
@@ -0,0 +1,47 @@
+// Outgoing webhook subscriptions (campaignId NULL means every campaign;
+// events is a JSON array of event names) and their delivery log.
+// Delivery status: pending -> delivered | failed
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id TEXT PRIMARY KEY,
+        campaignId INTEGER,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        subscriptionId TEXT NOT NULL,
+        eventId TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        nextAttemptAt INTEGER NOT NULL,
+        responseStatus INTEGER,
+        responseBody TEXT,
+        error TEXT,
+        replayOf TEXT,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        deliveredAt TIMESTAMP
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries (status, nextAttemptAt)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscriptionId, createdAt)`
+    );
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS webhook_deliveries`);
+    await run(`DROP TABLE IF EXISTS webhook_subscriptions`);
+  },
+};
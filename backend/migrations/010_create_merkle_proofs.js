@@ -0,0 +1,30 @@
+// Merkle proofs kept in the database when PROOF_STORE=database, so very
+// large whitelists are looked up by index instead of loaded into memory.
+// Addresses are stored lowercase and proofs as JSON arrays; merkle_proof_sets
+// marks which campaigns are stored.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS merkle_proof_sets (
+        campaignId INTEGER PRIMARY KEY,
+        merkleRoot TEXT NOT NULL,
+        addressCount INTEGER NOT NULL,
+        storedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS merkle_proofs (
+        campaignId INTEGER NOT NULL,
+        address TEXT NOT NULL,
+        proof TEXT NOT NULL,
+
+        PRIMARY KEY (campaignId, address)
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS merkle_proofs`);
+    await run(`DROP TABLE IF EXISTS merkle_proof_sets`);
+  },
+};
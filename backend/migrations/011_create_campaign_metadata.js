@@ -0,0 +1,38 @@
+// What the API needs to serve token metadata itself (SERVE_METADATA): each
+// campaign's certificate template and the names of its attendees, keyed by
+// lowercase wallet address as tokenURI spells it.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS campaign_templates (
+        campaignId INTEGER PRIMARY KEY,
+        eventName TEXT NOT NULL,
+        issuer TEXT NOT NULL,
+        eventDate TEXT,
+        format TEXT,
+        description TEXT,
+        externalUrl TEXT,
+        issuingAuthority TEXT,
+        courseDescription TEXT,
+        completionCriteria TEXT,
+        textColor TEXT,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS campaign_attendees (
+        campaignId INTEGER NOT NULL,
+        address TEXT NOT NULL,
+        name TEXT NOT NULL,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (campaignId, address)
+      )
+    `);
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS campaign_attendees`);
+    await run(`DROP TABLE IF EXISTS campaign_templates`);
+  },
+};
@@ -0,0 +1,41 @@
+// Certificates revoked through the admin API: who burned which token, when
+// and why. A burned certificate can be claimed again, so the mint job that
+// produced it is set aside as 'revoked' and no longer counts as live.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS revocations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tokenId TEXT NOT NULL UNIQUE,
+        campaignId INTEGER NOT NULL,
+        holder TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        operator TEXT NOT NULL,
+        transactionHash TEXT NOT NULL,
+        revokedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_revocations_campaign ON revocations (campaignId, revokedAt)`
+    );
+
+    await run(`DROP INDEX IF EXISTS idx_mint_jobs_active`);
+    await run(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_mint_jobs_active
+         ON mint_jobs (campaignId, attendeeAddress) WHERE status NOT IN ('failed', 'revoked')`
+    );
+  },
+
+  async down({ run }) {
+    await run(`DROP INDEX IF EXISTS idx_mint_jobs_active`);
+    // The older index only knows failed jobs as finished.
+    await run(
+      `UPDATE mint_jobs SET status = 'failed', errorCode = 'CERTIFICATE_REVOKED' WHERE status = 'revoked'`
+    );
+    await run(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_mint_jobs_active
+         ON mint_jobs (campaignId, attendeeAddress) WHERE status != 'failed'`
+    );
+    await run(`DROP TABLE IF EXISTS revocations`);
+  },
+};
@@ -0,0 +1,37 @@
+// Append-only record of privileged operations from the admin API and the CLI
+// scripts. Each row's hash covers its fields and the previous row's hash, so
+// editing or deleting an old row breaks the chain; the unique previousHash
+// also stops two writers from appending to the same row. createdAt is text
+// set by the writer, since the hash needs it exactly as stored.
+module.exports = {
+  async up({ run }) {
+    await run(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        createdAt TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        source TEXT NOT NULL,
+        action TEXT NOT NULL,
+        campaignId INTEGER,
+        params TEXT,
+        beforeState TEXT,
+        afterState TEXT,
+        transactionHash TEXT,
+        outcome TEXT NOT NULL,
+        error TEXT,
+        previousHash TEXT NOT NULL UNIQUE,
+        hash TEXT NOT NULL UNIQUE
+      )
+    `);
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log (action, id)`
+    );
+    await run(
+      `CREATE INDEX IF NOT EXISTS idx_audit_log_campaign ON audit_log (campaignId, id)`
+    );
+  },
+
+  async down({ run }) {
+    await run(`DROP TABLE IF EXISTS audit_log`);
+  },
+};
@@ -1,106 +1,27 @@
+require("dotenv").config();
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
-const { parse } = require("csv-parse/sync");
-const { MerkleTree } = require("merkletreejs");
-const keccak256 = require("keccak256");
-const { ethers } = require("ethers");
+const {
+  validateWalletAddress,
+  processCSVData,
+  generateMerkleLeaves,
+  buildMerkleTree,
+} = require("../src/utils/merkle");
+const { assertSchemaUpToDate } = require("../src/config/migrations");
+const { describeWhitelist } = require("../src/services/whitelistService");
+const { withAudit, getCliActor } = require("../src/services/auditService");
+const { close } = require("../src/config/db");
 
 // --- CONFIGURATION ---
 const CONFIG = {
   csvInputPath: path.join(__dirname, "..", "data", "attendees.csv"),
   merkleOutputDir: path.join(__dirname, "..", "merkleData"),
-  walletAddressLength: 42,
 };
 
 /**
- * Validates and normalizes wallet addresses
- */
-function validateWalletAddress(address) {
-  if (!address || typeof address !== "string") {
-    throw new Error("Invalid wallet address: null or undefined");
-  }
-
-  const cleanAddress = address.trim();
-
-  if (cleanAddress.length !== CONFIG.walletAddressLength) {
-    throw new Error(`Invalid wallet address length: ${cleanAddress}`);
-  }
-
-  if (!cleanAddress.startsWith("0x")) {
-    throw new Error(`Wallet address must start with 0x: ${cleanAddress}`);
-  }
-
-  if (!/^0x[a-fA-F0-9]{40}$/.test(cleanAddress)) {
-    throw new Error(`Invalid wallet address format: ${cleanAddress}`);
-  }
-
-  return cleanAddress;
-}
-
-/**
- * Processes CSV data with validation and deduplication
- */
-function processCSVData(csvContent) {
-  const records = parse(csvContent, {
-    columns: true,
-    skip_empty_lines: true,
-    trim: true,
-  });
-
-  const uniqueAddresses = new Set();
-  const validAddresses = [];
-  const errors = [];
-
-  records.forEach((record, index) => {
-    try {
-      if (!record.walletAddress) {
-        throw new Error("Missing walletAddress field");
-      }
-
-      const validatedAddress = validateWalletAddress(record.walletAddress);
-
-      if (uniqueAddresses.has(validatedAddress.toLowerCase())) {
-        throw new Error(`Duplicate wallet address: ${validatedAddress}`);
-      }
-
-      uniqueAddresses.add(validatedAddress.toLowerCase());
-      validAddresses.push(validatedAddress);
-    } catch (error) {
-      errors.push(`Row ${index + 1}: ${error.message}`);
-    }
-  });
-
-  return { validAddresses, errors };
-}
-
-/**
- * Generates Merkle leaves from addresses
- */
-function generateMerkleLeaves(addresses) {
-  console.log("Encoding leaves using abi.encodePacked standard...");
-  return addresses.map((addr) => {
-    return ethers.solidityPackedKeccak256(["address"], [addr]);
-  });
-}
-
-/**
- * Builds Merkle tree and generates proofs
- */
-function buildMerkleTree(addresses, leaves) {
-  const merkleTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
-  const merkleRoot = merkleTree.getHexRoot();
-
-  const merkleProofs = {};
-  addresses.forEach((addr, index) => {
-    const leaf = leaves[index];
-    merkleProofs[addr] = merkleTree.getHexProof(leaf);
-  });
-
-  return { merkleTree, merkleRoot, merkleProofs };
-}
-
-/**
- * Main optimized Merkle tree generation function
+ * Main optimized Merkle tree generation function. Replacing a campaign's
+ * whitelist is recorded in the audit log.
  */
 async function generateMerkle() {
   console.log("--- Starting Optimized Merkle Tree Generation ---");
@@ -128,19 +49,29 @@ async function generateMerkle() {
 
     // Phase 2: Read and process CSV
     const csvContent = fs.readFileSync(CONFIG.csvInputPath);
-    const { validAddresses, errors } = processCSVData(csvContent);
+    const { validAddresses, emailOnly, errors } = processCSVData(csvContent);
 
     if (validAddresses.length === 0) {
       throw new Error("No valid wallet addresses found in CSV file");
     }
 
     console.log(`✅ Processed ${validAddresses.length} unique addresses`);
+    if (emailOnly.length > 0) {
+      console.warn(
+        `⚠️  Skipped ${emailOnly.length} email-only rows. Upload the CSV through the admin API to issue them claim codes.`
+      );
+    }
     if (errors.length > 0) {
       console.warn(`⚠️  ${errors.length} rows had issues:`);
-      errors.slice(0, 5).forEach((error) => console.warn(`  ${error}`));
+      errors
+        .slice(0, 5)
+        .forEach((error) =>
+          console.warn(`  Row ${error.row}: ${error.message}`)
+        );
     }
 
     // Phase 3: Generate Merkle leaves
+    console.log("Encoding leaves using abi.encodePacked standard...");
     const leaves = generateMerkleLeaves(validAddresses);
 
     // Phase 4: Build Merkle tree
@@ -151,12 +82,35 @@ async function generateMerkle() {
     console.log(`✅ Merkle Root: ${merkleRoot}`);
 
     // Phase 5: Save outputs
-    if (!fs.existsSync(merkleOutputDir)) {
-      fs.mkdirSync(merkleOutputDir, { recursive: true });
-    }
-
-    fs.writeFileSync(merkleRootPath, merkleRoot);
-    fs.writeFileSync(merkleTreePath, JSON.stringify(merkleProofs, null, 2));
+    await assertSchemaUpToDate();
+    await withAudit(
+      {
+        actor: getCliActor(),
+        source: "cli",
+        action: "whitelist.generate",
+        campaignId,
+        // The CSV holds attendees' names and emails; its hash identifies it.
+        params: {
+          csvSha256: crypto
+            .createHash("sha256")
+            .update(csvContent)
+            .digest("hex"),
+          validCount: validAddresses.length,
+          emailOnlyCount: emailOnly.length,
+          invalidCount: errors.length,
+        },
+        readState: () => describeWhitelist(campaignId),
+      },
+      async () => {
+        if (!fs.existsSync(merkleOutputDir)) {
+          fs.mkdirSync(merkleOutputDir, { recursive: true });
+        }
+
+        fs.writeFileSync(merkleRootPath, merkleRoot);
+        fs.writeFileSync(merkleTreePath, JSON.stringify(merkleProofs, null, 2));
+      }
+    );
+    await close();
 
     // Phase 6: Report results
     const duration = Date.now() - startTime;
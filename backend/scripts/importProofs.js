@@ -0,0 +1,74 @@
+require("dotenv").config();
+const fs = require("fs").promises;
+const { merkleDataPath } = require("../src/utils/merkle");
+const { assertSchemaUpToDate } = require("../src/config/migrations");
+const { proofRepository } = require("../src/repositories");
+const { withAudit, getCliActor } = require("../src/services/auditService");
+const { close } = require("../src/config/db");
+
+const USAGE =
+  "Usage: node scripts/importProofs.js <campaignId> [...campaignIds]";
+
+/**
+ * Copies campaigns' merkleTree.json proofs into the database, e.g. after
+ * `npm run generate:merkle` when the API serves proofs with
+ * PROOF_STORE=database. Whitelists uploaded through the admin API are stored
+ * there already. Each import is recorded in the audit log.
+ */
+async function importProofs() {
+  const campaignIds = process.argv.slice(2);
+
+  try {
+    if (
+      campaignIds.length === 0 ||
+      !campaignIds.every((id) => /^\d+$/.test(id))
+    )
+      throw new Error(`Provide one or more numeric campaign IDs.\n${USAGE}`);
+    if (process.env.PROOF_STORE !== "database")
+      console.warn(
+        "⚠️  PROOF_STORE is not 'database', so the API will keep reading merkleTree.json."
+      );
+
+    await assertSchemaUpToDate();
+
+    for (const campaignId of campaignIds) {
+      const [merkleTree, merkleRoot] = await Promise.all([
+        fs.readFile(merkleDataPath(campaignId, "merkleTree.json"), "utf8"),
+        fs.readFile(merkleDataPath(campaignId, "merkleRoot.txt"), "utf8"),
+      ]);
+      const merkleProofs = JSON.parse(merkleTree);
+
+      await withAudit(
+        {
+          actor: getCliActor(),
+          source: "cli",
+          action: "proofs.import",
+          campaignId,
+          params: {
+            merkleRoot: merkleRoot.trim(),
+            addressCount: Object.keys(merkleProofs).length,
+          },
+          readState: () => proofRepository.findProofSet(campaignId),
+        },
+        () =>
+          proofRepository.replaceProofs(
+            campaignId,
+            merkleRoot.trim(),
+            merkleProofs
+          )
+      );
+      console.log(
+        `✅ Campaign #${campaignId}: stored ${
+          Object.keys(merkleProofs).length
+        } proofs for root ${merkleRoot.trim()}`
+      );
+    }
+
+    await close();
+  } catch (error) {
+    console.error("❌ Import failed:", error.message);
+    process.exit(1);
+  }
+}
+
+importProofs();
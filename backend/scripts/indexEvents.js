@@ -0,0 +1,42 @@
+require("dotenv").config();
+const {
+  syncToHead,
+  startEventIndexer,
+} = require("../src/services/eventIndexer");
+const { assertSchemaUpToDate } = require("../src/config/migrations");
+
+/**
+ * Syncs contract events into the database once, or keeps following new
+ * blocks when run with --follow.
+ * Usage: node scripts/indexEvents.js [--follow]
+ */
+async function indexEvents() {
+  console.log("--- Starting Event Indexing ---");
+
+  try {
+    await assertSchemaUpToDate();
+
+    if (process.argv.includes("--follow")) {
+      startEventIndexer();
+      return;
+    }
+
+    const startTime = Date.now();
+    const { fromBlock, toBlock, events } = await syncToHead();
+
+    console.log("\n--- Event Indexing Complete! ---");
+    console.log(`⏱️  Duration: ${Date.now() - startTime}ms`);
+    if (toBlock < fromBlock) {
+      console.log("📦 Already up to date.");
+    } else {
+      console.log(`📦 Blocks ${fromBlock}-${toBlock}: ${events} new event(s)`);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error("\n--- Indexing Failed ---");
+    console.error("❌ Error:", error.message);
+    process.exit(1);
+  }
+}
+
+indexEvents();
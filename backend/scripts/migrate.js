@@ -0,0 +1,98 @@
+require("dotenv").config();
+const {
+  formatMigration,
+  getMigrationStatus,
+  migrate,
+  rollback,
+} = require("../src/config/migrations");
+const { withAudit, getCliActor } = require("../src/services/auditService");
+const { close } = require("../src/config/db");
+
+const USAGE = "Usage: node scripts/migrate.js <up | rollback [steps] | status>";
+
+/**
+ * Lists the applied migrations, for the audit log.
+ * @returns {Promise<{ applied: string[] }>}
+ */
+async function readAppliedMigrations() {
+  const status = await getMigrationStatus();
+  return {
+    applied: status
+      .filter(({ appliedAt }) => appliedAt)
+      .map((migration) => formatMigration(migration)),
+  };
+}
+
+/**
+ * Runs a schema change and records it in the audit log. A change that
+ * removes the audit_log table itself can only be logged, not recorded.
+ * @template T
+ * @param {string} action
+ * @param {object} params
+ * @param {() => Promise<T>} operation
+ * @returns {Promise<T>}
+ */
+function auditSchemaChange(action, params, operation) {
+  return withAudit(
+    {
+      actor: getCliActor(),
+      source: "cli",
+      action,
+      params,
+      readState: readAppliedMigrations,
+    },
+    operation
+  );
+}
+
+/**
+ * Applies pending migrations, reverts the latest ones, or lists them all.
+ * Migrations and rollbacks are recorded in the audit log.
+ */
+async function main() {
+  const [command = "up", stepsArg] = process.argv.slice(2);
+
+  try {
+    if (command === "up") {
+      const applied = await auditSchemaChange("schema.migrate", {}, migrate);
+      console.log(
+        applied.length > 0
+          ? `✅ Applied ${applied.length} migration(s).`
+          : "📦 Already up to date."
+      );
+    } else if (command === "rollback") {
+      const steps = stepsArg === undefined ? 1 : Number(stepsArg);
+      if (!Number.isInteger(steps) || steps < 1)
+        throw new Error(`Steps must be a positive integer.\n${USAGE}`);
+
+      const reverted = await auditSchemaChange(
+        "schema.rollback",
+        { steps },
+        () => rollback(steps)
+      );
+      console.log(
+        reverted.length > 0
+          ? `✅ Reverted ${reverted.length} migration(s).`
+          : "📦 Nothing to roll back."
+      );
+    } else if (command === "status") {
+      for (const migration of await getMigrationStatus()) {
+        const state = migration.missing
+          ? "applied, file missing"
+          : migration.appliedAt
+          ? `applied ${migration.appliedAt}`
+          : "pending";
+        console.log(`${formatMigration(migration)}  ${state}`);
+      }
+    } else {
+      throw new Error(`Unknown command '${command}'.\n${USAGE}`);
+    }
+
+    await close();
+  } catch (error) {
+    console.error("❌ Migration failed:", error.message);
+    process.exit(1);
+  }
+}
+
+main();
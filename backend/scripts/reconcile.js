@@ -0,0 +1,103 @@
+require("dotenv").config();
+const { assertSchemaUpToDate } = require("../src/config/migrations");
+const {
+  reconcileCampaign,
+  countMintsByStatus,
+} = require("../src/services/reconcileService");
+const { withAudit, getCliActor } = require("../src/services/auditService");
+const { close } = require("../src/config/db");
+
+const USAGE =
+  "Usage: node scripts/reconcile.js [--backfill] <campaignId> [...campaignIds]";
+
+/**
+ * Prints one campaign's report.
+ * @param {object} report See reconcileService.reconcileCampaign.
+ */
+function printReport({ campaignId, counts, inSync, differences }) {
+  console.log(
+    `\nCampaign #${campaignId}: campaignMintCount ${counts.campaignMintCount}, ${counts.mintEvents} CertificateMinted log(s), ${counts.confirmedRows} confirmed row(s)`
+  );
+  if (inSync) {
+    console.log("✅ In sync.");
+    return;
+  }
+
+  for (const difference of differences) {
+    const mark = difference.fixed ? "🔧" : "⚠️ ";
+    if (difference.kind === "unknown_mints") {
+      console.log(
+        `${mark} unknown_mints: ${difference.count} mint(s) not found in the logs or the table`
+      );
+      continue;
+    }
+    const onChain = difference.onChain
+      ? `token #${difference.onChain.tokenId} in ${difference.onChain.transactionHash}`
+      : "no mint log";
+    const database = difference.database
+      ? `${difference.database.status} ${difference.database.transactionHash}`
+      : "no row";
+    console.log(
+      `${mark} ${difference.kind}: ${difference.attendee} (chain: ${onChain}; table: ${database})`
+    );
+  }
+}
+
+/**
+ * Compares campaigns' mints tables with the chain and prints the differences.
+ * With --backfill, rows that can be fixed from the CertificateMinted logs are
+ * written with their real transaction hashes, and each backfill is recorded
+ * in the audit log. Exits 1 if anything is left out of sync.
+ */
+async function reconcile() {
+  const args = process.argv.slice(2);
+  const backfill = args.includes("--backfill");
+  const campaignIds = args.filter((arg) => arg !== "--backfill");
+  let outOfSync = 0;
+
+  try {
+    if (
+      campaignIds.length === 0 ||
+      !campaignIds.every((id) => /^\d+$/.test(id))
+    )
+      throw new Error(`Provide one or more numeric campaign IDs.\n${USAGE}`);
+
+    await assertSchemaUpToDate();
+
+    for (const campaignId of campaignIds) {
+      const report = backfill
+        ? await withAudit(
+            {
+              actor: getCliActor(),
+              source: "cli",
+              action: "mints.reconcile",
+              campaignId,
+              params: { backfill: true },
+              readState: () => countMintsByStatus(campaignId),
+            },
+            () => reconcileCampaign(campaignId, { backfill: true })
+          )
+        : await reconcileCampaign(campaignId);
+
+      printReport(report);
+      if (report.differences.some((difference) => !difference.fixed))
+        outOfSync++;
+    }
+
+    await close();
+  } catch (error) {
+    console.error("❌ Reconciliation failed:", error.message);
+    process.exit(1);
+  }
+
+  if (outOfSync > 0)
+    console.log(
+      `\n${outOfSync} campaign(s) still differ from the chain.${
+        backfill ? "" : " Run with --backfill to fix what the logs allow."
+      }`
+    );
+  // The provider would otherwise keep the process alive.
+  process.exit(outOfSync > 0 ? 1 : 0);
+}
+
+reconcile();
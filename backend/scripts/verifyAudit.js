@@ -0,0 +1,34 @@
+require("dotenv").config();
+const { assertSchemaUpToDate } = require("../src/config/migrations");
+const { verifyAuditLog } = require("../src/services/auditService");
+const { close } = require("../src/config/db");
+
+/**
+ * Checks the audit log's hash chain and exits non-zero if an entry was
+ * edited or deleted. Compare the printed head hash with one kept elsewhere to
+ * notice removed newest entries too.
+ * Usage: node scripts/verifyAudit.js
+ */
+async function verifyAudit() {
+  try {
+    await assertSchemaUpToDate();
+
+    const { valid, checkedCount, headHash, brokenAt } = await verifyAuditLog();
+    await close();
+
+    if (!valid) {
+      console.error(
+        `❌ Audit entry #${brokenAt.id} is invalid: ${brokenAt.reason}. ${checkedCount} entries before it are intact.`
+      );
+      process.exit(1);
+    }
+
+    console.log(`✅ ${checkedCount} audit entries intact.`);
+    console.log(`   Head hash: ${headHash || "(empty log)"}`);
+  } catch (error) {
+    console.error("❌ Verification failed:", error.message);
+    process.exit(1);
+  }
+}
+
+verifyAudit();
@@ -0,0 +1,28 @@
+const createSqliteDatabase = require("./sqlite");
+const createPostgresDatabase = require("./postgres");
+
+const DEFAULT_DATABASE_URL = "sqlite:./eventcerts.db";
+
+/**
+ * Opens the database a URL points at: `postgres://` or `postgresql://` for
+ * PostgreSQL, otherwise a SQLite file (`sqlite:<path>` or a bare path).
+ *
+ * Both return the same interface, and statements are written in SQLite's
+ * dialect; the PostgreSQL adapter translates them.
+ * - `run(sql, params)` resolves to `{ changes }`.
+ * - `get(sql, params)` resolves to the first row, or undefined.
+ * - `all(sql, params)` resolves to every row.
+ * - `transaction(work)` calls `work` with its own `run`, `get`, `all` and
+ *   `listColumns`, committing if it resolves and rolling back if it throws.
+ *   Use only those inside `work`.
+ * - `listColumns(table)` resolves to the table's column names.
+ * - `close()` ends the connection(s).
+ * @param {string} [url] Defaults to ./eventcerts.db.
+ * @returns {object}
+ */
+function createDatabase(url = DEFAULT_DATABASE_URL) {
+  if (/^postgres(ql)?:\/\//i.test(url)) return createPostgresDatabase(url);
+  return createSqliteDatabase(url.replace(/^sqlite:/i, ""));
+}
+
+module.exports = createDatabase;
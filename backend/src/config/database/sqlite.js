@@ -0,0 +1,98 @@
+const sqlite3 = require("sqlite3").verbose();
+const { logger } = require("../../utils/logger");
+
+/**
+ * Opens a SQLite database file. Fine for local development and single-host
+ * deployments with a persistent disk.
+ * @param {string} filename e.g. "./eventcerts.db".
+ * @returns {object} The database interface described in ./index.js.
+ */
+function createSqliteDatabase(filename) {
+  const connection = new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(filename, (err) => {
+      if (err) {
+        logger.error("Error opening the SQLite database", {
+          error: err.message,
+        });
+        return reject(err);
+      }
+      logger.info("Connected to the SQLite database", { filename });
+      resolve(db);
+    });
+  });
+
+  // There is a single connection, so statements from other callers must
+  // wait while a transaction holds it or they would become part of it.
+  let currentTransaction = Promise.resolve();
+
+  async function execute(method, sql, params) {
+    const db = await connection;
+    return new Promise((resolve, reject) => {
+      db[method](sql, params, function (err, result) {
+        if (err) return reject(err);
+        resolve(method === "run" ? { changes: this.changes } : result);
+      });
+    });
+  }
+
+  const statements = {
+    run: (sql, params = []) => execute("run", sql, params),
+    get: (sql, params = []) => execute("get", sql, params),
+    all: (sql, params = []) => execute("all", sql, params),
+  };
+
+  /**
+   * Lists a table's column names.
+   * @param {string} table
+   * @returns {Promise<string[]>}
+   */
+  async function listColumns(table) {
+    const columns = await statements.all(`PRAGMA table_info(${table})`);
+    return columns.map((column) => column.name);
+  }
+
+  async function transaction(work) {
+    const previous = currentTransaction;
+    let release;
+    currentTransaction = new Promise((resolve) => (release = resolve));
+    await previous;
+
+    try {
+      await statements.run(`BEGIN`);
+      try {
+        const result = await work({ ...statements, listColumns });
+        await statements.run(`COMMIT`);
+        return result;
+      } catch (error) {
+        await statements.run(`ROLLBACK`);
+        throw error;
+      }
+    } finally {
+      release();
+    }
+  }
+
+  const outsideTransaction =
+    (statement) =>
+    async (...args) => {
+      await currentTransaction;
+      return statement(...args);
+    };
+
+  return {
+    dialect: "sqlite",
+    run: outsideTransaction(statements.run),
+    get: outsideTransaction(statements.get),
+    all: outsideTransaction(statements.all),
+    listColumns: outsideTransaction(listColumns),
+    transaction,
+    async close() {
+      const db = await connection;
+      return new Promise((resolve, reject) => {
+        db.close((err) => (err ? reject(err) : resolve()));
+      });
+    },
+  };
+}
+
+module.exports = createSqliteDatabase;
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const { run, all, transaction } = require("./db");
+const { logger } = require("../utils/logger");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "..", "migrations");
+// e.g. 007_add_relayer_address.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+/**
+ * Names a migration the way its file is named, e.g. "007_add_relayer_address".
+ * @param {{ version: number, name: string }} migration
+ * @returns {string}
+ */
+function formatMigration({ version, name }) {
+  return `${String(version).padStart(3, "0")}_${name}`;
+}
+
+/**
+ * Builds what a migration's up() and down() receive: the transaction's
+ * statement helpers plus addColumnIfMissing.
+ * @param {object} tx The transaction from `transaction()`.
+ * @returns {{ run: function, get: function, all: function, addColumnIfMissing: function }}
+ */
+function createMigrationContext(tx) {
+  return {
+    run: tx.run,
+    get: tx.get,
+    all: tx.all,
+
+    /**
+     * Adds a column unless the table already has it. Databases created before
+     * migrations existed already have some of the columns later migrations add.
+     * @param {string} table
+     * @param {string} column
+     * @param {string} definition e.g. "TEXT NOT NULL DEFAULT 'pending'".
+     */
+    async addColumnIfMissing(table, column, definition) {
+      if ((await tx.listColumns(table)).includes(column)) return;
+      await tx.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    },
+  };
+}
+
+/**
+ * Reads the migration files, ordered by version.
+ * @returns {{ version: number, name: string, up: function, down: function }[]}
+ */
+function loadMigrations() {
+  const migrations = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof up !== "function" || typeof down !== "function")
+        throw new Error(`Migration ${file} must export up() and down()`);
+      return { version: Number(match[1]), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version)
+      throw new Error(`Duplicate migration version ${migration.version}`);
+  });
+  return migrations;
+}
+
+async function ensureMigrationsTable() {
+  await run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Runs a migration step and records it, all in one transaction, so a
+ * failing migration leaves the schema as it was.
+ * @param {function} step The migration's up() or down().
+ * @param {string} recordSql Inserts or deletes the schema_migrations row.
+ * @param {Array} recordParams
+ */
+async function runInTransaction(step, recordSql, recordParams) {
+  await transaction(async (tx) => {
+    await step(createMigrationContext(tx));
+    await tx.run(recordSql, recordParams);
+  });
+}
+
+/**
+ * Lists every migration and when it was applied.
+ * @returns {Promise<{ version: number, name: string, appliedAt: string | null }[]>}
+ *   Applied versions with no file (e.g. from a newer release) are included
+ *   with `missing: true`.
+ */
+async function getMigrationStatus() {
+  await ensureMigrationsTable();
+  const applied = new Map(
+    (await all(`SELECT version, name, appliedAt FROM schema_migrations`)).map(
+      (row) => [row.version, row]
+    )
+  );
+
+  const status = loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: applied.get(version)?.appliedAt ?? null,
+  }));
+  const known = new Set(status.map(({ version }) => version));
+  for (const row of applied.values()) {
+    if (!known.has(row.version)) status.push({ ...row, missing: true });
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Applies every pending migration in order.
+ * @returns {Promise<{ version: number, name: string }[]>} The migrations applied.
+ */
+async function migrate() {
+  await ensureMigrationsTable();
+  const applied = new Set(
+    (await all(`SELECT version FROM schema_migrations`)).map((r) => r.version)
+  );
+
+  const pending = loadMigrations().filter(
+    ({ version }) => !applied.has(version)
+  );
+  for (const migration of pending) {
+    await runInTransaction(
+      migration.up,
+      `INSERT INTO schema_migrations (version, name) VALUES (?, ?)`,
+      [migration.version, migration.name]
+    );
+    logger.info("Applied migration", { migration: formatMigration(migration) });
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Reverts the most recently applied migrations.
+ * @param {number} [steps] How many to revert.
+ * @returns {Promise<{ version: number, name: string }[]>} The migrations reverted.
+ */
+async function rollback(steps = 1) {
+  await ensureMigrationsTable();
+  const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+  const latest = await all(
+    `SELECT version FROM schema_migrations ORDER BY version DESC LIMIT ?`,
+    [steps]
+  );
+
+  const reverted = [];
+  for (const { version } of latest) {
+    const migration = migrations.get(version);
+    if (!migration)
+      throw new Error(
+        `Cannot roll back migration ${version}: its file is missing`
+      );
+
+    await runInTransaction(
+      migration.down,
+      `DELETE FROM schema_migrations WHERE version = ?`,
+      [version]
+    );
+    logger.info("Reverted migration", {
+      migration: formatMigration(migration),
+    });
+    reverted.push({ version, name: migration.name });
+  }
+
+  return reverted;
+}
+
+/**
+ * Fails if the database schema does not match the code: a migration is
+ * pending, or one has been applied that this release does not know.
+ * @throws {Error} Naming the migrations and the command that fixes it.
+ */
+async function assertSchemaUpToDate() {
+  const status = await getMigrationStatus();
+  const pending = status.filter(({ appliedAt }) => !appliedAt);
+  const missing = status.filter(({ missing }) => missing);
+
+  if (pending.length > 0)
+    throw new Error(
+      `Database has ${pending.length} pending migration(s): ${pending
+        .map(formatMigration)
+        .join(", ")}. Run \`npm run db:migrate\` first.`
+    );
+  if (missing.length > 0)
+    throw new Error(
+      `Database has migration(s) this release does not know: ${missing
+        .map(formatMigration)
+        .join(", ")}. Roll them back with the release that added them.`
+    );
+}
+
+module.exports = {
+  formatMigration,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  assertSchemaUpToDate,
+};
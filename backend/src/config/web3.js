@@ -2,8 +2,14 @@ const { ethers } = require("ethers");
 const fs = require("fs");
 const path = require("path");
 const { AppError } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
 
-let deployedContract, relayerWallet, provider;
+let deployedContract,
+  relayerWallet,
+  relayerWallets,
+  provider,
+  ownerWallet,
+  ownerContract;
 
 try {
   const contractArtifactPath = path.join(__dirname, "EventCertificateABI.json");
@@ -29,10 +35,29 @@ try {
 
   // Setup Provider and Wallets ---
   provider = new ethers.JsonRpcProvider(process.env.BASE_MAINNET_RPC_URL);
-  relayerWallet = new ethers.Wallet(
+
+  // The relayer pool: BASE_MAINNET_RELAYER_PRIVATE_KEYS is a comma-separated
+  // list, and BASE_MAINNET_RELAYER_PRIVATE_KEY is still accepted on its own.
+  const relayerKeys = [
     process.env.BASE_MAINNET_RELAYER_PRIVATE_KEY,
-    provider
-  );
+    ...(process.env.BASE_MAINNET_RELAYER_PRIVATE_KEYS || "").split(","),
+  ]
+    .map((key) => key?.trim())
+    .filter(Boolean);
+
+  if (relayerKeys.length === 0) {
+    throw new Error(
+      "BASE_MAINNET_RELAYER_PRIVATE_KEY or BASE_MAINNET_RELAYER_PRIVATE_KEYS is not set in your .env file."
+    );
+  }
+
+  const walletsByAddress = new Map();
+  for (const key of relayerKeys) {
+    const wallet = new ethers.Wallet(key, provider);
+    walletsByAddress.set(wallet.address, wallet);
+  }
+  relayerWallets = [...walletsByAddress.values()];
+  relayerWallet = relayerWallets[0];
 
   const contractAddress = process.env.EVENT_CERT_CONTRACT_ADDRESS;
   if (!contractAddress) {
@@ -48,13 +73,35 @@ try {
     relayerWallet
   );
 
-  console.log("Web3 configuration loaded successfully.");
-  console.log(`   - Contract attached at: ${contractAddress}`);
-  console.log(`   - Relayer wallet configured: ${relayerWallet.address}`);
+  // The owner signer is optional: without it the admin routes are disabled,
+  // but the public claim flow keeps working.
+  if (process.env.BASE_MAINNET_OWNER_PRIVATE_KEY) {
+    ownerWallet = new ethers.Wallet(
+      process.env.BASE_MAINNET_OWNER_PRIVATE_KEY,
+      provider
+    );
+    ownerContract = deployedContract.connect(ownerWallet);
+  }
+
+  logger.info("Web3 configuration loaded", {
+    contractAddress,
+    relayers: relayerWallets.map((wallet) => wallet.address),
+    // Without an owner wallet the admin routes are disabled.
+    owner: ownerWallet ? ownerWallet.address : null,
+  });
 } catch (error) {
   // This will now throw a clear, actionable error if the setup fails.
-  console.error("Failed to initialize Web3 configuration:");
+  logger.error("Failed to initialize Web3 configuration", {
+    error: error.message,
+  });
   throw new AppError(error.message, 500);
 }
 
-module.exports = { deployedContract, relayerWallet, provider };
+module.exports = {
+  deployedContract,
+  relayerWallet,
+  relayerWallets,
+  provider,
+  ownerWallet,
+  ownerContract,
+};
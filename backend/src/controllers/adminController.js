@@ -0,0 +1,383 @@
+const crypto = require("crypto");
+const {
+  createCampaign: createCampaignOnChain,
+  updateCampaignBeforeStart,
+  setCampaignActiveStatus,
+  notifyCampaignActivated,
+  deleteCampaign: deleteCampaignOnChain,
+  updateCampaignBaseURI,
+  readCampaignState,
+} = require("../services/adminCampaignService");
+const {
+  validateWhitelistCSV,
+  storeWhitelist,
+  describeWhitelist,
+} = require("../services/whitelistService");
+const {
+  issueClaimCodes,
+  listClaimCodes: listCampaignClaimCodes,
+  getAppliedAddresses,
+  applyPendingWhitelist: applyPendingAddresses,
+} = require("../services/claimCodeService");
+const { storeAttendees } = require("../services/metadataService");
+const getCampaignDetails = require("../services/campaignService");
+const { withAudit } = require("../services/auditService");
+const { logger } = require("../utils/logger");
+
+// Route parameters, queries and bodies are checked against
+// src/docs/openapi.js before they get here (see middleware/openApiValidator.js).
+
+/**
+ * Creates a new campaign on the smart contract.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const createCampaign = async (req, res, next) => {
+  try {
+    const { merkleRoot, startTime, endTime, maxMints, baseURI } = req.body;
+
+    const campaign = { merkleRoot, startTime, endTime, maxMints, baseURI };
+    const result = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "campaign.create",
+        params: campaign,
+        readState: (created) =>
+          created?.campaignId ? readCampaignState(created.campaignId) : null,
+      },
+      () => createCampaignOnChain(campaign)
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: "Campaign created. It stays inactive until activated.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Updates the Merkle root and schedule of a campaign that has not started yet.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const updateCampaign = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+    const { merkleRoot, startTime, endTime } = req.body;
+
+    const changes = { merkleRoot, startTime, endTime };
+    const result = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "campaign.update",
+        campaignId,
+        params: changes,
+        readState: () => readCampaignState(campaignId),
+      },
+      () => updateCampaignBeforeStart(campaignId, changes)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: "Campaign updated successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Activates or deactivates a campaign.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const setCampaignStatus = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+    const { isActive } = req.body;
+
+    const result = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "campaign.setActive",
+        campaignId,
+        params: { isActive },
+        readState: () => readCampaignState(campaignId),
+      },
+      () => setCampaignActiveStatus(campaignId, isActive)
+    );
+    if (isActive) await notifyCampaignActivated(campaignId, result);
+
+    res.status(200).json({
+      success: true,
+      data: { ...result, isActive },
+      message: `Campaign ${
+        isActive ? "activated" : "deactivated"
+      } successfully`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a campaign that was created by mistake.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const deleteCampaign = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+
+    const result = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "campaign.delete",
+        campaignId,
+        readState: () => readCampaignState(campaignId),
+      },
+      () => deleteCampaignOnChain(campaignId)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: "Campaign deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Updates the metadata base URI of a campaign.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const updateBaseURI = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+    const { baseURI } = req.body;
+
+    const result = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "campaign.setBaseURI",
+        campaignId,
+        params: { baseURI },
+        readState: () => readCampaignState(campaignId),
+      },
+      () => updateCampaignBaseURI(campaignId, baseURI)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: "Campaign base URI updated successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reads a campaign's on-chain Merkle root, which proofs must match to be usable.
+ * @param {string} campaignId
+ * @returns {Promise<string | null>} The root, or null if it cannot be read.
+ */
+async function getOnChainMerkleRoot(campaignId) {
+  try {
+    const campaign = await getCampaignDetails(campaignId);
+    return campaign ? campaign.merkleRoot : null;
+  } catch (error) {
+    logger.warn("Could not read on-chain Merkle root", {
+      campaignId: Number(campaignId),
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Validates an uploaded attendee CSV, then builds and stores the campaign's
+ * Merkle tree. Rows with errors are reported back; by default nothing is stored
+ * unless every row is valid (pass `?skipInvalid=true` to store the valid rows).
+ * Rows with an email but no wallet get a one-time claim code, returned in
+ * this response only.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const uploadWhitelist = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+    const skipInvalid = req.query.skipInvalid === "true";
+    const reissueClaimCodes = req.query.reissueClaimCodes === "true";
+
+    const { validAddresses, attendees, emailOnly, errors } =
+      validateWhitelistCSV(req.body);
+
+    if (errors.length > 0 && !skipInvalid) {
+      return res.status(422).json({
+        success: false,
+        error: `${errors.length} row(s) failed validation. Nothing was stored.`,
+        data: {
+          validCount: validAddresses.length,
+          emailOnlyCount: emailOnly.length,
+          errors,
+        },
+      });
+    }
+
+    const { merkleRoot, addressCount, issued, unchanged } = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "whitelist.upload",
+        campaignId,
+        // The CSV holds attendees' names and emails; its hash identifies it.
+        params: {
+          csvSha256: crypto.createHash("sha256").update(req.body).digest("hex"),
+          validCount: validAddresses.length,
+          emailOnlyCount: emailOnly.length,
+          invalidCount: errors.length,
+          skipInvalid,
+          reissueClaimCodes,
+        },
+        readState: () => describeWhitelist(campaignId),
+      },
+      async () => {
+        // Wallets added through claim codes stay on the list across re-uploads.
+        const known = new Set(validAddresses.map((a) => a.toLowerCase()));
+        const addresses = [
+          ...validAddresses,
+          ...(await getAppliedAddresses(campaignId)).filter(
+            (address) => !known.has(address.toLowerCase())
+          ),
+        ];
+
+        // A list of email-only attendees has no tree until codes are redeemed.
+        let stored = { merkleRoot: null, addressCount: 0 };
+        if (addresses.length > 0 || emailOnly.length === 0)
+          stored = await storeWhitelist(campaignId, addresses);
+
+        await storeAttendees(campaignId, attendees);
+
+        const claimCodes = await issueClaimCodes(campaignId, emailOnly, {
+          reissue: reissueClaimCodes,
+        });
+        return { ...stored, ...claimCodes };
+      }
+    );
+
+    const onChainMerkleRoot = await getOnChainMerkleRoot(campaignId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        merkleRoot,
+        addressCount,
+        onChainMerkleRoot,
+        matchesOnChainRoot: onChainMerkleRoot === merkleRoot,
+        claimCodes: issued,
+        unchangedClaimCodeCount: unchanged,
+        errors,
+      },
+      message:
+        onChainMerkleRoot === merkleRoot
+          ? "Whitelist stored and matches the on-chain Merkle root."
+          : "Whitelist stored. Update the campaign's Merkle root on-chain before attendees claim.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists a campaign's claim codes and whether each is unredeemed, pending or
+ * applied to the Merkle tree.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const listClaimCodes = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+
+    // Unredeemed codes are as good as a whitelist spot, so reading them is
+    // recorded too.
+    const claimCodes = await withAudit(
+      { actor: req.admin.name, action: "claimCodes.list", campaignId },
+      () => listCampaignClaimCodes(campaignId)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        campaignId: Number(campaignId),
+        pendingCount: claimCodes.filter((c) => c.status === "pending").length,
+        claimCodes,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Adds the wallets from redeemed claim codes to the campaign's whitelist and
+ * rebuilds its Merkle tree.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const applyPendingWhitelist = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+
+    const { merkleRoot, addressCount, addedCount } = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "whitelist.applyPending",
+        campaignId,
+        readState: () => describeWhitelist(campaignId),
+      },
+      () => applyPendingAddresses(campaignId)
+    );
+    const onChainMerkleRoot = await getOnChainMerkleRoot(campaignId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        merkleRoot,
+        addressCount,
+        addedCount,
+        onChainMerkleRoot,
+        matchesOnChainRoot: onChainMerkleRoot === merkleRoot,
+      },
+      message:
+        "Pending addresses added. Update the campaign's Merkle root on-chain before they claim.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createCampaign,
+  updateCampaign,
+  setCampaignStatus,
+  deleteCampaign,
+  updateBaseURI,
+  uploadWhitelist,
+  listClaimCodes,
+  applyPendingWhitelist,
+};
@@ -0,0 +1,79 @@
+const {
+  listAuditEntries,
+  verifyAuditLog,
+} = require("../services/auditService");
+const { AppError } = require("../middleware/errorHandler");
+
+// Query parameters are checked against src/docs/openapi.js before they get
+// here (see middleware/openApiValidator.js).
+
+/**
+ * Turns an optional time filter into an ISO string. Its shape was validated
+ * already, but it must also be a real date, e.g. not 2025-13-01.
+ * @param {string | undefined} value
+ * @param {string} name The query parameter, for the error message.
+ * @returns {string | undefined}
+ * @throws {AppError} 400 if it is not a date.
+ */
+function parseTime(value, name) {
+  if (value === undefined) return undefined;
+  if (Number.isNaN(Date.parse(value)))
+    throw new AppError(
+      `${name} must be an ISO 8601 date or time`,
+      400,
+      "VALIDATION_ERROR"
+    );
+  return new Date(value).toISOString();
+}
+
+/**
+ * Lists audit log entries, newest first, filtered by the query.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const listAuditLog = async (req, res, next) => {
+  try {
+    const { actor, action, campaignId, outcome, beforeId } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+    const entries = await listAuditEntries({
+      actor,
+      action,
+      campaignId: campaignId !== undefined ? Number(campaignId) : undefined,
+      outcome,
+      since: parseTime(req.query.since, "since"),
+      until: parseTime(req.query.until, "until"),
+      beforeId: beforeId !== undefined ? Number(beforeId) : undefined,
+      limit,
+    });
+
+    res.status(200).json({ success: true, data: entries });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Checks the audit log's hash chain from its first entry to its last.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const verifyAuditChain = async (req, res, next) => {
+  try {
+    const result = await verifyAuditLog();
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: result.valid
+        ? `All ${result.checkedCount} audit entries are intact`
+        : `Audit entry #${result.brokenAt.id} has been tampered with`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { listAuditLog, verifyAuditChain };
@@ -0,0 +1,77 @@
+const { createNonce, signIn, signOut } = require("../services/sessionService");
+const { getSessionToken } = require("../middleware/sessionAuth");
+
+/**
+ * Issues a single-use nonce for a Sign-In with Ethereum message.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const getNonce = async (req, res, next) => {
+  try {
+    const nonce = await createNonce();
+
+    res.status(200).json({
+      success: true,
+      data: nonce,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verifies a signed EIP-4361 message and returns a session token for the
+ * signing address.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const verifySignIn = async (req, res, next) => {
+  try {
+    const { message, signature } = req.body;
+
+    const session = await signIn(message, signature);
+
+    res.status(200).json({
+      success: true,
+      data: session,
+      message: "Signed in successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Returns the current session.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getCurrentSession = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: req.session,
+  });
+};
+
+/**
+ * Ends the current session.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const logout = async (req, res, next) => {
+  try {
+    await signOut(getSessionToken(req));
+
+    res.status(200).json({
+      success: true,
+      message: "Signed out",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getNonce, verifySignIn, getCurrentSession, logout };
@@ -0,0 +1,45 @@
+const {
+  getCertificate,
+  getCertificatesForAddress,
+} = require("../services/certificateService");
+
+/**
+ * Verifies a certificate by token ID: its holder, campaign, metadata, mint
+ * transaction and whether it is valid or has been revoked.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const verifyCertificate = async (req, res, next) => {
+  try {
+    const certificate = await getCertificate(req.params.tokenId);
+
+    res.status(200).json({
+      success: true,
+      data: { certificate },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the certificates a wallet address has claimed across all campaigns.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const listAddressCertificates = async (req, res, next) => {
+  try {
+    const certificates = await getCertificatesForAddress(req.params.address);
+
+    res.status(200).json({
+      success: true,
+      data: { certificates },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { verifyCertificate, listAddressCertificates };
@@ -0,0 +1,48 @@
+const { isAddress, getAddress } = require("ethers");
+const { redeemClaimCode: redeemCode } = require("../services/claimCodeService");
+const { AppError } = require("../middleware/errorHandler");
+
+/**
+ * Redeems an email attendee's claim code for the wallet they signed in with,
+ * queueing the wallet for the campaign's next whitelist update.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const redeemClaimCode = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+    const { code, address } = req.body;
+
+    // The document checks the address's shape; a mixed-case address must
+    // also carry a correct checksum.
+    if (!isAddress(address))
+      return next(
+        new AppError("Invalid address checksum", 400, "VALIDATION_ERROR")
+      );
+
+    const normalizedAddress = getAddress(address);
+    // Signing in proves the attendee controls the wallet the code is bound to.
+    if (req.session.address !== normalizedAddress)
+      return next(
+        new AppError(
+          "You can only redeem a claim code for the wallet you signed in with",
+          403,
+          "SESSION_ADDRESS_MISMATCH"
+        )
+      );
+
+    const redemption = await redeemCode(campaignId, code, normalizedAddress);
+
+    res.status(200).json({
+      success: true,
+      data: redemption,
+      message:
+        "Claim code redeemed. You can claim your certificate once the organizers update the whitelist.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { redeemClaimCode };
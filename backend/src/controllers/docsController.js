@@ -0,0 +1,12 @@
+const openApiDocument = require("../docs/openapi");
+
+/**
+ * Serves the OpenAPI document describing this API.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+const getDocs = (req, res) => {
+  res.status(200).json(openApiDocument);
+};
+
+module.exports = { getDocs };
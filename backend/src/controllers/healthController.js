@@ -0,0 +1,71 @@
+const {
+  getHealthReport,
+  toPublicReport,
+} = require("../services/healthService");
+
+/**
+ * Reports the status of the API and its dependencies. Always responds 200
+ * while the process is up; `status` is "degraded" if any check fails.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const getHealth = async (req, res, next) => {
+  try {
+    const { ready, ...report } = toPublicReport(await getHealthReport());
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: ready ? "ok" : "degraded",
+        uptimeSeconds: Math.floor(process.uptime()),
+        ...report,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Responds 200 if the API can accept mints and 503 otherwise, for load
+ * balancers and deploy checks.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const getReadiness = async (req, res, next) => {
+  try {
+    const report = toPublicReport(await getHealthReport());
+
+    res.status(report.ready ? 200 : 503).json({
+      success: report.ready,
+      data: report,
+      ...(!report.ready && { error: "Service is not ready" }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reports the same checks with their details for operators: each relayer's
+ * address, balance and pending transactions, the latest block and errors.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const getHealthDetails = async (req, res, next) => {
+  try {
+    const { ready, ...report } = await getHealthReport();
+
+    res.status(200).json({
+      success: true,
+      data: { status: ready ? "ok" : "degraded", ...report },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getHealth, getReadiness, getHealthDetails };
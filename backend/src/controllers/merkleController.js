@@ -1,10 +1,27 @@
 const { isAddress, getAddress } = require("ethers");
 const getCampaignDetails = require("../services/campaignService");
-const getProofForAddress = require("../services/proofService");
-const mintNFT = require("../services/relayerService");
+const getCampaignStats = require("../services/campaignStatsService");
+const { getProofForAddress } = require("../services/proofService");
+const { enqueueMint, getMintJob } = require("../services/mintQueue");
 const findExistingMint = require("../services/mintService");
 const { AppError } = require("../middleware/errorHandler");
-const dbModel = require("../config/db");
+const { logger } = require("../utils/logger");
+
+// Route parameters and bodies are checked against src/docs/openapi.js before
+// they get here (see middleware/openApiValidator.js).
+
+/**
+ * Checksums an address. Its shape was validated already, but a mixed-case
+ * address must also carry a correct checksum.
+ * @param {string} address
+ * @returns {string}
+ * @throws {AppError} 400 for a bad checksum.
+ */
+function normalizeAddress(address) {
+  if (!isAddress(address))
+    throw new AppError("Invalid address checksum", 400, "VALIDATION_ERROR");
+  return getAddress(address);
+}
 
 /**
  * Provides the Merkle proof for a given wallet address for a specific campaign.
@@ -12,22 +29,18 @@ const dbModel = require("../config/db");
  * @param {object} res - Express response object
  * @param {function} next - Express next middleware function
  */
-const getProof = (req, res, next) => {
+const getProof = async (req, res, next) => {
   try {
     const { campaignId } = req.params;
-    const { address } = req.query;
 
-    if (!campaignId)
-      return next(new AppError("Campaign ID is required in the URL path", 400));
-    if (!address)
-      return next(new AppError("Address query parameter is required", 400));
-    if (!isAddress(address))
-      return next(new AppError("Invalid Ethereum address format", 400));
+    const normalizedAddress = normalizeAddress(req.query.address);
+    const proofData = await getProofForAddress(normalizedAddress, campaignId);
 
-    const normalizedAddress = getAddress(address);
-    const proofData = getProofForAddress(normalizedAddress, campaignId);
-
-    console.log("Proof data found:", proofData);
+    logger.debug("Proof lookup", {
+      campaignId: Number(campaignId),
+      address: normalizedAddress,
+      found: Boolean(proofData?.proof),
+    });
 
     if (!proofData || !proofData.proof)
       return next(
@@ -44,7 +57,9 @@ const getProof = (req, res, next) => {
 };
 
 /**
- * Submits a transaction to the smart contract to mint an NFT for a specific campaign.
+ * Queues a mint for a specific campaign. The relayer worker submits the
+ * transaction; clients poll the returned job for its status. The attendee
+ * must be the address of the caller's signed-in session.
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @param {function} next - Express next middleware function
@@ -54,55 +69,45 @@ const mintCertificate = async (req, res, next) => {
     const { campaignId } = req.params;
     const { attendee, merkleProof } = req.body;
 
-    // Validation
-    if (!campaignId)
-      return next(new AppError("Campaign ID is required in the URL path", 400));
-    if (!attendee || !merkleProof)
+    const normalizedAddress = normalizeAddress(attendee);
+    // Only the wallet that signed in may claim for itself.
+    if (req.session.address !== normalizedAddress)
       return next(
-        new AppError("Missing required fields: attendee and merkleProof", 400)
-      );
-    if (!isAddress(attendee))
-      return next(
-        new AppError("Invalid Ethereum address format for attendee", 400)
-      );
-    if (!Array.isArray(merkleProof))
-      return next(
-        new AppError("Invalid Merkle proof format; expected an array", 400)
+        new AppError(
+          "You can only claim a certificate for the wallet you signed in with",
+          403,
+          "SESSION_ADDRESS_MISMATCH"
+        )
       );
 
-    const normalizedAddress = getAddress(attendee);
-    const transactionHash = await mintNFT(
-      normalizedAddress,
-      campaignId,
-      merkleProof
-    );
-
-    if (!transactionHash)
-      return next(
-        new AppError("Minting transaction failed to return a hash", 500)
-      );
+    const job = await enqueueMint(normalizedAddress, campaignId, merkleProof);
 
-    const db = await dbModel;
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: "Certificate minting request queued successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    await new Promise((resolve, reject) => {
-      const sql = `INSERT INTO mints (campaignId, attendeeAddress, transactionHash) VALUES (?, ?, ?)`;
+/**
+ * Reports the status of a queued mint request.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const getMintJobStatus = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
 
-      db.run(sql, [campaignId, normalizedAddress, transactionHash], (err) => {
-        if (err) {
-          console.error("Database error while recording mint:", err.message);
-          return reject(
-            new AppError("Minting succeeded, but failed to save record.", 500)
-          );
-        } else {
-          resolve();
-        }
-      });
-    });
+    const job = await getMintJob(jobId);
+    if (!job) return next(new AppError("Mint job not found", 404));
 
     res.status(200).json({
       success: true,
-      data: { transactionHash },
-      message: "Certificate minting process initiated successfully",
+      data: job,
     });
   } catch (error) {
     next(error);
@@ -118,9 +123,6 @@ const mintCertificate = async (req, res, next) => {
 const getCampaign = async (req, res, next) => {
   try {
     const { campaignId } = req.params;
-    if (!campaignId) {
-      return next(new AppError("Campaign ID is required in the URL path", 400));
-    }
 
     // This would call a new service to read from the contract's `getCampaign` view function
     const campaignDetails = await getCampaignDetails(campaignId);
@@ -139,37 +141,54 @@ const getCampaign = async (req, res, next) => {
 };
 
 /**
- * Retrieves the original transaction hash for a user who has already minted.
+ * Reports mint progress and timeline statistics for a campaign.
  * @param {object} req - Express request object
  * @param {object} res - Express response object
  * @param {function} next - Express next middleware function
  */
-const getMintTransaction = async (req, res, next) => {
+const getCampaignStatistics = async (req, res, next) => {
   try {
     const { campaignId } = req.params;
-    const { address } = req.query;
 
-    // Validation
-    if (!campaignId)
-      return next(new AppError("Campaign ID is required in the URL path", 400));
-    if (!address)
-      return next(new AppError("Address query parameter is required", 400));
-    if (!isAddress(address))
-      return next(new AppError("Invalid Ethereum address format", 400));
+    const stats = await getCampaignStats(campaignId);
+
+    if (!stats) {
+      return next(new AppError("Campaign not found", 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { stats },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retrieves the original mint transaction and its on-chain status
+ * (pending, confirmed or failed) for a user who has already minted.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const getMintTransaction = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
 
-    const normalizedAddress = getAddress(address);
+    const normalizedAddress = normalizeAddress(req.query.address);
 
-    const transactionHash = await findExistingMint(
-      normalizedAddress,
-      campaignId
-    );
+    const mint = await findExistingMint(normalizedAddress, campaignId);
 
-    if (transactionHash) {
-      // Found it!
+    if (mint) {
+      // Found it! Report the on-chain outcome, not just the hash.
       res.status(200).json({
         success: true,
-        data: { transactionHash },
-        message: "Previously minted transaction hash retrieved.",
+        data: mint,
+        message:
+          mint.status === "confirmed"
+            ? "Previously minted transaction hash retrieved."
+            : `Mint transaction is ${mint.status}.`,
       });
     } else {
       return next(
@@ -184,4 +203,11 @@ const getMintTransaction = async (req, res, next) => {
   }
 };
 
-module.exports = { getProof, mintCertificate, getCampaign, getMintTransaction };
+module.exports = {
+  getProof,
+  mintCertificate,
+  getMintJobStatus,
+  getCampaign,
+  getCampaignStatistics,
+  getMintTransaction,
+};
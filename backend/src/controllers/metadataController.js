@@ -0,0 +1,206 @@
+const {
+  findTemplate,
+  getTemplate,
+  setTemplate,
+  setAttendeeName,
+  findAttendeeName,
+  getTokenMetadata,
+} = require("../services/metadataService");
+const {
+  getCertificateImage,
+  renderPreview,
+} = require("../services/certificateImageService");
+const { withAudit } = require("../services/auditService");
+
+// How long clients may reuse metadata and images before revalidating them
+// with their ETag.
+const MAX_AGE_SECONDS = Number(process.env.METADATA_MAX_AGE_SECONDS) || 300;
+
+// Route parameters and bodies are checked against src/docs/openapi.js before
+// they get here (see middleware/openApiValidator.js).
+
+/**
+ * The public origin of this API, used in image URLs: METADATA_BASE_URL if
+ * set, otherwise the host the request was sent to.
+ * @param {object} req - Express request object
+ * @returns {string}
+ */
+function getBaseUrl(req) {
+  if (process.env.METADATA_BASE_URL)
+    return process.env.METADATA_BASE_URL.replace(/\/+$/, "");
+  return `${req.protocol}://${req.get("host")}`;
+}
+
+/**
+ * Sets the caching headers and reports whether the client's copy, named in
+ * If-None-Match, is still current.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function isNotModified(req, res, etag) {
+  res.set({
+    ETag: etag,
+    "Cache-Control": `public, max-age=${MAX_AGE_SECONDS}`,
+  });
+  return req.fresh;
+}
+
+/**
+ * Serves an attendee's token metadata, the document tokenURI points to when
+ * the campaign's base URI is `<api>/metadata/<campaignId>/`.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const getMetadata = async (req, res, next) => {
+  try {
+    const { campaignId, address } = req.params;
+
+    const { metadata, etag } = await getTokenMetadata(
+      campaignId,
+      address,
+      getBaseUrl(req)
+    );
+
+    if (isNotModified(req, res, etag)) return res.status(304).end();
+    res.status(200).json(metadata);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Serves an attendee's certificate image, drawn from the campaign's template
+ * on the first request and read from the disk cache after that.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const getImage = async (req, res, next) => {
+  try {
+    const { campaignId, address } = req.params;
+
+    const { etag, load } = await getCertificateImage(campaignId, address);
+
+    if (isNotModified(req, res, etag)) return res.status(304).end();
+    res
+      .status(200)
+      .type("png")
+      .send(await load());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Draws a certificate for any name, so admins can check how long names fit
+ * before an event.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const previewCertificate = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+
+    const image = await renderPreview(campaignId, req.query.name);
+
+    res.set("Cache-Control", "no-store").status(200).type("png").send(image);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Returns a campaign's certificate template.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const getCampaignTemplate = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+
+    res
+      .status(200)
+      .json({ success: true, data: await getTemplate(campaignId) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Creates or replaces a campaign's certificate template.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const putCampaignTemplate = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+
+    const template = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "template.update",
+        campaignId,
+        params: req.body,
+        readState: () => findTemplate(campaignId),
+      },
+      () => setTemplate(campaignId, req.body)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: template,
+      message: "Certificate template saved",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sets or corrects the name on an attendee's certificate.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const putAttendeeName = async (req, res, next) => {
+  try {
+    const { campaignId, address } = req.params;
+
+    const { name } = req.body;
+    const attendee = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "attendee.setName",
+        campaignId,
+        params: { address, name },
+        readState: async () => ({
+          name: await findAttendeeName(campaignId, address),
+        }),
+      },
+      () => setAttendeeName(campaignId, address, name)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: attendee,
+      message: "Attendee name saved",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMetadata,
+  getImage,
+  previewCertificate,
+  getCampaignTemplate,
+  putCampaignTemplate,
+  putAttendeeName,
+};
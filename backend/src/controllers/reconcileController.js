@@ -0,0 +1,56 @@
+const {
+  reconcileCampaign,
+  countMintsByStatus,
+} = require("../services/reconcileService");
+const { withAudit } = require("../services/auditService");
+
+/**
+ * Reports where a campaign's mints table differs from the chain, without
+ * changing anything.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const getReconcileReport = async (req, res, next) => {
+  try {
+    const report = await reconcileCampaign(req.params.campaignId);
+
+    res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Compares a campaign's mints table with the chain and backfills the rows
+ * that can be fixed from the CertificateMinted logs.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const backfillMints = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+
+    const report = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "mints.reconcile",
+        campaignId,
+        params: { backfill: true },
+        readState: () => countMintsByStatus(campaignId),
+      },
+      () => reconcileCampaign(campaignId, { backfill: true })
+    );
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      message: `Backfilled ${report.backfilledCount} of ${report.differences.length} differences`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getReconcileReport, backfillMints };
@@ -0,0 +1,58 @@
+const {
+  revokeCertificate: revoke,
+  readTokenState,
+  listRevocations,
+} = require("../services/revocationService");
+const { withAudit } = require("../services/auditService");
+
+/**
+ * Revokes a certificate by burning it and records the reason given.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const revokeCertificate = async (req, res, next) => {
+  try {
+    const { tokenId } = req.params;
+    const { reason } = req.body;
+
+    const revocation = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "certificate.revoke",
+        params: { tokenId, reason },
+        readState: () => readTokenState(tokenId),
+      },
+      () => revoke(tokenId, reason, req.admin.name)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: revocation,
+      message: `Certificate #${revocation.tokenId} revoked`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists the certificates revoked in a campaign, for verifiers.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const listCampaignRevocations = async (req, res, next) => {
+  try {
+    const revocations = await listRevocations(req.params.campaignId);
+
+    res.status(200).json({
+      success: true,
+      data: { revocations },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { revokeCertificate, listCampaignRevocations };
@@ -0,0 +1,158 @@
+const {
+  createSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  listDeliveries,
+} = require("../services/webhookService");
+const { replayDelivery } = require("../services/webhookQueue");
+const { withAudit } = require("../services/auditService");
+const { AppError } = require("../middleware/errorHandler");
+
+// Route parameters, queries and bodies are checked against
+// src/docs/openapi.js before they get here (see middleware/openApiValidator.js).
+
+/**
+ * Subscribes a URL to webhook events. The response holds the signing secret,
+ * which is not shown again.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const createWebhook = async (req, res, next) => {
+  try {
+    const { url, campaignId = null, events } = req.body;
+
+    const params = { url, campaignId, events };
+    // The result holds the signing secret, so only its ID is recorded.
+    const subscription = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "webhook.create",
+        params,
+        readState: (created) =>
+          created ? { subscriptionId: created.subscriptionId } : null,
+      },
+      () => createSubscription(params)
+    );
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+      message:
+        "Webhook created. Store the secret now; it is needed to verify signatures and is not shown again.",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists webhook subscriptions, optionally only those covering one campaign.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const listWebhooks = async (req, res, next) => {
+  try {
+    const { campaignId } = req.query;
+
+    const subscriptions = await listSubscriptions(
+      campaignId !== undefined ? Number(campaignId) : undefined
+    );
+
+    res.status(200).json({ success: true, data: subscriptions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deletes a webhook subscription.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const deleteWebhook = async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+
+    await withAudit(
+      {
+        actor: req.admin.name,
+        action: "webhook.delete",
+        params: { subscriptionId },
+      },
+      async () => {
+        if (!(await deleteSubscription(subscriptionId)))
+          throw new AppError(
+            `Webhook subscription ${subscriptionId} not found`,
+            404
+          );
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { subscriptionId },
+      message: "Webhook deleted",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lists a subscription's deliveries, newest first.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const listWebhookDeliveries = async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+    const { status } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+    const deliveries = await listDeliveries(subscriptionId, { status, limit });
+
+    res.status(200).json({ success: true, data: deliveries });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sends a past delivery again with the same payload.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const replayWebhookDelivery = async (req, res, next) => {
+  try {
+    const { deliveryId } = req.params;
+    const delivery = await withAudit(
+      {
+        actor: req.admin.name,
+        action: "webhook.replay",
+        params: { deliveryId },
+      },
+      () => replayDelivery(deliveryId)
+    );
+
+    res.status(202).json({
+      success: true,
+      data: delivery,
+      message: "Delivery queued",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listWebhookDeliveries,
+  replayWebhookDelivery,
+};
@@ -0,0 +1,1351 @@
+// OpenAPI 3.1 description of the HTTP API, served at /api/docs. The
+// validation middleware (middleware/openApiValidator.js) checks requests
+// against it, and in development also responses, so keep it in step with
+// the routes. `x-message` replaces the validator's wording for a schema.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = (name) => ({ $ref: `#/components/responses/${name}` });
+
+/**
+ * A JSON response in the `{ success: true, data }` envelope.
+ * @param {string} description
+ * @param {object} [data] Schema of `data`; any object if omitted.
+ * @returns {object}
+ */
+function ok(description, data = { type: "object" }) {
+  return {
+    description,
+    content: {
+      "application/json": {
+        schema: {
+          type: "object",
+          required: ["success"],
+          properties: {
+            success: { const: true },
+            data,
+            message: { type: "string" },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * A JSON request body.
+ * @param {object} schema
+ * @returns {object}
+ */
+function jsonBody(schema) {
+  return { required: true, content: { "application/json": { schema } } };
+}
+
+const png = (description) => ({
+  description,
+  content: { "image/png": { schema: { type: "string" } } },
+});
+
+const campaignIdParam = {
+  name: "campaignId",
+  in: "path",
+  required: true,
+  schema: ref("CampaignId"),
+};
+const addressParam = {
+  name: "address",
+  in: "path",
+  required: true,
+  schema: ref("Address"),
+};
+const addressQuery = {
+  name: "address",
+  in: "query",
+  required: true,
+  schema: ref("Address"),
+};
+
+const adminSecurity = [{ adminApiKey: [] }];
+const sessionSecurity = [{ siweSession: [] }];
+
+const mintJob = {
+  type: "object",
+  required: ["jobId", "campaignId", "attendee", "status"],
+  properties: {
+    jobId: ref("Uuid"),
+    campaignId: { type: "integer" },
+    attendee: ref("Address"),
+    status: {
+      enum: ["queued", "processing", "submitted", "failed", "revoked"],
+    },
+    transactionHash: { type: ["string", "null"] },
+    attempts: { type: "integer" },
+    error: { type: ["string", "null"] },
+    errorCode: { type: ["string", "null"] },
+    relayerAddress: { type: ["string", "null"] },
+    mintStatus: { type: ["string", "null"] },
+    tokenId: { type: ["string", "integer", "null"] },
+    createdAt: { type: ["string", "null"] },
+    updatedAt: { type: ["string", "null"] },
+  },
+};
+
+const revocation = {
+  type: "object",
+  required: ["tokenId", "campaignId", "reason", "transactionHash"],
+  properties: {
+    tokenId: { type: "string" },
+    campaignId: { type: "integer" },
+    holder: { type: ["string", "null"] },
+    reason: { type: "string" },
+    transactionHash: ref("Bytes32"),
+    revokedAt: { type: ["string", "null"] },
+  },
+};
+
+const auditEntry = {
+  type: "object",
+  required: ["id", "createdAt", "actor", "source", "action", "outcome", "hash"],
+  properties: {
+    id: { type: "integer" },
+    createdAt: { type: "string" },
+    actor: { type: "string" },
+    source: { enum: ["api", "cli"] },
+    action: { type: "string" },
+    campaignId: { type: ["integer", "null"] },
+    params: {},
+    before: {},
+    after: {},
+    transactionHash: { type: ["string", "null"] },
+    outcome: { enum: ["success", "failure"] },
+    error: { type: ["string", "null"] },
+    hash: { type: "string" },
+  },
+};
+
+const reconcileReport = {
+  type: "object",
+  required: ["campaignId", "counts", "inSync", "differences"],
+  properties: {
+    campaignId: { type: "integer" },
+    counts: {
+      type: "object",
+      properties: {
+        campaignMintCount: { type: "integer" },
+        mintEvents: { type: "integer" },
+        confirmedRows: { type: "integer" },
+      },
+    },
+    inSync: { type: "boolean" },
+    backfilledCount: { type: "integer" },
+    differences: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["kind", "fixable", "fixed"],
+        properties: {
+          kind: {
+            enum: [
+              "missing_row",
+              "stale_row",
+              "unrecorded_burn",
+              "not_on_chain",
+              "unverified_mint",
+              "unknown_mints",
+            ],
+          },
+          attendee: ref("Address"),
+          onChain: { type: ["object", "null"] },
+          database: { type: ["object", "null"] },
+          count: { type: "integer" },
+          fixable: { type: "boolean" },
+          fixed: { type: "boolean" },
+        },
+      },
+    },
+  },
+};
+
+const template = {
+  type: "object",
+  properties: {
+    eventName: { type: "string", maxLength: 1000 },
+    issuer: { type: "string", maxLength: 1000 },
+    eventDate: { type: ["string", "null"], maxLength: 1000 },
+    format: { type: ["string", "null"], maxLength: 1000 },
+    description: {
+      type: ["string", "null"],
+      maxLength: 1000,
+      description: "`{name}` is replaced with the attendee's name.",
+    },
+    externalUrl: { type: ["string", "null"], maxLength: 1000 },
+    issuingAuthority: { type: ["string", "null"], maxLength: 1000 },
+    courseDescription: { type: ["string", "null"], maxLength: 1000 },
+    completionCriteria: { type: ["string", "null"], maxLength: 1000 },
+    textColor: { type: ["string", "null"], examples: ["#7b3fe4"] },
+  },
+};
+
+// What the public health routes show of each check.
+const publicChecks = {
+  type: "object",
+  required: ["database", "rpc", "relayers", "contract"],
+  properties: {
+    database: { type: "object", properties: { ok: { type: "boolean" } } },
+    rpc: { type: "object", properties: { ok: { type: "boolean" } } },
+    relayers: {
+      type: "object",
+      properties: {
+        ok: { type: "boolean" },
+        lowBalance: { type: "boolean" },
+      },
+    },
+    contract: {
+      type: "object",
+      properties: {
+        ok: { type: "boolean" },
+        paused: { type: ["boolean", "null"] },
+      },
+    },
+  },
+  additionalProperties: false,
+};
+
+const openApiDocument = {
+  openapi: "3.1.0",
+  info: {
+    title: "EventCert API",
+    version: "1.0.0",
+    description:
+      "Soulbound event certificates: Merkle proofs, gasless mints through the relayer, verification and campaign administration. Errors use `{ success: false, error, code? }`.",
+  },
+  servers: [{ url: "/" }],
+  tags: [
+    { name: "Health" },
+    { name: "Campaigns" },
+    { name: "Minting" },
+    { name: "Certificates" },
+    { name: "Auth" },
+    { name: "Admin" },
+    { name: "Webhooks" },
+    { name: "Metadata" },
+    { name: "Audit" },
+  ],
+  paths: {
+    "/api/health": {
+      get: {
+        tags: ["Health"],
+        summary: "Database, RPC, relayer and contract status",
+        description:
+          "Checks are cached for a few seconds. Relayer balances are at GET /api/admin/health.",
+        responses: {
+          200: ok("The process is up; data.status is ok or degraded.", {
+            type: "object",
+            required: ["status", "checks"],
+            properties: {
+              status: { enum: ["ok", "degraded"] },
+              uptimeSeconds: { type: "number" },
+              checks: publicChecks,
+              timestamp: { type: "string" },
+            },
+          }),
+          429: errorResponse("TooManyRequests"),
+        },
+      },
+    },
+    "/api/ready": {
+      get: {
+        tags: ["Health"],
+        summary: "Readiness probe",
+        responses: {
+          200: ok("Ready to serve claims.", {
+            type: "object",
+            required: ["ready", "checks"],
+            properties: {
+              ready: { const: true },
+              checks: publicChecks,
+              timestamp: { type: "string" },
+            },
+          }),
+          429: errorResponse("TooManyRequests"),
+          503: {
+            description:
+              "A dependency is down, the relayer is unfunded or minting is paused.",
+            content: {
+              "application/json": { schema: ref("Error") },
+            },
+          },
+        },
+      },
+    },
+    "/api/docs": {
+      get: {
+        tags: ["Health"],
+        summary: "This document",
+        responses: {
+          200: {
+            description: "The OpenAPI document.",
+            content: { "application/json": { schema: { type: "object" } } },
+          },
+        },
+      },
+    },
+    "/api/campaigns/{campaignId}": {
+      get: {
+        tags: ["Campaigns"],
+        summary: "Public details of a campaign",
+        parameters: [campaignIdParam],
+        responses: {
+          200: ok("The campaign as stored on-chain.", {
+            type: "object",
+            required: ["campaign"],
+            properties: {
+              campaign: {
+                type: "object",
+                required: [
+                  "merkleRoot",
+                  "startTime",
+                  "endTime",
+                  "maxMints",
+                  "isActive",
+                ],
+                properties: {
+                  merkleRoot: ref("Bytes32"),
+                  startTime: { type: "integer" },
+                  endTime: { type: "integer" },
+                  maxMints: { type: "integer" },
+                  isActive: { type: "boolean" },
+                },
+              },
+            },
+          }),
+          400: errorResponse("BadRequest"),
+          404: errorResponse("NotFound"),
+        },
+      },
+    },
+    "/api/campaigns/{campaignId}/stats": {
+      get: {
+        tags: ["Campaigns"],
+        summary: "Mint progress and timeline of a campaign",
+        parameters: [campaignIdParam],
+        responses: {
+          200: ok("Whitelist size, mint count, claim rate and timeline.", {
+            type: "object",
+            required: ["stats"],
+            properties: {
+              stats: {
+                type: "object",
+                required: ["campaignId", "mintCount", "timeline"],
+                properties: {
+                  campaignId: { type: "integer" },
+                  isActive: { type: "boolean" },
+                  whitelistSize: { type: ["integer", "null"] },
+                  mintCount: { type: ["integer", "null"] },
+                  remainingCapacity: { type: ["integer", "null"] },
+                  claimRate: { type: ["number", "null"] },
+                  mintsPerDay: { type: "array" },
+                  timeline: { type: "object" },
+                },
+              },
+            },
+          }),
+          400: errorResponse("BadRequest"),
+          404: errorResponse("NotFound"),
+        },
+      },
+    },
+    "/api/campaigns/{campaignId}/get-proof": {
+      get: {
+        tags: ["Minting"],
+        summary: "Merkle proof of a whitelisted address",
+        parameters: [campaignIdParam, addressQuery],
+        responses: {
+          200: ok("The proof to pass to the mint route.", {
+            type: "object",
+            required: ["proof"],
+            properties: { proof: ref("MerkleProof") },
+          }),
+          400: errorResponse("BadRequest"),
+          404: errorResponse("NotFound"),
+          429: errorResponse("TooManyRequests"),
+        },
+      },
+    },
+    "/api/campaigns/{campaignId}/mint": {
+      get: {
+        tags: ["Minting"],
+        summary: "An attendee's mint transaction and its on-chain outcome",
+        parameters: [campaignIdParam, addressQuery],
+        responses: {
+          200: ok("The mint.", {
+            type: "object",
+            required: ["transactionHash", "status"],
+            properties: {
+              transactionHash: ref("Bytes32"),
+              status: { type: "string" },
+              blockNumber: { type: ["integer", "null"] },
+              tokenId: { type: ["string", "integer", "null"] },
+              gasUsed: { type: ["string", "integer", "null"] },
+              mintedAt: { type: ["string", "null"] },
+              confirmedAt: { type: ["string", "null"] },
+            },
+          }),
+          400: errorResponse("BadRequest"),
+          404: errorResponse("NotFound"),
+        },
+      },
+      post: {
+        tags: ["Minting"],
+        summary: "Queue a gasless mint",
+        description:
+          "The relayer worker submits the transaction; poll GET /api/mint-jobs/{jobId}. Repeating the request returns the existing job. The session must be for the attendee's address.",
+        security: sessionSecurity,
+        parameters: [campaignIdParam],
+        requestBody: jsonBody({
+          type: "object",
+          required: ["attendee", "merkleProof"],
+          properties: {
+            attendee: ref("Address"),
+            merkleProof: ref("MerkleProof"),
+          },
+        }),
+        responses: {
+          202: ok("The queued job.", mintJob),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          403: errorResponse("Forbidden"),
+          413: errorResponse("PayloadTooLarge"),
+          429: errorResponse("TooManyRequests"),
+        },
+      },
+    },
+    "/api/campaigns/{campaignId}/claim-codes/redeem": {
+      post: {
+        tags: ["Minting"],
+        summary: "Redeem a claim code for a new wallet",
+        security: sessionSecurity,
+        parameters: [campaignIdParam],
+        requestBody: jsonBody({
+          type: "object",
+          required: ["code", "address"],
+          properties: {
+            code: {
+              type: "string",
+              maxLength: 64,
+              examples: ["7KQ2-MX9P-4TRB"],
+            },
+            address: ref("Address"),
+          },
+        }),
+        responses: {
+          200: ok("The wallet joined the pending whitelist batch.", {
+            type: "object",
+            required: ["campaignId", "address", "status"],
+            properties: {
+              campaignId: { type: "integer" },
+              address: ref("Address"),
+              status: { const: "pending" },
+            },
+          }),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          403: errorResponse("Forbidden"),
+          404: errorResponse("NotFound"),
+          409: errorResponse("Conflict"),
+          429: errorResponse("TooManyRequests"),
+        },
+      },
+    },
+    "/api/mint-jobs/{jobId}": {
+      get: {
+        tags: ["Minting"],
+        summary: "Status of a queued mint",
+        parameters: [
+          { name: "jobId", in: "path", required: true, schema: ref("Uuid") },
+        ],
+        responses: {
+          200: ok("The job.", mintJob),
+          400: errorResponse("BadRequest"),
+          404: errorResponse("NotFound"),
+        },
+      },
+    },
+    "/api/certificates/{tokenId}": {
+      get: {
+        tags: ["Certificates"],
+        summary: "Verify a certificate",
+        parameters: [
+          {
+            name: "tokenId",
+            in: "path",
+            required: true,
+            schema: ref("TokenId"),
+          },
+        ],
+        responses: {
+          200: ok("status is valid or revoked.", {
+            type: "object",
+            required: ["certificate"],
+            properties: {
+              certificate: {
+                type: "object",
+                required: ["tokenId", "status"],
+                properties: {
+                  tokenId: { type: "string" },
+                  status: { enum: ["valid", "revoked"] },
+                  holder: { type: ["string", "null"] },
+                  campaignId: { type: ["integer", "null"] },
+                  tokenURI: { type: ["string", "null"] },
+                  metadata: { type: ["object", "null"] },
+                  issuedAt: { type: ["string", "null"] },
+                  transactionHash: { type: ["string", "null"] },
+                  revokedAt: { type: ["string", "null"] },
+                  revocationTransactionHash: { type: ["string", "null"] },
+                  revocationReason: { type: ["string", "null"] },
+                },
+              },
+            },
+          }),
+          400: errorResponse("BadRequest"),
+          404: errorResponse("NotFound"),
+        },
+      },
+    },
+    "/api/campaigns/{campaignId}/revocations": {
+      get: {
+        tags: ["Certificates"],
+        summary: "Certificates revoked in a campaign",
+        description:
+          "Revocations made through the admin API, oldest first, with the reason given.",
+        parameters: [campaignIdParam],
+        responses: {
+          200: ok("The revocations.", {
+            type: "object",
+            required: ["revocations"],
+            properties: { revocations: { type: "array", items: revocation } },
+          }),
+          400: errorResponse("BadRequest"),
+        },
+      },
+    },
+    "/api/campaigns/{campaignId}/certificates/{address}/image": {
+      get: {
+        tags: ["Certificates"],
+        summary: "An attendee's certificate image",
+        description:
+          "Drawn from the campaign's template and cached on disk. A matching If-None-Match gets 304.",
+        parameters: [campaignIdParam, addressParam],
+        responses: {
+          200: png("The certificate."),
+          304: { description: "The client's copy is current." },
+          400: errorResponse("BadRequest"),
+          404: errorResponse("NotFound"),
+          503: errorResponse("ServiceUnavailable"),
+        },
+      },
+    },
+    "/api/addresses/{address}/certificates": {
+      get: {
+        tags: ["Certificates"],
+        summary: "Certificates an address holds or has claimed",
+        parameters: [addressParam],
+        responses: {
+          200: ok("One entry per campaign.", {
+            type: "object",
+            required: ["certificates"],
+            properties: {
+              certificates: {
+                type: "array",
+                items: {
+                  type: "object",
+                  required: ["campaignId", "status"],
+                  properties: {
+                    campaignId: { type: "integer" },
+                    tokenId: { type: ["string", "integer", "null"] },
+                    status: { enum: ["valid", "revoked", "pending", "failed"] },
+                  },
+                },
+              },
+            },
+          }),
+          400: errorResponse("BadRequest"),
+        },
+      },
+    },
+    "/api/auth/nonce": {
+      get: {
+        tags: ["Auth"],
+        summary: "A single-use nonce for a Sign-In with Ethereum message",
+        responses: {
+          200: ok("The nonce.", {
+            type: "object",
+            required: ["nonce", "expiresAt"],
+            properties: {
+              nonce: { type: "string" },
+              expiresAt: { type: "string" },
+            },
+          }),
+          429: errorResponse("TooManyRequests"),
+        },
+      },
+    },
+    "/api/auth/verify": {
+      post: {
+        tags: ["Auth"],
+        summary: "Open a session from a signed EIP-4361 message",
+        requestBody: jsonBody({
+          type: "object",
+          required: ["message", "signature"],
+          properties: {
+            message: { type: "string", maxLength: 4096 },
+            signature: {
+              type: "string",
+              pattern: "^0x[0-9a-fA-F]+$",
+              "x-message": "must be a hex signature",
+            },
+          },
+        }),
+        responses: {
+          200: ok("Send the token as `Authorization: Bearer <token>`.", {
+            type: "object",
+            required: ["token", "address"],
+            properties: {
+              token: { type: "string" },
+              address: ref("Address"),
+              chainId: { type: "integer" },
+              expiresAt: { type: "string" },
+            },
+          }),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          413: errorResponse("PayloadTooLarge"),
+          429: errorResponse("TooManyRequests"),
+          503: errorResponse("ServiceUnavailable"),
+        },
+      },
+    },
+    "/api/auth/session": {
+      get: {
+        tags: ["Auth"],
+        summary: "The session of the bearer token",
+        security: sessionSecurity,
+        responses: {
+          200: ok("The session.", {
+            type: "object",
+            required: ["address"],
+            properties: {
+              address: ref("Address"),
+              chainId: { type: "integer" },
+              expiresAt: { type: "string" },
+            },
+          }),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/auth/logout": {
+      post: {
+        tags: ["Auth"],
+        summary: "End the session of the bearer token",
+        security: sessionSecurity,
+        responses: {
+          200: ok("Signed out."),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/campaigns": {
+      post: {
+        tags: ["Admin"],
+        summary: "Create a campaign on the contract (inactive)",
+        security: adminSecurity,
+        requestBody: jsonBody({
+          type: "object",
+          required: [
+            "merkleRoot",
+            "startTime",
+            "endTime",
+            "maxMints",
+            "baseURI",
+          ],
+          properties: {
+            merkleRoot: ref("Bytes32"),
+            startTime: ref("UnixTime"),
+            endTime: ref("UnixTime"),
+            maxMints: { type: "integer", minimum: 1 },
+            baseURI: { type: "string", minLength: 1, maxLength: 2048 },
+          },
+        }),
+        responses: {
+          201: ok("The campaign ID and transaction.", {
+            type: "object",
+            required: ["campaignId", "transactionHash"],
+            properties: {
+              campaignId: { type: ["integer", "string"] },
+              transactionHash: ref("Bytes32"),
+            },
+          }),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          413: errorResponse("PayloadTooLarge"),
+        },
+      },
+    },
+    "/api/admin/campaigns/{campaignId}": {
+      put: {
+        tags: ["Admin"],
+        summary:
+          "Replace the Merkle root and schedule of a campaign that has not started",
+        security: adminSecurity,
+        parameters: [campaignIdParam],
+        requestBody: jsonBody({
+          type: "object",
+          required: ["merkleRoot", "startTime", "endTime"],
+          properties: {
+            merkleRoot: ref("Bytes32"),
+            startTime: ref("UnixTime"),
+            endTime: ref("UnixTime"),
+          },
+        }),
+        responses: {
+          200: ok("The transaction."),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+      delete: {
+        tags: ["Admin"],
+        summary:
+          "Delete an inactive campaign that has not started and has no mints",
+        security: adminSecurity,
+        parameters: [campaignIdParam],
+        responses: {
+          200: ok("The transaction."),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/campaigns/{campaignId}/status": {
+      patch: {
+        tags: ["Admin"],
+        summary: "Activate or deactivate a campaign",
+        security: adminSecurity,
+        parameters: [campaignIdParam],
+        requestBody: jsonBody({
+          type: "object",
+          required: ["isActive"],
+          properties: { isActive: { type: "boolean" } },
+        }),
+        responses: {
+          200: ok("The transaction and new status."),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/campaigns/{campaignId}/base-uri": {
+      patch: {
+        tags: ["Admin"],
+        summary: "Update the metadata base URI of a campaign",
+        security: adminSecurity,
+        parameters: [campaignIdParam],
+        requestBody: jsonBody({
+          type: "object",
+          required: ["baseURI"],
+          properties: {
+            baseURI: { type: "string", minLength: 1, maxLength: 2048 },
+          },
+        }),
+        responses: {
+          200: ok("The transaction."),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/campaigns/{campaignId}/whitelist": {
+      post: {
+        tags: ["Admin"],
+        summary: "Upload an attendee CSV and store the campaign's Merkle tree",
+        description:
+          "Columns: name, walletAddress, email. Invalid rows are reported with 422 and nothing is stored, unless skipInvalid=true.",
+        security: adminSecurity,
+        parameters: [
+          campaignIdParam,
+          { name: "skipInvalid", in: "query", schema: { type: "boolean" } },
+          {
+            name: "reissueClaimCodes",
+            in: "query",
+            schema: { type: "boolean" },
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            "text/csv": { schema: ref("CsvFile") },
+            "text/plain": { schema: ref("CsvFile") },
+          },
+        },
+        responses: {
+          200: ok("The stored root and any claim codes."),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          413: errorResponse("PayloadTooLarge"),
+          422: {
+            description:
+              "Rows failed validation; data holds the row-level report.",
+            content: { "application/json": { schema: ref("Error") } },
+          },
+        },
+      },
+    },
+    "/api/admin/campaigns/{campaignId}/claim-codes": {
+      get: {
+        tags: ["Admin"],
+        summary: "A campaign's claim codes and their status",
+        security: adminSecurity,
+        parameters: [campaignIdParam],
+        responses: {
+          200: ok("The claim codes, without the codes themselves."),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/campaigns/{campaignId}/whitelist/apply-pending": {
+      post: {
+        tags: ["Admin"],
+        summary: "Add redeemed claim-code wallets to the Merkle tree",
+        security: adminSecurity,
+        parameters: [campaignIdParam],
+        responses: {
+          200: ok("The new root."),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/campaigns/{campaignId}/template": {
+      get: {
+        tags: ["Admin", "Metadata"],
+        summary: "A campaign's certificate template",
+        security: adminSecurity,
+        parameters: [campaignIdParam],
+        responses: {
+          200: ok("The template.", template),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          404: errorResponse("NotFound"),
+        },
+      },
+      put: {
+        tags: ["Admin", "Metadata"],
+        summary: "Create or replace a campaign's certificate template",
+        security: adminSecurity,
+        parameters: [campaignIdParam],
+        requestBody: jsonBody({
+          ...template,
+          required: ["eventName", "issuer"],
+        }),
+        responses: {
+          200: ok("The stored template.", template),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/campaigns/{campaignId}/certificate-preview": {
+      get: {
+        tags: ["Admin", "Metadata"],
+        summary: "Draw a certificate for any name",
+        security: adminSecurity,
+        parameters: [
+          campaignIdParam,
+          {
+            name: "name",
+            in: "query",
+            required: true,
+            schema: { type: "string", minLength: 1, maxLength: 200 },
+          },
+        ],
+        responses: {
+          200: png("The preview; not cached."),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          503: errorResponse("ServiceUnavailable"),
+        },
+      },
+    },
+    "/api/admin/campaigns/{campaignId}/reconcile": {
+      get: {
+        tags: ["Admin"],
+        summary: "Compare a campaign's mints table with the chain",
+        description:
+          "Checks the rows against hasMintedInCampaign, campaignMintCount and the CertificateMinted logs. Changes nothing.",
+        security: adminSecurity,
+        parameters: [campaignIdParam],
+        responses: {
+          200: ok("The differences found.", reconcileReport),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          404: errorResponse("NotFound"),
+          503: errorResponse("ServiceUnavailable"),
+        },
+      },
+      post: {
+        tags: ["Admin"],
+        summary: "Backfill a campaign's mints table from the chain",
+        description:
+          "Compares as the GET does, then writes the rows that can be fixed from the logs, with their real transaction hashes.",
+        security: adminSecurity,
+        parameters: [campaignIdParam],
+        responses: {
+          200: ok(
+            "The differences found and which were fixed.",
+            reconcileReport
+          ),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          404: errorResponse("NotFound"),
+          503: errorResponse("ServiceUnavailable"),
+        },
+      },
+    },
+    "/api/admin/certificates/{tokenId}/revoke": {
+      post: {
+        tags: ["Admin", "Certificates"],
+        summary: "Revoke a certificate by burning it",
+        description:
+          "The reason, the admin key used and the time are recorded. The attendee can claim again.",
+        security: adminSecurity,
+        parameters: [
+          {
+            name: "tokenId",
+            in: "path",
+            required: true,
+            schema: ref("TokenId"),
+          },
+        ],
+        requestBody: jsonBody({
+          type: "object",
+          required: ["reason"],
+          properties: {
+            reason: { type: "string", minLength: 1, maxLength: 500 },
+          },
+        }),
+        responses: {
+          200: ok("The revocation.", {
+            ...revocation,
+            properties: {
+              ...revocation.properties,
+              operator: { type: ["string", "null"] },
+            },
+          }),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          404: errorResponse("NotFound"),
+          409: errorResponse("Conflict"),
+          503: errorResponse("ServiceUnavailable"),
+        },
+      },
+    },
+    "/api/admin/campaigns/{campaignId}/attendees/{address}": {
+      put: {
+        tags: ["Admin", "Metadata"],
+        summary: "Set or correct the name on an attendee's certificate",
+        security: adminSecurity,
+        parameters: [campaignIdParam, addressParam],
+        requestBody: jsonBody({
+          type: "object",
+          required: ["name"],
+          properties: { name: { type: "string", maxLength: 200 } },
+        }),
+        responses: {
+          200: ok("The stored name.", {
+            type: "object",
+            required: ["campaignId", "address", "name"],
+            properties: {
+              campaignId: { type: "integer" },
+              address: ref("Address"),
+              name: { type: "string" },
+            },
+          }),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/audit": {
+      get: {
+        tags: ["Admin", "Audit"],
+        summary: "The audit log of privileged operations",
+        description:
+          "Newest first. Admin routes that change something, or list claim codes, and the CLI scripts that change stored data each add an entry, whether they succeed or fail.",
+        security: adminSecurity,
+        parameters: [
+          { name: "actor", in: "query", schema: { type: "string" } },
+          { name: "action", in: "query", schema: { type: "string" } },
+          { name: "campaignId", in: "query", schema: ref("CampaignId") },
+          {
+            name: "outcome",
+            in: "query",
+            schema: { enum: ["success", "failure"] },
+          },
+          {
+            name: "since",
+            in: "query",
+            schema: ref("IsoTime"),
+            description: "ISO time; entries at or after it.",
+          },
+          {
+            name: "until",
+            in: "query",
+            schema: ref("IsoTime"),
+            description: "ISO time; entries before it.",
+          },
+          {
+            name: "beforeId",
+            in: "query",
+            schema: { type: "integer", minimum: 1 },
+            description: "Only entries older than this one, to page back.",
+          },
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", minimum: 1, maximum: 200 },
+          },
+        ],
+        responses: {
+          200: ok("The entries.", { type: "array", items: auditEntry }),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/audit/verify": {
+      get: {
+        tags: ["Admin", "Audit"],
+        summary: "Check the audit log's hash chain",
+        description:
+          "An edited or deleted entry breaks the chain at that entry. Removing the newest entries does not, so keep headHash elsewhere and compare.",
+        security: adminSecurity,
+        responses: {
+          200: ok("The result of the check.", {
+            type: "object",
+            required: ["valid", "checkedCount", "headHash", "brokenAt"],
+            properties: {
+              valid: { type: "boolean" },
+              checkedCount: { type: "integer" },
+              headHash: { type: ["string", "null"] },
+              brokenAt: {
+                type: ["object", "null"],
+                properties: {
+                  id: { type: "integer" },
+                  reason: { type: "string" },
+                },
+              },
+            },
+          }),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/health": {
+      get: {
+        tags: ["Admin", "Health"],
+        summary: "Health checks with relayer balances and errors",
+        security: adminSecurity,
+        responses: {
+          200: ok("data.status is ok or degraded.", {
+            type: "object",
+            required: ["status", "checks"],
+            properties: {
+              status: { enum: ["ok", "degraded"] },
+              checks: { type: "object" },
+              timestamp: { type: "string" },
+            },
+          }),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/webhooks": {
+      post: {
+        tags: ["Webhooks"],
+        summary: "Subscribe a URL to webhook events",
+        security: adminSecurity,
+        requestBody: jsonBody({
+          type: "object",
+          required: ["url"],
+          properties: {
+            url: { type: "string", maxLength: 2048 },
+            campaignId: {
+              type: ["integer", "null"],
+              minimum: 1,
+              "x-message": "must be a positive integer",
+            },
+            events: { type: "array", items: { type: "string" } },
+          },
+        }),
+        responses: {
+          201: ok("The subscription, with its signing secret."),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+      get: {
+        tags: ["Webhooks"],
+        summary: "List webhook subscriptions",
+        security: adminSecurity,
+        parameters: [
+          { name: "campaignId", in: "query", schema: ref("CampaignId") },
+        ],
+        responses: {
+          200: ok("The subscriptions, without secrets.", { type: "array" }),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+        },
+      },
+    },
+    "/api/admin/webhooks/{subscriptionId}": {
+      delete: {
+        tags: ["Webhooks"],
+        summary: "Delete a subscription",
+        security: adminSecurity,
+        parameters: [
+          {
+            name: "subscriptionId",
+            in: "path",
+            required: true,
+            schema: ref("Uuid"),
+          },
+        ],
+        responses: {
+          200: ok("The deleted subscription."),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          404: errorResponse("NotFound"),
+        },
+      },
+    },
+    "/api/admin/webhooks/{subscriptionId}/deliveries": {
+      get: {
+        tags: ["Webhooks"],
+        summary: "Delivery log of a subscription",
+        security: adminSecurity,
+        parameters: [
+          {
+            name: "subscriptionId",
+            in: "path",
+            required: true,
+            schema: ref("Uuid"),
+          },
+          {
+            name: "status",
+            in: "query",
+            schema: { enum: ["pending", "delivered", "failed"] },
+          },
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", minimum: 1, maximum: 200 },
+          },
+        ],
+        responses: {
+          200: ok("The deliveries, newest first.", { type: "array" }),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          404: errorResponse("NotFound"),
+        },
+      },
+    },
+    "/api/admin/webhooks/deliveries/{deliveryId}/replay": {
+      post: {
+        tags: ["Webhooks"],
+        summary: "Send a past delivery again",
+        security: adminSecurity,
+        parameters: [
+          {
+            name: "deliveryId",
+            in: "path",
+            required: true,
+            schema: ref("Uuid"),
+          },
+        ],
+        responses: {
+          202: ok("The new delivery."),
+          400: errorResponse("BadRequest"),
+          401: errorResponse("Unauthorized"),
+          404: errorResponse("NotFound"),
+        },
+      },
+    },
+    "/metadata/{campaignId}/{address}.json": {
+      get: {
+        tags: ["Metadata"],
+        summary: "Token metadata (when SERVE_METADATA=true)",
+        description:
+          "What tokenURI resolves to when the campaign's base URI is `<api>/metadata/<campaignId>/`. A matching If-None-Match gets 304.",
+        parameters: [campaignIdParam, addressParam],
+        responses: {
+          200: {
+            description:
+              "The metadata, in the shape generateMetadata.js writes.",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  required: ["name", "description", "image", "attributes"],
+                  properties: {
+                    name: { type: "string" },
+                    description: { type: "string" },
+                    image: { type: "string" },
+                    external_url: { type: "string" },
+                    attributes: { type: "array" },
+                    certificate_details: { type: "object" },
+                  },
+                },
+              },
+            },
+          },
+          304: { description: "The client's copy is current." },
+          400: errorResponse("BadRequest"),
+          404: errorResponse("NotFound"),
+        },
+      },
+    },
+    "/metadata/{campaignId}/{address}.png": {
+      get: {
+        tags: ["Metadata"],
+        summary: "Certificate image (when SERVE_METADATA=true)",
+        parameters: [campaignIdParam, addressParam],
+        responses: {
+          200: png("The certificate."),
+          304: { description: "The client's copy is current." },
+          400: errorResponse("BadRequest"),
+          404: errorResponse("NotFound"),
+          503: errorResponse("ServiceUnavailable"),
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      adminApiKey: {
+        type: "http",
+        scheme: "bearer",
+        description: "A key from ADMIN_API_KEYS.",
+      },
+      siweSession: {
+        type: "http",
+        scheme: "bearer",
+        description: "A session token from POST /api/auth/verify.",
+      },
+    },
+    schemas: {
+      CampaignId: {
+        type: "integer",
+        minimum: 1,
+        "x-message": "must be a positive integer",
+      },
+      Address: {
+        type: "string",
+        pattern: "^0x[0-9a-fA-F]{40}$",
+        "x-message": "must be a 0x-prefixed 20-byte hex address",
+      },
+      Bytes32: {
+        type: "string",
+        pattern: "^0x[0-9a-fA-F]{64}$",
+        "x-message": "must be a 0x-prefixed 32-byte hex string",
+      },
+      MerkleProof: {
+        type: "array",
+        items: ref("Bytes32"),
+        // A sorted-pair tree this deep would hold far more than 2^64 leaves.
+        maxItems: 64,
+        "x-message": "must be an array of at most 64 bytes32 hashes",
+      },
+      TokenId: {
+        type: "string",
+        pattern: "^[0-9]{1,78}$",
+        "x-message": "must be a non-negative integer",
+      },
+      UnixTime: {
+        type: "integer",
+        minimum: 0,
+        "x-message": "must be a Unix timestamp in seconds",
+      },
+      IsoTime: {
+        type: "string",
+        pattern:
+          "^\\d{4}-\\d{2}-\\d{2}([Tt ]\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?([Zz]|[+-]\\d{2}:\\d{2})?)?$",
+        "x-message": "must be an ISO 8601 date or time",
+        examples: ["2025-09-12", "2025-09-12T09:30:00Z"],
+      },
+      CsvFile: {
+        type: "string",
+        pattern: "\\S",
+        "x-message": "must be a non-empty CSV file",
+      },
+      Uuid: {
+        type: "string",
+        pattern:
+          "^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$",
+        "x-message": "must be a UUID",
+      },
+      Error: {
+        type: "object",
+        required: ["success", "error"],
+        properties: {
+          success: { const: false },
+          error: { type: "string" },
+          code: {
+            type: "string",
+            description:
+              "Machine-readable, e.g. VALIDATION_ERROR or a contract custom error name.",
+          },
+          data: { type: "object" },
+        },
+      },
+    },
+    responses: {
+      BadRequest: {
+        description:
+          "Invalid input; code is VALIDATION_ERROR for requests that do not match this document.",
+        content: { "application/json": { schema: ref("Error") } },
+      },
+      Unauthorized: {
+        description: "Missing or invalid bearer token.",
+        content: { "application/json": { schema: ref("Error") } },
+      },
+      Forbidden: {
+        description: "The session is for a different address.",
+        content: { "application/json": { schema: ref("Error") } },
+      },
+      NotFound: {
+        description: "Not found.",
+        content: { "application/json": { schema: ref("Error") } },
+      },
+      Conflict: {
+        description: "Already done, e.g. a redeemed claim code.",
+        content: { "application/json": { schema: ref("Error") } },
+      },
+      PayloadTooLarge: {
+        description:
+          "The body is larger than the route accepts (code PAYLOAD_TOO_LARGE).",
+        content: { "application/json": { schema: ref("Error") } },
+      },
+      TooManyRequests: {
+        description: "Rate limited; see Retry-After.",
+        content: { "application/json": { schema: ref("Error") } },
+      },
+      ServiceUnavailable: {
+        description: "A dependency is unavailable.",
+        content: { "application/json": { schema: ref("Error") } },
+      },
+    },
+  },
+};
+
+module.exports = openApiDocument;
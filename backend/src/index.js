@@ -3,18 +3,47 @@ const express = require("express");
 const cors = require("cors");
 const path = require("path");
 const apiRoutes = require("./routes/api");
+const adminRoutes = require("./routes/admin");
+const authRoutes = require("./routes/auth");
+const metadataRoutes = require("./routes/metadata");
 const { errorHandler } = require("./middleware/errorHandler");
+const { assignRequestId, accessLog } = require("./middleware/requestLogger");
+const { startMintWorker } = require("./services/mintQueue");
+const { startReceiptWatcher } = require("./services/receiptWatcher");
+const { startEventIndexer } = require("./services/eventIndexer");
+const { startWebhookWorker } = require("./services/webhookQueue");
+const { assertSchemaUpToDate } = require("./config/migrations");
+const { logger } = require("./utils/logger");
 
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// Behind a reverse proxy, set TRUST_PROXY so req.ip (used for rate limits)
+// is the client's address rather than the proxy's.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy
+  );
+}
+
+// Request IDs come first so every later log entry can carry one.
+app.use(assignRequestId);
+app.use(accessLog);
 app.use(cors());
-app.use(express.json());
+// Claims and admin calls are small; anything bigger is rejected with 413.
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || "16kb" }));
 
 // const reactBuildPath = path.join(__dirname, "..", "..", "frontend", "dist");
 // app.use(express.static(reactBuildPath));
 
+app.use("/api/admin", adminRoutes);
+app.use("/api/auth", authRoutes);
 app.use("/api", apiRoutes);
+// Token metadata and certificate images, for campaigns whose base URI points
+// at this API instead of an IPFS folder.
+if (process.env.SERVE_METADATA === "true") app.use("/metadata", metadataRoutes);
 app.get("/", (req, res) => {
   res.send("API is running...");
 });
@@ -26,7 +55,25 @@ app.get("/", (req, res) => {
 
 app.use(errorHandler);
 
-app.listen(PORT, () => {
-  console.log(`Server is listening on port ${PORT}`);
-  console.log(`Local: http://localhost:${PORT}`);
-});
+// Running against an outdated schema would fail on the first query that
+// touches a new table or column, so refuse to start instead.
+assertSchemaUpToDate()
+  .then(() => {
+    app.listen(PORT, () => {
+      logger.info("Server is listening", {
+        port: Number(PORT),
+        url: `http://localhost:${PORT}`,
+      });
+
+      startMintWorker().catch((error) => {
+        logger.error("Failed to start mint worker", { error: error.message });
+      });
+      startReceiptWatcher();
+      startEventIndexer();
+      startWebhookWorker();
+    });
+  })
+  .catch((error) => {
+    logger.error("Refusing to start", { error: error.message });
+    process.exit(1);
+  });
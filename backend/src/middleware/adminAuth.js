@@ -0,0 +1,62 @@
+const crypto = require("crypto");
+const { AppError } = require("./errorHandler");
+
+/**
+ * Parses ADMIN_API_KEYS into a list of named keys.
+ * The variable is a comma-separated list of `name:key` pairs, e.g.
+ * `ADMIN_API_KEYS=alice:3f9c...,ops-bot:a81e...`. The name identifies the
+ * operator behind a request; a bare key is accepted and named "admin".
+ * @returns {{ name: string, key: Buffer }[]}
+ */
+function loadAdminKeys() {
+  const raw = process.env.ADMIN_API_KEYS || "";
+
+  return raw
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      if (separator === -1) return { name: "admin", key: Buffer.from(entry) };
+      return {
+        name: entry.slice(0, separator).trim(),
+        key: Buffer.from(entry.slice(separator + 1).trim()),
+      };
+    });
+}
+
+const adminKeys = loadAdminKeys();
+
+/**
+ * Protects admin routes with a bearer API key.
+ * On success `req.admin` holds the name of the key that was used.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const requireAdmin = (req, res, next) => {
+  if (adminKeys.length === 0)
+    return next(
+      new AppError("Admin API is not configured on this server", 503)
+    );
+
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token)
+    return next(new AppError("Missing admin API key", 401));
+
+  const provided = Buffer.from(token);
+  // Compare in constant time so the key cannot be guessed byte by byte.
+  const match = adminKeys.find(
+    ({ key }) =>
+      key.length === provided.length && crypto.timingSafeEqual(key, provided)
+  );
+
+  if (!match) return next(new AppError("Invalid admin API key", 403));
+
+  req.admin = { name: match.name };
+  next();
+};
+
+module.exports = { requireAdmin };
@@ -1,44 +1,43 @@
-class AppError extends Error {
-  constructor(message, statusCode) {
-    super(message);
-    this.statusCode = statusCode;
-    this.status = `${statusCode}`.startsWith("4") ? "fail" : "error";
-    this.isOperational = true;
-
-    Error.captureStackTrace(this, this.constructor);
-  }
-}
+const { AppError } = require("../utils/appError");
+const { decodeContractError } = require("../utils/contractErrors");
+const { logger } = require("../utils/logger");
 
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
 
-  // Log error
-  console.error("Error:", {
-    message: err.message,
-    stack: err.stack,
-    name: err.name,
-    statusCode: err.statusCode,
-    path: req.path,
+  // Expected client errors are logged without their stack; anything else
+  // may be a bug, so it keeps the full error.
+  const fields = {
+    requestId: req.id,
     method: req.method,
-    timestamp: new Date().toISOString(),
-  });
-
-  // Ethers.js errors
-  if (err.code === "CALL_EXCEPTION") {
-    // Handle specific contract errors
-    if (err.data === "0x09bde339") {
-      // InvalidProof
-      error = new AppError("Invalid merkle proof", 400);
-    } else if (err.reason?.includes("AlreadyMinted")) {
-      error = new AppError("Address has already minted a certificate", 400);
-    } else if (err.reason?.includes("MintingNotActive")) {
-      error = new AppError("Minting is not currently active", 400);
-    } else if (err.reason?.includes("NotAuthorizedRelayer")) {
-      error = new AppError("Relayer not authorized", 401);
-    } else {
-      error = new AppError("Blockchain transaction failed", 400);
-    }
+    path: req.path,
+  };
+  if (err.isOperational && err.statusCode < 500)
+    logger.warn(err.message, {
+      ...fields,
+      statusCode: err.statusCode,
+      code: err.code,
+    });
+  else logger.error(err.message, { ...fields, error: err });
+
+  // Contract reverts, decoded from the ABI
+  const contractError = decodeContractError(err);
+  if (contractError) error = contractError;
+
+  // Body parser errors: oversized or malformed request bodies
+  if (err.type === "entity.too.large") {
+    error = new AppError(
+      `Request body is too large (limit ${err.limit} bytes)`,
+      413,
+      "PAYLOAD_TOO_LARGE"
+    );
+  } else if (err.type === "entity.parse.failed") {
+    error = new AppError(
+      "Request body is not valid JSON",
+      400,
+      "VALIDATION_ERROR"
+    );
   }
 
   // Network errors
@@ -53,6 +52,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     error: message,
+    ...(error.isOperational && error.code && { code: error.code }),
     ...(process.env.NODE_ENV === "development" && {
       stack: error.stack,
       details: err,
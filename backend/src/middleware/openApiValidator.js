@@ -0,0 +1,315 @@
+const Ajv2020 = require("ajv/dist/2020");
+const { AppError } = require("./errorHandler");
+const openApiDocument = require("../docs/openapi");
+const { logger } = require("../utils/logger");
+
+// Responses are checked in development and tests by default; a mismatch is
+// logged, never sent to the client.
+const VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES
+  ? process.env.OPENAPI_VALIDATE_RESPONSES === "true"
+  : process.env.NODE_ENV !== "production";
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+const COMPONENTS_ID = "openapi-components";
+// How a request body of each media type is named in error messages.
+const MEDIA_TYPE_NAMES = {
+  "application/json": "JSON",
+  "text/csv": "a CSV file",
+};
+
+/**
+ * Copies a schema from the document, pointing its `#/components/schemas/`
+ * references at the component schemas registered with Ajv.
+ * @param {*} schema
+ * @returns {*}
+ */
+function resolveRefs(schema) {
+  if (Array.isArray(schema)) return schema.map(resolveRefs);
+  if (!schema || typeof schema !== "object") return schema;
+
+  const copy = {};
+  for (const [key, value] of Object.entries(schema)) {
+    copy[key] =
+      key === "$ref" && value.startsWith("#/components/schemas/")
+        ? value.replace("#/components/schemas/", `${COMPONENTS_ID}#/$defs/`)
+        : resolveRefs(value);
+  }
+  return copy;
+}
+
+/**
+ * Creates an Ajv instance that knows the document's component schemas and
+ * its `x-message` annotation.
+ * @param {object} document
+ * @param {object} [options] Extra Ajv options.
+ * @returns {Ajv2020}
+ */
+function createAjv(document, options = {}) {
+  const ajv = new Ajv2020({
+    allowUnionTypes: true,
+    verbose: true,
+    ...options,
+  });
+  ajv.addKeyword({ keyword: "x-message", schemaType: "string" });
+  ajv.addSchema({
+    $id: COMPONENTS_ID,
+    $defs: resolveRefs(document.components.schemas),
+  });
+  return ajv;
+}
+
+/**
+ * Turns a path template such as `/api/campaigns/{campaignId}` into a regular
+ * expression that captures its parameters.
+ * @param {string} template
+ * @returns {{ pattern: RegExp, names: string[] }}
+ */
+function compilePath(template) {
+  const names = [];
+  const source = template
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      if (!part.startsWith("{"))
+        return part.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+      names.push(part.slice(1, -1));
+      return "([^/]+)";
+    })
+    .join("");
+  return { pattern: new RegExp(`^${source}/?$`), names };
+}
+
+/**
+ * Compiles a validator for the parameters of one location (path or query).
+ * @param {Ajv2020} ajv
+ * @param {object[]} parameters
+ * @param {string} location
+ * @returns {Function | null}
+ */
+function compileParameters(ajv, parameters, location) {
+  const declared = parameters.filter((parameter) => parameter.in === location);
+  if (declared.length === 0) return null;
+
+  return ajv.compile(
+    resolveRefs({
+      type: "object",
+      properties: Object.fromEntries(
+        declared.map((parameter) => [parameter.name, parameter.schema])
+      ),
+      required: declared
+        .filter((parameter) => parameter.required)
+        .map((parameter) => parameter.name),
+    })
+  );
+}
+
+/**
+ * Compiles every operation in the document, and the error envelope used to
+ * check undocumented error responses.
+ * @param {object} document
+ * @returns {{ operations: object[], validateError: Function }}
+ */
+function compileOperations(document) {
+  // Parameters arrive as strings, so they are coerced (on a copy) first.
+  const parameterAjv = createAjv(document, { coerceTypes: "array" });
+  const ajv = createAjv(document);
+
+  const resolveResponse = (response) =>
+    response.$ref
+      ? document.components.responses[response.$ref.split("/").pop()]
+      : response;
+
+  const operations = [];
+  for (const [template, pathItem] of Object.entries(document.paths)) {
+    const { pattern, names } = compilePath(template);
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const parameters = operation.parameters || [];
+      const bodies = Object.entries(operation.requestBody?.content || {}).map(
+        ([type, { schema }]) => ({
+          type,
+          validate: ajv.compile(resolveRefs(schema)),
+        })
+      );
+
+      const responses = new Map();
+      for (const [status, response] of Object.entries(operation.responses)) {
+        const schema =
+          resolveResponse(response).content?.["application/json"]?.schema;
+        if (schema) responses.set(status, ajv.compile(resolveRefs(schema)));
+      }
+
+      operations.push({
+        method: method.toUpperCase(),
+        pattern,
+        names,
+        validatePath: compileParameters(parameterAjv, parameters, "path"),
+        validateQuery: compileParameters(parameterAjv, parameters, "query"),
+        bodies,
+        responses,
+      });
+    }
+  }
+
+  return {
+    operations,
+    validateError: ajv.compile(resolveRefs(document.components.schemas.Error)),
+  };
+}
+
+/**
+ * Describes the first validation error the way the API words its own
+ * errors, e.g. "merkleProof[0] must be a 0x-prefixed 32-byte hex string".
+ * @param {object} error An Ajv error.
+ * @param {string} location "path", "query" or "body".
+ * @returns {string}
+ */
+function describeError(error, location) {
+  const field = error.instancePath
+    .slice(1)
+    .replace(/\/(\d+)(?=\/|$)/g, "[$1]")
+    .replace(/\//g, ".");
+
+  if (error.keyword === "required") {
+    const name = field
+      ? `${field}.${error.params.missingProperty}`
+      : error.params.missingProperty;
+    return location === "query"
+      ? `Missing required query parameter: ${name}`
+      : `Missing required field: ${name}`;
+  }
+
+  let message = error.parentSchema?.["x-message"] || error.message;
+  if (error.keyword === "enum")
+    message = `must be one of: ${error.params.allowedValues.join(", ")}`;
+
+  return `${
+    field || (location === "body" ? "Request body" : location)
+  } ${message}`;
+}
+
+/**
+ * Logs a JSON response that does not match the document.
+ * @param {object} req - Express request object
+ * @param {number} status
+ * @param {string} detail
+ */
+function reportResponseMismatch(req, status, detail) {
+  logger.error("Response does not match the OpenAPI document", {
+    method: req.method,
+    url: req.originalUrl,
+    status,
+    detail,
+  });
+}
+
+/**
+ * Builds middleware that validates requests, and optionally JSON responses,
+ * against an OpenAPI document. Requests to paths the document does not
+ * describe pass through untouched. Mount it in a router after the route's
+ * authentication, so an unauthenticated request gets a 401 rather than a
+ * description of what it got wrong; paths are matched in full, router mount
+ * path included.
+ * @param {object} document
+ * @param {{ validateResponses?: boolean }} [options]
+ * @returns {function} Express middleware.
+ */
+function createOpenApiValidator(
+  document,
+  { validateResponses = VALIDATE_RESPONSES } = {}
+) {
+  const { operations, validateError } = compileOperations(document);
+
+  return (req, res, next) => {
+    // Express answers HEAD with the GET route.
+    const method = req.method === "HEAD" ? "GET" : req.method;
+    const path = req.baseUrl + req.path;
+    let operation;
+    let match;
+    for (const candidate of operations) {
+      if (candidate.method !== method) continue;
+      match = candidate.pattern.exec(path);
+      if (match) {
+        operation = candidate;
+        break;
+      }
+    }
+    if (!operation) return next();
+
+    const fail = (validate, location) =>
+      next(
+        new AppError(
+          describeError(validate.errors[0], location),
+          400,
+          "VALIDATION_ERROR"
+        )
+      );
+
+    if (operation.validatePath) {
+      let params;
+      try {
+        params = Object.fromEntries(
+          operation.names.map((name, i) => [
+            name,
+            decodeURIComponent(match[i + 1]),
+          ])
+        );
+      } catch {
+        return next(
+          new AppError("Malformed URL path", 400, "VALIDATION_ERROR")
+        );
+      }
+      if (!operation.validatePath(params))
+        return fail(operation.validatePath, "path");
+    }
+    if (operation.validateQuery) {
+      const query = { ...req.query };
+      if (!operation.validateQuery(query))
+        return fail(operation.validateQuery, "query");
+    }
+    if (operation.bodies.length > 0) {
+      // Validated as the first media type the request's Content-Type matches.
+      const body = operation.bodies.find(({ type }) => req.is(type));
+      if (!body || req.body === undefined) {
+        const [{ type }] = operation.bodies;
+        return next(
+          new AppError(
+            `Request body must be ${
+              MEDIA_TYPE_NAMES[type] || type
+            } (Content-Type: ${type})`,
+            400,
+            "VALIDATION_ERROR"
+          )
+        );
+      }
+      if (!body.validate(req.body)) return fail(body.validate, "body");
+    }
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const status = res.statusCode;
+        const validate =
+          operation.responses.get(String(status)) ||
+          (status >= 400 ? validateError : null);
+        if (!validate)
+          reportResponseMismatch(req, status, "status is not documented");
+        else if (!validate(body))
+          reportResponseMismatch(
+            req,
+            status,
+            describeError(validate.errors[0], "body")
+          );
+        return json(body);
+      };
+    }
+
+    next();
+  };
+}
+
+const openApiValidator = createOpenApiValidator(openApiDocument);
+
+module.exports = { createOpenApiValidator, openApiValidator };
@@ -0,0 +1,250 @@
+const { isAddress } = require("ethers");
+const db = require("../config/db");
+const { AppError } = require("./errorHandler");
+const { logger } = require("../utils/logger");
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Keeps sliding-window hits in process memory. Meant for tests and
+ * single-instance development; limits reset when the server restarts.
+ * @returns {{ hit: function }}
+ */
+function createMemoryStore() {
+  const hits = new Map();
+
+  return {
+    /**
+     * Records a hit for a key unless it already has `max` hits in the window.
+     * @param {string} key
+     * @param {number} windowMs
+     * @param {number} max
+     * @returns {Promise<{ allowed: boolean, retryAfterMs: number }>}
+     */
+    async hit(key, windowMs, max) {
+      const now = Date.now();
+      const recent = (hits.get(key) || []).filter((t) => t > now - windowMs);
+
+      if (recent.length >= max) {
+        hits.set(key, recent);
+        // With a limit of 0 there is no hit to wait for; try a window later.
+        const oldest = recent.length > 0 ? recent[0] : now;
+        return { allowed: false, retryAfterMs: oldest + windowMs - now };
+      }
+
+      recent.push(now);
+      hits.set(key, recent);
+      return { allowed: true, retryAfterMs: 0 };
+    },
+  };
+}
+
+/**
+ * Keeps sliding-window hits in the `rate_limit_hits` table, so limits survive
+ * restarts. Expired hits are pruned in the background.
+ * @returns {{ hit: function }}
+ */
+function createDatabaseStore() {
+  const pruneTimer = setInterval(() => {
+    db.run(`DELETE FROM rate_limit_hits WHERE expiresAt <= ?`, [
+      Date.now(),
+    ]).catch((error) =>
+      logger.error("Failed to prune rate limit hits", {
+        error: error.message,
+      })
+    );
+  }, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+
+  return {
+    async hit(key, windowMs, max) {
+      const now = Date.now();
+      const windowStart = now - windowMs;
+
+      return db.transaction(async (tx) => {
+        // Concurrent requests for a key must count one at a time, or they
+        // could all see room for one more hit. SQLite runs one transaction
+        // at a time; PostgreSQL at READ COMMITTED needs a lock, held until
+        // the transaction ends.
+        if (db.dialect === "postgres")
+          await tx.run(`SELECT pg_advisory_xact_lock(hashtext(?))`, [key]);
+
+        const { count, oldest } = await tx.get(
+          `SELECT COUNT(*) AS count, MIN(hitAt) AS oldest FROM rate_limit_hits WHERE key = ? AND hitAt > ?`,
+          [key, windowStart]
+        );
+        // With a limit of 0 there is no hit to wait for; try a window later.
+        if (count >= max)
+          return {
+            allowed: false,
+            retryAfterMs: (oldest ?? now) + windowMs - now,
+          };
+
+        await tx.run(
+          `INSERT INTO rate_limit_hits (key, hitAt, expiresAt) VALUES (?, ?, ?)`,
+          [key, now, now + windowMs]
+        );
+        return { allowed: true, retryAfterMs: 0 };
+      });
+    },
+  };
+}
+
+const defaultStore =
+  process.env.RATE_LIMIT_STORE === "memory"
+    ? createMemoryStore()
+    : createDatabaseStore();
+
+/**
+ * Creates a sliding-window rate limiting middleware. Requests over the limit
+ * get a 429 with a Retry-After header.
+ * @param {object} options
+ * @param {string} options.name Identifies the limit; keys are namespaced by it.
+ * @param {number} options.windowMs Length of the sliding window.
+ * @param {number} options.max Requests allowed per key within the window.
+ * @param {function} options.keyGenerator Returns the key for a request, or
+ *   null to skip the limit for it.
+ * @param {object} [options.store] Where hits are kept; RATE_LIMIT_STORE picks the default.
+ * @returns {function} Express middleware.
+ */
+function createRateLimiter({
+  name,
+  windowMs,
+  max,
+  keyGenerator,
+  store = defaultStore,
+}) {
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    try {
+      const { allowed, retryAfterMs } = await store.hit(
+        `${name}:${key}`,
+        windowMs,
+        max
+      );
+      if (allowed) return next();
+
+      res.set(
+        "Retry-After",
+        String(Math.max(Math.ceil(retryAfterMs / 1000), 1))
+      );
+      next(
+        new AppError(
+          "Too many requests. Please try again later.",
+          429,
+          "RATE_LIMITED"
+        )
+      );
+    } catch (error) {
+      // A broken limiter should not take the API down with it.
+      logger.error("Rate limiter failed", {
+        limiter: name,
+        error: error.message,
+      });
+      next();
+    }
+  };
+}
+
+/**
+ * Uses the client IP as the key.
+ * @param {object} req - Express request object
+ * @returns {string}
+ */
+const byIp = (req) => req.ip;
+
+/**
+ * Builds a key generator for a wallet address read from the request.
+ * Invalid addresses are skipped; the route rejects them anyway.
+ * @param {function} getAddress Reads the address from the request.
+ * @returns {function}
+ */
+const byAddress = (getAddress) => (req) => {
+  const address = getAddress(req);
+  return isAddress(address) ? address.toLowerCase() : null;
+};
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+const PROOF_WINDOW_MS = envNumber("RATE_LIMIT_PROOF_WINDOW_MS", 60 * 1000);
+const MINT_WINDOW_MS = envNumber("RATE_LIMIT_MINT_WINDOW_MS", 60 * 60 * 1000);
+const CLAIM_CODE_WINDOW_MS = envNumber(
+  "RATE_LIMIT_CLAIM_CODE_WINDOW_MS",
+  15 * 60 * 1000
+);
+const AUTH_WINDOW_MS = envNumber("RATE_LIMIT_AUTH_WINDOW_MS", 15 * 60 * 1000);
+const HEALTH_WINDOW_MS = envNumber("RATE_LIMIT_HEALTH_WINDOW_MS", 60 * 1000);
+
+const proofRateLimits = [
+  createRateLimiter({
+    name: "proof-ip",
+    windowMs: PROOF_WINDOW_MS,
+    max: envNumber("RATE_LIMIT_PROOF_IP_MAX", 30),
+    keyGenerator: byIp,
+  }),
+  createRateLimiter({
+    name: "proof-address",
+    windowMs: PROOF_WINDOW_MS,
+    max: envNumber("RATE_LIMIT_PROOF_ADDRESS_MAX", 10),
+    keyGenerator: byAddress((req) => req.query.address),
+  }),
+];
+
+const mintRateLimits = [
+  createRateLimiter({
+    name: "mint-ip",
+    windowMs: MINT_WINDOW_MS,
+    max: envNumber("RATE_LIMIT_MINT_IP_MAX", 10),
+    keyGenerator: byIp,
+  }),
+  createRateLimiter({
+    name: "mint-address",
+    windowMs: MINT_WINDOW_MS,
+    max: envNumber("RATE_LIMIT_MINT_ADDRESS_MAX", 3),
+    keyGenerator: byAddress((req) => req.body?.attendee),
+  }),
+];
+
+// Tight, since each request is a guess at a claim code.
+const claimCodeRateLimits = [
+  createRateLimiter({
+    name: "claim-code-ip",
+    windowMs: CLAIM_CODE_WINDOW_MS,
+    max: envNumber("RATE_LIMIT_CLAIM_CODE_IP_MAX", 10),
+    keyGenerator: byIp,
+  }),
+];
+
+// Shared by the nonce and verify routes, so a sign-in counts twice. Each
+// nonce is a stored row and each verification a signature recovery.
+const authRateLimits = [
+  createRateLimiter({
+    name: "auth-ip",
+    windowMs: AUTH_WINDOW_MS,
+    max: envNumber("RATE_LIMIT_AUTH_IP_MAX", 20),
+    keyGenerator: byIp,
+  }),
+];
+
+// Loose enough for a load balancer probing every second or two.
+const healthRateLimits = [
+  createRateLimiter({
+    name: "health-ip",
+    windowMs: HEALTH_WINDOW_MS,
+    max: envNumber("RATE_LIMIT_HEALTH_IP_MAX", 60),
+    keyGenerator: byIp,
+  }),
+];
+
+module.exports = {
+  createRateLimiter,
+  createMemoryStore,
+  createDatabaseStore,
+  proofRateLimits,
+  mintRateLimits,
+  claimCodeRateLimits,
+  authRateLimits,
+  healthRateLimits,
+};
@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+const morgan = require("morgan");
+const { logger, withLogContext } = require("../utils/logger");
+
+// A caller's own ID is kept if it looks like one, so a request can be
+// followed from a proxy or the frontend into these logs.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Gives each request an ID, returns it in the X-Request-Id header and adds it
+ * to everything logged while the request is handled.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = REQUEST_ID_PATTERN.test(incoming || "")
+    ? incoming
+    : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  withLogContext({ requestId: req.id }, next);
+};
+
+// One access log entry per response, written through the logger rather than
+// as a text line, so it carries the request ID and the same redaction.
+const accessLog = morgan((tokens, req, res) => {
+  logger.info("Request completed", {
+    requestId: req.id,
+    method: tokens.method(req, res),
+    url: tokens.url(req, res),
+    status: Number(tokens.status(req, res)) || null,
+    durationMs: Number(tokens["response-time"](req, res)) || null,
+    contentLength: Number(tokens.res(req, res, "content-length")) || null,
+  });
+  // Nothing for morgan itself to write.
+  return null;
+});
+
+module.exports = { assignRequestId, accessLog };
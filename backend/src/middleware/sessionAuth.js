@@ -0,0 +1,50 @@
+const { AppError } = require("./errorHandler");
+const { getSession } = require("../services/sessionService");
+
+/**
+ * Reads the bearer token from a request, if any.
+ * @param {object} req - Express request object
+ * @returns {string | null}
+ */
+const getSessionToken = (req) => {
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+/**
+ * Requires a Sign-In with Ethereum session.
+ * On success `req.session` holds the signed-in address and chain ID.
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {function} next - Express next middleware function
+ */
+const requireSession = async (req, res, next) => {
+  try {
+    const token = getSessionToken(req);
+    if (!token)
+      return next(
+        new AppError(
+          "Sign in with your wallet to continue",
+          401,
+          "SESSION_REQUIRED"
+        )
+      );
+
+    const session = await getSession(token);
+    if (!session)
+      return next(
+        new AppError(
+          "Your session has expired. Please sign in again.",
+          401,
+          "SESSION_EXPIRED"
+        )
+      );
+
+    req.session = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { requireSession, getSessionToken };
@@ -0,0 +1,124 @@
+const db = require("../config/db");
+const { run, get, all } = db;
+
+// The `audit_log` table: an append-only, hash-chained record of privileged
+// operations. There is deliberately nothing here to change or remove a row;
+// see services/auditService.js for how the chain is built and checked.
+
+/**
+ * Finds the latest entry, whose hash the next one links to.
+ * @returns {Promise<object | undefined>}
+ */
+async function findLast() {
+  return get(`SELECT * FROM audit_log ORDER BY id DESC LIMIT 1`);
+}
+
+/**
+ * Appends an entry unless another one already links to the same previous
+ * hash, i.e. another writer appended first.
+ * @param {object} entry Every audit_log column except id; params, state and
+ *   error as stored (JSON text or null).
+ * @returns {Promise<boolean>} Whether it was appended.
+ */
+async function append(entry) {
+  const { changes } = await run(
+    `INSERT INTO audit_log (createdAt, actor, source, action, campaignId, params, beforeState, afterState,
+       transactionHash, outcome, error, previousHash, hash)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (previousHash) DO NOTHING`,
+    [
+      entry.createdAt,
+      entry.actor,
+      entry.source,
+      entry.action,
+      entry.campaignId,
+      entry.params,
+      entry.beforeState,
+      entry.afterState,
+      entry.transactionHash,
+      entry.outcome,
+      entry.error,
+      entry.previousHash,
+      entry.hash,
+    ]
+  );
+  return changes > 0;
+}
+
+/**
+ * Finds the successful entry for an action's transaction, e.g. to tell an
+ * on-chain change made through the admin API from one made elsewhere.
+ * @param {string} action
+ * @param {string} transactionHash
+ * @param {object} [tx] A transaction from `transaction()` to run in.
+ * @returns {Promise<object | undefined>}
+ */
+async function findByTransaction(action, transactionHash, tx = db) {
+  return tx.get(
+    `SELECT * FROM audit_log WHERE action = ? AND transactionHash = ? AND outcome = 'success'`,
+    [action, transactionHash]
+  );
+}
+
+/**
+ * Lists entries newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.actor]
+ * @param {string} [filters.action]
+ * @param {number} [filters.campaignId]
+ * @param {string} [filters.outcome] success or failure.
+ * @param {string} [filters.since] ISO time; entries at or after it.
+ * @param {string} [filters.until] ISO time; entries before it.
+ * @param {number} [filters.beforeId] Only entries older than this one, for paging.
+ * @param {number} [filters.limit]
+ * @returns {Promise<object[]>}
+ */
+async function list({
+  actor,
+  action,
+  campaignId,
+  outcome,
+  since,
+  until,
+  beforeId,
+  limit = 50,
+} = {}) {
+  const conditions = [];
+  const params = [];
+  const filter = (condition, value) => {
+    if (value === undefined) return;
+    conditions.push(condition);
+    params.push(value);
+  };
+
+  filter("actor = ?", actor);
+  filter("action = ?", action);
+  filter("campaignId = ?", campaignId);
+  filter("outcome = ?", outcome);
+  // ISO times in UTC sort as text.
+  filter("createdAt >= ?", since);
+  filter("createdAt < ?", until);
+  filter("id < ?", beforeId);
+
+  const where =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  return all(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ?`, [
+    ...params,
+    limit,
+  ]);
+}
+
+/**
+ * Lists entries in chain order, a page at a time.
+ * @param {number} afterId Only entries after this one; 0 for the first page.
+ * @param {number} limit
+ * @returns {Promise<object[]>}
+ */
+async function listInOrder(afterId, limit) {
+  return all(`SELECT * FROM audit_log WHERE id > ? ORDER BY id LIMIT ?`, [
+    afterId,
+    limit,
+  ]);
+}
+
+module.exports = { findLast, append, findByTransaction, list, listInOrder };
@@ -0,0 +1,39 @@
+const db = require("../config/db");
+
+// The `contract_events` table: every contract log the event indexer has seen,
+// one row per (transactionHash, logIndex).
+
+/**
+ * Finds the indexed mint of a token.
+ * @param {string} tokenId
+ * @param {object} [tx] A transaction from `transaction()` to run in.
+ * @returns {Promise<{ campaignId: number, transactionHash: string, blockNumber: number, blockTimestamp: number } | undefined>}
+ */
+async function findMintByTokenId(tokenId, tx = db) {
+  return tx.get(
+    `SELECT campaignId, transactionHash, blockNumber, blockTimestamp FROM contract_events
+      WHERE eventName = 'CertificateMinted' AND tokenId = ?
+      ORDER BY blockNumber DESC LIMIT 1`,
+    [tokenId]
+  );
+}
+
+/**
+ * Finds an indexed event emitted by a transaction.
+ * @param {string} eventName e.g. `Transfer`.
+ * @param {string} transactionHash
+ * @param {object} [tx] A transaction from `transaction()` to run in.
+ * @returns {Promise<object | undefined>}
+ */
+async function findByTransaction(eventName, transactionHash, tx = db) {
+  return tx.get(
+    `SELECT * FROM contract_events WHERE eventName = ? AND transactionHash = ?
+      ORDER BY logIndex LIMIT 1`,
+    [eventName, transactionHash]
+  );
+}
+
+module.exports = {
+  findMintByTokenId,
+  findByTransaction,
+};
@@ -0,0 +1,11 @@
+// Data access for the mint flow and token metadata. Services and controllers go through these
+// rather than writing SQL for these tables themselves.
+module.exports = {
+  mintRepository: require("./mintRepository"),
+  mintJobRepository: require("./mintJobRepository"),
+  proofRepository: require("./proofRepository"),
+  metadataRepository: require("./metadataRepository"),
+  revocationRepository: require("./revocationRepository"),
+  auditRepository: require("./auditRepository"),
+  contractEventRepository: require("./contractEventRepository"),
+};
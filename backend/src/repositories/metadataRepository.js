@@ -0,0 +1,103 @@
+const { run, get, transaction } = require("../config/db");
+
+// Template fields an admin can set, in column order.
+const TEMPLATE_FIELDS = [
+  "eventName",
+  "issuer",
+  "eventDate",
+  "format",
+  "description",
+  "externalUrl",
+  "issuingAuthority",
+  "courseDescription",
+  "completionCriteria",
+  "textColor",
+];
+
+// Rows per INSERT when storing attendees, as in proofRepository.
+const INSERT_BATCH_SIZE = 250;
+
+/**
+ * Finds a campaign's certificate template.
+ * @param {string | number} campaignId
+ * @returns {Promise<object | undefined>} The row: TEMPLATE_FIELDS plus updatedAt.
+ */
+async function findTemplate(campaignId) {
+  return get(`SELECT * FROM campaign_templates WHERE campaignId = ?`, [
+    campaignId,
+  ]);
+}
+
+/**
+ * Creates or replaces a campaign's certificate template. Fields left out are
+ * stored as null.
+ * @param {string | number} campaignId
+ * @param {object} template Values for TEMPLATE_FIELDS.
+ */
+async function saveTemplate(campaignId, template) {
+  await run(
+    `INSERT INTO campaign_templates (campaignId, ${TEMPLATE_FIELDS.join(
+      ", "
+    )}, updatedAt)
+     VALUES (?, ${TEMPLATE_FIELDS.map(() => "?").join(", ")}, ?)
+     ON CONFLICT (campaignId) DO UPDATE SET ${TEMPLATE_FIELDS.map(
+       (field) => `${field} = excluded.${field}`
+     ).join(", ")}, updatedAt = excluded.updatedAt`,
+    [
+      campaignId,
+      ...TEMPLATE_FIELDS.map((field) => template[field] ?? null),
+      new Date().toISOString(),
+    ]
+  );
+}
+
+/**
+ * Finds an attendee's name in a campaign.
+ * @param {string | number} campaignId
+ * @param {string} address Any case.
+ * @returns {Promise<{ name: string, updatedAt: string } | undefined>}
+ */
+async function findAttendee(campaignId, address) {
+  return get(
+    `SELECT name, updatedAt FROM campaign_attendees WHERE campaignId = ? AND address = ?`,
+    [campaignId, address.toLowerCase()]
+  );
+}
+
+/**
+ * Stores attendees' names, replacing the names of addresses already stored.
+ * Addresses missing from `attendees` are kept, so certificates already
+ * minted to them keep their metadata.
+ * @param {string | number} campaignId
+ * @param {{ address: string, name: string }[]} attendees Unique addresses.
+ */
+async function saveAttendees(campaignId, attendees) {
+  const updatedAt = new Date().toISOString();
+
+  await transaction(async ({ run }) => {
+    for (let start = 0; start < attendees.length; start += INSERT_BATCH_SIZE) {
+      const batch = attendees.slice(start, start + INSERT_BATCH_SIZE);
+      await run(
+        `INSERT INTO campaign_attendees (campaignId, address, name, updatedAt) VALUES ${batch
+          .map(() => "(?, ?, ?, ?)")
+          .join(", ")}
+         ON CONFLICT (campaignId, address) DO UPDATE SET
+           name = excluded.name, updatedAt = excluded.updatedAt`,
+        batch.flatMap(({ address, name }) => [
+          campaignId,
+          address.toLowerCase(),
+          name,
+          updatedAt,
+        ])
+      );
+    }
+  });
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  findTemplate,
+  saveTemplate,
+  findAttendee,
+  saveAttendees,
+};
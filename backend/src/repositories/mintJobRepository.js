@@ -0,0 +1,219 @@
+const db = require("../config/db");
+const { run, get, all } = db;
+
+// The `mint_jobs` table: mint requests waiting for (or handed to) the
+// relayer worker.
+// status: queued -> processing -> submitted | failed
+// A submitted job becomes revoked when its certificate is burned.
+
+/**
+ * Finds an attendee's live (not failed or revoked) job for a campaign.
+ * @param {string | number} campaignId
+ * @param {string} attendeeAddress Checksummed address.
+ * @returns {Promise<object | undefined>}
+ */
+async function findActive(campaignId, attendeeAddress) {
+  return get(
+    `SELECT * FROM mint_jobs WHERE campaignId = ? AND attendeeAddress = ? AND status NOT IN ('failed', 'revoked')`,
+    [campaignId, attendeeAddress]
+  );
+}
+
+/**
+ * Finds a job with the on-chain status and token of its mint, if any.
+ * @param {string} jobId
+ * @returns {Promise<object | undefined>} The row plus mintStatus and tokenId.
+ */
+async function findById(jobId) {
+  return get(
+    `SELECT j.*, m.status AS mintStatus, m.tokenId
+       FROM mint_jobs j
+       LEFT JOIN mints m ON m.transactionHash = j.transactionHash
+      WHERE j.id = ?`,
+    [jobId]
+  );
+}
+
+/**
+ * Finds the queued job that is due first.
+ * @param {number} now Milliseconds since the epoch.
+ * @returns {Promise<object | undefined>}
+ */
+async function findNextDue(now) {
+  return get(
+    `SELECT * FROM mint_jobs WHERE status = 'queued' AND nextAttemptAt <= ? ORDER BY nextAttemptAt, createdAt LIMIT 1`,
+    [now]
+  );
+}
+
+/**
+ * Lists the jobs a worker was processing, e.g. when it crashed.
+ * @returns {Promise<object[]>}
+ */
+async function listProcessing() {
+  return all(`SELECT * FROM mint_jobs WHERE status = 'processing'`);
+}
+
+/**
+ * Queues a job unless the attendee already has a live one for the campaign,
+ * e.g. one queued by a concurrent request.
+ * @param {object} job
+ * @param {string} job.id
+ * @param {string | number} job.campaignId
+ * @param {string} job.attendeeAddress
+ * @param {string[]} job.merkleProof
+ * @param {number} job.nextAttemptAt Milliseconds since the epoch.
+ * @returns {Promise<boolean>} Whether it was queued.
+ */
+async function create({
+  id,
+  campaignId,
+  attendeeAddress,
+  merkleProof,
+  nextAttemptAt,
+}) {
+  const { changes } = await run(
+    `INSERT INTO mint_jobs (id, campaignId, attendeeAddress, merkleProof, nextAttemptAt) VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT DO NOTHING`,
+    [
+      id,
+      campaignId,
+      attendeeAddress,
+      JSON.stringify(merkleProof),
+      nextAttemptAt,
+    ]
+  );
+  return changes > 0;
+}
+
+/**
+ * Marks a job as being processed.
+ * @param {string} jobId
+ * @param {number} attempts Including this one.
+ */
+async function markProcessing(jobId, attempts) {
+  await run(
+    `UPDATE mint_jobs SET status = 'processing', attempts = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+    [attempts, jobId]
+  );
+}
+
+/**
+ * Records the transaction signed for a job before it is broadcast.
+ * @param {string} jobId
+ * @param {object} transaction
+ * @param {number} transaction.nonce
+ * @param {string} transaction.relayerAddress
+ * @param {string} transaction.transactionHash
+ */
+async function recordSigned(jobId, { nonce, relayerAddress, transactionHash }) {
+  await run(
+    `UPDATE mint_jobs SET nonce = ?, relayerAddress = ?, transactionHash = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+    [nonce, relayerAddress, transactionHash, jobId]
+  );
+}
+
+/**
+ * Marks a job as submitted.
+ * @param {string} jobId
+ * @param {string} transactionHash
+ * @param {string} relayerAddress
+ */
+async function markSubmitted(jobId, transactionHash, relayerAddress) {
+  await run(
+    `UPDATE mint_jobs SET status = 'submitted', transactionHash = ?, relayerAddress = ?, error = NULL, errorCode = NULL, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+    [transactionHash, relayerAddress, jobId]
+  );
+}
+
+/**
+ * Puts a job back in the queue.
+ * @param {string} jobId
+ * @param {number} nextAttemptAt Milliseconds since the epoch.
+ * @param {{ error: string, errorCode: string | null }} [failure] Why the
+ *   last attempt failed, if it did.
+ */
+async function requeue(jobId, nextAttemptAt, failure) {
+  if (failure) {
+    await run(
+      `UPDATE mint_jobs SET status = 'queued', transactionHash = NULL, error = ?, errorCode = ?, nextAttemptAt = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+      [failure.error, failure.errorCode, nextAttemptAt, jobId]
+    );
+    return;
+  }
+  await run(
+    `UPDATE mint_jobs SET status = 'queued', transactionHash = NULL, nextAttemptAt = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+    [nextAttemptAt, jobId]
+  );
+}
+
+/**
+ * Puts a job back in the queue without counting the attempt that just ended,
+ * e.g. while minting is paused.
+ * @param {string} jobId
+ * @param {number} nextAttemptAt Milliseconds since the epoch.
+ * @param {number} attempts The job's attempts before that one.
+ * @param {{ error: string, errorCode: string }} reason Why it is held.
+ */
+async function hold(jobId, nextAttemptAt, attempts, { error, errorCode }) {
+  await run(
+    `UPDATE mint_jobs SET status = 'queued', transactionHash = NULL, attempts = ?, error = ?, errorCode = ?, nextAttemptAt = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+    [attempts, error, errorCode, nextAttemptAt, jobId]
+  );
+}
+
+/**
+ * Fails a job before anything was broadcast.
+ * @param {string} jobId
+ * @param {{ error: string, errorCode: string | null }} failure
+ */
+async function markFailed(jobId, { error, errorCode }) {
+  await run(
+    `UPDATE mint_jobs SET status = 'failed', transactionHash = NULL, error = ?, errorCode = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?`,
+    [error, errorCode, jobId]
+  );
+}
+
+/**
+ * Fails the job that submitted a transaction which failed on-chain, so the
+ * attendee can claim again.
+ * @param {string} transactionHash
+ * @param {string} reason
+ */
+async function failByTransaction(transactionHash, reason) {
+  await run(
+    `UPDATE mint_jobs SET status = 'failed', error = ?, errorCode = 'TRANSACTION_FAILED', updatedAt = CURRENT_TIMESTAMP WHERE transactionHash = ?`,
+    [reason, transactionHash]
+  );
+}
+
+/**
+ * Sets aside the submitted job of a burned certificate, so the attendee can
+ * claim again.
+ * @param {string | number} campaignId
+ * @param {string} attendeeAddress Checksummed address.
+ * @param {object} [tx] A transaction from `transaction()` to run in.
+ */
+async function markRevoked(campaignId, attendeeAddress, tx = db) {
+  await tx.run(
+    `UPDATE mint_jobs SET status = 'revoked', updatedAt = CURRENT_TIMESTAMP
+      WHERE campaignId = ? AND attendeeAddress = ? AND status = 'submitted'`,
+    [campaignId, attendeeAddress]
+  );
+}
+
+module.exports = {
+  findActive,
+  findById,
+  findNextDue,
+  listProcessing,
+  create,
+  markProcessing,
+  recordSigned,
+  markSubmitted,
+  requeue,
+  hold,
+  markFailed,
+  failByTransaction,
+  markRevoked,
+};
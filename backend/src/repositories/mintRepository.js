@@ -0,0 +1,220 @@
+const db = require("../config/db");
+const { run, all } = db;
+
+// The `mints` table: one row per attendee and campaign, holding the latest
+// mint transaction and its on-chain outcome.
+// status: pending -> confirmed | failed (| burned)
+
+/**
+ * Finds an attendee's mint for a campaign.
+ * @param {string} attendeeAddress Checksummed address.
+ * @param {string | number} campaignId
+ * @param {object} [tx] A transaction from `transaction()` to run in.
+ * @returns {Promise<object | undefined>}
+ */
+async function findByAttendee(attendeeAddress, campaignId, tx = db) {
+  return tx.get(
+    `SELECT transactionHash, status, blockNumber, tokenId, gasUsed, relayerAddress, mintedAt, confirmedAt
+       FROM mints WHERE attendeeAddress = ? AND campaignId = ?`,
+    [attendeeAddress, campaignId]
+  );
+}
+
+/**
+ * Lists an address's mints across campaigns.
+ * @param {string} attendeeAddress Checksummed address.
+ * @returns {Promise<object[]>}
+ */
+async function listByAttendee(attendeeAddress) {
+  return all(
+    `SELECT campaignId, tokenId, transactionHash, status, mintedAt, confirmedAt
+       FROM mints WHERE attendeeAddress = ? ORDER BY campaignId`,
+    [attendeeAddress]
+  );
+}
+
+/**
+ * Lists a campaign's mints, e.g. to compare them with the chain.
+ * @param {string | number} campaignId
+ * @returns {Promise<object[]>}
+ */
+async function listByCampaign(campaignId) {
+  return all(
+    `SELECT attendeeAddress, transactionHash, status, blockNumber, tokenId
+       FROM mints WHERE campaignId = ? ORDER BY id`,
+    [campaignId]
+  );
+}
+
+/**
+ * Finds the mint that produced a token, whether or not it was burned since.
+ * @param {string} tokenId
+ * @param {object} [tx] A transaction from `transaction()` to run in.
+ * @returns {Promise<object | undefined>}
+ */
+async function findByTokenId(tokenId, tx = db) {
+  return tx.get(
+    `SELECT campaignId, transactionHash, blockNumber, confirmedAt FROM mints
+      WHERE tokenId = ? AND status IN ('confirmed', 'burned')`,
+    [tokenId]
+  );
+}
+
+/**
+ * Lists the mints still waiting for a receipt.
+ * @returns {Promise<object[]>}
+ */
+async function listPending() {
+  return all(
+    `SELECT id, campaignId, attendeeAddress, transactionHash, mintedAt FROM mints WHERE status = 'pending'`
+  );
+}
+
+/**
+ * Counts pending mints per relayer address.
+ * @returns {Promise<{ relayerAddress: string, count: number }[]>}
+ */
+async function countPendingByRelayer() {
+  return all(
+    `SELECT relayerAddress, COUNT(*) AS count FROM mints
+      WHERE status = 'pending' GROUP BY relayerAddress`
+  );
+}
+
+/**
+ * Counts a campaign's confirmed mints per UTC day.
+ * @param {string | number} campaignId
+ * @returns {Promise<{ date: string, count: number }[]>} Ordered by date.
+ */
+async function countConfirmedByDay(campaignId) {
+  return all(
+    `SELECT substr(confirmedAt, 1, 10) AS date, COUNT(*) AS count
+       FROM mints WHERE campaignId = ? AND status = 'confirmed'
+      GROUP BY substr(confirmedAt, 1, 10) ORDER BY date`,
+    [campaignId]
+  );
+}
+
+/**
+ * Records a submitted mint transaction as pending. A burned certificate can
+ * be minted again, so any older record for the attendee is replaced.
+ * @param {object} mint
+ * @param {number} mint.campaignId
+ * @param {string} mint.attendeeAddress
+ * @param {string} mint.transactionHash
+ * @param {string} mint.relayerAddress
+ */
+async function recordSubmitted({
+  campaignId,
+  attendeeAddress,
+  transactionHash,
+  relayerAddress,
+}) {
+  await run(
+    `INSERT INTO mints (campaignId, attendeeAddress, transactionHash, relayerAddress) VALUES (?, ?, ?, ?)
+     ON CONFLICT (campaignId, attendeeAddress) DO UPDATE SET transactionHash = excluded.transactionHash, relayerAddress = excluded.relayerAddress,
+       mintedAt = CURRENT_TIMESTAMP, status = 'pending', blockNumber = NULL, tokenId = NULL, gasUsed = NULL, confirmedAt = NULL`,
+    [campaignId, attendeeAddress, transactionHash, relayerAddress]
+  );
+}
+
+/**
+ * Records a mint seen on-chain as confirmed, inserting it if it was sent
+ * outside the API.
+ * @param {object} mint
+ * @param {number} mint.campaignId
+ * @param {string} mint.attendeeAddress
+ * @param {string} mint.transactionHash
+ * @param {number} mint.blockNumber
+ * @param {string} mint.tokenId
+ * @param {string} mint.confirmedAt ISO timestamp of the block.
+ * @param {object} [tx] A transaction from `transaction()` to run in.
+ */
+async function recordConfirmed(
+  {
+    campaignId,
+    attendeeAddress,
+    transactionHash,
+    blockNumber,
+    tokenId,
+    confirmedAt,
+  },
+  tx = db
+) {
+  await tx.run(
+    `INSERT INTO mints (campaignId, attendeeAddress, transactionHash, mintedAt, status, blockNumber, tokenId, confirmedAt)
+     VALUES (?, ?, ?, ?, 'confirmed', ?, ?, ?)
+     ON CONFLICT (campaignId, attendeeAddress) DO UPDATE SET
+       transactionHash = excluded.transactionHash, status = 'confirmed',
+       blockNumber = excluded.blockNumber, tokenId = excluded.tokenId, confirmedAt = excluded.confirmedAt`,
+    [
+      campaignId,
+      attendeeAddress,
+      transactionHash,
+      confirmedAt,
+      blockNumber,
+      tokenId,
+      confirmedAt,
+    ]
+  );
+}
+
+/**
+ * Moves a pending mint to its final status from its receipt. Guarded on
+ * status and transaction, so a mint the event indexer already recorded is
+ * left alone.
+ * @param {object} mint The mints row, with id and transactionHash.
+ * @param {"confirmed" | "failed"} status
+ * @param {object} outcome
+ * @param {number | null} outcome.blockNumber
+ * @param {string | null} [outcome.tokenId]
+ * @param {string | null} outcome.gasUsed
+ * @param {string} outcome.confirmedAt ISO timestamp.
+ * @returns {Promise<boolean>} False if the mint was no longer pending.
+ */
+async function settlePending(
+  mint,
+  status,
+  { blockNumber, tokenId = null, gasUsed, confirmedAt }
+) {
+  const { changes } = await run(
+    `UPDATE mints SET status = ?, blockNumber = ?, tokenId = ?, gasUsed = ?, confirmedAt = ?
+      WHERE id = ? AND transactionHash = ? AND status = 'pending'`,
+    [
+      status,
+      blockNumber,
+      tokenId,
+      gasUsed,
+      confirmedAt,
+      mint.id,
+      mint.transactionHash,
+    ]
+  );
+  return changes > 0;
+}
+
+/**
+ * Marks the mint of a burned token.
+ * @param {string} tokenId
+ * @param {object} [tx] A transaction from `transaction()` to run in.
+ */
+async function markBurned(tokenId, tx = db) {
+  await tx.run(
+    `UPDATE mints SET status = 'burned' WHERE tokenId = ? AND status = 'confirmed'`,
+    [tokenId]
+  );
+}
+
+module.exports = {
+  findByAttendee,
+  listByAttendee,
+  listByCampaign,
+  findByTokenId,
+  listPending,
+  countPendingByRelayer,
+  countConfirmedByDay,
+  recordSubmitted,
+  recordConfirmed,
+  settlePending,
+  markBurned,
+};
@@ -0,0 +1,72 @@
+const { get, transaction } = require("../config/db");
+
+// Rows per INSERT when storing proofs; keeps each statement well under the
+// bound-parameter limits of both databases.
+const INSERT_BATCH_SIZE = 250;
+
+/**
+ * Looks up an address's proof in a stored campaign.
+ * @param {string | number} campaignId
+ * @param {string} address Any case.
+ * @returns {Promise<{ proof: string | null } | undefined>} Undefined if the
+ *   campaign is not stored; `proof` (a JSON array) is null if the address is
+ *   not on its whitelist.
+ */
+async function findProof(campaignId, address) {
+  return get(
+    `SELECT p.proof FROM merkle_proof_sets s
+       LEFT JOIN merkle_proofs p ON p.campaignId = s.campaignId AND p.address = ?
+      WHERE s.campaignId = ?`,
+    [address.toLowerCase(), campaignId]
+  );
+}
+
+/**
+ * Describes a stored campaign.
+ * @param {string | number} campaignId
+ * @returns {Promise<{ merkleRoot: string, addressCount: number, storedAt: string } | undefined>}
+ */
+async function findProofSet(campaignId) {
+  return get(
+    `SELECT merkleRoot, addressCount, storedAt FROM merkle_proof_sets WHERE campaignId = ?`,
+    [campaignId]
+  );
+}
+
+/**
+ * Replaces a campaign's stored proofs in one transaction, so lookups see
+ * either the old tree or the new one.
+ * @param {string | number} campaignId
+ * @param {string} merkleRoot
+ * @param {Object<string, string[]>} merkleProofs Proofs keyed by address.
+ */
+async function replaceProofs(campaignId, merkleRoot, merkleProofs) {
+  const entries = Object.entries(merkleProofs);
+
+  await transaction(async ({ run }) => {
+    await run(`DELETE FROM merkle_proofs WHERE campaignId = ?`, [campaignId]);
+
+    for (let start = 0; start < entries.length; start += INSERT_BATCH_SIZE) {
+      const batch = entries.slice(start, start + INSERT_BATCH_SIZE);
+      await run(
+        `INSERT INTO merkle_proofs (campaignId, address, proof) VALUES ${batch
+          .map(() => "(?, ?, ?)")
+          .join(", ")}`,
+        batch.flatMap(([address, proof]) => [
+          campaignId,
+          address.toLowerCase(),
+          JSON.stringify(proof),
+        ])
+      );
+    }
+
+    await run(
+      `INSERT INTO merkle_proof_sets (campaignId, merkleRoot, addressCount, storedAt) VALUES (?, ?, ?, ?)
+       ON CONFLICT (campaignId) DO UPDATE SET
+         merkleRoot = excluded.merkleRoot, addressCount = excluded.addressCount, storedAt = excluded.storedAt`,
+      [campaignId, merkleRoot, entries.length, new Date().toISOString()]
+    );
+  });
+}
+
+module.exports = { findProof, findProofSet, replaceProofs };
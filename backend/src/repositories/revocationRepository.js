@@ -0,0 +1,69 @@
+const db = require("../config/db");
+const { run, get, all } = db;
+
+// The `revocations` table: one row per certificate burned through the admin
+// API, with the reason and the admin key that burned it.
+
+/**
+ * Records a revocation.
+ * @param {object} revocation
+ * @param {string} revocation.tokenId
+ * @param {number} revocation.campaignId
+ * @param {string} revocation.holder Checksummed address that held the token.
+ * @param {string} revocation.reason
+ * @param {string} revocation.operator Name of the admin key used.
+ * @param {string} revocation.transactionHash The burn transaction.
+ */
+async function create({
+  tokenId,
+  campaignId,
+  holder,
+  reason,
+  operator,
+  transactionHash,
+}) {
+  await run(
+    `INSERT INTO revocations (tokenId, campaignId, holder, reason, operator, transactionHash) VALUES (?, ?, ?, ?, ?, ?)`,
+    [tokenId, campaignId, holder, reason, operator, transactionHash]
+  );
+}
+
+/**
+ * Finds the revocation of a token.
+ * @param {string} tokenId
+ * @returns {Promise<object | undefined>}
+ */
+async function findByTokenId(tokenId) {
+  return get(`SELECT * FROM revocations WHERE tokenId = ?`, [tokenId]);
+}
+
+/**
+ * Finds the revocation made by a burn transaction.
+ * @param {string} transactionHash
+ * @param {object} [tx] A transaction from `transaction()` to run in.
+ * @returns {Promise<object | undefined>}
+ */
+async function findByTransaction(transactionHash, tx = db) {
+  return tx.get(`SELECT * FROM revocations WHERE transactionHash = ?`, [
+    transactionHash,
+  ]);
+}
+
+/**
+ * Lists a campaign's revocations, oldest first.
+ * @param {string | number} campaignId
+ * @returns {Promise<object[]>}
+ */
+async function listByCampaign(campaignId) {
+  return all(
+    `SELECT * FROM revocations WHERE campaignId = ? ORDER BY revokedAt, id`,
+    [campaignId]
+  );
+}
+
+module.exports = {
+  create,
+  findByTokenId,
+  findByTransaction,
+  listByCampaign,
+};
@@ -0,0 +1,298 @@
+const express = require("express");
+const { requireAdmin } = require("../middleware/adminAuth");
+const { openApiValidator } = require("../middleware/openApiValidator");
+const {
+  createCampaign,
+  updateCampaign,
+  setCampaignStatus,
+  deleteCampaign,
+  updateBaseURI,
+  uploadWhitelist,
+  listClaimCodes,
+  applyPendingWhitelist,
+} = require("../controllers/adminController");
+const {
+  previewCertificate,
+  getCampaignTemplate,
+  putCampaignTemplate,
+  putAttendeeName,
+} = require("../controllers/metadataController");
+const {
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listWebhookDeliveries,
+  replayWebhookDelivery,
+} = require("../controllers/webhookController");
+const { revokeCertificate } = require("../controllers/revocationController");
+const {
+  getReconcileReport,
+  backfillMints,
+} = require("../controllers/reconcileController");
+const {
+  listAuditLog,
+  verifyAuditChain,
+} = require("../controllers/auditController");
+const { getHealthDetails } = require("../controllers/healthController");
+
+const router = express.Router();
+
+// Every admin route requires `Authorization: Bearer <ADMIN_API_KEY>`.
+// Routes that change something, or reveal claim codes, are recorded in the
+// audit log under the key's name (services/auditService.js). Requests are
+// checked against src/docs/openapi.js once the key is; the whitelist CSV is
+// parsed first so its body is checked too.
+router.use(requireAdmin);
+router.use(
+  "/campaigns/:campaignId/whitelist",
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" })
+);
+router.use(openApiValidator);
+
+/**
+ * @route POST /api/admin/campaigns
+ * @description Creates a new campaign on the contract. Campaigns are inactive by default.
+ * @body {string} merkleRoot - The whitelist Merkle root (bytes32).
+ * @body {number} startTime - Unix timestamp for when minting begins; cannot be in the past.
+ * @body {number} endTime - Unix timestamp for when minting ends; at most 365 days after startTime.
+ * @body {number} maxMints - The maximum number of certificates for the campaign.
+ * @body {string} baseURI - The metadata base URI.
+ * @returns {object} 201 - { success: true, data: { campaignId, transactionHash } }
+ */
+router.post("/campaigns", createCampaign);
+
+/**
+ * @route PUT /api/admin/campaigns/:campaignId
+ * @description Replaces the Merkle root and schedule of a campaign that has not started.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @body {string} merkleRoot - The new whitelist Merkle root.
+ * @body {number} startTime - The new start time.
+ * @body {number} endTime - The new end time.
+ * @returns {object} 200 - { success: true, data: { transactionHash } }
+ */
+router.put("/campaigns/:campaignId", updateCampaign);
+
+/**
+ * @route PATCH /api/admin/campaigns/:campaignId/status
+ * @description Activates or deactivates a campaign.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @body {boolean} isActive - The new active status.
+ * @returns {object} 200 - { success: true, data: { transactionHash, blockNumber, isActive } }
+ */
+router.patch("/campaigns/:campaignId/status", setCampaignStatus);
+
+/**
+ * @route PATCH /api/admin/campaigns/:campaignId/base-uri
+ * @description Updates the metadata base URI of a campaign.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @body {string} baseURI - The new base URI.
+ * @returns {object} 200 - { success: true, data: { transactionHash } }
+ */
+router.patch("/campaigns/:campaignId/base-uri", updateBaseURI);
+
+/**
+ * @route DELETE /api/admin/campaigns/:campaignId
+ * @description Deletes an inactive campaign that has not started and has no mints.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @returns {object} 200 - { success: true, data: { transactionHash } }
+ */
+router.delete("/campaigns/:campaignId", deleteCampaign);
+
+/**
+ * @route POST /api/admin/campaigns/:campaignId/whitelist
+ * @description Validates an attendee CSV (columns: name, walletAddress, email), then builds and stores the
+ * campaign's Merkle tree so proofs are served immediately. Rows with an email but no walletAddress get a
+ * one-time claim code, returned only in this response. Names are kept for the certificate metadata. Responds 422 with a row-level report if any
+ * row is invalid, unless `skipInvalid=true` is passed.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @query {boolean} [skipInvalid] - Store the valid rows even if some rows fail validation.
+ * @query {boolean} [reissueClaimCodes] - Replace unredeemed claim codes instead of keeping them.
+ * @body {text/csv} - The attendee list.
+ * @returns {object} 200 - { success: true, data: { merkleRoot, addressCount, onChainMerkleRoot, matchesOnChainRoot, claimCodes, unchangedClaimCodeCount, errors } }
+ */
+router.post("/campaigns/:campaignId/whitelist", uploadWhitelist);
+
+/**
+ * @route GET /api/admin/campaigns/:campaignId/claim-codes
+ * @description Lists a campaign's claim codes (not the codes themselves) with their status:
+ * "unredeemed", "pending" (redeemed, waiting for the next whitelist update) or "applied".
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @returns {object} 200 - { success: true, data: { campaignId, pendingCount, claimCodes } }
+ */
+router.get("/campaigns/:campaignId/claim-codes", listClaimCodes);
+
+/**
+ * @route POST /api/admin/campaigns/:campaignId/whitelist/apply-pending
+ * @description Adds the wallets from redeemed claim codes to the stored whitelist and rebuilds the
+ * Merkle tree. Update the campaign's Merkle root on-chain afterwards.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @returns {object} 200 - { success: true, data: { merkleRoot, addressCount, addedCount, onChainMerkleRoot, matchesOnChainRoot } }
+ * @returns {object} 400 - Nothing is pending.
+ */
+router.post(
+  "/campaigns/:campaignId/whitelist/apply-pending",
+  applyPendingWhitelist
+);
+
+/**
+ * @route GET /api/admin/campaigns/:campaignId/template
+ * @description Returns the certificate template the API builds the campaign's token metadata from.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @returns {object} 200 - { success: true, data: { campaignId, eventName, issuer, ..., updatedAt } }
+ * @returns {object} 404 - The campaign has no template.
+ */
+router.get("/campaigns/:campaignId/template", getCampaignTemplate);
+
+/**
+ * @route PUT /api/admin/campaigns/:campaignId/template
+ * @description Creates or replaces a campaign's certificate template. Served metadata changes at once.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @body {string} eventName - The course or event title.
+ * @body {string} issuer - The issuing organisation.
+ * @body {string} [eventDate] - Date of completion, e.g. 2025-09-12.
+ * @body {string} [format] - e.g. Virtual Workshop.
+ * @body {string} [description] - Token description; `{name}` is replaced with the attendee's name.
+ * @body {string} [externalUrl] - An http(s) link for the token.
+ * @body {string} [issuingAuthority] - Defaults to "<issuer> Training".
+ * @body {string} [courseDescription]
+ * @body {string} [completionCriteria]
+ * @body {string} [textColor] - Hex color of the name on the image (default #7b3fe4).
+ * @returns {object} 200 - { success: true, data: { campaignId, eventName, issuer, ..., updatedAt } }
+ */
+router.put("/campaigns/:campaignId/template", putCampaignTemplate);
+
+/**
+ * @route PUT /api/admin/campaigns/:campaignId/attendees/:address
+ * @description Sets or corrects the name on an attendee's certificate, e.g. a typo or a wallet added
+ * through a claim code. Whitelist uploads set the names from the CSV's name column.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @param {string} param.address - The attendee's wallet address.
+ * @body {string} name - The name to print, at most 100 characters.
+ * @returns {object} 200 - { success: true, data: { campaignId, address, name } }
+ */
+router.put("/campaigns/:campaignId/attendees/:address", putAttendeeName);
+
+/**
+ * @route GET /api/admin/campaigns/:campaignId/certificate-preview
+ * @description Draws a certificate for any name with the campaign's text color, e.g. to check how the
+ * longest names on the list fit before the event. Previews are not cached.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @query {string} name - The name to draw, at most 100 characters.
+ * @returns {image/png} 200 - The certificate.
+ * @returns {object} 503 - Images cannot be rendered on this server.
+ */
+router.get("/campaigns/:campaignId/certificate-preview", previewCertificate);
+
+/**
+ * @route GET /api/admin/campaigns/:campaignId/reconcile
+ * @description Compares the campaign's mints table with hasMintedInCampaign, campaignMintCount and the
+ * CertificateMinted logs and reports the differences, e.g. a mint whose row failed to save or one sent
+ * outside the API. Changes nothing.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @returns {object} 200 - { success: true, data: { campaignId, counts, inSync, backfilledCount, differences } }
+ * @returns {object} 404 - The campaign does not exist.
+ */
+router.get("/campaigns/:campaignId/reconcile", getReconcileReport);
+
+/**
+ * @route POST /api/admin/campaigns/:campaignId/reconcile
+ * @description Compares as the GET does, then backfills missing or outdated rows (and unrecorded burns)
+ * from the CertificateMinted logs with their real transaction hashes.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @returns {object} 200 - { success: true, data: { campaignId, counts, inSync, backfilledCount, differences } }
+ * @returns {object} 404 - The campaign does not exist.
+ */
+router.post("/campaigns/:campaignId/reconcile", backfillMints);
+
+/**
+ * @route POST /api/admin/certificates/:tokenId/revoke
+ * @description Revokes a certificate by burning it with the owner wallet. The reason, the admin key
+ * used and the time are recorded and the reason is published in the campaign's revocation list.
+ * The attendee can claim again afterwards.
+ * @param {string} param.tokenId - The certificate's token ID.
+ * @body {string} reason - Why the certificate is revoked, at most 500 characters.
+ * @returns {object} 200 - { success: true, data: { tokenId, campaignId, holder, reason, operator, transactionHash, revokedAt } }
+ * @returns {object} 409 - The certificate has already been revoked (code ALREADY_REVOKED).
+ */
+router.post("/certificates/:tokenId/revoke", revokeCertificate);
+
+/**
+ * @route POST /api/admin/webhooks
+ * @description Subscribes a URL to webhook events. Payloads are signed with the returned secret
+ * (X-EventCert-Signature: t=<unix seconds>,v1=<HMAC-SHA256 of "<t>.<body>">).
+ * @body {string} url - The http(s) endpoint to POST events to.
+ * @body {number} [campaignId] - Only send events for this campaign; all campaigns if omitted.
+ * @body {string[]} [events] - mint.submitted, mint.confirmed, mint.failed, certificate.burned,
+ * campaign.activated; all of them if omitted.
+ * @returns {object} 201 - { success: true, data: { subscriptionId, campaignId, url, events, secret, createdAt } }
+ */
+router.post("/webhooks", createWebhook);
+
+/**
+ * @route GET /api/admin/webhooks
+ * @description Lists webhook subscriptions (without their secrets).
+ * @query {number} [campaignId] - Only subscriptions that cover this campaign.
+ * @returns {object} 200 - { success: true, data: [{ subscriptionId, campaignId, url, events, createdAt }] }
+ */
+router.get("/webhooks", listWebhooks);
+
+/**
+ * @route DELETE /api/admin/webhooks/:subscriptionId
+ * @description Deletes a subscription. Its pending deliveries are cancelled; the log is kept.
+ * @param {string} param.subscriptionId - The ID of the subscription.
+ * @returns {object} 200 - { success: true, data: { subscriptionId } }
+ */
+router.delete("/webhooks/:subscriptionId", deleteWebhook);
+
+/**
+ * @route GET /api/admin/webhooks/:subscriptionId/deliveries
+ * @description The delivery log of a subscription, newest first: payload, attempts, last response and error.
+ * @param {string} param.subscriptionId - The ID of the subscription.
+ * @query {string} [status] - pending, delivered or failed.
+ * @query {number} [limit] - At most this many deliveries (1-200, default 50).
+ * @returns {object} 200 - { success: true, data: [{ deliveryId, event, status, attempts, responseStatus, error, payload, ... }] }
+ */
+router.get("/webhooks/:subscriptionId/deliveries", listWebhookDeliveries);
+
+/**
+ * @route POST /api/admin/webhooks/deliveries/:deliveryId/replay
+ * @description Sends a past delivery again as a new delivery with the same payload and event ID.
+ * @param {string} param.deliveryId - The ID of the delivery to replay.
+ * @returns {object} 202 - { success: true, data: { deliveryId, replayOf, status: "pending", ... } }
+ */
+router.post("/webhooks/deliveries/:deliveryId/replay", replayWebhookDelivery);
+
+/**
+ * @route GET /api/admin/audit
+ * @description The audit log of privileged operations, newest first: actor, action, parameters,
+ * state before and after, transaction hash and outcome.
+ * @query {string} [actor] - Name of the admin key, or the user who ran a script.
+ * @query {string} [action] - e.g. campaign.setBaseURI or whitelist.upload.
+ * @query {number} [campaignId] - Only entries for this campaign.
+ * @query {string} [outcome] - success or failure.
+ * @query {string} [since] - ISO time; entries at or after it.
+ * @query {string} [until] - ISO time; entries before it.
+ * @query {number} [beforeId] - Only entries older than this one, to page back.
+ * @query {number} [limit] - At most this many entries (1-200, default 50).
+ * @returns {object} 200 - { success: true, data: [{ id, createdAt, actor, source, action, campaignId, params, before, after, transactionHash, outcome, error, hash }] }
+ */
+router.get("/audit", listAuditLog);
+
+/**
+ * @route GET /api/admin/audit/verify
+ * @description Checks the audit log's hash chain. An edited or deleted entry makes it invalid and
+ * brokenAt names the first entry affected. Keep headHash elsewhere to also notice removed newest entries.
+ * @returns {object} 200 - { success: true, data: { valid, checkedCount, headHash, brokenAt } }
+ */
+router.get("/audit/verify", verifyAuditChain);
+
+/**
+ * @route GET /api/admin/health
+ * @description The checks of GET /api/health with their details: each relayer's address, balance,
+ * whether it matches the contract's relayer() and its pending transactions, the latest block, the
+ * contract address and any check's error.
+ * @returns {object} 200 - { success: true, data: { status, checks: { database, rpc, relayers, contract }, timestamp } }
+ */
+router.get("/health", getHealthDetails);
+
+module.exports = router;
@@ -2,19 +2,81 @@ const express = require("express");
 const {
   getProof,
   mintCertificate,
+  getMintJobStatus,
   getCampaign,
+  getCampaignStatistics,
   getMintTransaction,
 } = require("../controllers/merkleController");
+const {
+  verifyCertificate,
+  listAddressCertificates,
+} = require("../controllers/certificateController");
+const {
+  listCampaignRevocations,
+} = require("../controllers/revocationController");
+const { redeemClaimCode } = require("../controllers/claimCodeController");
+const { getImage } = require("../controllers/metadataController");
+const { getDocs } = require("../controllers/docsController");
+const { getHealth, getReadiness } = require("../controllers/healthController");
+const { requireSession } = require("../middleware/sessionAuth");
+const { openApiValidator } = require("../middleware/openApiValidator");
+const {
+  proofRateLimits,
+  mintRateLimits,
+  claimCodeRateLimits,
+  healthRateLimits,
+} = require("../middleware/rateLimiter");
 
 const router = express.Router();
 
+/**
+ * @route GET /api/health
+ * @description Reports whether the database, RPC, relayers and contract are ok. Responds 200 while
+ * the process is up; data.status is "ok" or "degraded". Checks are cached for HEALTH_CACHE_MS;
+ * relayer details are at GET /api/admin/health.
+ * @returns {object} 200 - { success: true, data: { status, uptimeSeconds, checks: { database, rpc, relayers, contract }, timestamp } }
+ * @returns {object} 429 - Rate limited per IP; see Retry-After.
+ */
+router.get("/health", healthRateLimits, openApiValidator, getHealth);
+
+/**
+ * @route GET /api/ready
+ * @description Readiness probe: 200 only if the database and RPC are reachable, the relayer is
+ * funded above RELAYER_LOW_BALANCE_ETH and matches the contract's relayer(), and minting is not paused.
+ * @returns {object} 200 - { success: true, data: { ready: true, checks, timestamp } }
+ * @returns {object} 503 - { success: false, error, data: { ready: false, checks, timestamp } }
+ * @returns {object} 429 - Rate limited per IP, together with /health; see Retry-After.
+ */
+router.get("/ready", healthRateLimits, openApiValidator, getReadiness);
+
+/**
+ * @route GET /api/docs
+ * @description The OpenAPI 3.1 document describing every route, its parameters and error shapes.
+ * Requests are validated against it, after authentication, before they reach the controllers.
+ * @returns {object} 200 - The OpenAPI document.
+ */
+router.get("/docs", openApiValidator, getDocs);
+
 /**
  * @route GET /api/campaigns/:campaignId
  * @description Retrieves public details for a specific campaign.
  * @param {string} param.campaignId - The ID of the campaign.
  * @returns {object} 200 - { success: true, data: { campaign: {...} } }
  */
-router.get("/campaigns/:campaignId", getCampaign);
+router.get("/campaigns/:campaignId", openApiValidator, getCampaign);
+
+/**
+ * @route GET /api/campaigns/:campaignId/stats
+ * @description Reports mint progress and timeline for a campaign: whitelist size, on-chain mint
+ * count, remaining capacity, claim rate, confirmed mints per day and time until start/end.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @returns {object} 200 - { success: true, data: { stats: {...} } }
+ */
+router.get(
+  "/campaigns/:campaignId/stats",
+  openApiValidator,
+  getCampaignStatistics
+);
 
 /**
  * @route GET /api/campaigns/:campaignId/get-proof
@@ -22,26 +84,121 @@ router.get("/campaigns/:campaignId", getCampaign);
  * @param {string} param.campaignId - The ID of the campaign.
  * @param {string} query.address - The attendee's wallet address.
  * @returns {object} 200 - { success: true, data: { proof: [...] } }
+ * @returns {object} 429 - Rate limited per IP and per address; see Retry-After.
  */
-router.get("/campaigns/:campaignId/get-proof", getProof);
+router.get(
+  "/campaigns/:campaignId/get-proof",
+  proofRateLimits,
+  openApiValidator,
+  getProof
+);
 
 /**
  * @route POST /api/campaigns/:campaignId/mint
- * @description Submits a transaction to the smart contract to mint an NFT for a specific campaign.
+ * @description Queues a mint for a specific campaign. The relayer worker submits the transaction;
+ * poll GET /api/mint-jobs/:jobId for the outcome. Repeating the request returns the existing job.
+ * Requires a Sign-In with Ethereum session (see /api/auth) for the attendee's address.
  * @param {string} param.campaignId - The ID of the campaign.
  * @body {string} attendee - The wallet address of the person receiving the NFT.
  * @body {string[]} merkleProof - The Merkle proof for the attendee.
- * @returns {object} 200 - { success: true, data: { transactionHash: "0x..." } }
+ * @returns {object} 202 - { success: true, data: { jobId, status: "queued", ... } }
+ * @returns {object} 401 - No session; 403 - The session is for a different address.
+ * @returns {object} 429 - Rate limited per IP and per attendee; see Retry-After.
  */
-router.post("/campaigns/:campaignId/mint", mintCertificate);
+router.post(
+  "/campaigns/:campaignId/mint",
+  mintRateLimits,
+  requireSession,
+  openApiValidator,
+  mintCertificate
+);
+
+/**
+ * @route POST /api/campaigns/:campaignId/claim-codes/redeem
+ * @description Redeems a one-time claim code issued to an attendee imported by email only. The wallet
+ * joins the campaign's pending whitelist batch; it can claim once an admin applies the batch and the
+ * on-chain Merkle root is updated. Requires a Sign-In with Ethereum session for the address.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @body {string} code - The claim code, e.g. "7KQ2-MX9P-4TRB"; case, spaces and dashes are ignored.
+ * @body {string} address - The attendee's new wallet address.
+ * @returns {object} 200 - { success: true, data: { campaignId, address, status: "pending" } }
+ * @returns {object} 404 - Unknown code; 409 - Code already redeemed or wallet already whitelisted.
+ * @returns {object} 429 - Rate limited per IP; see Retry-After.
+ */
+router.post(
+  "/campaigns/:campaignId/claim-codes/redeem",
+  claimCodeRateLimits,
+  requireSession,
+  openApiValidator,
+  redeemClaimCode
+);
+
+/**
+ * @route GET /api/mint-jobs/:jobId
+ * @description Reports the status of a queued mint: queued, processing, submitted or failed.
+ * @param {string} param.jobId - The job ID returned by the mint route.
+ * @returns {object} 200 - { success: true, data: { jobId, status, transactionHash, error, mintStatus, tokenId, ... } }
+ */
+router.get("/mint-jobs/:jobId", openApiValidator, getMintJobStatus);
 
 /**
  * @route GET /api/campaign/:campaignId/mint
- * @description Retrieves the mint transaction hash for a specific user and campaign.
+ * @description Retrieves the mint transaction for a specific user and campaign with its on-chain outcome.
  * @param {string} param.campaignId - The ID of the campaign.
  * @query {string} address - The wallet address of the attendee.
- * @returns {object} 200 - { success: true, data: { transactionHash: "0x..." } }
+ * @returns {object} 200 - { success: true, data: { transactionHash, status, blockNumber, tokenId, gasUsed, mintedAt, confirmedAt } }
+ */
+router.get("/campaigns/:campaignId/mint", openApiValidator, getMintTransaction);
+
+/**
+ * @route GET /api/certificates/:tokenId
+ * @description Verifies a certificate against the contract. Status is "valid" or "revoked";
+ * a token that was never minted returns 404 with code NonExistentToken.
+ * @param {string} param.tokenId - The certificate's token ID.
+ * @returns {object} 200 - { success: true, data: { certificate: { tokenId, status, holder, campaignId, tokenURI, metadata, issuedAt, transactionHash } } }
+ */
+router.get("/certificates/:tokenId", openApiValidator, verifyCertificate);
+
+/**
+ * @route GET /api/campaigns/:campaignId/revocations
+ * @description Lists the certificates revoked through the admin API in a campaign, oldest first, with
+ * the reason given, for verification pages to check.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @returns {object} 200 - { success: true, data: { revocations: [{ tokenId, campaignId, holder, reason, transactionHash, revokedAt }] } }
+ */
+router.get(
+  "/campaigns/:campaignId/revocations",
+  openApiValidator,
+  listCampaignRevocations
+);
+
+/**
+ * @route GET /api/campaigns/:campaignId/certificates/:address/image
+ * @description Renders an attendee's certificate image from the campaign's template and their stored
+ * name. Images are cached on disk, and an If-None-Match matching the ETag gets 304.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @param {string} param.address - The attendee's wallet address.
+ * @returns {image/png} 200 - The certificate.
+ * @returns {object} 404 - The campaign has no template or the address no name.
+ * @returns {object} 503 - Images cannot be rendered on this server.
+ */
+router.get(
+  "/campaigns/:campaignId/certificates/:address/image",
+  openApiValidator,
+  getImage
+);
+
+/**
+ * @route GET /api/addresses/:address/certificates
+ * @description Lists every campaign the address has claimed a certificate from, checked
+ * against hasMintedInCampaign and token ownership on-chain.
+ * @param {string} param.address - The wallet address.
+ * @returns {object} 200 - { success: true, data: { certificates: [{ campaignId, tokenId, status, hasMintedInCampaign, tokenURI, metadata, transactionHash, mintedAt }] } }
  */
-router.get("/campaigns/:campaignId/mint", getMintTransaction);
+router.get(
+  "/addresses/:address/certificates",
+  openApiValidator,
+  listAddressCertificates
+);
 
 module.exports = router;
@@ -0,0 +1,47 @@
+const express = require("express");
+const {
+  getNonce,
+  verifySignIn,
+  getCurrentSession,
+  logout,
+} = require("../controllers/authController");
+const { requireSession } = require("../middleware/sessionAuth");
+const { openApiValidator } = require("../middleware/openApiValidator");
+const { authRateLimits } = require("../middleware/rateLimiter");
+
+const router = express.Router();
+
+/**
+ * @route GET /api/auth/nonce
+ * @description Issues a single-use nonce for a Sign-In with Ethereum (EIP-4361) message.
+ * @returns {object} 200 - { success: true, data: { nonce, expiresAt } }
+ * @returns {object} 429 - Rate limited per IP, together with /verify; see Retry-After.
+ */
+router.get("/nonce", authRateLimits, openApiValidator, getNonce);
+
+/**
+ * @route POST /api/auth/verify
+ * @description Verifies a signed EIP-4361 message and opens a session for its address.
+ * Send the returned token as `Authorization: Bearer <token>`.
+ * @body {string} message - The prepared SIWE message, including the nonce.
+ * @body {string} signature - The wallet's personal_sign signature of the message.
+ * @returns {object} 200 - { success: true, data: { token, address, chainId, expiresAt } }
+ * @returns {object} 429 - Rate limited per IP, together with /nonce; see Retry-After.
+ */
+router.post("/verify", authRateLimits, openApiValidator, verifySignIn);
+
+/**
+ * @route GET /api/auth/session
+ * @description Returns the session for the bearer token.
+ * @returns {object} 200 - { success: true, data: { address, chainId, expiresAt } }
+ */
+router.get("/session", requireSession, openApiValidator, getCurrentSession);
+
+/**
+ * @route POST /api/auth/logout
+ * @description Ends the session for the bearer token.
+ * @returns {object} 200 - { success: true, message: "Signed out" }
+ */
+router.post("/logout", requireSession, openApiValidator, logout);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require("express");
+const { getMetadata, getImage } = require("../controllers/metadataController");
+const { openApiValidator } = require("../middleware/openApiValidator");
+
+const router = express.Router();
+
+router.use(openApiValidator);
+
+// Mounted at /metadata when SERVE_METADATA=true. Point a campaign's base URI
+// at `<api>/metadata/<campaignId>/` and tokenURI resolves to the JSON route.
+
+/**
+ * @route GET /metadata/:campaignId/:address.json
+ * @description Token metadata for an attendee, built from the campaign's certificate template and the
+ * attendee's stored name. Sends an ETag and answers a matching If-None-Match with 304.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @param {string} param.address - The attendee's wallet address (as tokenURI spells it, lowercase).
+ * @returns {object} 200 - { description, external_url, image, name, attributes, certificate_details }
+ * @returns {object} 404 - The campaign has no template or the address no name.
+ */
+router.get("/:campaignId/:address.json", getMetadata);
+
+/**
+ * @route GET /metadata/:campaignId/:address.png
+ * @description The attendee's certificate image, as GET /api/campaigns/:campaignId/certificates/:address/image.
+ * @param {string} param.campaignId - The ID of the campaign.
+ * @param {string} param.address - The attendee's wallet address.
+ * @returns {image/png} 200 - The certificate.
+ * @returns {object} 503 - Images cannot be rendered on this server.
+ */
+router.get("/:campaignId/:address.png", getImage);
+
+module.exports = router;
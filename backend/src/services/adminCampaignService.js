@@ -0,0 +1,290 @@
+const { isHexString, ZeroHash } = require("ethers");
+const { ownerContract, deployedContract } = require("../config/web3");
+const { contractEventRepository } = require("../repositories");
+const { AppError } = require("../middleware/errorHandler");
+const { decodeContractError } = require("../utils/contractErrors");
+const { emitWebhookEvent } = require("./webhookQueue");
+const { logger } = require("../utils/logger");
+
+// Mirrors MAX_CAMPAIGN_DURATION in EventCertificate.sol.
+const MAX_CAMPAIGN_DURATION = 365 * 24 * 60 * 60;
+
+// Custom errors that mean something else for the owner functions than for a
+// mint; the rest use the defaults in utils/contractErrors.js.
+const OWNER_ERROR_MESSAGES = {
+  InvalidInput: ["Base URI cannot be empty", 400],
+  CampaignNotActive: ["Campaign must be deactivated before deletion", 409],
+  CampaignExpired: ["Campaign has ended and cannot be activated", 409],
+};
+
+/**
+ * Validates a campaign schedule against the contract's rules. A start time
+ * equal to the current block's timestamp is accepted, as on-chain.
+ * @param {number} startTime Unix timestamp (seconds) for when minting begins.
+ * @param {number} endTime Unix timestamp (seconds) for when minting ends.
+ * @throws {AppError} If the schedule would be rejected by the contract.
+ */
+function validateSchedule(startTime, endTime) {
+  if (!Number.isSafeInteger(startTime) || !Number.isSafeInteger(endTime))
+    throw new AppError("startTime and endTime must be Unix timestamps", 400);
+
+  const now = Math.floor(Date.now() / 1000);
+  if (startTime < now)
+    throw new AppError("Campaign start time cannot be in the past", 400);
+  if (startTime >= endTime)
+    throw new AppError("Campaign end time must be after its start time", 400);
+  if (endTime - startTime > MAX_CAMPAIGN_DURATION)
+    throw new AppError("Campaign cannot run longer than 365 days", 400);
+}
+
+/**
+ * Parses a campaign ID from a route parameter.
+ * @param {string | number} campaignId
+ * @returns {number}
+ * @throws {AppError} If the ID is not a positive integer.
+ */
+function parseCampaignId(campaignId) {
+  if (!/^\d+$/.test(String(campaignId)) || Number(campaignId) < 1)
+    throw new AppError("Campaign ID must be a positive integer", 400);
+  return Number(campaignId);
+}
+
+/**
+ * Validates a Merkle root is a non-zero bytes32 value.
+ * @param {string} merkleRoot
+ * @throws {AppError}
+ */
+function validateMerkleRoot(merkleRoot) {
+  if (!isHexString(merkleRoot, 32))
+    throw new AppError("merkleRoot must be a 32-byte hex string", 400);
+  if (merkleRoot === ZeroHash)
+    throw new AppError("Merkle root cannot be empty", 400);
+}
+
+/**
+ * Validates a campaign base URI is a non-empty string.
+ * @param {string} baseURI
+ * @throws {AppError}
+ */
+function validateBaseURI(baseURI) {
+  if (typeof baseURI !== "string" || baseURI.trim().length === 0)
+    throw new AppError("Base URI cannot be empty", 400);
+}
+
+/**
+ * Converts a contract revert into an AppError carrying the custom error name.
+ * @param {Error} error The error thrown by ethers.
+ * @returns {AppError}
+ */
+function toAppError(error) {
+  if (error instanceof AppError) return error;
+
+  const contractError = decodeContractError(error, OWNER_ERROR_MESSAGES);
+  if (contractError) return contractError;
+
+  logger.error("Unexpected error sending owner transaction", {
+    error: error.message,
+  });
+  return new AppError("Failed to submit the transaction to the contract", 500);
+}
+
+/**
+ * Simulates an owner-only contract call and, if it would succeed, sends it and
+ * waits for it to be mined.
+ * @param {string} method The contract function name.
+ * @param {Array} args The function arguments.
+ * @returns {Promise<import("ethers").TransactionReceipt>}
+ * @throws {AppError} With the decoded custom error if the call would revert.
+ */
+async function sendOwnerTransaction(method, args) {
+  if (!ownerContract)
+    throw new AppError("Owner wallet is not configured on this server", 503);
+
+  try {
+    // Dry run first so a revert is reported without spending gas.
+    await ownerContract[method].staticCall(...args);
+
+    const tx = await ownerContract[method](...args);
+    logger.info("Owner transaction sent", {
+      method,
+      transactionHash: tx.hash,
+    });
+
+    const receipt = await tx.wait();
+    if (!receipt || receipt.status !== 1)
+      throw new AppError(`Transaction ${tx.hash} was reverted on-chain`, 500);
+
+    return receipt;
+  } catch (error) {
+    throw toAppError(error);
+  }
+}
+
+/**
+ * Creates a new (inactive) campaign.
+ * @param {object} params
+ * @param {string} params.merkleRoot The whitelist Merkle root.
+ * @param {number} params.startTime Unix timestamp for when minting begins.
+ * @param {number} params.endTime Unix timestamp for when minting ends.
+ * @param {number} params.maxMints Maximum number of certificates for the campaign.
+ * @param {string} params.baseURI The metadata base URI.
+ * @returns {Promise<{ campaignId: number, transactionHash: string }>}
+ */
+async function createCampaign({
+  merkleRoot,
+  startTime,
+  endTime,
+  maxMints,
+  baseURI,
+}) {
+  validateMerkleRoot(merkleRoot);
+  validateSchedule(startTime, endTime);
+  validateBaseURI(baseURI);
+  if (!Number.isSafeInteger(maxMints) || maxMints < 1)
+    throw new AppError("maxMints must be a positive integer", 400);
+
+  const receipt = await sendOwnerTransaction("createCampaign", [
+    merkleRoot,
+    startTime,
+    endTime,
+    maxMints,
+    baseURI,
+  ]);
+
+  // The new campaign ID is only known from the emitted event.
+  const createdEvent = receipt.logs
+    .map((log) => ownerContract.interface.parseLog(log))
+    .find((parsed) => parsed?.name === "CampaignCreated");
+
+  return {
+    campaignId: createdEvent ? Number(createdEvent.args.campaignId) : null,
+    transactionHash: receipt.hash,
+  };
+}
+
+/**
+ * Replaces the whitelist root and schedule of a campaign that has not started.
+ * @param {string | number} campaignId
+ * @param {object} params
+ * @param {string} params.merkleRoot The new whitelist Merkle root.
+ * @param {number} params.startTime The new start time.
+ * @param {number} params.endTime The new end time.
+ * @returns {Promise<{ transactionHash: string }>}
+ */
+async function updateCampaignBeforeStart(
+  campaignId,
+  { merkleRoot, startTime, endTime }
+) {
+  validateMerkleRoot(merkleRoot);
+  validateSchedule(startTime, endTime);
+
+  const receipt = await sendOwnerTransaction("updateCampaignBeforeStart", [
+    parseCampaignId(campaignId),
+    merkleRoot,
+    startTime,
+    endTime,
+  ]);
+  return { transactionHash: receipt.hash };
+}
+
+/**
+ * Activates or deactivates a campaign.
+ * @param {string | number} campaignId
+ * @param {boolean} isActive
+ * @returns {Promise<{ transactionHash: string }>}
+ */
+async function setCampaignActiveStatus(campaignId, isActive) {
+  if (typeof isActive !== "boolean")
+    throw new AppError("isActive must be a boolean", 400);
+
+  const receipt = await sendOwnerTransaction("setCampaignActiveStatus", [
+    parseCampaignId(campaignId),
+    isActive,
+  ]);
+  return { transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Sends campaign.activated for an activation made through the admin API, so
+ * it does not depend on the event indexer. Call it once the activation is in
+ * the audit log: the indexer skips activations recorded there, but it may
+ * have sent this one already if it indexed the block first.
+ * @param {string | number} campaignId
+ * @param {{ transactionHash: string, blockNumber: number }} activation
+ */
+async function notifyCampaignActivated(
+  campaignId,
+  { transactionHash, blockNumber }
+) {
+  const indexed = await contractEventRepository.findByTransaction(
+    "CampaignActiveStatusChanged",
+    transactionHash
+  );
+  if (!indexed)
+    await emitWebhookEvent("campaign.activated", campaignId, {
+      transactionHash,
+      blockNumber,
+    });
+}
+
+/**
+ * Deletes an inactive campaign that has not started and has no mints.
+ * @param {string | number} campaignId
+ * @returns {Promise<{ transactionHash: string }>}
+ */
+async function deleteCampaign(campaignId) {
+  const receipt = await sendOwnerTransaction("deleteCampaign", [
+    parseCampaignId(campaignId),
+  ]);
+  return { transactionHash: receipt.hash };
+}
+
+/**
+ * Points a campaign at a new metadata base URI.
+ * @param {string | number} campaignId
+ * @param {string} baseURI
+ * @returns {Promise<{ transactionHash: string }>}
+ */
+async function updateCampaignBaseURI(campaignId, baseURI) {
+  validateBaseURI(baseURI);
+
+  const receipt = await sendOwnerTransaction("updateCampaignBaseURI", [
+    parseCampaignId(campaignId),
+    baseURI,
+  ]);
+  return { transactionHash: receipt.hash };
+}
+
+/**
+ * Reads a campaign's on-chain settings, e.g. for the audit log.
+ * @param {string | number} campaignId
+ * @returns {Promise<object | null>} Null if the campaign does not exist.
+ */
+async function readCampaignState(campaignId) {
+  const id = parseCampaignId(campaignId);
+  const [campaign, baseURI] = await Promise.all([
+    deployedContract.getCampaign(id),
+    deployedContract.campaignBaseURI(id),
+  ]);
+  if (campaign.merkleRoot === ZeroHash) return null;
+
+  return {
+    merkleRoot: campaign.merkleRoot,
+    startTime: Number(campaign.startTime),
+    endTime: Number(campaign.endTime),
+    maxMints: Number(campaign.maxMints),
+    isActive: campaign.isActive,
+    baseURI,
+  };
+}
+
+module.exports = {
+  sendOwnerTransaction,
+  readCampaignState,
+  createCampaign,
+  updateCampaignBeforeStart,
+  setCampaignActiveStatus,
+  notifyCampaignActivated,
+  deleteCampaign,
+  updateCampaignBaseURI,
+};
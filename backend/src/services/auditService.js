@@ -0,0 +1,288 @@
+const crypto = require("crypto");
+const os = require("os");
+const { auditRepository } = require("../repositories");
+const { logger } = require("../utils/logger");
+
+// The previousHash of the first entry.
+const GENESIS_HASH = "0".repeat(64);
+// Another process (a CLI script next to the server) can take the previous
+// hash first; the append is then retried on top of its entry.
+const MAX_APPEND_ATTEMPTS = 5;
+const VERIFY_PAGE_SIZE = 500;
+
+// Appends from this process run one at a time, so they never race each
+// other for the same previous hash.
+let appendQueue = Promise.resolve();
+
+/**
+ * Hashes an entry's stored fields together with the previous entry's hash.
+ * @param {object} entry An audit_log row, or one about to be appended.
+ * @returns {string} Hex SHA-256.
+ */
+function hashEntry(entry) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        entry.previousHash,
+        entry.createdAt,
+        entry.actor,
+        entry.source,
+        entry.action,
+        entry.campaignId == null ? null : Number(entry.campaignId),
+        entry.params,
+        entry.beforeState,
+        entry.afterState,
+        entry.transactionHash,
+        entry.outcome,
+        entry.error,
+      ])
+    )
+    .digest("hex");
+}
+
+/**
+ * Serializes a value for a JSON column; bigints become strings.
+ * @param {*} value
+ * @returns {string | null}
+ */
+function toJSON(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.stringify(value, (key, field) =>
+    typeof field === "bigint" ? field.toString() : field
+  );
+}
+
+/**
+ * Appends an entry to the end of the chain.
+ * @param {object} fields The entry without createdAt and hashes.
+ * @returns {Promise<object>} The stored entry.
+ */
+async function appendEntry(fields) {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await auditRepository.findLast();
+    const entry = {
+      ...fields,
+      createdAt: new Date().toISOString(),
+      previousHash: last ? last.hash : GENESIS_HASH,
+    };
+    entry.hash = hashEntry(entry);
+
+    if (await auditRepository.append(entry)) return entry;
+  }
+  throw new Error(
+    `Could not append to the audit log after ${MAX_APPEND_ATTEMPTS} attempts`
+  );
+}
+
+/**
+ * Records a privileged operation in the audit log.
+ * @param {object} audit
+ * @param {string} audit.actor Admin key name, or the user running a script.
+ * @param {string} [audit.source] api or cli.
+ * @param {string} audit.action e.g. campaign.setBaseURI.
+ * @param {string | number | null} [audit.campaignId]
+ * @param {object} [audit.params] What the operation was asked to do.
+ * @param {object} [audit.before] The state it changes, before.
+ * @param {object} [audit.after] The same state, after.
+ * @param {string | null} [audit.transactionHash]
+ * @param {Error} [audit.error] Set if the operation failed.
+ * @returns {Promise<object>} The stored entry.
+ */
+function recordAudit({
+  actor,
+  source = "api",
+  action,
+  campaignId = null,
+  params = null,
+  before = null,
+  after = null,
+  transactionHash = null,
+  error = null,
+}) {
+  const fields = {
+    actor,
+    source,
+    action,
+    campaignId: campaignId == null ? null : Number(campaignId),
+    params: toJSON(params),
+    beforeState: toJSON(before),
+    afterState: toJSON(after),
+    transactionHash,
+    outcome: error ? "failure" : "success",
+    error: error ? error.message : null,
+  };
+
+  const appended = appendQueue.then(() => appendEntry(fields));
+  appendQueue = appended.catch(() => {});
+  return appended;
+}
+
+/**
+ * Reads state for an entry. The operation matters more than its record, so
+ * a failed read leaves the state out.
+ * @param {() => Promise<object | null>} read
+ * @param {string} action
+ * @returns {Promise<object | null>}
+ */
+async function readSafely(read, action) {
+  try {
+    return (await read()) ?? null;
+  } catch (error) {
+    logger.warn("Could not read state for the audit log", {
+      action,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Records an entry without failing the operation it describes, which has
+ * already happened; the entry is logged instead.
+ * @param {object} audit See recordAudit.
+ */
+async function recordSafely(audit) {
+  try {
+    await recordAudit(audit);
+  } catch (error) {
+    logger.error("Failed to write audit entry", {
+      audit: { ...audit, error: audit.error?.message },
+      error,
+    });
+  }
+}
+
+/**
+ * Runs a privileged operation and records it, whether it succeeds or fails.
+ * @template T
+ * @param {object} audit See recordAudit; before, after, transactionHash and
+ *   error are filled in from the operation.
+ * @param {(result?: T) => Promise<object | null>} [audit.readState] Reads the
+ *   state the operation changes: once before it, and with its result after.
+ * @param {() => Promise<T>} operation
+ * @returns {Promise<T>} The operation's result.
+ */
+async function withAudit({ readState, ...audit }, operation) {
+  const before = readState
+    ? await readSafely(() => readState(), audit.action)
+    : null;
+
+  let result;
+  try {
+    result = await operation();
+  } catch (error) {
+    await recordSafely({ ...audit, before, error });
+    throw error;
+  }
+
+  const after = readState
+    ? await readSafely(() => readState(result), audit.action)
+    : null;
+  await recordSafely({
+    ...audit,
+    campaignId: audit.campaignId ?? result?.campaignId,
+    before,
+    after,
+    transactionHash: result?.transactionHash ?? null,
+  });
+  return result;
+}
+
+/**
+ * Who is running a CLI script: AUDIT_ACTOR, or the operating system user.
+ * @returns {string}
+ */
+function getCliActor() {
+  if (process.env.AUDIT_ACTOR) return process.env.AUDIT_ACTOR;
+  try {
+    return os.userInfo().username;
+  } catch {
+    return "unknown";
+  }
+}
+
+/**
+ * Shapes an audit_log row for the API.
+ * @param {object} row
+ * @returns {object}
+ */
+function formatEntry(row) {
+  return {
+    id: Number(row.id),
+    createdAt: row.createdAt,
+    actor: row.actor,
+    source: row.source,
+    action: row.action,
+    campaignId: row.campaignId == null ? null : Number(row.campaignId),
+    params: JSON.parse(row.params),
+    before: JSON.parse(row.beforeState),
+    after: JSON.parse(row.afterState),
+    transactionHash: row.transactionHash,
+    outcome: row.outcome,
+    error: row.error,
+    hash: row.hash,
+  };
+}
+
+/**
+ * Lists audit entries newest first.
+ * @param {object} [filters] See auditRepository.list.
+ * @returns {Promise<object[]>}
+ */
+async function listAuditEntries(filters) {
+  const rows = await auditRepository.list(filters);
+  return rows.map(formatEntry);
+}
+
+/**
+ * Walks the whole chain, checking each entry links to the one before it and
+ * still matches its hash. Removing the newest entries leaves a valid, shorter
+ * chain, so compare headHash with a copy kept elsewhere to detect that.
+ * @returns {Promise<{ valid: boolean, checkedCount: number, headHash: string | null, brokenAt: { id: number, reason: string } | null }>}
+ */
+async function verifyAuditLog() {
+  let previousHash = GENESIS_HASH;
+  let lastId = 0;
+  let checkedCount = 0;
+
+  for (;;) {
+    const rows = await auditRepository.listInOrder(lastId, VERIFY_PAGE_SIZE);
+
+    for (const row of rows) {
+      let reason = null;
+      if (row.previousHash !== previousHash)
+        reason = "Does not link to the entry before it";
+      else if (hashEntry(row) !== row.hash)
+        reason = "Contents do not match its hash";
+
+      if (reason)
+        return {
+          valid: false,
+          checkedCount,
+          headHash: checkedCount > 0 ? previousHash : null,
+          brokenAt: { id: Number(row.id), reason },
+        };
+
+      previousHash = row.hash;
+      lastId = Number(row.id);
+      checkedCount++;
+    }
+
+    if (rows.length < VERIFY_PAGE_SIZE)
+      return {
+        valid: true,
+        checkedCount,
+        headHash: checkedCount > 0 ? previousHash : null,
+        brokenAt: null,
+      };
+  }
+}
+
+module.exports = {
+  recordAudit,
+  withAudit,
+  getCliActor,
+  listAuditEntries,
+  verifyAuditLog,
+};
@@ -1,5 +1,6 @@
 const { deployedContract } = require("../config/web3");
 const { AppError } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
 
 /**
  * Fetches public details for a specific campaign directly from the smart contract.
@@ -32,10 +33,10 @@ async function getCampaignDetails(campaignId) {
 
     return formattedCampaign;
   } catch (error) {
-    console.error(
-      `Error fetching details for campaign ${campaignId}:`,
-      error.message
-    );
+    logger.error("Error fetching campaign details", {
+      campaignId: Number(campaignId),
+      error: error.message,
+    });
     // Propagate a generic error to the controller to handle.
     throw new AppError(
       "Failed to retrieve campaign details from the blockchain",
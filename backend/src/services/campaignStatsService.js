@@ -0,0 +1,75 @@
+const { deployedContract } = require("../config/web3");
+const { mintRepository } = require("../repositories");
+const { AppError } = require("../middleware/errorHandler");
+const getCampaignDetails = require("./campaignService");
+const { getWhitelistSize } = require("./proofService");
+const { logger } = require("../utils/logger");
+
+/**
+ * Describes where a campaign is in its minting window.
+ * @param {{ startTime: number, endTime: number }} campaign Unix seconds.
+ * @returns {{ phase: string, secondsUntilStart: number, secondsUntilEnd: number }}
+ */
+function getTimeline({ startTime, endTime }) {
+  const now = Math.floor(Date.now() / 1000);
+  let phase = "live";
+  if (now < startTime) phase = "upcoming";
+  else if (now > endTime) phase = "ended";
+
+  return {
+    phase,
+    secondsUntilStart: Math.max(startTime - now, 0),
+    secondsUntilEnd: Math.max(endTime - now, 0),
+  };
+}
+
+/**
+ * Builds mint progress and timeline statistics for a campaign from the
+ * contract, the stored whitelist and the confirmed mints in the database.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @returns {Promise<object|null>} The statistics, or null if the campaign does not exist.
+ */
+async function getCampaignStats(campaignId) {
+  const campaign = await getCampaignDetails(campaignId);
+  if (!campaign) return null;
+
+  let mintCount;
+  try {
+    mintCount = Number(await deployedContract.campaignMintCount(campaignId));
+  } catch (error) {
+    logger.error("Error fetching campaign mint count", {
+      campaignId: Number(campaignId),
+      error: error.message,
+    });
+    throw new AppError(
+      "Failed to retrieve campaign details from the blockchain",
+      500
+    );
+  }
+
+  const [whitelistSize, mintsPerDay] = await Promise.all([
+    getWhitelistSize(campaignId),
+    mintRepository.countConfirmedByDay(campaignId),
+  ]);
+
+  return {
+    campaignId: Number(campaignId),
+    isActive: campaign.isActive,
+    startTime: campaign.startTime,
+    endTime: campaign.endTime,
+    maxMints: campaign.maxMints,
+    whitelistSize,
+    mintCount,
+    remainingCapacity: Math.max(campaign.maxMints - mintCount, 0),
+    // Share of whitelisted attendees who have claimed, from 0 to 1.
+    claimRate:
+      whitelistSize > 0 ? Number((mintCount / whitelistSize).toFixed(4)) : null,
+    mintsPerDay: mintsPerDay.map(({ date, count }) => ({
+      date,
+      count: Number(count),
+    })),
+    timeline: getTimeline(campaign),
+  };
+}
+
+module.exports = getCampaignStats;
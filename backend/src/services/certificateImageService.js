@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { AppError } = require("../middleware/errorHandler");
+const { metadataRepository } = require("../repositories");
+const { loadCertificate, validateAttendeeName } = require("./metadataService");
+const {
+  DEFAULT_TEMPLATE_PATH,
+  DEFAULT_TEXT_COLOR,
+  renderCertificate,
+} = require("../utils/certificateImage");
+const { logger } = require("../utils/logger");
+
+// The blank certificate that names are drawn onto.
+const TEMPLATE_IMAGE_PATH =
+  process.env.CERTIFICATE_TEMPLATE_PATH || DEFAULT_TEMPLATE_PATH;
+// Rendered certificates, as <campaignId>/<address>-<version>.png.
+const CACHE_DIR =
+  process.env.CERTIFICATE_CACHE_DIR ||
+  path.join(__dirname, "..", "..", "certificateCache");
+
+// Renders in progress by cache file, so concurrent requests for one
+// certificate draw it once.
+const rendering = new Map();
+
+/**
+ * Identifies the template file's current contents, so replacing it
+ * invalidates every cached certificate.
+ * @returns {Promise<string>}
+ * @throws {AppError} 503 if the template image cannot be read.
+ */
+async function getTemplateImageVersion() {
+  try {
+    const stats = await fs.stat(TEMPLATE_IMAGE_PATH);
+    return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+  } catch (error) {
+    logger.error("Certificate template image cannot be read", {
+      path: TEMPLATE_IMAGE_PATH,
+      error: error.message,
+    });
+    throw new AppError(
+      "Certificate images are not available",
+      503,
+      "RENDERING_UNAVAILABLE"
+    );
+  }
+}
+
+/**
+ * Draws a certificate, turning a missing canvas build or font into a 503.
+ * @param {string} name
+ * @param {string} textColor
+ * @returns {Promise<Buffer>}
+ */
+async function render(name, textColor) {
+  try {
+    return await renderCertificate({
+      name,
+      textColor,
+      templatePath: TEMPLATE_IMAGE_PATH,
+    });
+  } catch (error) {
+    logger.error("Failed to render certificate", {
+      name,
+      error: error.message,
+    });
+    throw new AppError(
+      "Certificate images are not available",
+      503,
+      "RENDERING_UNAVAILABLE"
+    );
+  }
+}
+
+/**
+ * Writes a freshly rendered certificate to the cache and removes the
+ * attendee's older versions. Failures are logged, not thrown; the image is
+ * simply rendered again next time.
+ * @param {string} filePath
+ * @param {Buffer} image
+ */
+async function writeCache(filePath, image) {
+  const dir = path.dirname(filePath);
+  const prefix = `${path.basename(filePath).split("-")[0]}-`;
+
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, image);
+    await fs.rename(tempPath, filePath);
+
+    const stale = (await fs.readdir(dir)).filter(
+      (file) =>
+        file.startsWith(prefix) &&
+        file.endsWith(".png") &&
+        file !== path.basename(filePath)
+    );
+    await Promise.all(stale.map((file) => fs.unlink(path.join(dir, file))));
+  } catch (error) {
+    logger.warn("Could not cache certificate", {
+      path: filePath,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Reads a certificate from the cache, rendering and storing it on a miss.
+ * @param {string} filePath
+ * @param {string} name
+ * @param {string} textColor
+ * @returns {Promise<Buffer>}
+ */
+async function readOrRender(filePath, name, textColor) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  let pending = rendering.get(filePath);
+  if (!pending) {
+    pending = render(name, textColor).then(async (image) => {
+      await writeCache(filePath, image);
+      return image;
+    });
+    rendering.set(filePath, pending);
+    pending.finally(() => rendering.delete(filePath)).catch(() => {});
+  }
+  return pending;
+}
+
+/**
+ * Prepares an attendee's certificate image. The ETag covers the name, the
+ * color and the template file, so a client's cached copy can be confirmed
+ * without reading or drawing the image; call `load` for the PNG itself,
+ * which comes from the disk cache when it was drawn before.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {string} address The attendee's wallet address, in any case.
+ * @returns {Promise<{ etag: string, load: () => Promise<Buffer> }>}
+ * @throws {AppError} 404 if the campaign has no template or the address no
+ *   name; 503 if the template image is missing.
+ */
+async function getCertificateImage(campaignId, address) {
+  const lowerAddress = address.toLowerCase();
+  const { template, name } = await loadCertificate(campaignId, lowerAddress);
+  const textColor = template.textColor || DEFAULT_TEXT_COLOR;
+
+  const version = crypto
+    .createHash("sha256")
+    .update(JSON.stringify([name, textColor, await getTemplateImageVersion()]))
+    .digest("hex")
+    .slice(0, 32);
+  const filePath = path.join(
+    CACHE_DIR,
+    String(Number(campaignId)),
+    `${lowerAddress}-${version}.png`
+  );
+
+  return {
+    etag: `"${version}"`,
+    load: () => readOrRender(filePath, name, textColor),
+  };
+}
+
+/**
+ * Draws a certificate for any name with the campaign's text color, to check
+ * how a name fits before the event. Previews are not cached.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {string} name
+ * @returns {Promise<Buffer>}
+ * @throws {AppError} 400 for an empty or overlong name; 503 if images cannot
+ *   be rendered.
+ */
+async function renderPreview(campaignId, name) {
+  const cleanName = validateAttendeeName(name);
+  const template = await metadataRepository.findTemplate(campaignId);
+
+  return render(cleanName, template?.textColor || DEFAULT_TEXT_COLOR);
+}
+
+module.exports = { getCertificateImage, renderPreview };
@@ -0,0 +1,330 @@
+const { ZeroAddress, isAddress, getAddress } = require("ethers");
+const { provider, deployedContract } = require("../config/web3");
+const { get } = require("../config/db");
+const {
+  mintRepository,
+  revocationRepository,
+  contractEventRepository,
+} = require("../repositories");
+const { AppError } = require("../middleware/errorHandler");
+const { decodeContractError } = require("../utils/contractErrors");
+const { queryLogsInPages } = require("../utils/contractLogs");
+const { logger } = require("../utils/logger");
+
+const IPFS_GATEWAY_URL = (
+  process.env.IPFS_GATEWAY_URL || "https://gateway.pinata.cloud/ipfs/"
+).replace(/\/?$/, "/");
+const METADATA_TIMEOUT_MS = Number(process.env.METADATA_TIMEOUT_MS) || 5000;
+
+// Reverts meaning the token was never minted or has been burned.
+const MISSING_TOKEN_ERRORS = ["NonExistentToken", "ERC721NonexistentToken"];
+
+/**
+ * Validates a token ID from a URL parameter.
+ * @param {string} tokenId
+ * @returns {bigint}
+ * @throws {AppError} If the token ID is not a positive integer.
+ */
+function parseTokenId(tokenId) {
+  if (!/^\d+$/.test(String(tokenId)) || BigInt(tokenId) < 1n)
+    throw new AppError("Token ID must be a positive integer", 400);
+  return BigInt(tokenId);
+}
+
+/**
+ * Tells whether a contract call failed because the token does not exist.
+ * @param {Error} error The error thrown by ethers.
+ * @returns {boolean}
+ */
+function isMissingToken(error) {
+  return MISSING_TOKEN_ERRORS.includes(decodeContractError(error)?.errorName);
+}
+
+/**
+ * Turns an ipfs:// URI into a gateway URL; other URIs are returned as is.
+ * @param {string} uri
+ * @returns {string}
+ */
+function toGatewayURL(uri) {
+  return uri.startsWith("ipfs://")
+    ? `${IPFS_GATEWAY_URL}${uri.slice("ipfs://".length)}`
+    : uri;
+}
+
+/**
+ * Fetches the metadata JSON a token URI points to.
+ * @param {string} tokenURI
+ * @returns {Promise<object|null>} The metadata, or null if it could not be fetched.
+ */
+async function fetchMetadata(tokenURI) {
+  try {
+    const response = await fetch(toGatewayURL(tokenURI), {
+      signal: AbortSignal.timeout(METADATA_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    logger.warn("Failed to fetch token metadata", {
+      tokenURI,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Finds the transaction that minted a token, preferring the indexed events
+ * and the mints table and falling back to the chain's logs.
+ * @param {bigint} tokenId
+ * @returns {Promise<{ campaignId: number, transactionHash: string, blockNumber: number, issuedAt: string | null } | null>}
+ */
+async function findMintTransaction(tokenId) {
+  const row =
+    (await contractEventRepository.findMintByTokenId(tokenId.toString())) ||
+    (await mintRepository.findByTokenId(tokenId.toString()));
+
+  if (row) {
+    return {
+      campaignId: row.campaignId,
+      transactionHash: row.transactionHash,
+      blockNumber: row.blockNumber,
+      issuedAt: row.blockTimestamp
+        ? new Date(row.blockTimestamp * 1000).toISOString()
+        : row.confirmedAt || null,
+    };
+  }
+
+  try {
+    const [log] = await queryLogsInPages(
+      deployedContract,
+      deployedContract.filters.CertificateMinted(null, tokenId),
+      await provider.getBlockNumber(),
+      { first: true }
+    );
+    if (!log) return null;
+
+    const block = await provider.getBlock(log.blockNumber);
+    return {
+      campaignId: Number(log.args.campaignId),
+      transactionHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      issuedAt: new Date(block.timestamp * 1000).toISOString(),
+    };
+  } catch (error) {
+    logger.warn("Failed to find mint log", {
+      tokenId: String(tokenId),
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * Looks up the indexed burn of a token.
+ * @param {bigint} tokenId
+ * @returns {Promise<object|undefined>} The Transfer event row, if indexed.
+ */
+function findBurn(tokenId) {
+  // The indexer stores a Transfer's recipient as its account.
+  return get(
+    `SELECT transactionHash, blockTimestamp, args FROM contract_events
+      WHERE eventName = 'Transfer' AND tokenId = ? AND account = ?
+      ORDER BY blockNumber DESC LIMIT 1`,
+    [tokenId.toString(), ZeroAddress]
+  );
+}
+
+/**
+ * Verifies a certificate by token ID against the contract.
+ * @param {string} tokenIdParam The token ID from the request.
+ * @returns {Promise<object>} The certificate with status `valid` or `revoked`.
+ * @throws {AppError} 404 with code NonExistentToken if it was never minted.
+ */
+async function getCertificate(tokenIdParam) {
+  const tokenId = parseTokenId(tokenIdParam);
+
+  let holder, campaignId, tokenURI;
+  try {
+    [holder, campaignId, tokenURI] = await Promise.all([
+      deployedContract.ownerOf(tokenId),
+      deployedContract.tokenToCampaignId(tokenId),
+      deployedContract.tokenURI(tokenId),
+    ]);
+  } catch (error) {
+    if (!isMissingToken(error)) {
+      logger.error("Error verifying token", {
+        tokenId: String(tokenId),
+        error: error.message,
+      });
+      throw new AppError(
+        "Failed to retrieve certificate details from the blockchain",
+        500
+      );
+    }
+
+    // Token IDs are sequential, so a missing ID below the next one was burned.
+    const nextTokenId = await deployedContract.nextTokenId();
+    if (tokenId >= nextTokenId)
+      throw new AppError("Certificate not found", 404, "NonExistentToken");
+
+    const [burn, mint, revocation] = await Promise.all([
+      findBurn(tokenId),
+      findMintTransaction(tokenId),
+      revocationRepository.findByTokenId(tokenId.toString()),
+    ]);
+    return {
+      tokenId: tokenId.toString(),
+      status: "revoked",
+      holder: burn ? JSON.parse(burn.args).from : revocation?.holder || null,
+      campaignId: mint?.campaignId ?? null,
+      tokenURI: null,
+      metadata: null,
+      issuedAt: mint?.issuedAt || null,
+      transactionHash: mint?.transactionHash || null,
+      revokedAt: burn
+        ? new Date(burn.blockTimestamp * 1000).toISOString()
+        : revocation?.revokedAt || null,
+      revocationTransactionHash:
+        burn?.transactionHash || revocation?.transactionHash || null,
+      // Only burns made through the admin API have a recorded reason.
+      revocationReason: revocation?.reason || null,
+    };
+  }
+
+  const [metadata, mint] = await Promise.all([
+    fetchMetadata(tokenURI),
+    findMintTransaction(tokenId),
+  ]);
+
+  return {
+    tokenId: tokenId.toString(),
+    status: "valid",
+    holder,
+    campaignId: Number(campaignId),
+    tokenURI,
+    metadata,
+    issuedAt: mint?.issuedAt || null,
+    transactionHash: mint?.transactionHash || null,
+  };
+}
+
+/**
+ * Finds the mints of an address in the chain's logs. Only used when the event
+ * indexer is off, since it then keeps the mints table complete.
+ * @param {string} address Checksummed address.
+ * @returns {Promise<object[]>} Rows shaped like the mints table.
+ */
+async function findMintLogs(address) {
+  try {
+    const logs = await queryLogsInPages(
+      deployedContract,
+      deployedContract.filters.CertificateMinted(address),
+      await provider.getBlockNumber()
+    );
+    return logs.map((log) => ({
+      campaignId: Number(log.args.campaignId),
+      tokenId: log.args.tokenId.toString(),
+      transactionHash: log.transactionHash,
+      status: "confirmed",
+      mintedAt: null,
+    }));
+  } catch (error) {
+    logger.warn("Failed to find mint logs", {
+      address,
+      error: error.message,
+    });
+    return [];
+  }
+}
+
+/**
+ * Reads the on-chain state of one of an address's mints.
+ * @param {string} address Checksummed address.
+ * @param {object} mint A mints row (or one built from the logs).
+ * @returns {Promise<object>}
+ */
+async function describeMint(address, mint) {
+  const hasMinted = await deployedContract.hasMintedInCampaign(
+    mint.campaignId,
+    address
+  );
+
+  let status = mint.status;
+  let tokenURI = null;
+  let metadata = null;
+
+  if (mint.tokenId) {
+    const holder = await deployedContract
+      .ownerOf(mint.tokenId)
+      .catch((error) => {
+        if (isMissingToken(error)) return null;
+        throw error;
+      });
+
+    if (holder === address) {
+      status = "valid";
+      tokenURI = await deployedContract.tokenURI(mint.tokenId);
+      metadata = await fetchMetadata(tokenURI);
+    } else {
+      status = "revoked";
+    }
+  }
+
+  return {
+    campaignId: Number(mint.campaignId),
+    tokenId: mint.tokenId || null,
+    // pending or failed until the mint is confirmed; then valid or revoked.
+    status,
+    hasMintedInCampaign: hasMinted,
+    tokenURI,
+    metadata,
+    transactionHash: mint.transactionHash,
+    mintedAt: mint.confirmedAt || mint.mintedAt || null,
+  };
+}
+
+/**
+ * Lists every certificate an address has minted or claimed, one entry per
+ * campaign, checked against the contract.
+ * @param {string} addressParam The wallet address from the request.
+ * @returns {Promise<object[]>}
+ * @throws {AppError} If the address is invalid or the chain cannot be read.
+ */
+async function getCertificatesForAddress(addressParam) {
+  if (!isAddress(addressParam))
+    throw new AppError("Invalid Ethereum address format", 400);
+  const address = getAddress(addressParam);
+
+  const mints = await mintRepository.listByAttendee(address);
+
+  if (process.env.INDEXER_START_BLOCK === undefined) {
+    const known = new Set(mints.map((mint) => Number(mint.campaignId)));
+    const logged = new Map();
+    // Logs are in block order, so a re-mint after a burn wins.
+    for (const mint of await findMintLogs(address)) {
+      if (!known.has(mint.campaignId)) logged.set(mint.campaignId, mint);
+    }
+    mints.push(...logged.values());
+    mints.sort((a, b) => a.campaignId - b.campaignId);
+  }
+
+  try {
+    return await Promise.all(mints.map((mint) => describeMint(address, mint)));
+  } catch (error) {
+    logger.error("Error listing certificates", {
+      address,
+      error: error.message,
+    });
+    throw new AppError(
+      "Failed to retrieve certificate details from the blockchain",
+      500
+    );
+  }
+}
+
+module.exports = {
+  getCertificate,
+  getCertificatesForAddress,
+  fetchMetadata,
+  isMissingToken,
+};
@@ -0,0 +1,241 @@
+const crypto = require("crypto");
+const { run, get, all } = require("../config/db");
+const { AppError } = require("../middleware/errorHandler");
+const { loadWhitelist, storeWhitelist } = require("./whitelistService");
+const { logger } = require("../utils/logger");
+
+// No 0/O or 1/I, so codes survive being read out or retyped. 32 symbols keep
+// every character uniformly random.
+const CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const CODE_LENGTH = 12;
+
+/**
+ * Generates a claim code such as "7KQ2-MX9P-4TRB".
+ * @returns {string}
+ */
+function generateCode() {
+  const chars = Array.from(
+    crypto.randomBytes(CODE_LENGTH),
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  );
+  return chars.join("").match(/.{4}/g).join("-");
+}
+
+/**
+ * Codes are compared without case, spaces or dashes.
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeCode(code) {
+  return String(code).toUpperCase().replace(/[\s-]/g, "");
+}
+
+/**
+ * Codes are stored hashed, so a leaked database does not leak usable codes.
+ * @param {string} code
+ * @returns {string}
+ */
+function hashCode(code) {
+  return crypto.createHash("sha256").update(normalizeCode(code)).digest("hex");
+}
+
+/**
+ * Issues claim codes for email-only attendees of a campaign. Attendees who
+ * already redeemed a code are skipped, and so are those with an unredeemed
+ * code unless `reissue` is set, which replaces it.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {{ row: number, email: string }[]} attendees Validated, de-duplicated emails.
+ * @param {{ reissue?: boolean }} [options]
+ * @returns {Promise<{ issued: { row: number, email: string, code: string }[], unchanged: number }>}
+ *   The plaintext codes, which are not stored and cannot be shown again.
+ */
+async function issueClaimCodes(
+  campaignId,
+  attendees,
+  { reissue = false } = {}
+) {
+  const issued = [];
+  let unchanged = 0;
+
+  for (const { row, email } of attendees) {
+    const existing = await get(
+      `SELECT redeemedAt FROM claim_codes WHERE campaignId = ? AND email = ?`,
+      [campaignId, email]
+    );
+    if (existing && (existing.redeemedAt || !reissue)) {
+      unchanged++;
+      continue;
+    }
+
+    const code = generateCode();
+    await run(
+      `INSERT INTO claim_codes (campaignId, email, codeHash, createdAt) VALUES (?, ?, ?, ?)
+       ON CONFLICT (campaignId, email) DO UPDATE
+         SET codeHash = excluded.codeHash, createdAt = excluded.createdAt`,
+      [campaignId, email, hashCode(code), new Date().toISOString()]
+    );
+    issued.push({ row, email, code });
+  }
+
+  if (issued.length > 0)
+    logger.info("Issued claim codes", {
+      campaignId: Number(campaignId),
+      count: issued.length,
+    });
+
+  return { issued, unchanged };
+}
+
+/**
+ * Redeems a claim code for a wallet, adding the wallet to the campaign's
+ * pending whitelist batch.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {string} code The claim code the attendee received.
+ * @param {string} address The attendee's checksummed wallet address.
+ * @returns {Promise<{ campaignId: number, address: string, status: string }>}
+ * @throws {AppError} 404 for an unknown code, 409 if the code was already
+ *   redeemed or the wallet is already whitelisted.
+ */
+async function redeemClaimCode(campaignId, code, address) {
+  const claimCode = await get(
+    `SELECT id, redeemedAt FROM claim_codes WHERE campaignId = ? AND codeHash = ?`,
+    [campaignId, hashCode(code)]
+  );
+  if (!claimCode)
+    throw new AppError(
+      "Claim code is not valid for this campaign",
+      404,
+      "INVALID_CLAIM_CODE"
+    );
+  if (claimCode.redeemedAt)
+    throw new AppError(
+      "Claim code has already been redeemed",
+      409,
+      "CLAIM_CODE_REDEEMED"
+    );
+
+  const [whitelist, redeemed] = await Promise.all([
+    loadWhitelist(campaignId),
+    get(
+      `SELECT id FROM claim_codes WHERE campaignId = ? AND redeemedAddress = ?`,
+      [campaignId, address]
+    ),
+  ]);
+  const lowerAddress = address.toLowerCase();
+  if (redeemed || whitelist.some((a) => a.toLowerCase() === lowerAddress))
+    throw new AppError(
+      "This wallet is already on the campaign's whitelist",
+      409,
+      "ADDRESS_ALREADY_WHITELISTED"
+    );
+
+  // Guarded on redeemedAt so two concurrent redemptions cannot both succeed.
+  const { changes } = await run(
+    `UPDATE claim_codes SET redeemedAt = ?, redeemedAddress = ?
+      WHERE id = ? AND redeemedAt IS NULL`,
+    [new Date().toISOString(), address, claimCode.id]
+  );
+  if (changes === 0)
+    throw new AppError(
+      "Claim code has already been redeemed",
+      409,
+      "CLAIM_CODE_REDEEMED"
+    );
+
+  logger.info("Claim code redeemed", {
+    campaignId: Number(campaignId),
+    address,
+  });
+
+  return { campaignId: Number(campaignId), address, status: "pending" };
+}
+
+/**
+ * Lists a campaign's claim codes without the codes themselves.
+ * Status is "unredeemed", "pending" (redeemed, not yet in the Merkle tree)
+ * or "applied".
+ * @param {string | number} campaignId The ID of the campaign.
+ * @returns {Promise<object[]>}
+ */
+async function listClaimCodes(campaignId) {
+  const rows = await all(
+    `SELECT email, createdAt, redeemedAt, redeemedAddress, appliedAt
+       FROM claim_codes WHERE campaignId = ? ORDER BY id`,
+    [campaignId]
+  );
+
+  return rows.map((row) => {
+    let status = "unredeemed";
+    if (row.appliedAt) status = "applied";
+    else if (row.redeemedAt) status = "pending";
+    return { ...row, status };
+  });
+}
+
+/**
+ * Wallets from redeemed claim codes that are already in the Merkle tree.
+ * A fresh CSV upload keeps them so re-importing does not drop them.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @returns {Promise<string[]>}
+ */
+async function getAppliedAddresses(campaignId) {
+  const rows = await all(
+    `SELECT redeemedAddress FROM claim_codes
+      WHERE campaignId = ? AND appliedAt IS NOT NULL`,
+    [campaignId]
+  );
+  return rows.map((row) => row.redeemedAddress);
+}
+
+/**
+ * Adds the campaign's pending batch of redeemed wallets to its stored
+ * whitelist and rebuilds the Merkle tree.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @returns {Promise<{ merkleRoot: string, addressCount: number, addedCount: number }>}
+ * @throws {AppError} 400 if nothing is pending.
+ */
+async function applyPendingWhitelist(campaignId) {
+  const pending = await all(
+    `SELECT id, redeemedAddress FROM claim_codes
+      WHERE campaignId = ? AND redeemedAt IS NOT NULL AND appliedAt IS NULL`,
+    [campaignId]
+  );
+  if (pending.length === 0)
+    throw new AppError(
+      "No redeemed claim codes are waiting to be added",
+      400,
+      "NO_PENDING_ADDRESSES"
+    );
+
+  const addresses = await loadWhitelist(campaignId);
+  const previousCount = addresses.length;
+  const known = new Set(addresses.map((address) => address.toLowerCase()));
+  for (const { redeemedAddress } of pending) {
+    if (known.has(redeemedAddress.toLowerCase())) continue;
+    known.add(redeemedAddress.toLowerCase());
+    addresses.push(redeemedAddress);
+  }
+
+  const { merkleRoot, addressCount } = await storeWhitelist(
+    campaignId,
+    addresses
+  );
+
+  const ids = pending.map((row) => row.id);
+  await run(
+    `UPDATE claim_codes SET appliedAt = ? WHERE id IN (${ids
+      .map(() => "?")
+      .join(", ")})`,
+    [new Date().toISOString(), ...ids]
+  );
+
+  return { merkleRoot, addressCount, addedCount: addressCount - previousCount };
+}
+
+module.exports = {
+  issueClaimCodes,
+  redeemClaimCode,
+  listClaimCodes,
+  getAppliedAddresses,
+  applyPendingWhitelist,
+};
@@ -0,0 +1,368 @@
+const { ZeroAddress } = require("ethers");
+const { provider, deployedContract } = require("../config/web3");
+const { get, transaction } = require("../config/db");
+const {
+  mintRepository,
+  mintJobRepository,
+  revocationRepository,
+  auditRepository,
+  contractEventRepository,
+} = require("../repositories");
+const { emitWebhookEvent } = require("./webhookQueue");
+const { logger } = require("../utils/logger");
+
+const START_BLOCK = process.env.INDEXER_START_BLOCK;
+const BATCH_SIZE = Number(process.env.INDEXER_BATCH_SIZE) || 2000;
+// Stay this many blocks behind the head so short reorgs do not reach the DB.
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS ?? 2);
+const POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_MS) || 10000;
+const CHECKPOINT_KEY = "eventIndexer.lastBlock";
+
+let indexerTimer = null;
+
+/**
+ * Converts parsed event arguments into plain JSON (BigInts become strings).
+ * @param {import("ethers").LogDescription} parsed
+ * @returns {object}
+ */
+function serializeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, index) => {
+    const value = parsed.args[index];
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * Returns the last synced block, or the block before INDEXER_START_BLOCK.
+ * @returns {Promise<number>}
+ */
+async function getCheckpoint() {
+  const row = await get(`SELECT value FROM indexer_state WHERE key = ?`, [
+    CHECKPOINT_KEY,
+  ]);
+  return row ? Number(row.value) : Number(START_BLOCK) - 1;
+}
+
+/**
+ * Records the last synced block.
+ * @param {number} blockNumber
+ * @param {object} tx The transaction from `transaction()`.
+ */
+async function saveCheckpoint(blockNumber, tx) {
+  await tx.run(
+    `INSERT INTO indexer_state (key, value) VALUES (?, ?)
+     ON CONFLICT (key) DO UPDATE SET value = excluded.value, updatedAt = CURRENT_TIMESTAMP`,
+    [CHECKPOINT_KEY, String(blockNumber)]
+  );
+}
+
+/**
+ * Keeps the `mints` and `campaigns` tables in step with an indexed event.
+ * Every write sets absolute values, so replaying a batch is harmless.
+ * @param {object} event The stored event (name, args, block and tx details),
+ *   with the base URI indexRange read for a CampaignCreated event.
+ * @param {object} tx The transaction from `transaction()`.
+ */
+async function applyEvent(event, tx) {
+  const { eventName, args, blockNumber, blockTimestamp, transactionHash } =
+    event;
+  const confirmedAt = new Date(blockTimestamp * 1000).toISOString();
+
+  switch (eventName) {
+    case "CertificateMinted":
+      // Also covers mints sent outside the API, e.g. by Mint.s.sol.
+      await mintRepository.recordConfirmed(
+        {
+          campaignId: Number(args.campaignId),
+          attendeeAddress: args.attendee,
+          transactionHash,
+          blockNumber,
+          tokenId: args.tokenId,
+          confirmedAt,
+        },
+        tx
+      );
+      break;
+
+    case "Transfer":
+      // Certificates are soulbound, so the only transfer to zero is a burn.
+      if (args.to === ZeroAddress) {
+        await mintRepository.markBurned(args.tokenId, tx);
+        const mint = await mintRepository.findByTokenId(args.tokenId, tx);
+        if (mint)
+          await mintJobRepository.markRevoked(mint.campaignId, args.from, tx);
+      }
+      break;
+
+    case "CampaignCreated":
+      await tx.run(
+        `INSERT INTO campaigns (campaignId, merkleRoot, startTime, endTime, maxMints, isActive, baseURI, isDeleted, createdBlock, updatedBlock)
+         VALUES (?, ?, ?, ?, ?, 0, ?, 0, ?, ?)
+         ON CONFLICT (campaignId) DO UPDATE SET
+           merkleRoot = excluded.merkleRoot, startTime = excluded.startTime, endTime = excluded.endTime,
+           maxMints = excluded.maxMints, isDeleted = 0, createdBlock = excluded.createdBlock, updatedBlock = excluded.updatedBlock`,
+        [
+          Number(args.campaignId),
+          args.merkleRoot,
+          Number(args.startTime),
+          Number(args.endTime),
+          Number(args.maxMints),
+          event.baseURI,
+          blockNumber,
+          blockNumber,
+        ]
+      );
+      break;
+
+    case "CampaignUpdated":
+      await tx.run(
+        `UPDATE campaigns SET merkleRoot = ?, startTime = ?, endTime = ?, updatedBlock = ? WHERE campaignId = ?`,
+        [
+          args.newMerkleRoot,
+          Number(args.newStartTime),
+          Number(args.newEndTime),
+          blockNumber,
+          Number(args.campaignId),
+        ]
+      );
+      break;
+
+    case "CampaignActiveStatusChanged":
+      await tx.run(
+        `UPDATE campaigns SET isActive = ?, updatedBlock = ? WHERE campaignId = ?`,
+        [args.isActive ? 1 : 0, blockNumber, Number(args.campaignId)]
+      );
+      break;
+
+    case "CampaignBaseURIUpdated":
+      await tx.run(
+        `UPDATE campaigns SET baseURI = ?, updatedBlock = ? WHERE campaignId = ?`,
+        [args.newBaseURI, blockNumber, Number(args.campaignId)]
+      );
+      break;
+
+    case "CampaignDeleted":
+      await tx.run(
+        `UPDATE campaigns SET isDeleted = 1, isActive = 0, updatedBlock = ? WHERE campaignId = ?`,
+        [blockNumber, Number(args.campaignId)]
+      );
+      break;
+
+    default:
+      // Ownership, pause and relayer events are stored but need no projection.
+      break;
+  }
+}
+
+/**
+ * Sends webhooks for a newly indexed event. Runs before the event is
+ * applied, so a mint is only reported if the receipt watcher has not already
+ * confirmed it.
+ * @param {object} event The stored event (name, args, block and tx details).
+ * @param {object} tx The transaction from `transaction()`.
+ */
+async function notifyWebhooks(
+  { eventName, args, blockNumber, transactionHash },
+  tx
+) {
+  if (eventName === "CertificateMinted") {
+    const mint = await mintRepository.findByAttendee(
+      args.attendee,
+      Number(args.campaignId),
+      tx
+    );
+    if (
+      mint?.status === "confirmed" &&
+      mint.transactionHash === transactionHash
+    )
+      return;
+
+    await emitWebhookEvent(
+      "mint.confirmed",
+      args.campaignId,
+      {
+        attendee: args.attendee,
+        transactionHash,
+        tokenId: args.tokenId,
+        blockNumber,
+      },
+      tx
+    );
+  } else if (eventName === "Transfer" && args.to === ZeroAddress) {
+    const minted = await contractEventRepository.findMintByTokenId(
+      args.tokenId,
+      tx
+    );
+    if (!minted) return;
+    // Revocations through the admin API send their own, with the reason.
+    if (await revocationRepository.findByTransaction(transactionHash, tx))
+      return;
+
+    await emitWebhookEvent(
+      "certificate.burned",
+      minted.campaignId,
+      {
+        tokenId: args.tokenId,
+        holder: args.from,
+        transactionHash,
+        blockNumber,
+        reason: null,
+      },
+      tx
+    );
+  } else if (eventName === "CampaignActiveStatusChanged" && args.isActive) {
+    // Activations through the admin API send their own.
+    if (
+      await auditRepository.findByTransaction(
+        "campaign.setActive",
+        transactionHash,
+        tx
+      )
+    )
+      return;
+
+    await emitWebhookEvent(
+      "campaign.activated",
+      args.campaignId,
+      { transactionHash, blockNumber },
+      tx
+    );
+  }
+}
+
+/**
+ * Fetches, stores and applies every contract event in a block range, then
+ * moves the checkpoint to its end. Everything is read from the chain first
+ * and written in one transaction, so a failure leaves no half-indexed range
+ * (and no webhooks for it) behind.
+ * @param {number} fromBlock
+ * @param {number} toBlock
+ * @returns {Promise<number>} The number of events stored.
+ */
+async function indexRange(fromBlock, toBlock) {
+  const logs = await provider.getLogs({
+    address: await deployedContract.getAddress(),
+    fromBlock,
+    toBlock,
+  });
+
+  const blockTimestamps = new Map();
+  const events = [];
+
+  for (const log of logs) {
+    const parsed = deployedContract.interface.parseLog(log);
+    if (!parsed) continue;
+
+    if (!blockTimestamps.has(log.blockNumber)) {
+      const block = await provider.getBlock(log.blockNumber);
+      blockTimestamps.set(log.blockNumber, block.timestamp);
+    }
+
+    const args = serializeArgs(parsed);
+    const event = {
+      eventName: parsed.name,
+      args,
+      blockNumber: log.blockNumber,
+      blockTimestamp: blockTimestamps.get(log.blockNumber),
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+    };
+    // The event does not carry the base URI. Read it as of the event's block,
+    // since later CampaignBaseURIUpdated events are applied after it.
+    if (parsed.name === "CampaignCreated")
+      event.baseURI = await deployedContract.campaignBaseURI(args.campaignId, {
+        blockTag: log.blockNumber,
+      });
+    events.push(event);
+  }
+
+  return transaction(async (tx) => {
+    let stored = 0;
+    for (const event of events) {
+      const { args } = event;
+      const { changes } = await tx.run(
+        `INSERT INTO contract_events (blockNumber, blockTimestamp, transactionHash, logIndex, eventName, campaignId, tokenId, account, args)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (transactionHash, logIndex) DO NOTHING`,
+        [
+          event.blockNumber,
+          event.blockTimestamp,
+          event.transactionHash,
+          event.logIndex,
+          event.eventName,
+          args.campaignId !== undefined ? Number(args.campaignId) : null,
+          args.tokenId ?? null,
+          args.attendee ?? args.to ?? args.owner ?? args.account ?? null,
+          JSON.stringify(args),
+        ]
+      );
+
+      // Replayed ranges re-apply events but must not notify twice.
+      if (changes > 0) await notifyWebhooks(event, tx);
+      await applyEvent(event, tx);
+      stored += changes;
+    }
+
+    await saveCheckpoint(toBlock, tx);
+    return stored;
+  });
+}
+
+/**
+ * Indexes every block from the checkpoint up to the confirmed head.
+ * @returns {Promise<{ fromBlock: number, toBlock: number, events: number }>}
+ */
+async function syncToHead() {
+  if (START_BLOCK === undefined)
+    throw new Error("INDEXER_START_BLOCK is not set in your .env file.");
+
+  const lastBlock = await getCheckpoint();
+  const headBlock = (await provider.getBlockNumber()) - CONFIRMATIONS;
+  let events = 0;
+
+  for (let from = lastBlock + 1; from <= headBlock; from += BATCH_SIZE) {
+    const to = Math.min(from + BATCH_SIZE - 1, headBlock);
+    events += await indexRange(from, to);
+  }
+
+  if (headBlock > lastBlock)
+    logger.info("Indexed blocks", {
+      fromBlock: lastBlock + 1,
+      toBlock: headBlock,
+      events,
+    });
+
+  return { fromBlock: lastBlock + 1, toBlock: headBlock, events };
+}
+
+async function pollEvents() {
+  try {
+    await syncToHead();
+  } catch (error) {
+    logger.error("Event indexer error", { error: error.message });
+  } finally {
+    indexerTimer = setTimeout(pollEvents, POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Backfills from INDEXER_START_BLOCK (or the saved checkpoint) and then
+ * follows new blocks. Does nothing if INDEXER_START_BLOCK is not set.
+ */
+function startEventIndexer() {
+  if (indexerTimer) return;
+  if (START_BLOCK === undefined) {
+    // The API sends webhooks for what it does itself; only the indexer sees
+    // the rest.
+    logger.warn(
+      "Event indexer disabled: INDEXER_START_BLOCK is not set, so mints and burns made outside the API send no webhooks"
+    );
+    return;
+  }
+  logger.info("Event indexer started");
+  indexerTimer = setTimeout(pollEvents, 0);
+}
+
+module.exports = { syncToHead, startEventIndexer };
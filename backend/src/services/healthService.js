@@ -0,0 +1,146 @@
+const { formatEther } = require("ethers");
+const { provider, deployedContract } = require("../config/web3");
+const { get } = require("../config/db");
+const { RELAYER_LOW_BALANCE, getRelayerStatuses } = require("./relayerPool");
+
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000;
+// Every report costs several RPC calls, so one is reused for this long.
+const CACHE_MS = Number(process.env.HEALTH_CACHE_MS ?? 5000);
+
+let cachedReport = null;
+let cachedUntil = 0;
+let pendingReport = null;
+
+/**
+ * Runs a check, turning errors and timeouts into a failed result.
+ * @param {function(): Promise<object>} check Resolves with the check's details.
+ * @returns {Promise<object>} `{ ok: true, ...details }` or `{ ok: false, error }`.
+ */
+async function runCheck(check) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)),
+      CHECK_TIMEOUT_MS
+    );
+  });
+
+  try {
+    return { ok: true, ...(await Promise.race([check(), timeout])) };
+  } catch (error) {
+    return { ok: false, error: error.shortMessage || error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function checkDatabase() {
+  await get(`SELECT 1`);
+  return {};
+}
+
+async function checkRpc() {
+  const block = await provider.getBlock("latest");
+  return {
+    latestBlock: block.number,
+    // How far behind the wall clock the node's head is.
+    blockAgeSeconds: Math.max(
+      Math.floor(Date.now() / 1000) - block.timestamp,
+      0
+    ),
+  };
+}
+
+async function checkRelayers() {
+  const statuses = await getRelayerStatuses();
+  const relayers = statuses.map((status) => ({
+    address: status.address,
+    balance: formatEther(status.balance),
+    isLowBalance: status.isLowBalance,
+    matchesContract: status.isAuthorized,
+    pendingCount: status.pendingCount,
+  }));
+
+  return {
+    // Minting works as long as one authorised relayer has funds.
+    ok: statuses.some((status) => status.isAuthorized && !status.isLowBalance),
+    lowBalanceThreshold: formatEther(RELAYER_LOW_BALANCE),
+    relayers,
+  };
+}
+
+async function checkContract() {
+  const paused = await deployedContract.paused();
+  return { ok: !paused, address: await deployedContract.getAddress(), paused };
+}
+
+/**
+ * Runs every check at once.
+ * @returns {Promise<{ ready: boolean, checks: object, timestamp: string }>}
+ */
+async function runChecks() {
+  const [database, rpc, relayers, contract] = await Promise.all([
+    runCheck(checkDatabase),
+    runCheck(checkRpc),
+    runCheck(checkRelayers),
+    runCheck(checkContract),
+  ]);
+  const checks = { database, rpc, relayers, contract };
+
+  return {
+    ready: Object.values(checks).every((check) => check.ok),
+    checks,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Checks everything the API needs to accept mints: the database, the RPC
+ * node, the relayers' funds and authorization, and that the contract is not
+ * paused. A report is reused for HEALTH_CACHE_MS, and concurrent callers
+ * share the one being made.
+ * @returns {Promise<{ ready: boolean, checks: object, timestamp: string }>}
+ */
+async function getHealthReport() {
+  if (cachedReport && Date.now() < cachedUntil) return cachedReport;
+
+  if (!pendingReport)
+    pendingReport = runChecks()
+      .then((report) => {
+        cachedReport = report;
+        cachedUntil = Date.now() + CACHE_MS;
+        return report;
+      })
+      .finally(() => {
+        pendingReport = null;
+      });
+  return pendingReport;
+}
+
+/**
+ * Cuts a report down to what anyone may see: whether each check passed,
+ * whether a relayer is low on funds and whether the contract is paused.
+ * Relayer addresses, balances and errors stay behind the admin API.
+ * @param {{ ready: boolean, checks: object, timestamp: string }} report
+ * @returns {{ ready: boolean, checks: object, timestamp: string }}
+ */
+function toPublicReport({ ready, checks, timestamp }) {
+  const { database, rpc, relayers, contract } = checks;
+  return {
+    ready,
+    checks: {
+      database: { ok: database.ok },
+      rpc: { ok: rpc.ok },
+      relayers: {
+        ok: relayers.ok,
+        lowBalance: Boolean(
+          relayers.relayers?.some((relayer) => relayer.isLowBalance)
+        ),
+      },
+      contract: { ok: contract.ok, paused: contract.paused ?? null },
+    },
+    timestamp,
+  };
+}
+
+module.exports = { getHealthReport, toPublicReport };
@@ -0,0 +1,269 @@
+const crypto = require("crypto");
+const { AppError } = require("../middleware/errorHandler");
+const { metadataRepository } = require("../repositories");
+const { validateName } = require("../utils/merkle");
+
+const { TEMPLATE_FIELDS } = metadataRepository;
+const REQUIRED_TEMPLATE_FIELDS = ["eventName", "issuer"];
+const MAX_TEMPLATE_FIELD_LENGTH = 1000;
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Formats a template row for API responses.
+ * @param {object} template A row from the campaign_templates table.
+ * @returns {object}
+ */
+function formatTemplate(template) {
+  const formatted = { campaignId: template.campaignId };
+  for (const field of TEMPLATE_FIELDS) formatted[field] = template[field];
+  formatted.updatedAt = template.updatedAt;
+  return formatted;
+}
+
+/**
+ * Validates a template from the admin API. eventName and issuer are required;
+ * the other fields may be omitted or null.
+ * @param {object} input
+ * @returns {object} The template with strings trimmed and blanks as null.
+ * @throws {AppError} 400 for a missing or invalid field.
+ */
+function validateTemplate(input) {
+  const template = {};
+
+  for (const field of TEMPLATE_FIELDS) {
+    const value = input[field];
+    if (value == null || (typeof value === "string" && !value.trim())) {
+      if (REQUIRED_TEMPLATE_FIELDS.includes(field))
+        throw new AppError(`Missing required field: ${field}`, 400);
+      template[field] = null;
+      continue;
+    }
+    if (typeof value !== "string")
+      throw new AppError(`${field} must be a string`, 400);
+    if (value.length > MAX_TEMPLATE_FIELD_LENGTH)
+      throw new AppError(
+        `${field} exceeds maximum length of ${MAX_TEMPLATE_FIELD_LENGTH} characters`,
+        400
+      );
+    template[field] = value.trim();
+  }
+
+  if (template.externalUrl) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(template.externalUrl);
+    } catch {
+      throw new AppError("externalUrl is not a valid URL", 400);
+    }
+    if (!["http:", "https:"].includes(parsedUrl.protocol))
+      throw new AppError("externalUrl must use http or https", 400);
+  }
+  if (template.textColor && !HEX_COLOR_PATTERN.test(template.textColor))
+    throw new AppError("textColor must be a hex color such as #7b3fe4", 400);
+
+  return template;
+}
+
+/**
+ * Reads a campaign's certificate template, if it has one.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @returns {Promise<object | null>}
+ */
+async function findTemplate(campaignId) {
+  const template = await metadataRepository.findTemplate(campaignId);
+  return template ? formatTemplate(template) : null;
+}
+
+/**
+ * Reads a campaign's certificate template.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @returns {Promise<object>}
+ * @throws {AppError} 404 if the campaign has no template.
+ */
+async function getTemplate(campaignId) {
+  const template = await findTemplate(campaignId);
+  if (!template)
+    throw new AppError(
+      `Campaign #${campaignId} has no certificate template`,
+      404,
+      "TEMPLATE_NOT_FOUND"
+    );
+  return template;
+}
+
+/**
+ * Creates or replaces a campaign's certificate template.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {object} input The template fields; see validateTemplate.
+ * @returns {Promise<object>} The stored template.
+ * @throws {AppError} 400 for a missing or invalid field.
+ */
+async function setTemplate(campaignId, input) {
+  await metadataRepository.saveTemplate(campaignId, validateTemplate(input));
+  return getTemplate(campaignId);
+}
+
+/**
+ * Keeps the names from a whitelist upload for the campaign's metadata.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {{ address: string, name: string }[]} attendees Validated by processCSVData.
+ */
+async function storeAttendees(campaignId, attendees) {
+  if (attendees.length === 0) return;
+  await metadataRepository.saveAttendees(campaignId, attendees);
+}
+
+/**
+ * Validates a name typed into the admin API with the CSV's rules.
+ * @param {*} name
+ * @returns {string} The name with whitespace collapsed.
+ * @throws {AppError} 400 for an empty or overlong name.
+ */
+function validateAttendeeName(name) {
+  if (typeof name !== "string" || !name.trim())
+    throw new AppError("Missing required field: name", 400);
+
+  try {
+    return validateName(name);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+}
+
+/**
+ * Sets or corrects one attendee's name, e.g. for a wallet added through a
+ * claim code.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {string} address The attendee's wallet address.
+ * @param {string} name
+ * @returns {Promise<{ campaignId: number, address: string, name: string }>}
+ * @throws {AppError} 400 for an empty or overlong name.
+ */
+async function setAttendeeName(campaignId, address, name) {
+  const cleanName = validateAttendeeName(name);
+
+  await metadataRepository.saveAttendees(campaignId, [
+    { address, name: cleanName },
+  ]);
+  return {
+    campaignId: Number(campaignId),
+    address: address.toLowerCase(),
+    name: cleanName,
+  };
+}
+
+/**
+ * Reads the name stored for an attendee.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {string} address The attendee's wallet address.
+ * @returns {Promise<string | null>}
+ */
+async function findAttendeeName(campaignId, address) {
+  const attendee = await metadataRepository.findAttendee(campaignId, address);
+  return attendee ? attendee.name : null;
+}
+
+/**
+ * Loads what a certificate is built from.
+ * @param {string | number} campaignId
+ * @param {string} address
+ * @returns {Promise<{ template: object, name: string }>}
+ * @throws {AppError} 404 if the campaign has no template or the address no name.
+ */
+async function loadCertificate(campaignId, address) {
+  const [template, attendee] = await Promise.all([
+    metadataRepository.findTemplate(campaignId),
+    metadataRepository.findAttendee(campaignId, address),
+  ]);
+  if (!template || !attendee)
+    throw new AppError(
+      `No certificate metadata for ${address} in campaign #${campaignId}`,
+      404,
+      "METADATA_NOT_FOUND"
+    );
+  return { template, name: attendee.name };
+}
+
+/**
+ * Builds token metadata in the shape scripts/generateMetadata.js writes.
+ * `{name}` in the template's description is replaced with the attendee's name.
+ * @param {object} template A row from the campaign_templates table.
+ * @param {string} address Lowercase wallet address.
+ * @param {string} name
+ * @param {string} imageUrl
+ * @returns {object}
+ */
+function buildMetadata(template, address, name, imageUrl) {
+  const { eventName, issuer } = template;
+
+  const attributes = [
+    { trait_type: "Recipient", value: name },
+    { trait_type: "Issuer", value: issuer },
+  ];
+  if (template.eventDate)
+    attributes.push({
+      trait_type: "Date of Completion",
+      value: template.eventDate,
+    });
+  if (template.format)
+    attributes.push({ trait_type: "Format", value: template.format });
+  attributes.push(
+    { trait_type: "Token Standard", value: "Soulbound (SBT)" },
+    { trait_type: "Wallet Address", value: address }
+  );
+
+  // Optional fields are left undefined, so JSON.stringify drops them.
+  return {
+    description: template.description
+      ? template.description.replaceAll("{name}", name)
+      : `${eventName} Soulbound Token is a non-transferable certificate awarded to ${name} for successful completion of the ${eventName} hosted by ${issuer}.`,
+    external_url: template.externalUrl || undefined,
+    image: imageUrl,
+    name: `${eventName} Certificate - ${name}`,
+    attributes,
+    certificate_details: {
+      issuing_authority: template.issuingAuthority || `${issuer} Training`,
+      course_title: eventName,
+      course_description: template.courseDescription || undefined,
+      completion_criteria: template.completionCriteria || undefined,
+    },
+  };
+}
+
+/**
+ * Builds an attendee's token metadata.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {string} address The attendee's wallet address, in any case.
+ * @param {string} baseUrl Public origin of this API, for the image URL.
+ * @returns {Promise<{ metadata: object, etag: string }>}
+ * @throws {AppError} 404 if the campaign has no template or the address no name.
+ */
+async function getTokenMetadata(campaignId, address, baseUrl) {
+  const lowerAddress = address.toLowerCase();
+  const { template, name } = await loadCertificate(campaignId, lowerAddress);
+
+  const metadata = buildMetadata(
+    template,
+    lowerAddress,
+    name,
+    `${baseUrl}/metadata/${Number(campaignId)}/${lowerAddress}.png`
+  );
+  const etag = `"${crypto
+    .createHash("sha256")
+    .update(JSON.stringify(metadata))
+    .digest("base64url")}"`;
+
+  return { metadata, etag };
+}
+
+module.exports = {
+  findTemplate,
+  getTemplate,
+  setTemplate,
+  storeAttendees,
+  validateAttendeeName,
+  setAttendeeName,
+  findAttendeeName,
+  loadCertificate,
+  getTokenMetadata,
+};
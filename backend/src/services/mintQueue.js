@@ -0,0 +1,309 @@
+const crypto = require("crypto");
+const { provider } = require("../config/web3");
+const { mintRepository, mintJobRepository } = require("../repositories");
+const { AppError } = require("../middleware/errorHandler");
+const mintNFT = require("./relayerService");
+const { selectRelayer, reserveNonce, resetNonce } = require("./relayerPool");
+const { emitWebhookEvent } = require("./webhookQueue");
+const {
+  logger,
+  withLogContext,
+  withoutLogContext,
+} = require("../utils/logger");
+
+const MAX_ATTEMPTS = Number(process.env.MINT_JOB_MAX_ATTEMPTS) || 5;
+const POLL_INTERVAL_MS = Number(process.env.MINT_WORKER_POLL_MS) || 1000;
+const RETRY_BASE_DELAY_MS = 2000;
+const PAUSED_RETRY_MS = Number(process.env.MINT_PAUSED_RETRY_MS) || 60 * 1000;
+
+let workerTimer = null;
+let isProcessing = false;
+let isStarted = false;
+
+/**
+ * Formats a job row for API responses.
+ * @param {object} job A row from the mint_jobs table.
+ * @returns {object}
+ */
+function formatJob(job) {
+  return {
+    jobId: job.id,
+    campaignId: job.campaignId,
+    attendee: job.attendeeAddress,
+    status: job.status,
+    transactionHash: job.transactionHash,
+    attempts: job.attempts,
+    error: job.error,
+    errorCode: job.errorCode,
+    relayerAddress: job.relayerAddress || null,
+    // On-chain outcome of the submitted transaction, once known.
+    mintStatus: job.mintStatus || null,
+    tokenId: job.tokenId || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+/**
+ * Queues a mint for the relayer worker. If the attendee already has a live
+ * (queued, processing or submitted) job for the campaign, that job is returned
+ * instead so a retried request never mints twice, even when both requests
+ * arrive at once.
+ * @param {string} attendee The checksummed attendee address.
+ * @param {string | number} campaignId The campaign to mint from.
+ * @param {string[]} merkleProof The Merkle proof for the attendee.
+ * @returns {Promise<object>} The formatted job.
+ */
+async function enqueueMint(attendee, campaignId, merkleProof) {
+  try {
+    const existingJob = await mintJobRepository.findActive(
+      campaignId,
+      attendee
+    );
+    if (existingJob) return formatJob(existingJob);
+
+    const jobId = crypto.randomUUID();
+    const created = await mintJobRepository.create({
+      id: jobId,
+      campaignId,
+      attendeeAddress: attendee,
+      merkleProof,
+      nextAttemptAt: Date.now(),
+    });
+    // Another request queued one since the lookup above.
+    if (!created)
+      return formatJob(
+        await mintJobRepository.findActive(campaignId, attendee)
+      );
+
+    logger.info("Queued mint job", {
+      jobId,
+      campaignId: Number(campaignId),
+      attendee,
+    });
+
+    scheduleWorker(0);
+    return formatJob(await mintJobRepository.findById(jobId));
+  } catch (error) {
+    logger.error("Failed to queue mint job", { error: error.message });
+    throw new AppError("Failed to queue the mint request.", 500);
+  }
+}
+
+/**
+ * Looks up a mint job by ID.
+ * @param {string} jobId
+ * @returns {Promise<object|null>} The formatted job, or null if not found.
+ */
+async function getMintJob(jobId) {
+  const job = await mintJobRepository.findById(jobId);
+  return job ? formatJob(job) : null;
+}
+
+/**
+ * Marks a job as submitted and records the mint.
+ * @param {object} job The mint_jobs row.
+ * @param {string} transactionHash
+ * @param {string} relayerAddress The pool wallet that signed it.
+ */
+async function markSubmitted(job, transactionHash, relayerAddress) {
+  await mintJobRepository.markSubmitted(
+    job.id,
+    transactionHash,
+    relayerAddress
+  );
+  await mintRepository.recordSubmitted({
+    campaignId: job.campaignId,
+    attendeeAddress: job.attendeeAddress,
+    transactionHash,
+    relayerAddress,
+  });
+  logger.info("Mint job submitted", { jobId: job.id, transactionHash });
+
+  await emitWebhookEvent("mint.submitted", job.campaignId, {
+    jobId: job.id,
+    attendee: job.attendeeAddress,
+    transactionHash,
+    relayerAddress,
+  });
+}
+
+/**
+ * Checks whether a transaction signed for this job actually reached the node.
+ * @param {string | null} transactionHash
+ * @returns {Promise<boolean>}
+ */
+async function wasBroadcast(transactionHash) {
+  if (!transactionHash) return false;
+  try {
+    return (await provider.getTransaction(transactionHash)) !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Processes a single job: picks a relayer from the pool, reserves its nonce,
+ * signs and broadcasts the mint.
+ * Transient RPC failures are retried with exponential backoff; contract
+ * reverts fail the job immediately, except EnforcedPause: while the contract
+ * is paused the job is held, without using up its attempts.
+ * @param {object} job The mint_jobs row.
+ */
+async function processJob(job) {
+  const attempts = job.attempts + 1;
+  await mintJobRepository.markProcessing(job.id, attempts);
+
+  let relayer = null;
+  let signedHash = null;
+  try {
+    relayer = await selectRelayer();
+    const nonce = await reserveNonce(relayer);
+    const transactionHash = await mintNFT(
+      job.attendeeAddress,
+      job.campaignId,
+      JSON.parse(job.merkleProof),
+      {
+        wallet: relayer,
+        nonce,
+        onSigned: async (hash) => {
+          signedHash = hash;
+          await mintJobRepository.recordSigned(job.id, {
+            nonce,
+            relayerAddress: relayer.address,
+            transactionHash: hash,
+          });
+        },
+      }
+    );
+    await markSubmitted(job, transactionHash, relayer.address);
+  } catch (error) {
+    // Whatever happened, this relayer's local nonce can no longer be trusted.
+    if (relayer) resetNonce(relayer);
+
+    // The broadcast may have reached the node even though the call failed.
+    if (await wasBroadcast(signedHash)) {
+      await markSubmitted(job, signedHash, relayer.address);
+      return;
+    }
+
+    if (error.code === "EnforcedPause") {
+      logger.warn("Minting is paused; holding mint job", {
+        retryInMs: PAUSED_RETRY_MS,
+      });
+      await mintJobRepository.hold(
+        job.id,
+        Date.now() + PAUSED_RETRY_MS,
+        job.attempts,
+        { error: error.message, errorCode: error.code }
+      );
+      return;
+    }
+
+    const isTransient = error.statusCode === 503;
+    if (isTransient && attempts < MAX_ATTEMPTS) {
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+      logger.warn("Mint job attempt failed", {
+        attempts,
+        error: error.message,
+        retryInMs: delay,
+      });
+      await mintJobRepository.requeue(job.id, Date.now() + delay, {
+        error: error.message,
+        errorCode: error.code || null,
+      });
+      return;
+    }
+
+    logger.error("Mint job failed", {
+      error: error.message,
+      errorCode: error.code || null,
+    });
+    await mintJobRepository.markFailed(job.id, {
+      error: error.message,
+      errorCode: error.code || null,
+    });
+    await emitWebhookEvent("mint.failed", job.campaignId, {
+      jobId: job.id,
+      attendee: job.attendeeAddress,
+      transactionHash: null,
+      error: error.message,
+      errorCode: error.code || null,
+    });
+  }
+}
+
+/**
+ * Drains all jobs that are due, one at a time.
+ */
+async function processQueue() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    let job;
+    while ((job = await mintJobRepository.findNextDue(Date.now()))) {
+      // Everything logged for the job, down to the relayer, carries its ID.
+      const { id: jobId, campaignId } = job;
+      await withLogContext({ jobId, campaignId }, () => processJob(job));
+    }
+  } catch (error) {
+    logger.error("Mint worker error", { error: error.message });
+  } finally {
+    isProcessing = false;
+    scheduleWorker(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Schedules the next worker run, replacing any pending one. While a run is in
+ * progress it picks up new jobs itself and reschedules when done.
+ * @param {number} delay Milliseconds to wait.
+ */
+function scheduleWorker(delay) {
+  if (!isStarted || isProcessing) return;
+  clearTimeout(workerTimer);
+  // The run serves every queued job, not the request that happened to wake it.
+  workerTimer = withoutLogContext(() => setTimeout(processQueue, delay));
+}
+
+/**
+ * Recovers jobs left in `processing` by a previous crash, then starts the worker.
+ * A job whose signed transaction reached the node is marked submitted; any
+ * other job is put back in the queue.
+ */
+async function startMintWorker() {
+  const stuckJobs = await mintJobRepository.listProcessing();
+
+  for (const job of stuckJobs) {
+    if (await wasBroadcast(job.transactionHash)) {
+      await markSubmitted(job, job.transactionHash, job.relayerAddress);
+    } else {
+      await mintJobRepository.requeue(job.id, Date.now());
+    }
+  }
+  if (stuckJobs.length > 0)
+    logger.info("Recovered interrupted mint jobs", {
+      count: stuckJobs.length,
+    });
+
+  isStarted = true;
+  logger.info("Mint worker started");
+  scheduleWorker(0);
+}
+
+/**
+ * Stops scheduling worker runs. A run in progress finishes its current job
+ * first.
+ */
+function stopMintWorker() {
+  isStarted = false;
+  clearTimeout(workerTimer);
+}
+
+module.exports = {
+  enqueueMint,
+  getMintJob,
+  startMintWorker,
+  stopMintWorker,
+};
@@ -1,39 +1,32 @@
-const dbModel = require("../config/db");
+const { mintRepository } = require("../repositories");
+const { logger } = require("../utils/logger");
 
 /**
- * Finds the mint transaction hash from the database for a given user and campaign.
+ * Finds the mint record from the database for a given user and campaign.
  *
  * @param {string} attendeeAddress The user's wallet address.
  * @param {string | number} campaignId The campaign ID to check.
- * @returns {Promise<string|null>} The transaction hash if found, otherwise null.
+ * @returns {Promise<object|null>} The mint record (transaction hash and on-chain
+ *   status) if found, otherwise null.
  */
 async function findExistingMint(attendeeAddress, campaignId) {
-  const db = await dbModel;
-
-  return new Promise((resolve, reject) => {
-    const sql = `SELECT transactionHash FROM mints WHERE attendeeAddress = ? AND campaignId = ?`;
-
-    console.log(
-      `Querying DB for existing mint: User ${attendeeAddress}, Campaign ${campaignId}`
-    );
-
-    // db.get finds the first matching row
-    db.get(sql, [attendeeAddress, campaignId], (err, row) => {
-      if (err) {
-        console.error("Error querying database:", err.message);
-        return reject(new Error("Failed to query database."));
-      }
-
-      if (row) {
-        console.log(`Found matching mint in DB. Hash: ${row.transactionHash}`);
-        resolve(row.transactionHash);
-      } else {
-        // No match
-        console.log("No matching mint found in DB.");
-        resolve(null);
-      }
+  let row;
+  try {
+    row = await mintRepository.findByAttendee(attendeeAddress, campaignId);
+  } catch (err) {
+    logger.error("Error querying database for an existing mint", {
+      error: err.message,
     });
+    throw new Error("Failed to query database.");
+  }
+
+  logger.debug("Existing mint lookup", {
+    campaignId: Number(campaignId),
+    attendee: attendeeAddress,
+    transactionHash: row ? row.transactionHash : null,
+    status: row ? row.status : null,
   });
+  return row || null;
 }
 
 module.exports = findExistingMint;
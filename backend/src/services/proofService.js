@@ -1,73 +1,137 @@
-const fs = require("fs");
-const path = require("path");
+const fs = require("fs").promises;
 const { AppError } = require("../middleware/errorHandler");
+const { merkleDataPath } = require("../utils/merkle");
+const { proofRepository } = require("../repositories");
+const { logger } = require("../utils/logger");
+
+// "database" also keeps proofs in the merkle_proofs table and looks them up
+// there, for whitelists too large to hold in memory.
+const USE_DATABASE = process.env.PROOF_STORE === "database";
+// How many campaigns' trees stay loaded.
+const CACHE_SIZE = Number(process.env.PROOF_CACHE_CAMPAIGNS) || 20;
+
+// Loaded trees by file path, least recently used first. Each entry holds the
+// promise of an index from lowercase address to proof, so concurrent
+// requests for a campaign share one read.
+const treeCache = new Map();
 
 /**
- * Dynamically loads the Merkle tree data for a specific campaign.
- * @param {string | number} campaignId The ID of the campaign.
- * @returns {object} The parsed Merkle tree data for that campaign.
- * @throws {AppError} If the campaign data file is not found.
+ * Reads a merkleTree.json file into an index keyed by lowercase address.
+ * @param {string} filePath
+ * @returns {Promise<Map<string, string[]>>}
  */
-function loadMerkleTreeForCampaign(campaignId) {
-  // Sanitize campaignId to prevent path traversal vulnerabilities
-  const safeCampaignId = path.basename(String(campaignId));
-  const merkleTreePath = path.join(
-    __dirname,
-    "..",
-    "..",
-    "merkleData",
-    safeCampaignId,
-    "merkleTree.json"
+async function readTreeIndex(filePath) {
+  const merkleTreeData = JSON.parse(await fs.readFile(filePath, "utf8"));
+  return new Map(
+    Object.entries(merkleTreeData).map(([address, proof]) => [
+      address.toLowerCase(),
+      proof,
+    ])
   );
+}
 
-  if (!fs.existsSync(merkleTreePath)) {
-    // This is a server-side issue or a request for a non-existent campaign
-    throw new AppError(
-      `Whitelist for Campaign ID #${safeCampaignId} not found on server`,
-      404
-    );
+/**
+ * Loads a campaign's Merkle tree, from the cache unless the file changed
+ * since it was read. Writes replace the file (see whitelistService), which
+ * gives it a new inode, so a rewrite is always noticed.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @returns {Promise<Map<string, string[]> | null>} The index, or null if the
+ *   campaign has no stored whitelist.
+ * @throws {AppError} 500 if the file cannot be read or parsed.
+ */
+async function loadTreeIndex(campaignId) {
+  const filePath = merkleDataPath(campaignId, "merkleTree.json");
+
+  let version;
+  try {
+    const stats = await fs.stat(filePath);
+    version = `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+  } catch (error) {
+    treeCache.delete(filePath);
+    if (error.code === "ENOENT") return null;
+    throw new AppError("Failed to load campaign data", 500);
+  }
+
+  let entry = treeCache.get(filePath);
+  treeCache.delete(filePath);
+  if (!entry || entry.version !== version) {
+    entry = { version, index: readTreeIndex(filePath) };
+    logger.debug("Loading Merkle tree", { campaignId: Number(campaignId) });
+  }
+  // Re-inserting moves the entry to the most recently used end.
+  treeCache.set(filePath, entry);
+  while (treeCache.size > CACHE_SIZE) {
+    treeCache.delete(treeCache.keys().next().value);
   }
 
   try {
-    const fileContent = fs.readFileSync(merkleTreePath, "utf8");
-    return JSON.parse(fileContent);
+    return await entry.index;
   } catch (error) {
-    // Handle JSON parsing errors or other file read issues
-    console.error(
-      `Failed to read or parse Merkle tree for campaign ${safeCampaignId}:`,
-      error
-    );
+    if (treeCache.get(filePath) === entry) treeCache.delete(filePath);
+    logger.error("Failed to read or parse Merkle tree", {
+      campaignId: Number(campaignId),
+      error: error.message,
+    });
     throw new AppError("Failed to load campaign data", 500);
   }
 }
 
 /**
  * Retrieves the Merkle proof for a given address within a specific campaign.
+ * With PROOF_STORE=database, campaigns stored in the database are looked up
+ * there; others fall back to their merkleTree.json.
  * @param {string} address The wallet address of the attendee.
  * @param {string | number} campaignId The ID of the campaign to check.
- * @returns {{ proof: string[] } | null} The Merkle proof object, or null if the address is not found.
+ * @returns {Promise<{ proof: string[] } | null>} The Merkle proof object, or null if the address is not found.
+ * @throws {AppError} 404 if the campaign has no stored whitelist.
  */
-function getProofForAddress(address, campaignId) {
+async function getProofForAddress(address, campaignId) {
   if (!address) throw new AppError("Address parameter is required", 400);
   if (!campaignId) throw new AppError("Campaign ID parameter is required", 400);
 
-  const merkleTreeData = loadMerkleTreeForCampaign(campaignId);
+  // Stored campaign IDs are integers; anything else can only be a file.
+  if (USE_DATABASE && /^\d+$/.test(String(campaignId))) {
+    const stored = await proofRepository.findProof(campaignId, address);
+    if (stored)
+      return stored.proof ? { proof: JSON.parse(stored.proof) } : null;
+  }
 
-  console.log(
-    `Loaded Merkle tree for campaign #${campaignId}. Searching for address: ${address}`
-  );
+  const index = await loadTreeIndex(campaignId);
+  if (!index)
+    throw new AppError(
+      `Whitelist for Campaign ID #${campaignId} not found on server`,
+      404
+    );
 
-  // Addresses in the merkle tree JSON are checksummed.
-  // We search for a case-insensitive match to be robust against user input variations.
-  const matchingAddress = Object.keys(merkleTreeData).find(
-    (key) => key.toLowerCase() === address.toLowerCase()
-  );
+  const proof = index.get(address.toLowerCase());
+  return proof ? { proof } : null;
+}
 
-  console.log("Matching address found:", matchingAddress);
+/**
+ * Counts the addresses in a campaign's stored whitelist.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @returns {Promise<number | null>} The whitelist size, or null if none is stored.
+ */
+async function getWhitelistSize(campaignId) {
+  if (USE_DATABASE && /^\d+$/.test(String(campaignId))) {
+    const proofSet = await proofRepository.findProofSet(campaignId);
+    if (proofSet) return proofSet.addressCount;
+  }
 
-  if (!matchingAddress) return null;
+  const index = await loadTreeIndex(campaignId);
+  return index ? index.size : null;
+}
 
-  return { proof: merkleTreeData[matchingAddress] };
+/**
+ * Keeps a campaign's new proofs in the database when PROOF_STORE=database;
+ * otherwise does nothing, since lookups read merkleTree.json.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {string} merkleRoot
+ * @param {Object<string, string[]>} merkleProofs Proofs keyed by address.
+ */
+async function storeProofs(campaignId, merkleRoot, merkleProofs) {
+  if (!USE_DATABASE) return;
+  await proofRepository.replaceProofs(campaignId, merkleRoot, merkleProofs);
 }
 
-module.exports = getProofForAddress;
+module.exports = { getProofForAddress, getWhitelistSize, storeProofs };
@@ -0,0 +1,144 @@
+const { provider, deployedContract } = require("../config/web3");
+const { mintRepository, mintJobRepository } = require("../repositories");
+const { emitWebhookEvent } = require("./webhookQueue");
+const { logger } = require("../utils/logger");
+
+const POLL_INTERVAL_MS = Number(process.env.RECEIPT_POLL_MS) || 5000;
+const CONFIRMATIONS = Number(process.env.MINT_CONFIRMATIONS) || 1;
+// A transaction the node no longer knows about after this long was dropped.
+const DROPPED_AFTER_MS =
+  Number(process.env.MINT_DROPPED_AFTER_MS) || 10 * 60 * 1000;
+
+let watcherTimer = null;
+
+/**
+ * Finds the token ID in a mint receipt's CertificateMinted event.
+ * @param {import("ethers").TransactionReceipt} receipt
+ * @returns {string | null}
+ */
+function findMintedTokenId(receipt) {
+  for (const log of receipt.logs) {
+    const parsed = deployedContract.interface.parseLog(log);
+    if (parsed?.name === "CertificateMinted")
+      return parsed.args.tokenId.toString();
+  }
+  return null;
+}
+
+/**
+ * Marks a mint as failed and fails the job that submitted it, so the attendee
+ * can claim again.
+ * @param {object} mint The mints row.
+ * @param {string} reason
+ * @param {object} [receipt] The receipt of a reverted transaction, if any.
+ */
+async function markFailed(mint, reason, receipt) {
+  const block = receipt ? await provider.getBlock(receipt.blockNumber) : null;
+
+  const settled = await mintRepository.settlePending(mint, "failed", {
+    blockNumber: receipt ? receipt.blockNumber : null,
+    gasUsed: receipt ? receipt.gasUsed.toString() : null,
+    confirmedAt: new Date(
+      block ? block.timestamp * 1000 : Date.now()
+    ).toISOString(),
+  });
+  await mintJobRepository.failByTransaction(mint.transactionHash, reason);
+  logger.warn("Mint failed", {
+    transactionHash: mint.transactionHash,
+    reason,
+  });
+
+  if (settled)
+    await emitWebhookEvent("mint.failed", mint.campaignId, {
+      attendee: mint.attendeeAddress,
+      transactionHash: mint.transactionHash,
+      error: reason,
+      errorCode: "TRANSACTION_FAILED",
+    });
+}
+
+/**
+ * Checks a single pending mint and records its on-chain outcome once the
+ * receipt has enough confirmations.
+ * @param {object} mint The mints row.
+ */
+async function checkMint(mint) {
+  const receipt = await provider.getTransactionReceipt(mint.transactionHash);
+
+  if (!receipt) {
+    const tx = await provider.getTransaction(mint.transactionHash);
+    // mintedAt defaults to UTC without a zone suffix, as SQLite formats it.
+    const age = Date.now() - new Date(`${mint.mintedAt}Z`).getTime();
+    if (!tx && age > DROPPED_AFTER_MS) {
+      await markFailed(mint, "Transaction was dropped from the network.");
+    }
+    return;
+  }
+
+  if ((await receipt.confirmations()) < CONFIRMATIONS) return;
+
+  if (receipt.status !== 1) {
+    await markFailed(mint, "Transaction was reverted on-chain.", receipt);
+    return;
+  }
+
+  const block = await provider.getBlock(receipt.blockNumber);
+  const tokenId = findMintedTokenId(receipt);
+  // Guarded on status: if the event indexer confirmed the mint in the
+  // meantime, it is neither rewritten nor reported again.
+  const settled = await mintRepository.settlePending(mint, "confirmed", {
+    blockNumber: receipt.blockNumber,
+    tokenId,
+    gasUsed: receipt.gasUsed.toString(),
+    confirmedAt: new Date(block.timestamp * 1000).toISOString(),
+  });
+  logger.info("Mint confirmed", {
+    transactionHash: mint.transactionHash,
+    blockNumber: receipt.blockNumber,
+    tokenId,
+  });
+
+  if (settled)
+    await emitWebhookEvent("mint.confirmed", mint.campaignId, {
+      attendee: mint.attendeeAddress,
+      transactionHash: mint.transactionHash,
+      tokenId,
+      blockNumber: receipt.blockNumber,
+    });
+}
+
+/**
+ * Checks every pending mint once.
+ */
+async function checkPendingMints() {
+  try {
+    const pendingMints = await mintRepository.listPending();
+
+    for (const mint of pendingMints) {
+      try {
+        await checkMint(mint);
+      } catch (error) {
+        // Leave the row pending; it is checked again on the next run.
+        logger.error("Failed to check mint receipt", {
+          transactionHash: mint.transactionHash,
+          error: error.message,
+        });
+      }
+    }
+  } catch (error) {
+    logger.error("Receipt watcher error", { error: error.message });
+  } finally {
+    watcherTimer = setTimeout(checkPendingMints, POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Starts polling for receipts of pending mints.
+ */
+function startReceiptWatcher() {
+  if (watcherTimer) return;
+  logger.info("Receipt watcher started");
+  watcherTimer = setTimeout(checkPendingMints, 0);
+}
+
+module.exports = { startReceiptWatcher };
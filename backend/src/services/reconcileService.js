@@ -0,0 +1,180 @@
+const { provider, deployedContract } = require("../config/web3");
+const { mintRepository } = require("../repositories");
+const getCampaignDetails = require("./campaignService");
+const { AppError } = require("../middleware/errorHandler");
+const { decodeContractError } = require("../utils/contractErrors");
+const { findMintDifferences } = require("../utils/mintReconciliation");
+const { queryLogsInPages } = require("../utils/contractLogs");
+const { logger } = require("../utils/logger");
+
+// hasMintedInCampaign is read for this many attendees at a time.
+const READ_BATCH_SIZE = 25;
+
+/**
+ * Validates a campaign ID from a URL parameter or the command line.
+ * @param {string | number} campaignId
+ * @returns {number}
+ * @throws {AppError} If it is not a positive integer.
+ */
+function parseCampaignId(campaignId) {
+  if (!/^\d+$/.test(String(campaignId)) || Number(campaignId) < 1)
+    throw new AppError("Campaign ID must be a positive integer", 400);
+  return Number(campaignId);
+}
+
+/**
+ * Reads a campaign's CertificateMinted logs from the deployment block.
+ * @param {number} campaignId
+ * @returns {Promise<object[]>} In block order.
+ */
+async function findMintEvents(campaignId) {
+  const logs = await queryLogsInPages(
+    deployedContract,
+    deployedContract.filters.CertificateMinted(null, null, campaignId),
+    await provider.getBlockNumber()
+  );
+  return logs.map((log) => ({
+    attendee: log.args.attendee,
+    tokenId: log.args.tokenId.toString(),
+    transactionHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+  }));
+}
+
+/**
+ * Reads hasMintedInCampaign for each address.
+ * @param {number} campaignId
+ * @param {string[]} addresses
+ * @returns {Promise<Map<string, boolean>>} Keyed by lowercase address.
+ */
+async function readHasMinted(campaignId, addresses) {
+  const hasMinted = new Map();
+  for (let i = 0; i < addresses.length; i += READ_BATCH_SIZE) {
+    const batch = addresses.slice(i, i + READ_BATCH_SIZE);
+    const results = await Promise.all(
+      batch.map((address) =>
+        deployedContract.hasMintedInCampaign(campaignId, address)
+      )
+    );
+    batch.forEach((address, index) =>
+      hasMinted.set(address.toLowerCase(), results[index])
+    );
+  }
+  return hasMinted;
+}
+
+/**
+ * Writes the fix for one difference: the row is set to the on-chain mint,
+ * then marked burned if the token has been burned since.
+ * @param {number} campaignId
+ * @param {object} difference A fixable difference.
+ * @param {Map<number, string>} confirmedAt Block timestamps read so far.
+ */
+async function backfill(campaignId, difference, confirmedAt) {
+  const { tokenId, transactionHash, blockNumber } = difference.onChain;
+  if (!confirmedAt.has(blockNumber)) {
+    const block = await provider.getBlock(blockNumber);
+    confirmedAt.set(
+      blockNumber,
+      new Date(block.timestamp * 1000).toISOString()
+    );
+  }
+
+  await mintRepository.recordConfirmed({
+    campaignId,
+    attendeeAddress: difference.attendee,
+    transactionHash,
+    blockNumber,
+    tokenId,
+    confirmedAt: confirmedAt.get(blockNumber),
+  });
+  if (difference.kind === "unrecorded_burn")
+    await mintRepository.markBurned(tokenId);
+}
+
+/**
+ * Compares a campaign's mints rows with hasMintedInCampaign,
+ * campaignMintCount and the CertificateMinted logs, and optionally backfills
+ * the rows that can be fixed from the logs.
+ * @param {string | number} campaignIdParam
+ * @param {object} [options]
+ * @param {boolean} [options.backfill] Write the fixes.
+ * @returns {Promise<object>} The report: counts (read before any backfill),
+ *   differences (each with whether it was fixed) and whether the campaign
+ *   was in sync.
+ * @throws {AppError} 404 if the campaign does not exist.
+ */
+async function reconcileCampaign(campaignIdParam, { backfill: fix } = {}) {
+  const campaignId = parseCampaignId(campaignIdParam);
+  if (!(await getCampaignDetails(campaignId)))
+    throw new AppError("Campaign not found", 404);
+
+  let rows, events, mintCount, hasMinted;
+  try {
+    [rows, events, mintCount] = await Promise.all([
+      mintRepository.listByCampaign(campaignId),
+      findMintEvents(campaignId),
+      deployedContract.campaignMintCount(campaignId),
+    ]);
+    const addresses = new Map(
+      [
+        ...rows.map((row) => row.attendeeAddress),
+        ...events.map((e) => e.attendee),
+      ].map((address) => [address.toLowerCase(), address])
+    );
+    hasMinted = await readHasMinted(campaignId, [...addresses.values()]);
+  } catch (error) {
+    throw decodeContractError(error) || error;
+  }
+
+  const differences = findMintDifferences({
+    rows,
+    events,
+    hasMinted,
+    mintCount: Number(mintCount),
+  });
+
+  const confirmedAt = new Map();
+  for (const difference of differences) {
+    difference.fixed = false;
+    if (!fix || !difference.fixable) continue;
+    await backfill(campaignId, difference, confirmedAt);
+    difference.fixed = true;
+  }
+
+  const report = {
+    campaignId,
+    counts: {
+      campaignMintCount: Number(mintCount),
+      mintEvents: events.length,
+      confirmedRows: rows.filter((row) => row.status === "confirmed").length,
+    },
+    inSync: differences.length === 0,
+    backfilledCount: differences.filter((d) => d.fixed).length,
+    differences,
+  };
+
+  if (!report.inSync)
+    logger.warn("Mints table differs from the chain", {
+      campaignId,
+      differences: differences.length,
+      backfilled: report.backfilledCount,
+    });
+
+  return report;
+}
+
+/**
+ * Counts a campaign's mints rows by status, e.g. for the audit log.
+ * @param {string | number} campaignId
+ * @returns {Promise<object>} e.g. { confirmed: 12, burned: 1 }.
+ */
+async function countMintsByStatus(campaignId) {
+  const rows = await mintRepository.listByCampaign(parseCampaignId(campaignId));
+  const counts = {};
+  for (const { status } of rows) counts[status] = (counts[status] || 0) + 1;
+  return counts;
+}
+
+module.exports = { reconcileCampaign, countMintsByStatus };
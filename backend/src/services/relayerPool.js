@@ -0,0 +1,125 @@
+const { parseEther } = require("ethers");
+const {
+  provider,
+  deployedContract,
+  relayerWallets,
+} = require("../config/web3");
+const { mintRepository } = require("../repositories");
+const { AppError } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+
+// Below this balance a relayer is only used if every other one is lower.
+const RELAYER_LOW_BALANCE = parseEther(
+  process.env.RELAYER_LOW_BALANCE_ETH || "0.005"
+);
+
+// The next nonce for each relayer address. A missing entry means "resync
+// from the node". Only the mint worker touches it, one job at a time.
+const nextNonces = new Map();
+
+/**
+ * Checks which relayer addresses the contract accepts. Today the contract has
+ * a single `relayer`; if it gains an `isRelayer(address)` allow-list, that is
+ * used instead so every authorised pool wallet can send mints.
+ * @param {string[]} addresses
+ * @returns {Promise<boolean[]>}
+ */
+async function getAuthorizations(addresses) {
+  if (deployedContract.interface.getFunction("isRelayer")) {
+    return Promise.all(
+      addresses.map((address) => deployedContract.isRelayer(address))
+    );
+  }
+
+  const contractRelayer = (await deployedContract.relayer()).toLowerCase();
+  return addresses.map((address) => address.toLowerCase() === contractRelayer);
+}
+
+/**
+ * Reports the balance, pending mint count and authorisation of every relayer
+ * in the pool.
+ * @returns {Promise<object[]>} One entry per wallet, in configured order.
+ */
+async function getRelayerStatuses() {
+  const addresses = relayerWallets.map((wallet) => wallet.address);
+
+  const [balances, authorizations, pendingRows] = await Promise.all([
+    Promise.all(addresses.map((address) => provider.getBalance(address))),
+    getAuthorizations(addresses),
+    mintRepository.countPendingByRelayer(),
+  ]);
+  const pendingCounts = new Map(
+    pendingRows.map((row) => [row.relayerAddress, Number(row.count)])
+  );
+
+  return relayerWallets.map((wallet, index) => ({
+    wallet,
+    address: wallet.address,
+    balance: balances[index],
+    isLowBalance: balances[index] < RELAYER_LOW_BALANCE,
+    isAuthorized: authorizations[index],
+    pendingCount: pendingCounts.get(wallet.address) || 0,
+  }));
+}
+
+/**
+ * Picks the relayer for the next mint. Wallets the contract no longer accepts
+ * are skipped; of the rest, funded wallets come first, then the one with the
+ * fewest pending mints, then the highest balance.
+ * @returns {Promise<import("ethers").Wallet>}
+ * @throws {AppError} 503 if no wallet in the pool is authorised.
+ */
+async function selectRelayer() {
+  const candidates = (await getRelayerStatuses()).filter(
+    (status) => status.isAuthorized
+  );
+
+  if (candidates.length === 0) {
+    logger.error(
+      "No relayer in the pool matches the contract's authorised relayer"
+    );
+    throw new AppError(
+      "The minting service is temporarily unavailable. Please try again later.",
+      503,
+      "NO_AUTHORIZED_RELAYER"
+    );
+  }
+
+  candidates.sort(
+    (a, b) =>
+      Number(a.isLowBalance) - Number(b.isLowBalance) ||
+      a.pendingCount - b.pendingCount ||
+      (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0)
+  );
+  return candidates[0].wallet;
+}
+
+/**
+ * Returns the nonce for the next transaction from a relayer.
+ * @param {import("ethers").Wallet} wallet
+ * @returns {Promise<number>}
+ */
+async function reserveNonce(wallet) {
+  let nonce = nextNonces.get(wallet.address);
+  if (nonce === undefined) {
+    nonce = await provider.getTransactionCount(wallet.address, "pending");
+  }
+  nextNonces.set(wallet.address, nonce + 1);
+  return nonce;
+}
+
+/**
+ * Forgets a relayer's local nonce so the next one is read from the node.
+ * @param {import("ethers").Wallet} wallet
+ */
+function resetNonce(wallet) {
+  nextNonces.delete(wallet.address);
+}
+
+module.exports = {
+  RELAYER_LOW_BALANCE,
+  getRelayerStatuses,
+  selectRelayer,
+  reserveNonce,
+  resetNonce,
+};
@@ -1,106 +1,103 @@
-const { deployedContract, relayerWallet } = require("../config/web3");
+const { Transaction } = require("ethers");
+const { deployedContract, relayerWallet, provider } = require("../config/web3");
 const { AppError } = require("../middleware/errorHandler");
+const { decodeContractError } = require("../utils/contractErrors");
+const { logger } = require("../utils/logger");
 
-// TODO: Refactor error handling to a separate utility module if it grows more complex.
-// TODO: info user if the relayer is out of funds.
-
-// A map of known custom error selectors from the smart contract.
-// This allows us to provide user-friendly error messages.
-const CUSTOM_ERRORS = {
-  "0x17fb2066": "NotAuthorizedRelayer",
-  "0xddefae28": "AlreadyMinted",
-  "0x09bde339": "InvalidProof",
-  "0x9cbe2357": "NonTransferable",
-  "0x9430a17e": "NonExistentToken",
-  "0xd92e233d": "ZeroAddress",
-  "0x433528b6": "CampaignNotActive",
-  "0x9b35ed3b": "CampaignDoesNotExist",
-  "0xfece0678": "InvalidCampaignTimes",
-  "0x20f18ff3": "CampaignMustStartInFuture",
-  "0x85ac2b99": "EmptyMerkleRoot",
-  "0xc279959d": "MintingWindowNotOpen",
-  "0x7e31d8a3": "CampaignAlreadyExists",
-  "0xb5ae13c8": "ProofTooLong",
-  "0xb4fa3fb3": "InvalidInput",
-  "0xc24f060d": "CannotModifyStartedCampaign",
-  "0x303b682f": "MintLimitReached",
-  "0xa7b3eca4": "CampaignDurationTooLong",
-  "0x8320b483": "CampaignExpired",
-  "0x69207028": "CampaignHasMints",
-};
+// ethers error codes for RPC failures that are worth retrying.
+const TRANSIENT_ERROR_CODES = new Set([
+  "NETWORK_ERROR",
+  "TIMEOUT",
+  "SERVER_ERROR",
+  "NONCE_EXPIRED",
+  "REPLACEMENT_UNDERPRICED",
+]);
 
 /**
  * Submits the mint transaction to the blockchain for a specific campaign.
  * The smart contract is treated as the single source of truth for all validation.
  *
+ * The transaction is signed locally so its hash is known (and can be persisted
+ * through `onSigned`) before it is broadcast.
+ *
  * @param {string} attendee The address of the user who will receive the NFT.
  * @param {string | number} campaignId The ID of the campaign to mint from.
  * @param {string[]} merkleProof The Merkle proof for the attendee.
+ * @param {object} [options]
+ * @param {import("ethers").Wallet} [options.wallet] The relayer to send from; defaults to the first in the pool.
+ * @param {number} [options.nonce] The relayer nonce to use; fetched from the node if omitted.
+ * @param {function(string): Promise<void>} [options.onSigned] Called with the hash before broadcasting.
  * @returns {Promise<string>} The transaction hash.
- * @throws {AppError} If the transaction fails for any reason.
+ * @throws {AppError} If the transaction fails for any reason. RPC failures that
+ *   are safe to retry carry the ethers error code in `error.code`.
  */
-async function mintNFT(attendee, campaignId, merkleProof) {
-  console.log(`Attempting to mint for campaign #${campaignId}...`);
-  console.log(`  - Attendee: ${attendee}`);
+async function mintNFT(attendee, campaignId, merkleProof, options = {}) {
+  const { wallet = relayerWallet, nonce, onSigned } = options;
+
+  logger.info("Attempting to mint", {
+    campaignId: Number(campaignId),
+    attendee,
+    relayer: wallet.address,
+  });
 
   try {
     // We use estimateGas as a dry run. If it fails, the transaction will likely fail.
     // This allows us to catch contract reverts without spending gas.
-    await deployedContract.mint.estimateGas(attendee, campaignId, merkleProof, {
-      from: relayerWallet.address,
-    });
+    const gasLimit = await deployedContract.mint.estimateGas(
+      attendee,
+      campaignId,
+      merkleProof,
+      { from: wallet.address }
+    );
 
-    // If estimateGas succeeds, send the actual transaction.
-    const tx = await deployedContract.mint(attendee, campaignId, merkleProof, {
-      from: relayerWallet.address,
+    // If estimateGas succeeds, sign the actual transaction and broadcast it.
+    const txRequest = await deployedContract.mint.populateTransaction(
+      attendee,
+      campaignId,
+      merkleProof
+    );
+    const populatedTx = await wallet.populateTransaction({
+      ...txRequest,
+      gasLimit,
+      nonce,
     });
-    return tx.hash;
+    const signedTx = await wallet.signTransaction(populatedTx);
+    const { hash } = Transaction.from(signedTx);
+
+    if (onSigned) await onSigned(hash);
+
+    await provider.broadcastTransaction(signedTx);
+    return hash;
   } catch (error) {
-    console.error("Error during minting process:", error.message);
+    logger.error("Error during minting process", {
+      error: error.message,
+      errorCode: error.code || null,
+    });
 
-    // Improved error handling to decode custom errors
-    if (error.code === "CALL_EXCEPTION" && error.data) {
-      const errorSelector = error.data.slice(0, 10);
-      const errorName = CUSTOM_ERRORS[errorSelector];
+    // Reverts, e.g. InvalidProof or AlreadyMinted, carry the custom error
+    // name as their code.
+    const contractError = decodeContractError(error);
+    if (contractError) throw contractError;
 
-      if (errorName === "InvalidProof") {
-        throw new AppError(
-          "This address is not on the whitelist for this campaign.",
-          403
-        );
-      }
-      if (errorName === "AlreadyMinted") {
-        throw new AppError(
-          "This address has already minted a certificate for this campaign.",
-          400
-        );
-      }
-      if (
-        errorName === "MintingWindowNotOpen" ||
-        errorName === "CampaignExpired"
-      ) {
-        throw new AppError(
-          "The minting window for this campaign is not currently open.",
-          403
-        );
-      }
-      if (errorName === "CampaignNotActive") {
-        throw new AppError("This campaign is not currently active.", 403);
-      }
-      if (errorName === "MintLimitReached") {
-        throw new AppError(
-          "The maximum number of mints for this campaign has been reached.",
-          403
-        );
-      }
+    // Retried like a network error, so queued mints go through once the
+    // relayer is topped up. /api/health reports the balance.
+    if (error.code === "INSUFFICIENT_FUNDS") {
+      logger.error("Relayer is out of funds; top it up to resume minting", {
+        relayer: wallet.address,
+      });
+      throw new AppError(
+        "The minting service is temporarily unavailable. Please try again later.",
+        503,
+        "RELAYER_OUT_OF_FUNDS"
+      );
+    }
 
-      // This will catch your specific error and provide a clear hint
-      if (errorName) {
-        throw new AppError(
-          `Transaction reverted with contract error: ${errorName}. `,
-          500
-        );
-      }
+    if (TRANSIENT_ERROR_CODES.has(error.code)) {
+      throw new AppError(
+        "Network connection issue. Please try again.",
+        503,
+        error.code
+      );
     }
 
     // Fallback for other unexpected errors
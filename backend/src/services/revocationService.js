@@ -0,0 +1,165 @@
+const { deployedContract } = require("../config/web3");
+const {
+  mintRepository,
+  mintJobRepository,
+  revocationRepository,
+  contractEventRepository,
+} = require("../repositories");
+const { sendOwnerTransaction } = require("./adminCampaignService");
+const { emitWebhookEvent } = require("./webhookQueue");
+const { isMissingToken } = require("./certificateService");
+const { AppError } = require("../middleware/errorHandler");
+const { decodeContractError } = require("../utils/contractErrors");
+const { logger } = require("../utils/logger");
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Validates a token ID from a URL parameter.
+ * @param {string} tokenId
+ * @returns {bigint}
+ * @throws {AppError} If the token ID is not a positive integer.
+ */
+function parseTokenId(tokenId) {
+  if (!/^\d+$/.test(String(tokenId)) || BigInt(tokenId) < 1n)
+    throw new AppError("Token ID must be a positive integer", 400);
+  return BigInt(tokenId);
+}
+
+/**
+ * Validates the reason given for a revocation.
+ * @param {*} reason
+ * @returns {string} The trimmed reason.
+ * @throws {AppError} If it is missing or too long.
+ */
+function parseReason(reason) {
+  if (typeof reason !== "string" || !reason.trim())
+    throw new AppError("A reason is required", 400, "VALIDATION_ERROR");
+  if (reason.trim().length > MAX_REASON_LENGTH)
+    throw new AppError(
+      `Reason must be at most ${MAX_REASON_LENGTH} characters`,
+      400,
+      "VALIDATION_ERROR"
+    );
+  return reason.trim();
+}
+
+/**
+ * Shapes a revocations row for the API. The public list leaves out which
+ * admin key was used.
+ * @param {object} row
+ * @param {boolean} [includeOperator]
+ * @returns {object}
+ */
+function formatRevocation(row, includeOperator = false) {
+  return {
+    tokenId: row.tokenId,
+    campaignId: Number(row.campaignId),
+    holder: row.holder,
+    reason: row.reason,
+    ...(includeOperator && { operator: row.operator }),
+    transactionHash: row.transactionHash,
+    revokedAt: row.revokedAt,
+  };
+}
+
+/**
+ * Revokes a certificate: burns the token, records why and by whom, and marks
+ * its mint as burned so the attendee can claim again.
+ * @param {string} tokenIdParam The token ID from the request.
+ * @param {string} reasonParam Why the certificate is revoked.
+ * @param {string} operator Name of the admin key used.
+ * @returns {Promise<object>} The revocation.
+ * @throws {AppError} 409 ALREADY_REVOKED if it was revoked before, 404 if the
+ *   token does not exist.
+ */
+async function revokeCertificate(tokenIdParam, reasonParam, operator) {
+  const tokenId = parseTokenId(tokenIdParam);
+  const reason = parseReason(reasonParam);
+
+  if (await revocationRepository.findByTokenId(tokenId.toString()))
+    throw new AppError(
+      `Certificate #${tokenId} has already been revoked`,
+      409,
+      "ALREADY_REVOKED"
+    );
+
+  // The burn clears both, so they are read first.
+  let holder, campaignId;
+  try {
+    [holder, campaignId] = await Promise.all([
+      deployedContract.ownerOf(tokenId),
+      deployedContract.tokenToCampaignId(tokenId),
+    ]);
+  } catch (error) {
+    throw decodeContractError(error) || error;
+  }
+
+  const receipt = await sendOwnerTransaction("burn", [tokenId]);
+  const revocation = {
+    tokenId: tokenId.toString(),
+    campaignId: Number(campaignId),
+    holder,
+    reason,
+    operator,
+    transactionHash: receipt.hash,
+  };
+
+  await revocationRepository.create(revocation);
+  await mintRepository.markBurned(revocation.tokenId);
+  await mintJobRepository.markRevoked(revocation.campaignId, holder);
+
+  logger.info("Certificate revoked", {
+    tokenId: revocation.tokenId,
+    campaignId: revocation.campaignId,
+    operator,
+    transactionHash: receipt.hash,
+  });
+
+  // The event indexer skips burns recorded here, but it may have seen this
+  // one while the transaction was being mined.
+  const indexed = await contractEventRepository.findByTransaction(
+    "Transfer",
+    receipt.hash
+  );
+  if (!indexed)
+    await emitWebhookEvent("certificate.burned", revocation.campaignId, {
+      tokenId: revocation.tokenId,
+      holder,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      reason,
+    });
+
+  return formatRevocation(
+    await revocationRepository.findByTokenId(revocation.tokenId),
+    true
+  );
+}
+
+/**
+ * Reads who holds a token, e.g. for the audit log.
+ * @param {string} tokenIdParam
+ * @returns {Promise<{ owner: string | null }>} A null owner once it is burned.
+ */
+async function readTokenState(tokenIdParam) {
+  const owner = await deployedContract
+    .ownerOf(parseTokenId(tokenIdParam))
+    .catch((error) => {
+      if (isMissingToken(error)) return null;
+      throw error;
+    });
+  return { owner };
+}
+
+/**
+ * Lists the certificates revoked in a campaign, oldest first.
+ * @param {string | number} campaignId
+ * @returns {Promise<object[]>}
+ */
+async function listRevocations(campaignId) {
+  const rows = await revocationRepository.listByCampaign(campaignId);
+  return rows.map((row) => formatRevocation(row));
+}
+
+module.exports = { revokeCertificate, readTokenState, listRevocations };
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const { SiweMessage, generateNonce } = require("siwe");
+const { provider } = require("../config/web3");
+const { run, get } = require("../config/db");
+const { AppError } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+
+const NONCE_TTL_MS = Number(process.env.SIWE_NONCE_TTL_MS) || 10 * 60 * 1000;
+const SESSION_TTL_MS =
+  Number(process.env.SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// Domains allowed in sign-in messages, e.g. the frontend's host. Sign-in is
+// refused while it is unset: the request's Origin header cannot stand in for
+// it, as any client other than a browser can set it to anything.
+const ALLOWED_DOMAINS = (process.env.SIWE_DOMAINS || "")
+  .split(",")
+  .map((domain) => domain.trim())
+  .filter(Boolean);
+if (ALLOWED_DOMAINS.length === 0)
+  logger.warn("Sign-in is disabled: SIWE_DOMAINS is not set");
+
+// Chain IDs allowed in sign-in messages; any chain if unset.
+const ALLOWED_CHAIN_IDS = (process.env.SIWE_CHAIN_IDS || "")
+  .split(",")
+  .map((chainId) => Number(chainId.trim()))
+  .filter(Boolean);
+
+/**
+ * Sessions are looked up by a hash of their token, so a leaked database
+ * does not leak usable tokens.
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Issues a single-use nonce for a Sign-In with Ethereum message.
+ * @returns {Promise<{ nonce: string, expiresAt: string }>}
+ */
+async function createNonce() {
+  const now = Date.now();
+  const nonce = generateNonce();
+
+  await run(`DELETE FROM siwe_nonces WHERE expiresAt <= ?`, [now]);
+  await run(`INSERT INTO siwe_nonces (nonce, expiresAt) VALUES (?, ?)`, [
+    nonce,
+    now + NONCE_TTL_MS,
+  ]);
+
+  return { nonce, expiresAt: new Date(now + NONCE_TTL_MS).toISOString() };
+}
+
+/**
+ * Verifies a signed EIP-4361 message and opens a session for its address.
+ * The nonce is consumed whether or not the signature is valid.
+ * @param {string} message The prepared SIWE message.
+ * @param {string} signature The wallet's signature of the message.
+ * @returns {Promise<{ token: string, address: string, chainId: number, expiresAt: string }>}
+ * @throws {AppError} 400 for a malformed message, 401 if it does not verify,
+ *   503 if SIWE_DOMAINS is not set.
+ */
+async function signIn(message, signature) {
+  if (ALLOWED_DOMAINS.length === 0)
+    throw new AppError(
+      "Sign-in is not configured on this server",
+      503,
+      "SIWE_NOT_CONFIGURED"
+    );
+
+  let siweMessage;
+  try {
+    siweMessage = new SiweMessage(message);
+  } catch (error) {
+    throw new AppError(
+      `Malformed sign-in message: ${error.message || error}`,
+      400,
+      "INVALID_MESSAGE"
+    );
+  }
+
+  if (!ALLOWED_DOMAINS.includes(siweMessage.domain))
+    throw new AppError(
+      "Sign-in message is for a different domain",
+      401,
+      "DOMAIN_MISMATCH"
+    );
+
+  if (
+    ALLOWED_CHAIN_IDS.length &&
+    !ALLOWED_CHAIN_IDS.includes(siweMessage.chainId)
+  )
+    throw new AppError(
+      "Sign-in message is for an unsupported chain",
+      401,
+      "CHAIN_MISMATCH"
+    );
+
+  const now = Date.now();
+  const { changes } = await run(
+    `DELETE FROM siwe_nonces WHERE nonce = ? AND expiresAt > ?`,
+    [siweMessage.nonce, now]
+  );
+  if (changes === 0)
+    throw new AppError(
+      "Sign-in nonce is invalid or has expired",
+      401,
+      "INVALID_NONCE"
+    );
+
+  try {
+    // The provider lets smart contract wallets verify through EIP-1271.
+    await siweMessage.verify(
+      {
+        signature,
+        nonce: siweMessage.nonce,
+        time: new Date(now).toISOString(),
+      },
+      { provider }
+    );
+  } catch (error) {
+    const reason = error.error?.type || error.type || "invalid signature";
+    throw new AppError(
+      `Sign-in verification failed: ${reason}`,
+      401,
+      "INVALID_SIGNATURE"
+    );
+  }
+
+  const messageExpiry = siweMessage.expirationTime
+    ? new Date(siweMessage.expirationTime).getTime()
+    : Infinity;
+  const expiresAt = Math.min(now + SESSION_TTL_MS, messageExpiry);
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await run(`DELETE FROM sessions WHERE expiresAt <= ?`, [now]);
+  await run(
+    `INSERT INTO sessions (tokenHash, address, chainId, expiresAt) VALUES (?, ?, ?, ?)`,
+    [hashToken(token), siweMessage.address, siweMessage.chainId, expiresAt]
+  );
+  logger.info("Signed in", {
+    address: siweMessage.address,
+    chainId: siweMessage.chainId,
+  });
+
+  return {
+    token,
+    address: siweMessage.address,
+    chainId: siweMessage.chainId,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+/**
+ * Looks up a live session by its token.
+ * @param {string} token
+ * @returns {Promise<{ address: string, chainId: number, expiresAt: string } | null>}
+ */
+async function getSession(token) {
+  const session = await get(
+    `SELECT address, chainId, expiresAt FROM sessions WHERE tokenHash = ? AND expiresAt > ?`,
+    [hashToken(token), Date.now()]
+  );
+  if (!session) return null;
+
+  return {
+    address: session.address,
+    chainId: session.chainId,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+  };
+}
+
+/**
+ * Ends a session.
+ * @param {string} token
+ */
+async function signOut(token) {
+  await run(`DELETE FROM sessions WHERE tokenHash = ?`, [hashToken(token)]);
+}
+
+module.exports = { createNonce, signIn, getSession, signOut };
@@ -0,0 +1,296 @@
+const crypto = require("crypto");
+const db = require("../config/db");
+const { run, get } = db;
+const { AppError } = require("../middleware/errorHandler");
+const { formatDelivery } = require("./webhookService");
+const { logger, withoutLogContext } = require("../utils/logger");
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_MS) || 2000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const RETRY_BASE_DELAY_MS =
+  Number(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 30 * 1000;
+// Only the start of a receiver's response is kept in the delivery log.
+const RESPONSE_BODY_LIMIT = 1000;
+
+let workerTimer = null;
+let isProcessing = false;
+let isStarted = false;
+
+/**
+ * Signs a payload as `t=<unix seconds>,v1=<hex HMAC-SHA256>`. The HMAC covers
+ * `<timestamp>.<body>` so receivers can reject replayed requests.
+ * @param {string} secret The subscription's secret.
+ * @param {string} body The exact request body.
+ * @param {number} timestamp Unix seconds.
+ * @returns {string}
+ */
+function signPayload(secret, body, timestamp) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Inserts a delivery and wakes the worker.
+ * @param {object} delivery
+ * @param {object} [tx] A transaction from `transaction()` to insert it in.
+ */
+async function insertDelivery(
+  { subscriptionId, eventId, event, payload, replayOf = null },
+  tx = db
+) {
+  const id = crypto.randomUUID();
+  const now = new Date();
+  await tx.run(
+    `INSERT INTO webhook_deliveries (id, subscriptionId, eventId, event, payload, nextAttemptAt, replayOf, createdAt, updatedAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      subscriptionId,
+      eventId,
+      event,
+      payload,
+      now.getTime(),
+      replayOf,
+      now.toISOString(),
+      now.toISOString(),
+    ]
+  );
+  scheduleWorker(0);
+  return id;
+}
+
+/**
+ * Queues an event for every subscription that covers its campaign. Webhooks
+ * must never break the flow that raised them, so on their own errors are
+ * only logged. In a transaction they are thrown instead: a failed statement
+ * aborts a PostgreSQL transaction, and the caller's promise that its writes
+ * and webhooks commit together would not hold either way.
+ * @param {string} event One of WEBHOOK_EVENTS, e.g. "mint.confirmed".
+ * @param {number | string} campaignId The campaign the event belongs to.
+ * @param {object} data Event details, sent as the payload's `data`.
+ * @param {object} [tx] A transaction from `transaction()` to queue it in;
+ *   nothing is sent unless it commits.
+ * @throws {Error} In a transaction, if the event cannot be queued.
+ */
+async function emitWebhookEvent(event, campaignId, data, tx = db) {
+  try {
+    const subscriptions = (
+      await tx.all(
+        `SELECT id, events FROM webhook_subscriptions WHERE campaignId IS NULL OR campaignId = ?`,
+        [Number(campaignId)]
+      )
+    ).filter((subscription) => JSON.parse(subscription.events).includes(event));
+    if (subscriptions.length === 0) return;
+
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({
+      id: eventId,
+      event,
+      createdAt: new Date().toISOString(),
+      data: { campaignId: Number(campaignId), ...data },
+    });
+
+    for (const subscription of subscriptions) {
+      await insertDelivery(
+        { subscriptionId: subscription.id, eventId, event, payload },
+        tx
+      );
+    }
+  } catch (error) {
+    if (tx !== db) throw error;
+    logger.error("Failed to queue webhook event", {
+      event,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Sends a delivery again as a new delivery with the same payload, whatever
+ * the outcome of the original.
+ * @param {string} deliveryId
+ * @returns {Promise<object>} The new delivery.
+ * @throws {AppError} 404 if the delivery or its subscription no longer exists.
+ */
+async function replayDelivery(deliveryId) {
+  const original = await get(
+    `SELECT d.* FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscriptionId
+      WHERE d.id = ?`,
+    [deliveryId]
+  );
+  if (!original)
+    throw new AppError(
+      `Delivery ${deliveryId} not found or its subscription was deleted`,
+      404
+    );
+
+  const id = await insertDelivery({
+    subscriptionId: original.subscriptionId,
+    eventId: original.eventId,
+    event: original.event,
+    payload: original.payload,
+    replayOf: original.id,
+  });
+  logger.info("Replaying webhook delivery", { deliveryId, replayId: id });
+
+  return formatDelivery(
+    await get(`SELECT * FROM webhook_deliveries WHERE id = ?`, [id])
+  );
+}
+
+/**
+ * POSTs a delivery to its subscription's URL and records the outcome.
+ * Any 2xx response counts as delivered; anything else is retried with
+ * exponential backoff until MAX_ATTEMPTS.
+ * @param {object} delivery The webhook_deliveries row joined with url and secret.
+ */
+async function sendDelivery(delivery) {
+  const attempts = delivery.attempts + 1;
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "EventCert-Webhooks/1.0",
+        "X-EventCert-Event": delivery.event,
+        "X-EventCert-Delivery": delivery.id,
+        "X-EventCert-Signature": signPayload(
+          delivery.secret,
+          delivery.payload,
+          timestamp
+        ),
+      },
+      body: delivery.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+    if (!response.ok) error = `Receiver responded with ${response.status}`;
+  } catch (fetchError) {
+    error =
+      fetchError.name === "TimeoutError"
+        ? `Timed out after ${TIMEOUT_MS}ms`
+        : fetchError.cause?.message || fetchError.message;
+  }
+
+  if (!error) {
+    await run(
+      `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, responseStatus = ?, responseBody = ?, error = NULL,
+         deliveredAt = ?, updatedAt = ? WHERE id = ?`,
+      [
+        attempts,
+        responseStatus,
+        responseBody,
+        new Date().toISOString(),
+        new Date().toISOString(),
+        delivery.id,
+      ]
+    );
+    return;
+  }
+
+  const isFinal = attempts >= MAX_ATTEMPTS;
+  const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+  await run(
+    `UPDATE webhook_deliveries SET status = ?, attempts = ?, nextAttemptAt = ?, responseStatus = ?, responseBody = ?, error = ?,
+       updatedAt = ? WHERE id = ?`,
+    [
+      isFinal ? "failed" : "pending",
+      attempts,
+      Date.now() + delay,
+      responseStatus,
+      responseBody,
+      error,
+      new Date().toISOString(),
+      delivery.id,
+    ]
+  );
+  logger.warn(
+    isFinal ? "Webhook delivery failed" : "Webhook delivery attempt failed",
+    {
+      deliveryId: delivery.id,
+      attempts,
+      error,
+      ...(!isFinal && { retryInMs: delay }),
+    }
+  );
+}
+
+/**
+ * Sends every delivery that is due, one at a time.
+ */
+async function processQueue() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    let delivery;
+    while (
+      (delivery = await get(
+        `SELECT d.*, s.url, s.secret FROM webhook_deliveries d
+           JOIN webhook_subscriptions s ON s.id = d.subscriptionId
+          WHERE d.status = 'pending' AND d.nextAttemptAt <= ?
+          ORDER BY d.nextAttemptAt, d.createdAt LIMIT 1`,
+        [Date.now()]
+      ))
+    ) {
+      await sendDelivery(delivery);
+    }
+  } catch (error) {
+    logger.error("Webhook worker error", { error: error.message });
+  } finally {
+    isProcessing = false;
+    scheduleWorker(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Schedules the next worker run, replacing any pending one. While a run is in
+ * progress it picks up new deliveries itself and reschedules when done.
+ * @param {number} delay Milliseconds to wait.
+ */
+function scheduleWorker(delay) {
+  if (!isStarted || isProcessing) return;
+  clearTimeout(workerTimer);
+  // The run serves every queued job, not the request that happened to wake it.
+  workerTimer = withoutLogContext(() => setTimeout(processQueue, delay));
+}
+
+/**
+ * Starts sending queued webhook deliveries, including any left over from a
+ * previous run.
+ */
+function startWebhookWorker() {
+  if (isStarted) return;
+  isStarted = true;
+  logger.info("Webhook worker started");
+  scheduleWorker(0);
+}
+
+/**
+ * Stops scheduling worker runs. A run in progress finishes its current
+ * delivery first.
+ */
+function stopWebhookWorker() {
+  isStarted = false;
+  clearTimeout(workerTimer);
+}
+
+module.exports = {
+  signPayload,
+  emitWebhookEvent,
+  replayDelivery,
+  startWebhookWorker,
+  stopWebhookWorker,
+};
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const { run, get, all } = require("../config/db");
+const { AppError } = require("../middleware/errorHandler");
+const { logger } = require("../utils/logger");
+
+const WEBHOOK_EVENTS = [
+  "mint.submitted",
+  "mint.confirmed",
+  "mint.failed",
+  "certificate.burned",
+  "campaign.activated",
+];
+
+/**
+ * Formats a subscription row for API responses. The secret is only returned
+ * when the subscription is created.
+ * @param {object} subscription A row from the webhook_subscriptions table.
+ * @returns {object}
+ */
+function formatSubscription(subscription) {
+  return {
+    subscriptionId: subscription.id,
+    campaignId: subscription.campaignId,
+    url: subscription.url,
+    events: JSON.parse(subscription.events),
+    createdAt: subscription.createdAt,
+  };
+}
+
+/**
+ * Formats a delivery row for API responses.
+ * @param {object} delivery A row from the webhook_deliveries table.
+ * @returns {object}
+ */
+function formatDelivery(delivery) {
+  return {
+    deliveryId: delivery.id,
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt:
+      delivery.status === "pending"
+        ? new Date(delivery.nextAttemptAt).toISOString()
+        : null,
+    responseStatus: delivery.responseStatus,
+    responseBody: delivery.responseBody,
+    error: delivery.error,
+    replayOf: delivery.replayOf,
+    payload: JSON.parse(delivery.payload),
+    createdAt: delivery.createdAt,
+    updatedAt: delivery.updatedAt,
+    deliveredAt: delivery.deliveredAt,
+  };
+}
+
+/**
+ * Subscribes a URL to webhook events.
+ * @param {object} options
+ * @param {string} options.url The http(s) endpoint to POST to.
+ * @param {number | null} [options.campaignId] Limit to one campaign; all campaigns if null.
+ * @param {string[]} [options.events] Event names; every event if omitted.
+ * @returns {Promise<object>} The subscription, including its signing secret.
+ * @throws {AppError} 400 for an invalid URL or unknown event.
+ */
+async function createSubscription({ url, campaignId = null, events }) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    throw new AppError("Webhook URL is not a valid URL", 400);
+  }
+  if (!["http:", "https:"].includes(parsedUrl.protocol))
+    throw new AppError("Webhook URL must use http or https", 400);
+
+  const subscribedEvents = events ?? WEBHOOK_EVENTS;
+  if (!Array.isArray(subscribedEvents) || subscribedEvents.length === 0)
+    throw new AppError("events must be a non-empty array", 400);
+  const unknown = subscribedEvents.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length > 0)
+    throw new AppError(
+      `Unknown webhook event(s): ${unknown.join(
+        ", "
+      )}. Expected: ${WEBHOOK_EVENTS.join(", ")}`,
+      400
+    );
+
+  const id = crypto.randomUUID();
+  const secret = `whsec_${crypto.randomBytes(32).toString("hex")}`;
+  await run(
+    `INSERT INTO webhook_subscriptions (id, campaignId, url, secret, events) VALUES (?, ?, ?, ?, ?)`,
+    [
+      id,
+      campaignId,
+      parsedUrl.toString(),
+      secret,
+      JSON.stringify([...new Set(subscribedEvents)]),
+    ]
+  );
+  logger.info("Created webhook subscription", {
+    subscriptionId: id,
+    origin: parsedUrl.origin,
+  });
+
+  const subscription = await get(
+    `SELECT * FROM webhook_subscriptions WHERE id = ?`,
+    [id]
+  );
+  return { ...formatSubscription(subscription), secret };
+}
+
+/**
+ * Lists webhook subscriptions.
+ * @param {number} [campaignId] Only those covering this campaign.
+ * @returns {Promise<object[]>}
+ */
+async function listSubscriptions(campaignId) {
+  const subscriptions =
+    campaignId === undefined
+      ? await all(`SELECT * FROM webhook_subscriptions ORDER BY createdAt`)
+      : await all(
+          `SELECT * FROM webhook_subscriptions
+            WHERE campaignId IS NULL OR campaignId = ? ORDER BY createdAt`,
+          [campaignId]
+        );
+  return subscriptions.map(formatSubscription);
+}
+
+/**
+ * Deletes a subscription and cancels its pending deliveries. Past deliveries
+ * stay in the log.
+ * @param {string} subscriptionId
+ * @returns {Promise<boolean>} False if it does not exist.
+ */
+async function deleteSubscription(subscriptionId) {
+  const { changes } = await run(
+    `DELETE FROM webhook_subscriptions WHERE id = ?`,
+    [subscriptionId]
+  );
+  if (changes === 0) return false;
+
+  await run(
+    `UPDATE webhook_deliveries SET status = 'failed', error = 'Subscription deleted', updatedAt = CURRENT_TIMESTAMP
+      WHERE subscriptionId = ? AND status = 'pending'`,
+    [subscriptionId]
+  );
+  return true;
+}
+
+/**
+ * Lists a subscription's deliveries, newest first.
+ * @param {string} subscriptionId
+ * @param {object} [options]
+ * @param {string} [options.status] pending, delivered or failed.
+ * @param {number} [options.limit]
+ * @returns {Promise<object[]>}
+ */
+async function listDeliveries(subscriptionId, { status, limit = 50 } = {}) {
+  const params = [subscriptionId];
+  let statusFilter = "";
+  if (status) {
+    statusFilter = "AND status = ?";
+    params.push(status);
+  }
+
+  const deliveries = await all(
+    `SELECT * FROM webhook_deliveries WHERE subscriptionId = ? ${statusFilter}
+      ORDER BY createdAt DESC LIMIT ?`,
+    [...params, limit]
+  );
+  return deliveries.map(formatDelivery);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  formatDelivery,
+  createSubscription,
+  listSubscriptions,
+  deleteSubscription,
+  listDeliveries,
+};
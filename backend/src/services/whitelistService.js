@@ -0,0 +1,121 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  merkleDataPath,
+  processCSVData,
+  generateMerkleLeaves,
+  buildMerkleTree,
+} = require("../utils/merkle");
+const { storeProofs, getWhitelistSize } = require("./proofService");
+const { logger } = require("../utils/logger");
+
+/**
+ * Validates an attendee CSV with the same rules as generateMerkle.js.
+ * @param {string | Buffer} csvContent The raw CSV upload.
+ * @returns {{ validAddresses: string[], attendees: { address: string, name: string }[], emailOnly: { row: number, email: string }[], errors: { row: number, message: string }[] }}
+ * @throws {AppError} If the CSV cannot be parsed at all.
+ */
+function validateWhitelistCSV(csvContent) {
+  try {
+    return processCSVData(csvContent);
+  } catch (error) {
+    throw new AppError(`Malformed CSV: ${error.message}`, 400);
+  }
+}
+
+/**
+ * Writes a file by renaming a temporary copy into place, so a concurrent
+ * proof lookup never reads a half-written tree.
+ * @param {string} filePath
+ * @param {string} content
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Reads the addresses in a campaign's stored whitelist.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @returns {Promise<string[]>} The addresses, or an empty list if none is stored.
+ */
+async function loadWhitelist(campaignId) {
+  try {
+    const content = await fs.readFile(
+      merkleDataPath(campaignId, "merkleTree.json"),
+      "utf8"
+    );
+    return Object.keys(JSON.parse(content));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    logger.error("Failed to read whitelist", {
+      campaignId: Number(campaignId),
+      error: error.message,
+    });
+    throw new AppError("Failed to load campaign data", 500);
+  }
+}
+
+/**
+ * Builds the Merkle tree for a list of addresses and stores the root and
+ * proofs for a campaign, replacing any previous whitelist.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {string[]} addresses Validated, de-duplicated wallet addresses.
+ * @returns {Promise<{ merkleRoot: string, addressCount: number }>}
+ */
+async function storeWhitelist(campaignId, addresses) {
+  if (addresses.length === 0)
+    throw new AppError("No valid wallet addresses found in CSV file", 400);
+
+  const leaves = generateMerkleLeaves(addresses);
+  const { merkleRoot, merkleProofs } = buildMerkleTree(addresses, leaves);
+
+  const merkleTreePath = merkleDataPath(campaignId, "merkleTree.json");
+  await fs.mkdir(path.dirname(merkleTreePath), { recursive: true });
+
+  await writeFileAtomic(merkleTreePath, JSON.stringify(merkleProofs, null, 2));
+  await writeFileAtomic(
+    merkleDataPath(campaignId, "merkleRoot.txt"),
+    merkleRoot
+  );
+  await storeProofs(campaignId, merkleRoot, merkleProofs);
+
+  logger.info("Stored whitelist", {
+    campaignId: Number(campaignId),
+    addressCount: addresses.length,
+    merkleRoot,
+  });
+
+  return { merkleRoot, addressCount: addresses.length };
+}
+
+/**
+ * Describes a campaign's stored whitelist, e.g. for the audit log.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @returns {Promise<{ merkleRoot: string, addressCount: number } | null>} Null if none is stored.
+ */
+async function describeWhitelist(campaignId) {
+  let merkleRoot;
+  try {
+    merkleRoot = await fs.readFile(
+      merkleDataPath(campaignId, "merkleRoot.txt"),
+      "utf8"
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+  return {
+    merkleRoot: merkleRoot.trim(),
+    addressCount: await getWhitelistSize(campaignId),
+  };
+}
+
+module.exports = {
+  validateWhitelistCSV,
+  loadWhitelist,
+  storeWhitelist,
+  describeWhitelist,
+};
@@ -0,0 +1,16 @@
+// Kept apart from middleware/errorHandler.js, which re-exports it, so modules
+// the error handler depends on can throw AppErrors too.
+class AppError extends Error {
+  constructor(message, statusCode, code) {
+    super(message);
+    this.statusCode = statusCode;
+    // Optional machine-readable code, e.g. the name of a contract custom error.
+    if (code) this.code = code;
+    this.status = `${statusCode}`.startsWith("4") ? "fail" : "error";
+    this.isOperational = true;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = { AppError };
@@ -0,0 +1,104 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const ASSETS_DIR = path.join(__dirname, "..", "..", "assets");
+const DEFAULT_TEMPLATE_PATH = path.join(ASSETS_DIR, "certificate.png");
+const DEFAULT_TEXT_COLOR = "#7b3fe4";
+const FONT_FAMILY = "EB Garamond";
+
+let canvas = null;
+
+/**
+ * Loads canvas and registers the certificate font on first use. canvas is a
+ * native module, so the API still starts where it is not built; only
+ * rendering fails.
+ */
+function loadCanvas() {
+  if (!canvas) {
+    const canvasModule = require("canvas");
+    canvasModule.registerFont(
+      path.join(ASSETS_DIR, "fonts", "EBGaramond-Bold.ttf"),
+      {
+        family: FONT_FAMILY,
+      }
+    );
+    canvas = canvasModule;
+  }
+  return canvas;
+}
+
+/**
+ * Draws an attendee's name onto the certificate template. The name is
+ * centred in a box over the template's name line and shrunk until it fits,
+ * down to 3% of the image height.
+ * @param {object} options
+ * @param {string} options.name The attendee's name.
+ * @param {string} [options.templatePath] The blank certificate PNG.
+ * @param {string} [options.textColor] Any CSS color.
+ * @returns {Promise<Buffer>} The certificate as a PNG.
+ */
+async function renderCertificate({
+  name,
+  templatePath = DEFAULT_TEMPLATE_PATH,
+  textColor = DEFAULT_TEXT_COLOR,
+}) {
+  if (!name || name.trim().length === 0) {
+    throw new Error("name cannot be empty");
+  }
+
+  // Check if input file exists
+  await fs.access(templatePath);
+
+  const { createCanvas, loadImage } = loadCanvas();
+  const img = await loadImage(templatePath);
+  const certificate = createCanvas(img.width, img.height);
+  const ctx = certificate.getContext("2d");
+
+  // ---- Auto compute rectangle based on image dimensions ----
+  const rect = {
+    x: img.width * 0.25,
+    y: img.height * 0.42,
+    w: img.width * 0.6,
+    h: img.height * 0.1,
+  };
+
+  // Draw original certificate
+  ctx.drawImage(img, 0, 0);
+
+  // ---- Optimized font scaling ----
+  let currentSize = Math.floor(img.height * 0.07);
+  const minFontSize = Math.floor(img.height * 0.03);
+  const stepSize = Math.max(1, Math.floor(currentSize * 0.1));
+
+  ctx.font = `${currentSize}px '${FONT_FAMILY}'`;
+  let textWidth = ctx.measureText(name).width;
+
+  while (
+    (textWidth > rect.w || currentSize > rect.h) &&
+    currentSize > minFontSize
+  ) {
+    currentSize -= stepSize;
+    ctx.font = `${currentSize}px '${FONT_FAMILY}'`;
+    textWidth = ctx.measureText(name).width;
+  }
+
+  // ---- Center text in rectangle ----
+  ctx.fillStyle = textColor;
+  ctx.textBaseline = "middle";
+  ctx.textAlign = "center";
+  ctx.fillText(name, rect.x + rect.w / 2, rect.y + rect.h / 2);
+
+  const buffer = certificate.toBuffer("image/png");
+
+  // Clean up
+  certificate.width = certificate.height = 0;
+
+  return buffer;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE_PATH,
+  DEFAULT_TEXT_COLOR,
+  loadCanvas,
+  renderCertificate,
+};
@@ -0,0 +1,165 @@
+const { Interface, isHexString } = require("ethers");
+const { abi } = require("../config/EventCertificateABI.json");
+const { AppError } = require("./appError");
+
+const contractInterface = new Interface(abi);
+
+// Message and HTTP status for every custom error EventCertificate.sol (and
+// the OpenZeppelin contracts it inherits) declares. The error name is the
+// error's code. Callers can override entries where an error means something
+// else in their context, e.g. CampaignNotActive when deleting a campaign.
+const CONTRACT_ERRORS = {
+  AlreadyMinted: [
+    "This address has already minted a certificate for this campaign.",
+    400,
+  ],
+  CampaignDoesNotExist: ["Campaign not found", 404],
+  CampaignDurationTooLong: ["Campaign cannot run longer than 365 days", 400],
+  CampaignExpired: [
+    "The minting window for this campaign is not currently open.",
+    403,
+  ],
+  CampaignHasMints: ["Campaign already has mints and cannot be deleted", 409],
+  CampaignMustStartInFuture: ["Campaign start time must be in the future", 400],
+  CampaignNotActive: ["This campaign is not currently active.", 403],
+  CannotModifyStartedCampaign: [
+    "Campaign has already started and can no longer be changed",
+    409,
+  ],
+  EmptyMerkleRoot: ["Merkle root cannot be empty", 400],
+  // Mint jobs wait for an unpause instead of failing (services/mintQueue.js).
+  EnforcedPause: ["Minting is paused. Please try again later.", 503],
+  ExpectedPause: ["The contract is not paused", 409],
+  ERC721IncorrectOwner: ["The certificate is held by another address", 409],
+  ERC721InsufficientApproval: ["Not approved to manage this certificate", 403],
+  ERC721InvalidApprover: ["Invalid certificate approver", 400],
+  ERC721InvalidOperator: ["Invalid certificate operator", 400],
+  ERC721InvalidOwner: ["Invalid certificate owner", 400],
+  ERC721InvalidReceiver: ["Invalid certificate receiver", 400],
+  ERC721InvalidSender: ["Invalid certificate sender", 400],
+  ERC721NonexistentToken: ["Certificate not found", 404],
+  InvalidCampaignTimes: ["Campaign end time must be after its start time", 400],
+  InvalidInput: ["Invalid input", 400],
+  InvalidProof: [
+    "This address is not on the whitelist for this campaign.",
+    403,
+  ],
+  MintingWindowNotOpen: [
+    "The minting window for this campaign is not currently open.",
+    403,
+  ],
+  MintLimitReached: [
+    "The maximum number of mints for this campaign has been reached.",
+    403,
+  ],
+  NonExistentToken: ["Certificate not found", 404],
+  NonTransferable: [
+    "Certificates are soulbound and cannot be transferred",
+    403,
+  ],
+  NotAuthorizedRelayer: [
+    "The minting service is temporarily unavailable. Please try again later.",
+    500,
+  ],
+  OwnableInvalidOwner: ["Invalid contract owner address", 400],
+  OwnableUnauthorizedAccount: [
+    "Configured owner wallet is not the contract owner",
+    500,
+  ],
+  ProofTooLong: ["Merkle proof is too long", 400],
+  ZeroAddress: ["Address cannot be the zero address", 400],
+};
+
+// Code for reverts without a known custom error: a require message, a panic
+// or no revert data at all.
+const UNKNOWN_REVERT_CODE = "CONTRACT_REVERTED";
+
+/**
+ * A contract revert. `code` is the custom error's name (or
+ * CONTRACT_REVERTED); `errorName` and `args` describe the decoded error.
+ */
+class ContractError extends AppError {
+  /**
+   * @param {string} message
+   * @param {number} statusCode
+   * @param {string} code
+   * @param {string | null} errorName
+   * @param {object} args The error's arguments by name, bigints as strings.
+   */
+  constructor(message, statusCode, code, errorName, args) {
+    super(message, statusCode, code);
+    this.errorName = errorName;
+    this.args = args;
+  }
+}
+
+/**
+ * Finds the revert data in an ethers error. Depending on the call and the
+ * provider it is on the error itself or on the JSON-RPC error it wraps.
+ * @param {object} error
+ * @returns {string | null}
+ */
+function findRevertData(error) {
+  const candidates = [error.data, error.info?.error?.data, error.error?.data];
+  return (
+    candidates.find((data) => isHexString(data) && data.length >= 10) || null
+  );
+}
+
+/**
+ * Decodes revert data against the contract ABI.
+ * @param {string | null} data
+ * @returns {import("ethers").ErrorDescription | null}
+ */
+function parseRevertData(data) {
+  if (!data) return null;
+  try {
+    return contractInterface.parseError(data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turns an ethers CALL_EXCEPTION into a ContractError with the message and
+ * status for its custom error.
+ * @param {Error} error Any error thrown by a contract call.
+ * @param {Object<string, [string, number]>} [messages] Message and status
+ *   overrides by error name, for the caller's context.
+ * @returns {ContractError | null} Null if the error is not a revert.
+ */
+function decodeContractError(error, messages = {}) {
+  if (error instanceof ContractError) return error;
+  if (!error || error.code !== "CALL_EXCEPTION") return null;
+
+  const decoded = parseRevertData(findRevertData(error));
+  const name = decoded ? decoded.name : error.revert?.name || null;
+  const known = messages[name] || CONTRACT_ERRORS[name];
+
+  if (!known)
+    return new ContractError(
+      "The transaction was rejected by the contract.",
+      400,
+      UNKNOWN_REVERT_CODE,
+      name,
+      {}
+    );
+
+  const args = {};
+  if (decoded)
+    decoded.fragment.inputs.forEach((input, i) => {
+      const value = decoded.args[i];
+      args[input.name] = typeof value === "bigint" ? value.toString() : value;
+    });
+
+  const [message, statusCode] = known;
+  return new ContractError(message, statusCode, name, name, args);
+}
+
+module.exports = {
+  CONTRACT_ERRORS,
+  UNKNOWN_REVERT_CODE,
+  ContractError,
+  contractInterface,
+  decodeContractError,
+};
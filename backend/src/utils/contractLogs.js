@@ -0,0 +1,30 @@
+// Where log searches start: the block the contract was deployed in. The
+// indexer's start block is that block too, when it is set.
+const DEPLOYMENT_BLOCK =
+  Number(
+    process.env.CONTRACT_DEPLOYMENT_BLOCK ?? process.env.INDEXER_START_BLOCK
+  ) || 0;
+// Hosted RPCs reject eth_getLogs over wide block ranges.
+const BATCH_SIZE = Number(process.env.INDEXER_BATCH_SIZE) || 2000;
+
+/**
+ * Searches a contract's logs from the deployment block up to `toBlock`, one
+ * INDEXER_BATCH_SIZE range per eth_getLogs request.
+ * @param {import("ethers").Contract} contract
+ * @param {object} filter e.g. `contract.filters.CertificateMinted(address)`.
+ * @param {number} toBlock Usually the latest block.
+ * @param {{ first?: boolean }} [options] `first` stops at the first range
+ *   with a match, for lookups that expect a single log.
+ * @returns {Promise<object[]>} The logs, in block order.
+ */
+async function queryLogsInPages(contract, filter, toBlock, { first } = {}) {
+  const logs = [];
+  for (let from = DEPLOYMENT_BLOCK; from <= toBlock; from += BATCH_SIZE) {
+    const to = Math.min(from + BATCH_SIZE - 1, toBlock);
+    logs.push(...(await contract.queryFilter(filter, from, to)));
+    if (first && logs.length > 0) break;
+  }
+  return logs;
+}
+
+module.exports = { queryLogsInPages };
@@ -0,0 +1,132 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are never written, at any depth.
+const SECRET_FIELD_PATTERN =
+  /private_?key|secret|password|passphrase|mnemonic|authorization|cookie|api_?key|^token$/i;
+// A whole wallet address; transaction hashes and Merkle roots are longer and
+// do not match.
+const ADDRESS_PATTERN =
+  /\b0x([0-9a-fA-F]{4})[0-9a-fA-F]{32}([0-9a-fA-F]{4})\b/g;
+
+// Fields added to every entry logged while handling one request or job, such
+// as its requestId.
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` with extra fields on every entry it logs, including from the
+ * async work it starts. Nested calls add to the outer fields.
+ * @template T
+ * @param {object} fields
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Runs `fn` outside the current context, for background work a request only
+ * schedules, such as a worker run that then handles other requests' jobs.
+ * @template T
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function withoutLogContext(fn) {
+  return logContext.exit(fn);
+}
+
+/**
+ * Copies a value for logging: errors become plain objects, secret fields are
+ * replaced and, optionally, addresses are shortened to 0x1234…abcd.
+ * @param {*} value
+ * @param {boolean} redactAddresses
+ * @param {number} [depth]
+ * @returns {*}
+ */
+function redact(value, redactAddresses, depth = 0) {
+  if (typeof value === "string")
+    return redactAddresses ? value.replace(ADDRESS_PATTERN, "0x$1…$2") : value;
+  if (typeof value === "bigint") return value.toString();
+  if (!value || typeof value !== "object") return value;
+  if (depth > 5) return "[Truncated]";
+
+  if (value instanceof Error)
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        ...(value.code && { code: value.code }),
+        ...(value.statusCode && { statusCode: value.statusCode }),
+        stack: value.stack,
+      },
+      redactAddresses,
+      depth
+    );
+  if (Array.isArray(value))
+    return value.map((item) => redact(item, redactAddresses, depth + 1));
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = SECRET_FIELD_PATTERN.test(key)
+      ? "[Redacted]"
+      : redact(field, redactAddresses, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Creates a logger that writes one JSON object per line.
+ * @param {object} [options]
+ * @param {string} [options.level] Lowest level written: debug, info, warn or error.
+ * @param {boolean} [options.redactAddresses] Shorten wallet addresses.
+ * @param {(line: string, level: string) => void} [options.write] Where lines
+ *   go; by default warn and error to stderr, the rest to stdout.
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+ */
+function createLogger({
+  level = "info",
+  redactAddresses = false,
+  write = (line, entryLevel) =>
+    (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(
+      `${line}\n`
+    ),
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const log = (entryLevel) => (message, fields) => {
+    if (LEVELS[entryLevel] < threshold) return;
+
+    const entry = redact(
+      {
+        time: new Date().toISOString(),
+        level: entryLevel,
+        msg: message,
+        ...logContext.getStore(),
+        ...(fields instanceof Error ? { error: fields } : fields),
+      },
+      redactAddresses
+    );
+    write(JSON.stringify(entry), entryLevel);
+  };
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+  };
+}
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL,
+  redactAddresses: process.env.LOG_REDACT_ADDRESSES === "true",
+});
+
+module.exports = {
+  logger,
+  createLogger,
+  withLogContext,
+  withoutLogContext,
+};
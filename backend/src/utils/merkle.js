@@ -0,0 +1,170 @@
+const path = require("path");
+const { parse } = require("csv-parse/sync");
+const { MerkleTree } = require("merkletreejs");
+const keccak256 = require("keccak256");
+const { ethers } = require("ethers");
+
+const WALLET_ADDRESS_LENGTH = 42;
+const MAX_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MERKLE_DATA_DIR = path.join(__dirname, "..", "..", "merkleData");
+
+/**
+ * Resolves a file inside a campaign's Merkle data directory.
+ * @param {string | number} campaignId The ID of the campaign.
+ * @param {string} fileName e.g. "merkleTree.json" or "merkleRoot.txt".
+ * @returns {string} The absolute file path.
+ */
+function merkleDataPath(campaignId, fileName) {
+  // Sanitize campaignId to prevent path traversal vulnerabilities
+  const safeCampaignId = path.basename(String(campaignId));
+  return path.join(MERKLE_DATA_DIR, safeCampaignId, fileName);
+}
+
+/**
+ * Validates and normalizes wallet addresses
+ */
+function validateWalletAddress(address) {
+  if (!address || typeof address !== "string") {
+    throw new Error("Invalid wallet address: null or undefined");
+  }
+
+  const cleanAddress = address.trim();
+
+  if (cleanAddress.length !== WALLET_ADDRESS_LENGTH) {
+    throw new Error(`Invalid wallet address length: ${cleanAddress}`);
+  }
+
+  if (!cleanAddress.startsWith("0x")) {
+    throw new Error(`Wallet address must start with 0x: ${cleanAddress}`);
+  }
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(cleanAddress)) {
+    throw new Error(`Invalid wallet address format: ${cleanAddress}`);
+  }
+
+  return cleanAddress;
+}
+
+/**
+ * Validates and normalizes (lowercases) an email address
+ */
+function validateEmail(email) {
+  const cleanEmail = email.trim().toLowerCase();
+
+  if (!EMAIL_PATTERN.test(cleanEmail)) {
+    throw new Error(`Invalid email address: ${cleanEmail}`);
+  }
+
+  return cleanEmail;
+}
+
+/**
+ * Normalizes an attendee name, collapsing runs of whitespace, as
+ * generateMetadata.js does
+ */
+function validateName(name) {
+  const cleanName = name.trim().replace(/\s+/g, " ");
+
+  if (cleanName.length > MAX_NAME_LENGTH) {
+    throw new Error(
+      `Name exceeds maximum length of ${MAX_NAME_LENGTH} characters`
+    );
+  }
+
+  return cleanName;
+}
+
+/**
+ * Processes CSV data with validation and deduplication.
+ * Rows without a walletAddress are accepted if they have an email; those
+ * attendees are listed in `emailOnly` so they can be sent a claim code.
+ * Wallet rows with a name are also listed in `attendees`, for the
+ * certificate metadata.
+ * Each error carries the 1-based data row it came from (the header is not counted).
+ * @returns {{ validAddresses: string[], attendees: { address: string, name: string }[], emailOnly: { row: number, email: string }[], errors: { row: number, message: string }[] }}
+ */
+function processCSVData(csvContent) {
+  const records = parse(csvContent, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+  });
+
+  const uniqueAddresses = new Set();
+  const uniqueEmails = new Set();
+  const validAddresses = [];
+  const attendees = [];
+  const emailOnly = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    try {
+      if (!record.walletAddress) {
+        if (!record.email) {
+          throw new Error("Missing walletAddress or email field");
+        }
+
+        const validatedEmail = validateEmail(record.email);
+
+        if (uniqueEmails.has(validatedEmail)) {
+          throw new Error(`Duplicate email address: ${validatedEmail}`);
+        }
+
+        uniqueEmails.add(validatedEmail);
+        emailOnly.push({ row: index + 1, email: validatedEmail });
+        return;
+      }
+
+      const validatedAddress = validateWalletAddress(record.walletAddress);
+      const name = record.name ? validateName(record.name) : null;
+
+      if (uniqueAddresses.has(validatedAddress.toLowerCase())) {
+        throw new Error(`Duplicate wallet address: ${validatedAddress}`);
+      }
+
+      uniqueAddresses.add(validatedAddress.toLowerCase());
+      validAddresses.push(validatedAddress);
+      if (name) attendees.push({ address: validatedAddress, name });
+    } catch (error) {
+      errors.push({ row: index + 1, message: error.message });
+    }
+  });
+
+  return { validAddresses, attendees, emailOnly, errors };
+}
+
+/**
+ * Generates Merkle leaves from addresses
+ */
+function generateMerkleLeaves(addresses) {
+  return addresses.map((addr) => {
+    return ethers.solidityPackedKeccak256(["address"], [addr]);
+  });
+}
+
+/**
+ * Builds Merkle tree and generates proofs
+ */
+function buildMerkleTree(addresses, leaves) {
+  const merkleTree = new MerkleTree(leaves, keccak256, { sortPairs: true });
+  const merkleRoot = merkleTree.getHexRoot();
+
+  const merkleProofs = {};
+  addresses.forEach((addr, index) => {
+    const leaf = leaves[index];
+    merkleProofs[addr] = merkleTree.getHexProof(leaf);
+  });
+
+  return { merkleTree, merkleRoot, merkleProofs };
+}
+
+module.exports = {
+  merkleDataPath,
+  validateWalletAddress,
+  validateEmail,
+  validateName,
+  processCSVData,
+  generateMerkleLeaves,
+  buildMerkleTree,
+};
@@ -0,0 +1,116 @@
+// Compares the `mints` table with the contract for one campaign. Kept free of
+// the chain and database so it can be tested on its own; see
+// services/reconcileService.js for where the inputs come from.
+//
+// Kinds of difference:
+//   missing_row      minted on-chain, no row             (backfilled)
+//   stale_row        minted on-chain, row is not confirmed with that
+//                    transaction and token                (backfilled)
+//   unrecorded_burn  burned on-chain, row still confirmed (backfilled)
+//   not_on_chain     row confirmed, no mint on-chain at all
+//   unverified_mint  minted on-chain per hasMintedInCampaign, but there is no
+//                    CertificateMinted log to take the transaction from
+//   unknown_mints    campaignMintCount is higher than the mints found
+const FIXABLE_KINDS = ["missing_row", "stale_row", "unrecorded_burn"];
+
+/**
+ * Keeps each attendee's latest CertificateMinted log: a burned certificate
+ * can be minted again, and only the last mint can still be live.
+ * @param {{ attendee: string, blockNumber: number, logIndex: number }[]} events
+ * @returns {Map<string, object>} Keyed by lowercase address.
+ */
+function latestMintEvents(events) {
+  const latest = new Map();
+  for (const event of events) {
+    const key = event.attendee.toLowerCase();
+    const current = latest.get(key);
+    if (
+      !current ||
+      event.blockNumber > current.blockNumber ||
+      (event.blockNumber === current.blockNumber &&
+        event.logIndex > current.logIndex)
+    )
+      latest.set(key, event);
+  }
+  return latest;
+}
+
+/**
+ * Lists where a campaign's mints rows disagree with the chain. Pending rows
+ * are left to the receipt watcher, and failed or burned rows with nothing
+ * live on-chain are correct.
+ * @param {object} state
+ * @param {object[]} state.rows The campaign's mints rows.
+ * @param {{ attendee: string, tokenId: string, transactionHash: string, blockNumber: number, logIndex: number }[]} state.events
+ *   The campaign's CertificateMinted logs.
+ * @param {Map<string, boolean>} state.hasMinted hasMintedInCampaign for every
+ *   attendee in rows or events, keyed by lowercase address.
+ * @param {number} state.mintCount campaignMintCount.
+ * @returns {object[]} The differences, each with its kind, the attendee, the
+ *   on-chain mint and the row (either may be null) and whether a backfill
+ *   fixes it.
+ */
+function findMintDifferences({ rows, events, hasMinted, mintCount }) {
+  const rowsByAttendee = new Map(
+    rows.map((row) => [row.attendeeAddress.toLowerCase(), row])
+  );
+  const eventsByAttendee = latestMintEvents(events);
+  const attendees = new Set([
+    ...rowsByAttendee.keys(),
+    ...eventsByAttendee.keys(),
+  ]);
+
+  const differences = [];
+  let liveCount = 0;
+
+  for (const key of attendees) {
+    const row = rowsByAttendee.get(key) || null;
+    const event = eventsByAttendee.get(key) || null;
+    const minted = hasMinted.get(key) === true;
+    if (minted) liveCount++;
+
+    let kind = null;
+    if (minted && !event) {
+      if (row?.status !== "confirmed") kind = "unverified_mint";
+    } else if (minted && !row) {
+      kind = "missing_row";
+    } else if (minted) {
+      if (
+        row.status !== "confirmed" ||
+        row.transactionHash !== event.transactionHash ||
+        row.tokenId !== event.tokenId
+      )
+        kind = "stale_row";
+    } else if (row?.status === "confirmed") {
+      kind = event ? "unrecorded_burn" : "not_on_chain";
+    }
+
+    if (kind)
+      differences.push({
+        kind,
+        attendee: event ? event.attendee : row.attendeeAddress,
+        onChain: event && {
+          tokenId: event.tokenId,
+          transactionHash: event.transactionHash,
+          blockNumber: event.blockNumber,
+        },
+        database: row && {
+          status: row.status,
+          tokenId: row.tokenId,
+          transactionHash: row.transactionHash,
+        },
+        fixable: FIXABLE_KINDS.includes(kind),
+      });
+  }
+
+  if (mintCount > liveCount)
+    differences.push({
+      kind: "unknown_mints",
+      count: mintCount - liveCount,
+      fixable: false,
+    });
+
+  return differences;
+}
+
+module.exports = { latestMintEvents, findMintDifferences };
@@ -0,0 +1,199 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { db, resetDatabase, closeDatabase } = require("./setup");
+const auditRepository = require("../src/repositories/auditRepository");
+const {
+  recordAudit,
+  withAudit,
+  listAuditEntries,
+  verifyAuditLog,
+} = require("../src/services/auditService");
+
+const TX = `0x${"a".repeat(64)}`;
+
+describe(`audit log (${db.dialect})`, () => {
+  before(resetDatabase);
+  beforeEach(() => db.run(`DELETE FROM audit_log`));
+  after(closeDatabase);
+
+  it("chains entries and lists them newest first", async () => {
+    const first = await recordAudit({
+      actor: "ops",
+      action: "campaign.setBaseURI",
+      campaignId: "3",
+      params: { baseURI: "ipfs://new/" },
+      before: { baseURI: "ipfs://old/" },
+      after: { baseURI: "ipfs://new/" },
+      transactionHash: TX,
+    });
+    const second = await recordAudit({
+      actor: "deploy",
+      source: "cli",
+      action: "proofs.import",
+      campaignId: 4,
+    });
+
+    assert.equal(first.previousHash, "0".repeat(64));
+    assert.equal(second.previousHash, first.hash);
+
+    const entries = await listAuditEntries();
+    assert.deepEqual(
+      entries.map(({ action }) => action),
+      ["proofs.import", "campaign.setBaseURI"]
+    );
+    assert.equal(entries[1].campaignId, 3);
+    assert.equal(entries[1].outcome, "success");
+    assert.deepEqual(entries[1].before, { baseURI: "ipfs://old/" });
+    assert.equal(entries[1].transactionHash, TX);
+    assert.equal(entries[0].source, "cli");
+    assert.equal(entries[0].params, null);
+  });
+
+  it("filters entries", async () => {
+    await recordAudit({ actor: "ops", action: "campaign.setActive" });
+    await recordAudit({
+      actor: "ops",
+      action: "campaign.delete",
+      campaignId: 2,
+    });
+    await recordAudit({
+      actor: "alice",
+      action: "campaign.delete",
+      campaignId: 5,
+    });
+
+    const byActor = await listAuditEntries({ actor: "ops" });
+    assert.equal(byActor.length, 2);
+
+    const byCampaign = await listAuditEntries({ campaignId: 5 });
+    assert.deepEqual(
+      byCampaign.map(({ actor }) => actor),
+      ["alice"]
+    );
+
+    const [newest] = await listAuditEntries({ limit: 1 });
+    assert.deepEqual(
+      (await listAuditEntries({ beforeId: newest.id })).map(
+        ({ action }) => action
+      ),
+      ["campaign.delete", "campaign.setActive"]
+    );
+
+    assert.equal(
+      (await listAuditEntries({ since: "2000-01-01T00:00:00.000Z", limit: 1 }))
+        .length,
+      1
+    );
+    assert.deepEqual(
+      await listAuditEntries({ until: "2000-01-01T00:00:00.000Z" }),
+      []
+    );
+  });
+
+  it("records an operation's state before and after, and failures", async () => {
+    let state = { isActive: false };
+    const result = await withAudit(
+      {
+        actor: "ops",
+        action: "campaign.setActive",
+        readState: async () => ({ ...state }),
+      },
+      async () => {
+        state = { isActive: true };
+        return { transactionHash: TX };
+      }
+    );
+    assert.deepEqual(result, { transactionHash: TX });
+
+    await assert.rejects(
+      withAudit({ actor: "ops", action: "campaign.setActive" }, async () => {
+        throw new Error("Campaign has ended and cannot be activated");
+      }),
+      /has ended/
+    );
+
+    const [failed, succeeded] = await listAuditEntries();
+    assert.deepEqual(succeeded.before, { isActive: false });
+    assert.deepEqual(succeeded.after, { isActive: true });
+    assert.equal(succeeded.transactionHash, TX);
+    assert.equal(failed.outcome, "failure");
+    assert.equal(failed.error, "Campaign has ended and cannot be activated");
+    assert.deepEqual(await listAuditEntries({ outcome: "failure" }), [failed]);
+
+    // The event indexer tells activations made through the API apart by this.
+    const entry = await auditRepository.findByTransaction(
+      "campaign.setActive",
+      TX
+    );
+    assert.equal(Number(entry.id), succeeded.id);
+    assert.equal(
+      await auditRepository.findByTransaction("campaign.delete", TX),
+      undefined
+    );
+  });
+
+  it("keeps one chain when entries are recorded at once", async () => {
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) =>
+        recordAudit({ actor: "ops", action: `action.${i}` })
+      )
+    );
+
+    const result = await verifyAuditLog();
+    assert.equal(result.valid, true);
+    assert.equal(result.checkedCount, 10);
+    assert.equal(result.headHash, (await auditRepository.findLast()).hash);
+  });
+
+  it("refuses a second entry on the same previous hash", async () => {
+    const entry = await recordAudit({
+      actor: "ops",
+      action: "campaign.setActive",
+    });
+    const fork = { ...entry, hash: `0x${"f".repeat(64)}` };
+    assert.equal(await auditRepository.append(fork), false);
+  });
+
+  it("detects edited and deleted entries", async () => {
+    for (const baseURI of ["ipfs://a/", "ipfs://b/", "ipfs://c/"])
+      await recordAudit({
+        actor: "ops",
+        action: "campaign.setBaseURI",
+        params: { baseURI },
+      });
+    const [third, second, first] = await auditRepository.list();
+
+    assert.equal((await verifyAuditLog()).valid, true);
+
+    await db.run(`UPDATE audit_log SET actor = 'someone-else' WHERE id = ?`, [
+      second.id,
+    ]);
+    assert.deepEqual(await verifyAuditLog(), {
+      valid: false,
+      checkedCount: 1,
+      headHash: first.hash,
+      brokenAt: {
+        id: Number(second.id),
+        reason: "Contents do not match its hash",
+      },
+    });
+
+    await db.run(`DELETE FROM audit_log WHERE id = ?`, [second.id]);
+    const result = await verifyAuditLog();
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt.id, Number(third.id));
+    assert.equal(
+      result.brokenAt.reason,
+      "Does not link to the entry before it"
+    );
+  });
+
+  it("reports an empty log as valid", async () => {
+    assert.deepEqual(await verifyAuditLog(), {
+      valid: true,
+      checkedCount: 0,
+      headHash: null,
+      brokenAt: null,
+    });
+  });
+});
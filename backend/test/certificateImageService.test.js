@@ -0,0 +1,175 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// A template and cache of the test's own. Read when the service loads.
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "eventcert-images-"));
+const templatePath = path.join(workDir, "certificate.png");
+const cacheDir = path.join(workDir, "cache");
+process.env.CERTIFICATE_TEMPLATE_PATH = templatePath;
+process.env.CERTIFICATE_CACHE_DIR = cacheDir;
+
+const { db, resetDatabase, closeDatabase, stubModule } = require("./setup");
+const metadataRepository = require("../src/repositories/metadataRepository");
+
+// Every render, and whether the next one fails. Drawing needs the canvas
+// native module, which is not needed to test the cache around it.
+let renders = [];
+let renderFails = false;
+
+stubModule("src/utils/certificateImage", {
+  DEFAULT_TEMPLATE_PATH: templatePath,
+  DEFAULT_TEXT_COLOR: "#7b3fe4",
+  renderCertificate: async ({ name, textColor }) => {
+    renders.push({ name, textColor });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    if (renderFails) throw new Error("canvas is not built");
+    return Buffer.from(`${name} in ${textColor}`);
+  },
+});
+
+const {
+  getCertificateImage,
+  renderPreview,
+} = require("../src/services/certificateImageService");
+
+const ADDRESS = "0xAbC0000000000000000000000000000000000001";
+
+/**
+ * Lists the campaign's cached certificates.
+ */
+function cachedFiles() {
+  const dir = path.join(cacheDir, "1");
+  return fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+}
+
+/**
+ * Fetches and loads the attendee's certificate.
+ */
+async function loadImage() {
+  const { etag, load } = await getCertificateImage(1, ADDRESS);
+  return { etag, image: (await load()).toString() };
+}
+
+describe(`certificateImageService (${db.dialect})`, () => {
+  before(async () => {
+    await resetDatabase();
+    await metadataRepository.saveTemplate(1, {
+      eventName: "Project Management",
+      issuer: "Libertas Alpha Technologies",
+      textColor: "#000000",
+    });
+  });
+  beforeEach(async () => {
+    renders = [];
+    renderFails = false;
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    fs.writeFileSync(templatePath, "template v1");
+    await metadataRepository.saveAttendees(1, [
+      { address: ADDRESS, name: "Ada Lovelace" },
+    ]);
+  });
+  after(async () => {
+    await closeDatabase();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("draws a certificate once and reads it from disk after that", async () => {
+    const first = await loadImage();
+    assert.equal(first.image, "Ada Lovelace in #000000");
+    assert.match(first.etag, /^"[0-9a-f]{32}"$/);
+    const [file] = cachedFiles();
+    assert.equal(
+      file,
+      `${ADDRESS.toLowerCase()}-${first.etag.slice(1, -1)}.png`
+    );
+
+    // Changed on disk, so the next load can only have come from there.
+    fs.writeFileSync(path.join(cacheDir, "1", file), "from disk");
+    assert.deepEqual(await loadImage(), {
+      etag: first.etag,
+      image: "from disk",
+    });
+    assert.equal(renders.length, 1);
+  });
+
+  it("replaces the cached file when the name changes", async () => {
+    const original = await loadImage();
+    const [oldFile] = cachedFiles();
+
+    await metadataRepository.saveAttendees(1, [
+      { address: ADDRESS, name: "Ada King" },
+    ]);
+    const updated = await loadImage();
+
+    assert.equal(updated.image, "Ada King in #000000");
+    assert.notEqual(updated.etag, original.etag);
+    const files = cachedFiles();
+    assert.equal(files.length, 1);
+    assert.notEqual(files[0], oldFile);
+    assert.equal(renders.length, 2);
+  });
+
+  it("replaces the cached file when the template image changes", async () => {
+    const original = await loadImage();
+    const [oldFile] = cachedFiles();
+
+    fs.writeFileSync(templatePath, "template v2, redesigned");
+    const updated = await loadImage();
+
+    assert.notEqual(updated.etag, original.etag);
+    const files = cachedFiles();
+    assert.equal(files.length, 1);
+    assert.notEqual(files[0], oldFile);
+    assert.equal(renders.length, 2);
+  });
+
+  it("draws a certificate once for concurrent loads", async () => {
+    const images = await Promise.all([loadImage(), loadImage(), loadImage()]);
+
+    assert.equal(renders.length, 1);
+    assert.ok(images.every(({ image }) => image === "Ada Lovelace in #000000"));
+    assert.equal(cachedFiles().length, 1);
+  });
+
+  it("answers 503 and caches nothing when drawing fails", async () => {
+    renderFails = true;
+    const { load } = await getCertificateImage(1, ADDRESS);
+
+    await assert.rejects(load(), {
+      statusCode: 503,
+      code: "RENDERING_UNAVAILABLE",
+    });
+    assert.deepEqual(cachedFiles(), []);
+  });
+
+  it("answers 404 for an attendee without a name", async () => {
+    await assert.rejects(
+      getCertificateImage(1, "0xAbC0000000000000000000000000000000000002"),
+      { statusCode: 404, code: "METADATA_NOT_FOUND" }
+    );
+  });
+
+  it("previews a cleaned-up name without caching it", async () => {
+    const image = await renderPreview(1, "  Grace   Hopper ");
+
+    assert.equal(image.toString(), "Grace Hopper in #000000");
+    assert.deepEqual(renders, [{ name: "Grace Hopper", textColor: "#000000" }]);
+    assert.deepEqual(cachedFiles(), []);
+  });
+
+  it("rejects a preview with an empty or overlong name", async () => {
+    for (const name of [undefined, "", "   "])
+      await assert.rejects(renderPreview(1, name), {
+        statusCode: 400,
+        message: "Missing required field: name",
+      });
+    await assert.rejects(renderPreview(1, "A".repeat(101)), {
+      statusCode: 400,
+      message: "Name exceeds maximum length of 100 characters",
+    });
+    assert.deepEqual(renders, []);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { AbiCoder } = require("ethers");
+const {
+  CONTRACT_ERRORS,
+  UNKNOWN_REVERT_CODE,
+  ContractError,
+  contractInterface,
+  decodeContractError,
+} = require("../src/utils/contractErrors");
+
+const ADDRESS = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+
+// Every custom error in the ABI, so a new one added to the contract fails the
+// tests until it has a message.
+const declaredErrors = [];
+contractInterface.forEachError((fragment) => declaredErrors.push(fragment));
+
+/**
+ * Builds the CALL_EXCEPTION ethers throws for a revert with `data`.
+ */
+function revert(data) {
+  return Object.assign(new Error("execution reverted"), {
+    code: "CALL_EXCEPTION",
+    data,
+  });
+}
+
+/**
+ * Encodes a custom error with placeholder arguments.
+ */
+function encodeError(fragment) {
+  const args = fragment.inputs.map((input) =>
+    input.type === "address" ? ADDRESS : 7n
+  );
+  return contractInterface.encodeErrorResult(fragment, args);
+}
+
+describe("contract error decoder", () => {
+  it("knows every custom error the contract declares", () => {
+    assert.ok(declaredErrors.length > 0);
+    assert.deepEqual(
+      Object.keys(CONTRACT_ERRORS).sort(),
+      declaredErrors.map((fragment) => fragment.name).sort()
+    );
+  });
+
+  for (const fragment of declaredErrors) {
+    it(`decodes ${fragment.name}`, () => {
+      const error = decodeContractError(revert(encodeError(fragment)));
+      const [message, statusCode] = CONTRACT_ERRORS[fragment.name];
+
+      assert.ok(error instanceof ContractError);
+      assert.equal(error.code, fragment.name);
+      assert.equal(error.errorName, fragment.name);
+      assert.equal(error.message, message);
+      assert.equal(error.statusCode, statusCode);
+      assert.ok(statusCode >= 400 && statusCode < 600);
+      assert.deepEqual(
+        Object.keys(error.args),
+        fragment.inputs.map((input) => input.name)
+      );
+    });
+  }
+
+  it("returns the error's arguments by name", () => {
+    const error = decodeContractError(
+      revert(
+        contractInterface.encodeErrorResult("ERC721IncorrectOwner", [
+          ADDRESS,
+          42n,
+          ADDRESS,
+        ])
+      )
+    );
+
+    assert.deepEqual(error.args, {
+      sender: ADDRESS,
+      tokenId: "42",
+      owner: ADDRESS,
+    });
+  });
+
+  it("finds revert data wrapped in the JSON-RPC error", () => {
+    const error = Object.assign(new Error("execution reverted"), {
+      code: "CALL_EXCEPTION",
+      data: null,
+      info: {
+        error: { data: contractInterface.encodeErrorResult("InvalidProof") },
+      },
+    });
+
+    assert.equal(decodeContractError(error).code, "InvalidProof");
+  });
+
+  it("applies the caller's messages for its context", () => {
+    const error = decodeContractError(
+      revert(contractInterface.encodeErrorResult("CampaignNotActive")),
+      { CampaignNotActive: ["Campaign must be deactivated first", 409] }
+    );
+
+    assert.equal(error.code, "CampaignNotActive");
+    assert.equal(error.message, "Campaign must be deactivated first");
+    assert.equal(error.statusCode, 409);
+  });
+
+  it("reports reverts without a known custom error as CONTRACT_REVERTED", () => {
+    const requireMessage = `0x08c379a0${AbiCoder.defaultAbiCoder()
+      .encode(["string"], ["nope"])
+      .slice(2)}`;
+
+    for (const data of [null, "0x", "0xdeadbeef", requireMessage]) {
+      const error = decodeContractError(revert(data));
+      assert.equal(error.code, UNKNOWN_REVERT_CODE);
+      assert.equal(error.statusCode, 400);
+    }
+  });
+
+  it("ignores errors that are not reverts", () => {
+    assert.equal(decodeContractError(new Error("boom")), null);
+    assert.equal(
+      decodeContractError(
+        Object.assign(new Error("timeout"), { code: "TIMEOUT" })
+      ),
+      null
+    );
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { db, resetDatabase, closeDatabase } = require("./setup");
+const contractEventRepository = require("../src/repositories/contractEventRepository");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+/**
+ * Stores an event as the indexer would.
+ */
+function index(eventName, { blockNumber, logIndex = 0, campaignId, tokenId }) {
+  return db.run(
+    `INSERT INTO contract_events (blockNumber, blockTimestamp, transactionHash, logIndex, eventName, campaignId, tokenId, account, args)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      blockNumber,
+      1700000000 + blockNumber,
+      `0x${String(blockNumber).padStart(64, "0")}`,
+      logIndex,
+      eventName,
+      campaignId ?? null,
+      tokenId ?? null,
+      ALICE,
+      "{}",
+    ]
+  );
+}
+
+describe(`contractEventRepository (${db.dialect})`, () => {
+  before(async () => {
+    await resetDatabase();
+    await index("CampaignActiveStatusChanged", {
+      blockNumber: 10,
+      campaignId: 1,
+    });
+    await index("Transfer", { blockNumber: 11, tokenId: "7" });
+    await index("CertificateMinted", {
+      blockNumber: 11,
+      logIndex: 1,
+      campaignId: 1,
+      tokenId: "7",
+    });
+  });
+  after(closeDatabase);
+
+  it("finds the mint of a token", async () => {
+    assert.deepEqual(
+      { ...(await contractEventRepository.findMintByTokenId("7")) },
+      {
+        campaignId: 1,
+        transactionHash: `0x${"11".padStart(64, "0")}`,
+        blockNumber: 11,
+        blockTimestamp: 1700000011,
+      }
+    );
+    assert.equal(
+      await contractEventRepository.findMintByTokenId("8"),
+      undefined
+    );
+  });
+
+  it("finds an event by name and transaction", async () => {
+    const transactionHash = `0x${"11".padStart(64, "0")}`;
+
+    const transfer = await contractEventRepository.findByTransaction(
+      "Transfer",
+      transactionHash
+    );
+    assert.equal(transfer.tokenId, "7");
+    assert.equal(transfer.logIndex, 0);
+    assert.equal(
+      await contractEventRepository.findByTransaction(
+        "CampaignActiveStatusChanged",
+        transactionHash
+      ),
+      undefined
+    );
+  });
+
+  it("reads inside a transaction", async () => {
+    await assert.rejects(
+      db.transaction(async (tx) => {
+        await tx.run(
+          `DELETE FROM contract_events WHERE eventName = 'CertificateMinted'`
+        );
+        assert.equal(
+          await contractEventRepository.findMintByTokenId("7", tx),
+          undefined
+        );
+        throw new Error("roll back");
+      }),
+      { message: "roll back" }
+    );
+
+    assert.ok(await contractEventRepository.findMintByTokenId("7"));
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Read when the module loads.
+process.env.CONTRACT_DEPLOYMENT_BLOCK = "100";
+process.env.INDEXER_BATCH_SIZE = "10";
+
+const { queryLogsInPages } = require("../src/utils/contractLogs");
+
+const FILTER = { topics: ["0xmint"] };
+
+/**
+ * A contract whose logs sit at the given blocks, recording the ranges it
+ * is asked for.
+ */
+function createContract(logBlocks) {
+  const ranges = [];
+  return {
+    ranges,
+    queryFilter: async (filter, fromBlock, toBlock) => {
+      assert.equal(filter, FILTER);
+      ranges.push([fromBlock, toBlock]);
+      return logBlocks
+        .filter((block) => block >= fromBlock && block <= toBlock)
+        .map((blockNumber) => ({ blockNumber }));
+    },
+  };
+}
+
+describe("queryLogsInPages", () => {
+  it("searches from the deployment block in INDEXER_BATCH_SIZE ranges", async () => {
+    const contract = createContract([50, 105, 118, 125]);
+
+    const logs = await queryLogsInPages(contract, FILTER, 125);
+
+    assert.deepEqual(contract.ranges, [
+      [100, 109],
+      [110, 119],
+      [120, 125],
+    ]);
+    assert.deepEqual(
+      logs.map((log) => log.blockNumber),
+      [105, 118, 125]
+    );
+  });
+
+  it("stops at the first range with a match when asked to", async () => {
+    const contract = createContract([115, 135]);
+
+    const logs = await queryLogsInPages(contract, FILTER, 150, {
+      first: true,
+    });
+
+    assert.deepEqual(contract.ranges, [
+      [100, 109],
+      [110, 119],
+    ]);
+    assert.deepEqual(logs, [{ blockNumber: 115 }]);
+  });
+
+  it("searches nothing before the deployment block", async () => {
+    const contract = createContract([]);
+
+    assert.deepEqual(await queryLogsInPages(contract, FILTER, 99), []);
+    assert.deepEqual(contract.ranges, []);
+  });
+});
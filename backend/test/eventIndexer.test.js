@@ -0,0 +1,189 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Interface } = require("ethers");
+
+// Indexes from block 1 up to the head, in one batch.
+process.env.INDEXER_START_BLOCK = "1";
+process.env.INDEXER_CONFIRMATIONS = "0";
+
+const { db, resetDatabase, closeDatabase, stubModule } = require("./setup");
+
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const ROOT = `0x${"a".repeat(64)}`;
+const contractInterface = new Interface(
+  require("../src/config/EventCertificateABI.json").abi
+);
+
+// A chain with nothing but the logs each test puts on it.
+const chain = { head: 0, logs: [], baseURIs: new Map(), baseURIReads: [] };
+
+stubModule("src/config/web3", {
+  provider: {
+    getBlockNumber: async () => chain.head,
+    getBlock: async (blockNumber) => ({ timestamp: 1756720800 + blockNumber }),
+    getLogs: async ({ fromBlock, toBlock }) =>
+      chain.logs.filter(
+        (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+      ),
+  },
+  deployedContract: {
+    interface: contractInterface,
+    getAddress: async () => CONTRACT,
+    // Answers with the last URI set at or before the block asked for.
+    campaignBaseURI: async (campaignId, { blockTag }) => {
+      chain.baseURIReads.push(blockTag);
+      const set = [...chain.baseURIs].filter(([block]) => block <= blockTag);
+      if (set.length === 0) throw new Error("could not read campaignBaseURI");
+      return set.at(-1)[1];
+    },
+  },
+});
+
+const { syncToHead } = require("../src/services/eventIndexer");
+const { createSubscription } = require("../src/services/webhookService");
+
+/**
+ * Puts a contract event on the chain, one transaction per block.
+ */
+function emit(blockNumber, eventName, values) {
+  chain.logs.push({
+    ...contractInterface.encodeEventLog(eventName, values),
+    address: CONTRACT,
+    blockNumber,
+    transactionHash: `0x${blockNumber.toString(16).padStart(64, "0")}`,
+    index: 0,
+  });
+  chain.head = Math.max(chain.head, blockNumber);
+}
+
+/**
+ * Reads the last synced block, if any.
+ */
+async function readCheckpoint() {
+  const row = await db.get(
+    `SELECT value FROM indexer_state WHERE key = 'eventIndexer.lastBlock'`
+  );
+  return row && Number(row.value);
+}
+
+/**
+ * Counts a table's rows; PostgreSQL returns COUNT(*) as a string.
+ */
+async function countRows(table) {
+  return Number((await db.get(`SELECT COUNT(*) AS count FROM ${table}`)).count);
+}
+
+describe(`eventIndexer (${db.dialect})`, () => {
+  before(resetDatabase);
+  beforeEach(async () => {
+    Object.assign(chain, {
+      head: 0,
+      logs: [],
+      baseURIs: new Map(),
+      baseURIReads: [],
+    });
+    for (const table of [
+      "contract_events",
+      "campaigns",
+      "mints",
+      "indexer_state",
+      "webhook_deliveries",
+      "webhook_subscriptions",
+    ])
+      await db.run(`DELETE FROM ${table}`);
+  });
+  after(closeDatabase);
+
+  it("reads a new campaign's base URI at the block that created it", async () => {
+    chain.baseURIs.set(2, "ipfs://first/").set(3, "ipfs://second/");
+    emit(2, "CampaignCreated", [1, ROOT, 1000, 2000, 50]);
+    emit(3, "CampaignBaseURIUpdated", [1, "ipfs://second/"]);
+    chain.head = 5;
+
+    assert.deepEqual(await syncToHead(), {
+      fromBlock: 1,
+      toBlock: 5,
+      events: 2,
+    });
+    assert.deepEqual(chain.baseURIReads, [2]);
+    const campaign = await db.get(
+      `SELECT * FROM campaigns WHERE campaignId = 1`
+    );
+    assert.equal(campaign.baseURI, "ipfs://second/");
+    assert.equal(campaign.createdBlock, 2);
+    assert.equal(campaign.updatedBlock, 3);
+    assert.equal(await readCheckpoint(), 5);
+  });
+
+  it("stores a range's events, webhooks and checkpoint together", async () => {
+    await createSubscription({ url: "http://127.0.0.1:9/hook" });
+    emit(2, "CertificateMinted", [ALICE, 7, 1]);
+
+    // Applying the mint fails, so nothing from the range may stay behind.
+    await db.run(`ALTER TABLE mints RENAME TO mints_aside`);
+    try {
+      await assert.rejects(syncToHead());
+    } finally {
+      await db.run(`ALTER TABLE mints_aside RENAME TO mints`);
+    }
+    assert.equal(await countRows("contract_events"), 0);
+    assert.equal(await countRows("webhook_deliveries"), 0);
+    assert.equal(await readCheckpoint(), undefined);
+
+    assert.equal((await syncToHead()).events, 1);
+    const mint = await db.get(`SELECT * FROM mints WHERE tokenId = '7'`);
+    assert.equal(mint.status, "confirmed");
+    assert.equal(mint.attendeeAddress, ALICE);
+    const delivery = await db.get(`SELECT * FROM webhook_deliveries`);
+    assert.equal(delivery.event, "mint.confirmed");
+    assert.equal(JSON.parse(delivery.payload).data.tokenId, "7");
+    assert.equal(await readCheckpoint(), 2);
+  });
+
+  it("stores nothing from a range whose webhooks cannot be queued", async () => {
+    await createSubscription({ url: "http://127.0.0.1:9/hook" });
+    emit(2, "CertificateMinted", [ALICE, 7, 1]);
+
+    await db.run(`ALTER TABLE webhook_deliveries RENAME TO deliveries_aside`);
+    try {
+      await assert.rejects(syncToHead());
+    } finally {
+      await db.run(`ALTER TABLE deliveries_aside RENAME TO webhook_deliveries`);
+    }
+    assert.equal(await countRows("contract_events"), 0);
+    assert.equal(await countRows("mints"), 0);
+    assert.equal(await readCheckpoint(), undefined);
+
+    assert.equal((await syncToHead()).events, 1);
+    assert.equal(await countRows("webhook_deliveries"), 1);
+  });
+
+  it("re-applies a replayed range without notifying twice", async () => {
+    await createSubscription({ url: "http://127.0.0.1:9/hook" });
+    emit(2, "CertificateMinted", [ALICE, 7, 1]);
+    await syncToHead();
+
+    await db.run(`UPDATE mints SET status = 'failed'`);
+    await db.run(`DELETE FROM indexer_state`);
+    assert.equal((await syncToHead()).events, 0);
+
+    assert.equal(
+      (await db.get(`SELECT status FROM mints WHERE tokenId = '7'`)).status,
+      "confirmed"
+    );
+    assert.equal(await countRows("webhook_deliveries"), 1);
+    assert.equal(await readCheckpoint(), 2);
+  });
+
+  it("stores nothing when a chain read fails", async () => {
+    emit(2, "CertificateMinted", [ALICE, 7, 1]);
+    // No base URI is set for the campaign, so reading it throws.
+    emit(3, "CampaignCreated", [2, ROOT, 1000, 2000, 50]);
+
+    await assert.rejects(syncToHead());
+    assert.equal(await countRows("contract_events"), 0);
+    assert.equal(await countRows("mints"), 0);
+    assert.equal(await readCheckpoint(), undefined);
+  });
+});
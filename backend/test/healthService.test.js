@@ -0,0 +1,98 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseEther } = require("ethers");
+
+// Long enough to outlast each test. Read when the service loads.
+process.env.HEALTH_CACHE_MS = "200";
+
+const { db, resetDatabase, closeDatabase, stubModule } = require("./setup");
+
+const CONTRACT = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const RELAYER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+// How many times the chain was asked for its head, and what it answers.
+const chain = { blockReads: 0, balance: parseEther("1"), paused: false };
+
+stubModule("src/config/web3", {
+  provider: {
+    getBlock: async () => {
+      chain.blockReads++;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return { number: 100, timestamp: Math.floor(Date.now() / 1000) };
+    },
+  },
+  deployedContract: {
+    getAddress: async () => CONTRACT,
+    paused: async () => chain.paused,
+  },
+});
+stubModule("src/services/relayerPool", {
+  RELAYER_LOW_BALANCE: parseEther("0.005"),
+  getRelayerStatuses: async () => [
+    {
+      address: RELAYER,
+      balance: chain.balance,
+      isLowBalance: chain.balance < parseEther("0.005"),
+      isAuthorized: true,
+      pendingCount: 2,
+    },
+  ],
+});
+
+const {
+  getHealthReport,
+  toPublicReport,
+} = require("../src/services/healthService");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe(`healthService (${db.dialect})`, () => {
+  before(resetDatabase);
+  beforeEach(async () => {
+    // Lets the previous test's report expire.
+    await sleep(250);
+    Object.assign(chain, {
+      blockReads: 0,
+      balance: parseEther("1"),
+      paused: false,
+    });
+  });
+  after(closeDatabase);
+
+  it("checks the chain once for concurrent and repeated reports", async () => {
+    const reports = await Promise.all([getHealthReport(), getHealthReport()]);
+    assert.equal(reports[0], reports[1]);
+    assert.equal(await getHealthReport(), reports[0]);
+    assert.equal(chain.blockReads, 1);
+
+    await sleep(250);
+    assert.notEqual(await getHealthReport(), reports[0]);
+    assert.equal(chain.blockReads, 2);
+  });
+
+  it("keeps relayer addresses and balances out of the public report", async () => {
+    chain.balance = parseEther("0.001");
+    const report = await getHealthReport();
+    assert.equal(report.checks.relayers.relayers[0].balance, "0.001");
+
+    assert.deepEqual(toPublicReport(report), {
+      ready: false,
+      checks: {
+        database: { ok: true },
+        rpc: { ok: true },
+        relayers: { ok: false, lowBalance: true },
+        contract: { ok: true, paused: false },
+      },
+      timestamp: report.timestamp,
+    });
+  });
+
+  it("reports a paused contract", async () => {
+    chain.paused = true;
+    const { ready, checks } = toPublicReport(await getHealthReport());
+
+    assert.equal(ready, false);
+    assert.deepEqual(checks.contract, { ok: false, paused: true });
+    assert.deepEqual(checks.relayers, { ok: true, lowBalance: false });
+  });
+});
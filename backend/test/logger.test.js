@@ -0,0 +1,96 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createLogger, withLogContext } = require("../src/utils/logger");
+
+const ADDRESS = "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed";
+const TX_HASH = `0x${"ab".repeat(32)}`;
+
+/**
+ * Creates a logger that keeps its entries, parsed, in `entries`.
+ */
+function captureLogger(options) {
+  const entries = [];
+  const logger = createLogger({
+    ...options,
+    write: (line) => entries.push(JSON.parse(line)),
+  });
+  return { logger, entries };
+}
+
+describe("logger", () => {
+  it("writes JSON entries at or above the configured level", () => {
+    const { logger, entries } = captureLogger({ level: "info" });
+
+    logger.debug("hidden");
+    logger.info("Queued mint job", { jobId: "job-1", campaignId: 3 });
+    logger.error("Mint job failed");
+
+    assert.deepEqual(
+      entries.map(({ level, msg }) => [level, msg]),
+      [
+        ["info", "Queued mint job"],
+        ["error", "Mint job failed"],
+      ]
+    );
+    assert.equal(entries[0].jobId, "job-1");
+    assert.equal(entries[0].campaignId, 3);
+    assert.ok(!Number.isNaN(Date.parse(entries[0].time)));
+  });
+
+  it("adds the context fields to entries logged inside it", async () => {
+    const { logger, entries } = captureLogger();
+
+    await withLogContext({ requestId: "req-1" }, async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      withLogContext({ jobId: "job-1" }, () => logger.info("nested"));
+    });
+    logger.info("outside");
+
+    assert.equal(entries[0].requestId, "req-1");
+    assert.equal(entries[0].jobId, "job-1");
+    assert.equal(entries[1].requestId, undefined);
+  });
+
+  it("never writes secret fields", () => {
+    const { logger, entries } = captureLogger();
+
+    logger.info("config", {
+      privateKey: `0x${"1".repeat(64)}`,
+      env: { BASE_MAINNET_OWNER_PRIVATE_KEY: "0xabc" },
+      headers: { authorization: "Bearer secret1" },
+      token: "session-token",
+      tokenId: "7",
+    });
+
+    assert.equal(entries[0].privateKey, "[Redacted]");
+    assert.equal(entries[0].env.BASE_MAINNET_OWNER_PRIVATE_KEY, "[Redacted]");
+    assert.equal(entries[0].headers.authorization, "[Redacted]");
+    assert.equal(entries[0].token, "[Redacted]");
+    assert.equal(entries[0].tokenId, "7");
+  });
+
+  it("shortens addresses only when configured, leaving hashes intact", () => {
+    const plain = captureLogger();
+    const redacted = captureLogger({ redactAddresses: true });
+
+    for (const { logger } of [plain, redacted])
+      logger.info(`Mint for ${ADDRESS}`, {
+        attendee: ADDRESS,
+        transactionHash: TX_HASH,
+      });
+
+    assert.equal(plain.entries[0].attendee, ADDRESS);
+    assert.equal(redacted.entries[0].attendee, "0x5aAe…eAed");
+    assert.equal(redacted.entries[0].msg, "Mint for 0x5aAe…eAed");
+    assert.equal(redacted.entries[0].transactionHash, TX_HASH);
+  });
+
+  it("logs errors with their message and stack", () => {
+    const { logger, entries } = captureLogger();
+
+    logger.error("failed", { error: new Error("boom") });
+
+    assert.equal(entries[0].error.message, "boom");
+    assert.match(entries[0].error.stack, /boom/);
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { db, resetDatabase, closeDatabase } = require("./setup");
+const metadataRepository = require("../src/repositories/metadataRepository");
+
+const ADDRESS_1 = "0xAbC0000000000000000000000000000000000001";
+const ADDRESS_2 = "0xAbC0000000000000000000000000000000000002";
+
+describe(`metadataRepository (${db.dialect})`, () => {
+  before(resetDatabase);
+  after(closeDatabase);
+
+  it("creates and replaces a campaign's template", async () => {
+    await metadataRepository.saveTemplate(1, {
+      eventName: "Project Management",
+      issuer: "Libertas Alpha Technologies",
+      format: "Virtual Workshop",
+    });
+    await metadataRepository.saveTemplate(1, {
+      eventName: "Project Management II",
+      issuer: "Libertas Alpha Technologies",
+      textColor: "#000000",
+    });
+
+    const template = await metadataRepository.findTemplate(1);
+    assert.equal(template.eventName, "Project Management II");
+    assert.equal(template.textColor, "#000000");
+    assert.equal(template.format, null);
+    assert.equal(await metadataRepository.findTemplate(2), undefined);
+  });
+
+  it("stores names by lowercase address and keeps those not re-sent", async () => {
+    await metadataRepository.saveAttendees(1, [
+      { address: ADDRESS_1, name: "Ada Lovelace" },
+      { address: ADDRESS_2, name: "Grace Hoper" },
+    ]);
+    await metadataRepository.saveAttendees(1, [
+      { address: ADDRESS_2.toLowerCase(), name: "Grace Hopper" },
+    ]);
+
+    assert.equal(
+      (await metadataRepository.findAttendee(1, ADDRESS_1.toUpperCase())).name,
+      "Ada Lovelace"
+    );
+    assert.equal(
+      (await metadataRepository.findAttendee(1, ADDRESS_2)).name,
+      "Grace Hopper"
+    );
+    assert.equal(
+      await metadataRepository.findAttendee(2, ADDRESS_1),
+      undefined
+    );
+  });
+});
@@ -0,0 +1,50 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { db, resetDatabase, closeDatabase } = require("./setup");
+const {
+  getMigrationStatus,
+  migrate,
+  rollback,
+  assertSchemaUpToDate,
+} = require("../src/config/migrations");
+
+describe(`migrations (${db.dialect})`, () => {
+  before(resetDatabase);
+  after(closeDatabase);
+
+  it("applies every migration", async () => {
+    const status = await getMigrationStatus();
+    assert.ok(status.length > 0);
+    assert.ok(status.every(({ appliedAt }) => appliedAt));
+    await assertSchemaUpToDate();
+  });
+
+  it("rolls back and re-applies the latest migrations", async () => {
+    const reverted = await rollback(3);
+    assert.equal(reverted.length, 3);
+    await assert.rejects(assertSchemaUpToDate(), /3 pending migration/);
+
+    const applied = await migrate();
+    assert.deepEqual(
+      applied.map(({ version }) => version),
+      reverted.map(({ version }) => version).reverse()
+    );
+    await assertSchemaUpToDate();
+  });
+
+  it("adds the columns of later migrations", async () => {
+    const columns = await db.listColumns("mints");
+    assert.ok(columns.includes("relayerAddress"));
+    assert.ok(columns.includes("confirmedAt"));
+  });
+
+  it("rolls back a transaction that fails", async () => {
+    await assert.rejects(
+      db.transaction(async (tx) => {
+        await tx.run(`CREATE TABLE rollback_probe (id INTEGER PRIMARY KEY)`);
+        await tx.run(`INSERT INTO missing_table VALUES (1)`);
+      })
+    );
+    assert.deepEqual(await db.listColumns("rollback_probe"), []);
+  });
+});
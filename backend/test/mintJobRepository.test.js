@@ -0,0 +1,164 @@
+const crypto = require("crypto");
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { db, resetDatabase, closeDatabase } = require("./setup");
+const mintJobRepository = require("../src/repositories/mintJobRepository");
+const mintRepository = require("../src/repositories/mintRepository");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const RELAYER = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const TX = `0x${"a".repeat(64)}`;
+const PROOF = [`0x${"b".repeat(64)}`, `0x${"c".repeat(64)}`];
+
+/**
+ * Queues a job and returns its id.
+ */
+async function createJob(attendeeAddress, nextAttemptAt = Date.now()) {
+  const id = crypto.randomUUID();
+  await mintJobRepository.create({
+    id,
+    campaignId: 1,
+    attendeeAddress,
+    merkleProof: PROOF,
+    nextAttemptAt,
+  });
+  return id;
+}
+
+describe(`mintJobRepository (${db.dialect})`, () => {
+  before(resetDatabase);
+  beforeEach(async () => {
+    await db.run(`DELETE FROM mint_jobs`);
+    await db.run(`DELETE FROM mints`);
+  });
+  after(closeDatabase);
+
+  it("queues a job", async () => {
+    const nextAttemptAt = Date.now();
+    const id = await createJob(ALICE, nextAttemptAt);
+
+    const job = await mintJobRepository.findById(id);
+    assert.equal(job.status, "queued");
+    assert.equal(job.attempts, 0);
+    assert.equal(job.campaignId, 1);
+    // Millisecond timestamps need more than 32 bits.
+    assert.equal(job.nextAttemptAt, nextAttemptAt);
+    assert.deepEqual(JSON.parse(job.merkleProof), PROOF);
+    assert.equal(job.mintStatus, null);
+    assert.equal(await mintJobRepository.findById("missing"), undefined);
+  });
+
+  it("allows one live job per attendee and campaign", async () => {
+    const id = await createJob(ALICE);
+    assert.equal((await mintJobRepository.findActive(1, ALICE)).id, id);
+    assert.equal(
+      await mintJobRepository.create({
+        id: crypto.randomUUID(),
+        campaignId: 1,
+        attendeeAddress: ALICE,
+        merkleProof: PROOF,
+        nextAttemptAt: Date.now(),
+      }),
+      false
+    );
+    assert.equal((await mintJobRepository.findActive(1, ALICE)).id, id);
+
+    await mintJobRepository.markFailed(id, {
+      error: "Reverted",
+      errorCode: "ALREADY_MINTED",
+    });
+    assert.equal(await mintJobRepository.findActive(1, ALICE), undefined);
+
+    const retryId = await createJob(ALICE);
+    assert.equal((await mintJobRepository.findActive(1, ALICE)).id, retryId);
+  });
+
+  it("hands out due jobs in order", async () => {
+    const now = Date.now();
+    const later = await createJob(ALICE, now - 1000);
+    const first = await createJob(BOB, now - 2000);
+    await createJob(RELAYER, now + 60 * 1000);
+
+    assert.equal((await mintJobRepository.findNextDue(now)).id, first);
+    await mintJobRepository.markProcessing(first, 1);
+    assert.equal((await mintJobRepository.findNextDue(now)).id, later);
+    await mintJobRepository.markProcessing(later, 1);
+    assert.equal(await mintJobRepository.findNextDue(now), undefined);
+
+    const processing = await mintJobRepository.listProcessing();
+    assert.deepEqual(
+      processing.map(({ id }) => id).sort(),
+      [first, later].sort()
+    );
+  });
+
+  it("tracks a job through submission to its mint", async () => {
+    const id = await createJob(ALICE);
+    await mintJobRepository.markProcessing(id, 1);
+    await mintJobRepository.recordSigned(id, {
+      nonce: 4,
+      relayerAddress: RELAYER,
+      transactionHash: TX,
+    });
+    await mintJobRepository.markSubmitted(id, TX, RELAYER);
+    await mintRepository.recordSubmitted({
+      campaignId: 1,
+      attendeeAddress: ALICE,
+      transactionHash: TX,
+      relayerAddress: RELAYER,
+    });
+
+    const job = await mintJobRepository.findById(id);
+    assert.equal(job.status, "submitted");
+    assert.equal(job.nonce, 4);
+    assert.equal(job.transactionHash, TX);
+    assert.equal(job.mintStatus, "pending");
+
+    await mintJobRepository.failByTransaction(TX, "Reverted on-chain");
+    const failed = await mintJobRepository.findById(id);
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.errorCode, "TRANSACTION_FAILED");
+  });
+
+  it("requeues a job, with or without a failure", async () => {
+    const id = await createJob(ALICE);
+    await mintJobRepository.markProcessing(id, 1);
+    await mintJobRepository.recordSigned(id, {
+      nonce: 1,
+      relayerAddress: RELAYER,
+      transactionHash: TX,
+    });
+
+    const retryAt = Date.now() + 2000;
+    await mintJobRepository.requeue(id, retryAt, {
+      error: "RPC unavailable",
+      errorCode: "RPC_UNAVAILABLE",
+    });
+    let job = await mintJobRepository.findById(id);
+    assert.equal(job.status, "queued");
+    assert.equal(job.transactionHash, null);
+    assert.equal(job.nextAttemptAt, retryAt);
+    assert.equal(job.errorCode, "RPC_UNAVAILABLE");
+
+    await mintJobRepository.requeue(id, retryAt + 1);
+    job = await mintJobRepository.findById(id);
+    assert.equal(job.nextAttemptAt, retryAt + 1);
+    assert.equal(job.errorCode, "RPC_UNAVAILABLE");
+  });
+
+  it("sets aside the job of a revoked certificate so the attendee can claim again", async () => {
+    const id = await createJob(ALICE);
+    await mintJobRepository.markSubmitted(id, TX, RELAYER);
+
+    await mintJobRepository.markRevoked(1, BOB);
+    assert.equal((await mintJobRepository.findById(id)).status, "submitted");
+
+    await mintJobRepository.markRevoked(1, ALICE);
+    assert.equal((await mintJobRepository.findById(id)).status, "revoked");
+    assert.equal(await mintJobRepository.findActive(1, ALICE), undefined);
+
+    const retryId = await createJob(ALICE);
+    assert.equal((await mintJobRepository.findActive(1, ALICE)).id, retryId);
+  });
+});
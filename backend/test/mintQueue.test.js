@@ -0,0 +1,131 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.MINT_WORKER_POLL_MS = "20";
+
+const { db, resetDatabase, closeDatabase, stubModule } = require("./setup");
+const {
+  contractInterface,
+  decodeContractError,
+} = require("../src/utils/contractErrors");
+const { AppError } = require("../src/middleware/errorHandler");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const RELAYER = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const TX = `0x${"a".repeat(64)}`;
+const PROOF = [`0x${"b".repeat(64)}`];
+
+// What each mint attempt does in turn: throw an error or return a hash.
+let mintOutcomes = [];
+
+stubModule("src/config/web3", {});
+stubModule("src/services/relayerPool", {
+  selectRelayer: async () => ({ address: RELAYER }),
+  reserveNonce: async () => 0,
+  resetNonce: () => {},
+});
+stubModule("src/services/relayerService", async () => {
+  const outcome = mintOutcomes.shift();
+  if (outcome instanceof Error) throw outcome;
+  return outcome;
+});
+
+const {
+  enqueueMint,
+  startMintWorker,
+  stopMintWorker,
+} = require("../src/services/mintQueue");
+
+/**
+ * The revert the relayer sees while the contract is paused.
+ */
+function pausedError() {
+  return decodeContractError({
+    code: "CALL_EXCEPTION",
+    data: contractInterface.encodeErrorResult("EnforcedPause", []),
+  });
+}
+
+/**
+ * Waits until the job's row matches `check`.
+ */
+async function waitForJob(jobId, check) {
+  const deadline = Date.now() + 5000;
+  while (Date.now() < deadline) {
+    const job = await db.get(`SELECT * FROM mint_jobs WHERE id = ?`, [jobId]);
+    if (check(job)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not get there within 5s`);
+}
+
+describe(`mintQueue (${db.dialect})`, () => {
+  before(resetDatabase);
+  beforeEach(async () => {
+    mintOutcomes = [];
+    await db.run(`DELETE FROM mint_jobs`);
+    await db.run(`DELETE FROM mints`);
+  });
+  after(async () => {
+    stopMintWorker();
+    await closeDatabase();
+  });
+
+  it("returns the live job when the same mint is requested again", async () => {
+    const first = await enqueueMint(ALICE, 1, PROOF);
+    assert.equal(first.status, "queued");
+
+    const second = await enqueueMint(ALICE, 1, PROOF);
+    assert.equal(second.jobId, first.jobId);
+  });
+
+  it("queues one job for concurrent requests", async () => {
+    const jobs = await Promise.all([
+      enqueueMint(ALICE, 1, PROOF),
+      enqueueMint(ALICE, 1, PROOF),
+      enqueueMint(ALICE, 1, PROOF),
+    ]);
+
+    assert.equal(new Set(jobs.map((job) => job.jobId)).size, 1);
+    const { count } = await db.get(`SELECT COUNT(*) AS count FROM mint_jobs`);
+    assert.equal(Number(count), 1);
+  });
+
+  it("holds a job while minting is paused without using up attempts", async () => {
+    mintOutcomes = [pausedError(), pausedError(), TX];
+    await startMintWorker();
+    const { jobId } = await enqueueMint(ALICE, 1, PROOF);
+
+    for (let held = 0; held < 2; held++) {
+      const job = await waitForJob(
+        jobId,
+        (row) => row.status === "queued" && mintOutcomes.length === 2 - held
+      );
+      assert.equal(job.attempts, 0);
+      assert.equal(job.errorCode, "EnforcedPause");
+      // Held for MINT_PAUSED_RETRY_MS; the test does not wait that long.
+      assert.ok(job.nextAttemptAt > Date.now() + 30 * 1000);
+      await db.run(`UPDATE mint_jobs SET nextAttemptAt = ? WHERE id = ?`, [
+        Date.now(),
+        jobId,
+      ]);
+    }
+
+    const job = await waitForJob(jobId, (row) => row.status === "submitted");
+    assert.equal(job.attempts, 1);
+    assert.equal(job.transactionHash, TX);
+    assert.equal(job.errorCode, null);
+  });
+
+  it("uses up an attempt on other temporary failures", async () => {
+    mintOutcomes = [new AppError("RPC request timed out", 503, "TIMEOUT"), TX];
+    await startMintWorker();
+    const { jobId } = await enqueueMint(ALICE, 1, PROOF);
+
+    const job = await waitForJob(
+      jobId,
+      (row) => row.status === "queued" && row.attempts === 1
+    );
+    assert.equal(job.errorCode, "TIMEOUT");
+  });
+});
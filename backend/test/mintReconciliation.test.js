@@ -0,0 +1,152 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  latestMintEvents,
+  findMintDifferences,
+} = require("../src/utils/mintReconciliation");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const TX_1 = `0x${"1".repeat(64)}`;
+const TX_2 = `0x${"2".repeat(64)}`;
+
+/**
+ * Builds a CertificateMinted log as reconcileService reads it.
+ */
+function mintEvent(attendee, tokenId, transactionHash, blockNumber) {
+  return { attendee, tokenId, transactionHash, blockNumber, logIndex: 0 };
+}
+
+/**
+ * Builds a mints row.
+ */
+function row(attendeeAddress, status, transactionHash, tokenId = null) {
+  return { attendeeAddress, status, transactionHash, tokenId };
+}
+
+/**
+ * Builds the hasMintedInCampaign map from [address, minted] pairs.
+ */
+function minted(...entries) {
+  return new Map(
+    entries.map(([address, value]) => [address.toLowerCase(), value])
+  );
+}
+
+/**
+ * Compares, keeping only what each test checks.
+ */
+function differences(state) {
+  return findMintDifferences({ mintCount: 0, ...state }).map(
+    ({ kind, attendee, fixable }) => ({ kind, attendee, fixable })
+  );
+}
+
+describe("mint reconciliation", () => {
+  it("finds nothing when the table matches the chain", () => {
+    assert.deepEqual(
+      differences({
+        rows: [row(ALICE, "confirmed", TX_1, "7")],
+        events: [mintEvent(ALICE, "7", TX_1, 10)],
+        hasMinted: minted([ALICE, true]),
+        mintCount: 1,
+      }),
+      []
+    );
+  });
+
+  it("reports a mint with no row, e.g. one sent outside the API", () => {
+    const [difference] = findMintDifferences({
+      rows: [],
+      events: [mintEvent(ALICE, "7", TX_1, 10)],
+      hasMinted: minted([ALICE, true]),
+      mintCount: 1,
+    });
+
+    assert.deepEqual(difference, {
+      kind: "missing_row",
+      attendee: ALICE,
+      onChain: { tokenId: "7", transactionHash: TX_1, blockNumber: 10 },
+      database: null,
+      fixable: true,
+    });
+  });
+
+  it("reports a row that is not confirmed with the transaction that minted", () => {
+    assert.deepEqual(
+      differences({
+        rows: [row(ALICE, "failed", TX_2), row(BOB, "confirmed", TX_2, "8")],
+        events: [
+          mintEvent(ALICE, "7", TX_1, 10),
+          mintEvent(BOB, "9", TX_1, 11),
+        ],
+        hasMinted: minted([ALICE, true], [BOB, true]),
+      }),
+      [
+        { kind: "stale_row", attendee: ALICE, fixable: true },
+        { kind: "stale_row", attendee: BOB, fixable: true },
+      ]
+    );
+  });
+
+  it("reports burns the table missed and rows with no mint at all", () => {
+    assert.deepEqual(
+      differences({
+        rows: [
+          row(ALICE, "confirmed", TX_1, "7"),
+          row(BOB, "confirmed", TX_2, "8"),
+        ],
+        events: [mintEvent(ALICE, "7", TX_1, 10)],
+        hasMinted: minted([ALICE, false], [BOB, false]),
+      }),
+      [
+        { kind: "unrecorded_burn", attendee: ALICE, fixable: true },
+        { kind: "not_on_chain", attendee: BOB, fixable: false },
+      ]
+    );
+  });
+
+  it("leaves pending, failed and burned rows with nothing live alone", () => {
+    assert.deepEqual(
+      differences({
+        rows: [row(ALICE, "pending", TX_1), row(BOB, "burned", TX_2, "8")],
+        events: [mintEvent(BOB, "8", TX_2, 10)],
+        hasMinted: minted([ALICE, false], [BOB, false]),
+      }),
+      []
+    );
+  });
+
+  it("reports mints it cannot trace to a log", () => {
+    assert.deepEqual(
+      findMintDifferences({
+        rows: [row(ALICE, "pending", TX_1), row(BOB, "confirmed", TX_2, "8")],
+        events: [],
+        hasMinted: minted([ALICE, true], [BOB, true]),
+        mintCount: 4,
+      }).map(({ kind, count }) => ({ kind, count })),
+      [
+        { kind: "unverified_mint", count: undefined },
+        { kind: "unknown_mints", count: 2 },
+      ]
+    );
+  });
+
+  it("matches addresses whatever their case and keeps the latest mint", () => {
+    const burned = mintEvent(ALICE, "7", TX_1, 10);
+    const reminted = { ...mintEvent(ALICE, "9", TX_2, 10), logIndex: 3 };
+
+    assert.equal(
+      latestMintEvents([reminted, burned]).get(ALICE.toLowerCase()),
+      reminted
+    );
+    assert.deepEqual(
+      differences({
+        rows: [row(ALICE.toLowerCase(), "confirmed", TX_2, "9")],
+        events: [burned, reminted],
+        hasMinted: minted([ALICE, true]),
+      }),
+      []
+    );
+  });
+});
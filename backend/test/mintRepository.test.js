@@ -0,0 +1,214 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { db, resetDatabase, closeDatabase } = require("./setup");
+const mintRepository = require("../src/repositories/mintRepository");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const RELAYER = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+const TX_1 = `0x${"1".repeat(64)}`;
+const TX_2 = `0x${"2".repeat(64)}`;
+
+/**
+ * Looks up a mint's row id, which the receipt watcher settles it by.
+ */
+async function findPending(transactionHash) {
+  return (await mintRepository.listPending()).find(
+    (mint) => mint.transactionHash === transactionHash
+  );
+}
+
+describe(`mintRepository (${db.dialect})`, () => {
+  before(resetDatabase);
+  beforeEach(() => db.run(`DELETE FROM mints`));
+  after(closeDatabase);
+
+  it("records a submitted mint as pending", async () => {
+    await mintRepository.recordSubmitted({
+      campaignId: 1,
+      attendeeAddress: ALICE,
+      transactionHash: TX_1,
+      relayerAddress: RELAYER,
+    });
+
+    const mint = await mintRepository.findByAttendee(ALICE, 1);
+    assert.equal(mint.status, "pending");
+    assert.equal(mint.transactionHash, TX_1);
+    assert.equal(mint.relayerAddress, RELAYER);
+    assert.equal(mint.tokenId, null);
+    // The receipt watcher reads this as UTC.
+    assert.match(mint.mintedAt, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+
+    assert.equal(await mintRepository.findByAttendee(ALICE, 2), undefined);
+    assert.equal(await mintRepository.findByAttendee(BOB, 1), undefined);
+  });
+
+  it("settles a pending mint only once", async () => {
+    await mintRepository.recordSubmitted({
+      campaignId: 1,
+      attendeeAddress: ALICE,
+      transactionHash: TX_1,
+      relayerAddress: RELAYER,
+    });
+    const pending = await findPending(TX_1);
+    assert.equal(pending.campaignId, 1);
+
+    const outcome = {
+      blockNumber: 12,
+      tokenId: "7",
+      gasUsed: "150000",
+      confirmedAt: "2025-09-01T10:00:00.000Z",
+    };
+    assert.equal(
+      await mintRepository.settlePending(pending, "confirmed", outcome),
+      true
+    );
+    assert.equal(
+      await mintRepository.settlePending(pending, "failed", outcome),
+      false
+    );
+
+    const mint = await mintRepository.findByAttendee(ALICE, 1);
+    assert.equal(mint.status, "confirmed");
+    assert.equal(mint.blockNumber, 12);
+    assert.equal(mint.tokenId, "7");
+    assert.deepEqual(await mintRepository.listPending(), []);
+  });
+
+  it("replaces a burned certificate's record when it is minted again", async () => {
+    await mintRepository.recordConfirmed({
+      campaignId: 1,
+      attendeeAddress: ALICE,
+      transactionHash: TX_1,
+      blockNumber: 12,
+      tokenId: "7",
+      confirmedAt: "2025-09-01T10:00:00.000Z",
+    });
+    await mintRepository.markBurned("7");
+    assert.equal(
+      (await mintRepository.findByAttendee(ALICE, 1)).status,
+      "burned"
+    );
+    assert.equal(
+      (await mintRepository.findByTokenId("7")).transactionHash,
+      TX_1
+    );
+
+    await mintRepository.recordSubmitted({
+      campaignId: 1,
+      attendeeAddress: ALICE,
+      transactionHash: TX_2,
+      relayerAddress: RELAYER,
+    });
+    const mint = await mintRepository.findByAttendee(ALICE, 1);
+    assert.equal(mint.status, "pending");
+    assert.equal(mint.transactionHash, TX_2);
+    assert.equal(mint.tokenId, null);
+    assert.equal(mint.confirmedAt, null);
+    assert.equal(await mintRepository.findByTokenId("7"), undefined);
+  });
+
+  it("lists an attendee's mints by campaign", async () => {
+    for (const campaignId of [3, 1]) {
+      await mintRepository.recordConfirmed({
+        campaignId,
+        attendeeAddress: ALICE,
+        transactionHash: `0x${String(campaignId).repeat(64)}`,
+        blockNumber: 10 + campaignId,
+        tokenId: String(campaignId),
+        confirmedAt: "2025-09-01T10:00:00.000Z",
+      });
+    }
+
+    const mints = await mintRepository.listByAttendee(ALICE);
+    assert.deepEqual(
+      mints.map(({ campaignId, status }) => ({ campaignId, status })),
+      [
+        { campaignId: 1, status: "confirmed" },
+        { campaignId: 3, status: "confirmed" },
+      ]
+    );
+    assert.deepEqual(await mintRepository.listByAttendee(BOB), []);
+  });
+
+  it("lists a campaign's mints whatever their status", async () => {
+    await mintRepository.recordConfirmed({
+      campaignId: 1,
+      attendeeAddress: ALICE,
+      transactionHash: TX_1,
+      blockNumber: 12,
+      tokenId: "7",
+      confirmedAt: "2025-09-01T10:00:00.000Z",
+    });
+    await mintRepository.recordSubmitted({
+      campaignId: 1,
+      attendeeAddress: BOB,
+      transactionHash: TX_2,
+      relayerAddress: RELAYER,
+    });
+    await mintRepository.recordSubmitted({
+      campaignId: 2,
+      attendeeAddress: ALICE,
+      transactionHash: `0x${"3".repeat(64)}`,
+      relayerAddress: RELAYER,
+    });
+
+    assert.deepEqual(
+      (await mintRepository.listByCampaign(1)).map(
+        ({ attendeeAddress, transactionHash, status, tokenId }) => ({
+          attendeeAddress,
+          transactionHash,
+          status,
+          tokenId,
+        })
+      ),
+      [
+        {
+          attendeeAddress: ALICE,
+          transactionHash: TX_1,
+          status: "confirmed",
+          tokenId: "7",
+        },
+        {
+          attendeeAddress: BOB,
+          transactionHash: TX_2,
+          status: "pending",
+          tokenId: null,
+        },
+      ]
+    );
+    assert.deepEqual(await mintRepository.listByCampaign(3), []);
+  });
+
+  it("counts confirmed mints per day and pending mints per relayer", async () => {
+    const days = [
+      [ALICE, "2025-09-01T10:00:00.000Z"],
+      [BOB, "2025-09-01T23:59:59.000Z"],
+      [RELAYER, "2025-09-02T00:00:00.000Z"],
+    ];
+    for (const [index, [attendeeAddress, confirmedAt]] of days.entries()) {
+      await mintRepository.recordConfirmed({
+        campaignId: 1,
+        attendeeAddress,
+        transactionHash: `0x${String(index).repeat(64)}`,
+        blockNumber: index,
+        tokenId: String(index),
+        confirmedAt,
+      });
+    }
+    await mintRepository.recordSubmitted({
+      campaignId: 2,
+      attendeeAddress: ALICE,
+      transactionHash: TX_1,
+      relayerAddress: RELAYER,
+    });
+
+    assert.deepEqual(await mintRepository.countConfirmedByDay(1), [
+      { date: "2025-09-01", count: 2 },
+      { date: "2025-09-02", count: 1 },
+    ]);
+    assert.deepEqual(await mintRepository.countPendingByRelayer(), [
+      { relayerAddress: RELAYER, count: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,277 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+process.env.ADMIN_API_KEYS = "alice:secret1";
+
+const { db, resetDatabase, closeDatabase, stubModule } = require("./setup");
+
+// The routers' controllers load the contract; nothing here reaches it.
+stubModule("src/config/web3", {});
+
+const { openApiValidator } = require("../src/middleware/openApiValidator");
+const { errorHandler } = require("../src/middleware/errorHandler");
+const adminRoutes = require("../src/routes/admin");
+const apiRoutes = require("../src/routes/api");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const PROOF = [`0x${"1".repeat(64)}`];
+
+/**
+ * Starts an app on a free port and returns a function that sends it requests.
+ */
+async function serve(mount) {
+  const app = express();
+  app.use(express.json());
+  mount(app);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // `body` is sent as JSON, `csv` as a CSV file.
+  const request = async (method, path, { body, csv, headers = {} } = {}) => {
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { "content-type": "application/json" }),
+        ...(csv !== undefined && { "content-type": "text/csv" }),
+        ...headers,
+      },
+      body: csv ?? (body === undefined ? undefined : JSON.stringify(body)),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text && JSON.parse(text) };
+  };
+  request.close = () => new Promise((resolve) => server.close(resolve));
+  return request;
+}
+
+describe(`openApiValidator (${db.dialect})`, () => {
+  before(resetDatabase);
+  after(closeDatabase);
+
+  describe("in a router", () => {
+    let request;
+    let reached;
+
+    before(async () => {
+      // The real document, with routes that only record what got through.
+      const router = express.Router();
+      const reach = (req, res) => {
+        reached.push(req.path);
+        res.status(204).end();
+      };
+      router.get("/campaigns/:campaignId", openApiValidator, reach);
+      router.get("/campaigns/:campaignId/get-proof", openApiValidator, reach);
+      router.post("/campaigns/:campaignId/mint", openApiValidator, reach);
+      router.get("/undocumented", openApiValidator, reach);
+      request = await serve((app) => app.use("/api", router));
+    });
+    after(() => request.close());
+
+    it("rejects a malformed path parameter", async () => {
+      reached = [];
+      const { status, body } = await request("GET", "/api/campaigns/abc");
+
+      assert.equal(status, 400);
+      assert.equal(body.code, "VALIDATION_ERROR");
+      assert.match(body.error, /^campaignId /);
+      assert.deepEqual(reached, []);
+    });
+
+    it("rejects missing and malformed query parameters", async () => {
+      reached = [];
+      const missing = await request("GET", "/api/campaigns/1/get-proof");
+      assert.equal(missing.status, 400);
+      assert.equal(
+        missing.body.error,
+        "Missing required query parameter: address"
+      );
+
+      const malformed = await request(
+        "GET",
+        "/api/campaigns/1/get-proof?address=0x1234"
+      );
+      assert.equal(malformed.status, 400);
+      assert.equal(
+        malformed.body.error,
+        "address must be a 0x-prefixed 20-byte hex address"
+      );
+      assert.deepEqual(reached, []);
+    });
+
+    it("rejects a body that does not match the schema", async () => {
+      reached = [];
+      const missing = await request("POST", "/api/campaigns/1/mint", {
+        body: { attendee: ALICE },
+      });
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.error, "Missing required field: merkleProof");
+
+      const malformed = await request("POST", "/api/campaigns/1/mint", {
+        body: { attendee: ALICE, merkleProof: ["0x12"] },
+      });
+      assert.equal(malformed.status, 400);
+      assert.equal(
+        malformed.body.error,
+        "merkleProof[0] must be a 0x-prefixed 32-byte hex string"
+      );
+
+      const notJson = await request("POST", "/api/campaigns/1/mint");
+      assert.equal(notJson.status, 400);
+      assert.match(notJson.body.error, /^Request body must be JSON/);
+      assert.deepEqual(reached, []);
+    });
+
+    it("lets valid and undocumented requests through", async () => {
+      reached = [];
+      assert.equal((await request("GET", "/api/campaigns/1")).status, 204);
+      assert.equal(
+        (await request("GET", `/api/campaigns/1/get-proof?address=${ALICE}`))
+          .status,
+        204
+      );
+      assert.equal(
+        (
+          await request("POST", "/api/campaigns/1/mint", {
+            body: { attendee: ALICE, merkleProof: PROOF },
+          })
+        ).status,
+        204
+      );
+      assert.equal((await request("GET", "/api/undocumented")).status, 204);
+      assert.deepEqual(reached, [
+        "/campaigns/1",
+        "/campaigns/1/get-proof",
+        "/campaigns/1/mint",
+        "/undocumented",
+      ]);
+    });
+  });
+
+  describe("behind authentication", () => {
+    let request;
+
+    before(async () => {
+      request = await serve((app) => {
+        app.use("/api/admin", adminRoutes);
+        app.use("/api", apiRoutes);
+      });
+    });
+    after(() => request.close());
+
+    it("answers an unauthenticated admin request with 401, whatever its body", async () => {
+      const { status, body } = await request("POST", "/api/admin/campaigns", {
+        body: { merkleRoot: "nope" },
+      });
+      assert.equal(status, 401);
+      assert.equal(body.error, "Missing admin API key");
+    });
+
+    it("validates an admin request once the key is accepted", async () => {
+      const { status, body } = await request("POST", "/api/admin/campaigns", {
+        body: { merkleRoot: "nope" },
+        headers: { authorization: "Bearer secret1" },
+      });
+      assert.equal(status, 400);
+      assert.equal(body.code, "VALIDATION_ERROR");
+    });
+
+    it("rejects a campaign without at least one mint", async () => {
+      const campaign = {
+        merkleRoot: `0x${"ab".repeat(32)}`,
+        startTime: 2000000000,
+        endTime: 2000086400,
+        baseURI: "ipfs://campaign/",
+      };
+      for (const maxMints of [0, "10", 1.5]) {
+        const { status, body } = await request("POST", "/api/admin/campaigns", {
+          body: { ...campaign, maxMints },
+          headers: { authorization: "Bearer secret1" },
+        });
+        assert.equal(status, 400);
+        assert.equal(body.code, "VALIDATION_ERROR");
+        assert.match(body.error, /^maxMints /);
+      }
+    });
+
+    it("validates an uploaded CSV file", async () => {
+      const headers = { authorization: "Bearer secret1" };
+      const missing = await request(
+        "POST",
+        "/api/admin/campaigns/1/whitelist",
+        { headers }
+      );
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.code, "VALIDATION_ERROR");
+      assert.equal(
+        missing.body.error,
+        "Request body must be a CSV file (Content-Type: text/csv)"
+      );
+
+      const blank = await request("POST", "/api/admin/campaigns/1/whitelist", {
+        csv: " \n",
+        headers,
+      });
+      assert.equal(blank.status, 400);
+      assert.equal(blank.body.code, "VALIDATION_ERROR");
+      assert.equal(
+        blank.body.error,
+        "Request body must be a non-empty CSV file"
+      );
+    });
+
+    it("validates admin query parameters", async () => {
+      const headers = { authorization: "Bearer secret1" };
+      for (const [query, error] of [
+        ["limit=0", "limit must be >= 1"],
+        ["limit=201", "limit must be <= 200"],
+        ["beforeId=abc", "beforeId must be integer"],
+        ["outcome=maybe", "outcome must be one of: success, failure"],
+        ["since=yesterday", "since must be an ISO 8601 date or time"],
+        // The right shape, but not a date.
+        ["until=2025-13-01", "until must be an ISO 8601 date or time"],
+      ]) {
+        const { status, body } = await request(
+          "GET",
+          `/api/admin/audit?${query}`,
+          {
+            headers,
+          }
+        );
+        assert.equal(status, 400, query);
+        assert.deepEqual(body, {
+          success: false,
+          error,
+          code: "VALIDATION_ERROR",
+        });
+      }
+      assert.equal(
+        (
+          await request(
+            "GET",
+            "/api/admin/webhooks/not-a-uuid/deliveries?status=pending",
+            { headers }
+          )
+        ).body.code,
+        "VALIDATION_ERROR"
+      );
+    });
+
+    it("answers a mint without a session with 401, whatever its body", async () => {
+      const { status } = await request("POST", "/api/campaigns/abc/mint", {
+        body: { attendee: "nope", merkleProof: "nope" },
+      });
+      assert.equal(status, 401);
+    });
+
+    it("still validates public routes", async () => {
+      const { status, body } = await request("GET", "/api/campaigns/abc");
+      assert.equal(status, 400);
+      assert.equal(body.code, "VALIDATION_ERROR");
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { db, resetDatabase, closeDatabase } = require("./setup");
+const proofRepository = require("../src/repositories/proofRepository");
+
+const ROOT_1 = `0x${"1".repeat(64)}`;
+const ROOT_2 = `0x${"2".repeat(64)}`;
+
+/**
+ * Builds proofs for `count` generated addresses.
+ */
+function buildProofs(count) {
+  const proofs = {};
+  for (let i = 0; i < count; i++) {
+    const address = `0xAbC${i.toString(16).padStart(37, "0")}`;
+    proofs[address] = [`0x${i.toString(16).padStart(64, "0")}`];
+  }
+  return proofs;
+}
+
+describe(`proofRepository (${db.dialect})`, () => {
+  before(resetDatabase);
+  after(closeDatabase);
+
+  it("stores proofs in batches and finds them by address in any case", async () => {
+    const proofs = buildProofs(600);
+    await proofRepository.replaceProofs(1, ROOT_1, proofs);
+
+    const [address, proof] = Object.entries(proofs)[599];
+    const stored = await proofRepository.findProof(1, address.toUpperCase());
+    assert.deepEqual(JSON.parse(stored.proof), proof);
+
+    const proofSet = await proofRepository.findProofSet(1);
+    assert.equal(proofSet.merkleRoot, ROOT_1);
+    assert.equal(proofSet.addressCount, 600);
+  });
+
+  it("tells an unlisted address from a campaign that is not stored", async () => {
+    assert.deepEqual(
+      await proofRepository.findProof(1, `0x${"f".repeat(40)}`),
+      { proof: null }
+    );
+    assert.equal(
+      await proofRepository.findProof(2, `0x${"f".repeat(40)}`),
+      undefined
+    );
+    assert.equal(await proofRepository.findProofSet(2), undefined);
+  });
+
+  it("replaces a campaign's proofs without touching others", async () => {
+    const oldAddress = Object.keys(buildProofs(1))[0];
+    await proofRepository.replaceProofs(2, ROOT_1, buildProofs(3));
+    await proofRepository.replaceProofs(1, ROOT_2, {
+      "0x00000000000000000000000000000000000000aa": ["0x01"],
+    });
+
+    assert.deepEqual(await proofRepository.findProof(1, oldAddress), {
+      proof: null,
+    });
+    assert.equal((await proofRepository.findProofSet(1)).addressCount, 1);
+    assert.equal((await proofRepository.findProofSet(1)).merkleRoot, ROOT_2);
+    assert.ok((await proofRepository.findProof(2, oldAddress)).proof);
+  });
+});
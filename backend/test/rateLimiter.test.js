@@ -0,0 +1,178 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// Read when the limiter module loads.
+process.env.RATE_LIMIT_AUTH_IP_MAX = "2";
+
+const { db, resetDatabase, closeDatabase, stubModule } = require("./setup");
+
+// The sign-in routes load the contract; nothing here reaches it.
+stubModule("src/config/web3", {});
+const {
+  createRateLimiter,
+  createMemoryStore,
+  createDatabaseStore,
+} = require("../src/middleware/rateLimiter");
+
+const WINDOW_MS = 300;
+
+/**
+ * Runs a limiter on a request from `key` and reports what it did.
+ */
+async function send(limiter, key) {
+  const headers = {};
+  const res = { set: (name, value) => (headers[name] = value) };
+  let error;
+  await limiter({ key }, res, (nextError) => (error = nextError));
+  return { status: error ? error.statusCode : 200, error, headers };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe(`rate limiter (${db.dialect})`, () => {
+  before(resetDatabase);
+  after(closeDatabase);
+
+  for (const [storeName, createStore] of [
+    ["memory", createMemoryStore],
+    ["database", createDatabaseStore],
+  ]) {
+    describe(`with the ${storeName} store`, () => {
+      let store;
+      let limiter;
+
+      beforeEach(async () => {
+        await db.run(`DELETE FROM rate_limit_hits`);
+        store = createStore();
+        limiter = createRateLimiter({
+          name: "test",
+          windowMs: WINDOW_MS,
+          max: 2,
+          keyGenerator: (req) => req.key,
+          store,
+        });
+      });
+
+      it("answers 429 with Retry-After once the limit is reached", async () => {
+        assert.equal((await send(limiter, "a")).status, 200);
+        assert.equal((await send(limiter, "a")).status, 200);
+
+        const { status, error, headers } = await send(limiter, "a");
+        assert.equal(status, 429);
+        assert.equal(error.code, "RATE_LIMITED");
+        // Rounded up to whole seconds, and never 0.
+        assert.equal(headers["Retry-After"], "1");
+      });
+
+      it("allows requests again once the window has passed", async () => {
+        await send(limiter, "a");
+        await send(limiter, "a");
+        assert.equal((await send(limiter, "a")).status, 429);
+
+        await sleep(WINDOW_MS + 50);
+        assert.equal((await send(limiter, "a")).status, 200);
+        assert.equal((await send(limiter, "a")).status, 200);
+        assert.equal((await send(limiter, "a")).status, 429);
+      });
+
+      it("keeps a separate count per key", async () => {
+        await send(limiter, "a");
+        await send(limiter, "a");
+        assert.equal((await send(limiter, "a")).status, 429);
+
+        assert.equal((await send(limiter, "b")).status, 200);
+        assert.equal((await send(limiter, "b")).status, 200);
+        assert.equal((await send(limiter, "b")).status, 429);
+      });
+
+      it("keeps a separate count per limiter name", async () => {
+        const other = createRateLimiter({
+          name: "other",
+          windowMs: WINDOW_MS,
+          max: 1,
+          keyGenerator: (req) => req.key,
+          store,
+        });
+        await send(limiter, "a");
+        await send(limiter, "a");
+
+        assert.equal((await send(other, "a")).status, 200);
+        assert.equal((await send(other, "a")).status, 429);
+      });
+
+      it("skips requests without a key", async () => {
+        for (let i = 0; i < 3; i++)
+          assert.equal((await send(limiter, null)).status, 200);
+      });
+
+      it("lets no more than the limit through at once", async () => {
+        const results = await Promise.all(
+          Array.from({ length: 10 }, () => send(limiter, "a"))
+        );
+
+        assert.equal(results.filter(({ status }) => status === 200).length, 2);
+        assert.equal((await send(limiter, "a")).status, 429);
+      });
+
+      it("answers a limit of 0 with a whole window's Retry-After", async () => {
+        const closed = createRateLimiter({
+          name: "closed",
+          windowMs: 60 * 1000,
+          max: 0,
+          keyGenerator: (req) => req.key,
+          store,
+        });
+
+        const { status, headers } = await send(closed, "a");
+        assert.equal(status, 429);
+        assert.equal(headers["Retry-After"], "60");
+      });
+
+      it("reports how long until the oldest hit leaves the window", async () => {
+        await store.hit("test:a", 60 * 1000, 1);
+
+        const { allowed, retryAfterMs } = await store.hit(
+          "test:a",
+          60 * 1000,
+          1
+        );
+        assert.equal(allowed, false);
+        assert.ok(retryAfterMs > 59 * 1000 && retryAfterMs <= 60 * 1000);
+      });
+    });
+  }
+
+  describe("on the sign-in routes", () => {
+    let server;
+    let base;
+
+    before(async () => {
+      await db.run(`DELETE FROM rate_limit_hits`);
+      const app = express();
+      app.use(express.json());
+      app.use("/api/auth", require("../src/routes/auth"));
+      app.use(require("../src/middleware/errorHandler").errorHandler);
+      server = await new Promise((resolve) => {
+        const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+      });
+      base = `http://127.0.0.1:${server.address().port}/api/auth`;
+    });
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    it("limits nonces and verifications per IP, together", async () => {
+      assert.equal((await fetch(`${base}/nonce`)).status, 200);
+      assert.equal((await fetch(`${base}/nonce`)).status, 200);
+
+      const nonce = await fetch(`${base}/nonce`);
+      assert.equal(nonce.status, 429);
+      assert.equal((await nonce.json()).code, "RATE_LIMITED");
+      const verify = await fetch(`${base}/verify`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ message: "hello", signature: "0x00" }),
+      });
+      assert.equal(verify.status, 429);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { db, resetDatabase, closeDatabase } = require("./setup");
+const revocationRepository = require("../src/repositories/revocationRepository");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+/**
+ * Builds a revocation of `tokenId` in `campaignId`.
+ */
+function revocation(tokenId, campaignId, holder = ALICE) {
+  return {
+    tokenId,
+    campaignId,
+    holder,
+    reason: `Revoked #${tokenId}`,
+    operator: "ops",
+    transactionHash: `0x${tokenId.padStart(64, "0")}`,
+  };
+}
+
+describe(`revocationRepository (${db.dialect})`, () => {
+  before(resetDatabase);
+  after(closeDatabase);
+
+  it("records a revocation and finds it by token and transaction", async () => {
+    await revocationRepository.create(revocation("7", 1));
+
+    const stored = await revocationRepository.findByTokenId("7");
+    assert.equal(stored.campaignId, 1);
+    assert.equal(stored.holder, ALICE);
+    assert.equal(stored.reason, "Revoked #7");
+    assert.equal(stored.operator, "ops");
+    assert.ok(stored.revokedAt);
+
+    assert.equal(
+      (await revocationRepository.findByTransaction(stored.transactionHash))
+        .tokenId,
+      "7"
+    );
+    assert.equal(await revocationRepository.findByTokenId("8"), undefined);
+  });
+
+  it("revokes a token only once", async () => {
+    await assert.rejects(revocationRepository.create(revocation("7", 1)));
+  });
+
+  it("lists a campaign's revocations oldest first", async () => {
+    await revocationRepository.create(revocation("9", 1, BOB));
+    await revocationRepository.create(revocation("3", 2));
+
+    const listed = await revocationRepository.listByCampaign(1);
+    assert.deepEqual(
+      listed.map(({ tokenId }) => tokenId),
+      ["7", "9"]
+    );
+    assert.deepEqual(await revocationRepository.listByCampaign(3), []);
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Wallet } = require("ethers");
+const { SiweMessage } = require("siwe");
+const { db, resetDatabase, closeDatabase, stubModule } = require("./setup");
+
+const DOMAIN = "certs.example.org";
+const SERVICE = "../src/services/sessionService";
+
+// Signatures that do not recover to the message's address are checked
+// against EIP-1271; no contract answers with the magic value here.
+stubModule("src/config/web3", {
+  provider: { call: async () => `0x${"0".repeat(64)}` },
+});
+
+/**
+ * Requires sessionService with SIWE_DOMAINS set to `domains`, which it reads
+ * once when loaded.
+ */
+function loadSessionService(domains) {
+  process.env.SIWE_DOMAINS = domains;
+  delete require.cache[require.resolve(SERVICE)];
+  return require(SERVICE);
+}
+
+/**
+ * Builds and signs an EIP-4361 message.
+ */
+async function signMessage(wallet, nonce, overrides = {}) {
+  const message = new SiweMessage({
+    domain: DOMAIN,
+    address: wallet.address,
+    statement: "Sign in to claim your certificate.",
+    uri: `https://${DOMAIN}`,
+    version: "1",
+    chainId: 8453,
+    nonce,
+    issuedAt: new Date().toISOString(),
+    ...overrides,
+  }).prepareMessage();
+  return { message, signature: await wallet.signMessage(message) };
+}
+
+/**
+ * Asserts a promise rejects with an AppError of this status and code.
+ */
+async function assertRejects(promise, statusCode, code) {
+  await assert.rejects(promise, (error) => {
+    assert.equal(error.statusCode, statusCode);
+    assert.equal(error.code, code);
+    return true;
+  });
+}
+
+describe(`sessionService (${db.dialect})`, () => {
+  const wallet = Wallet.createRandom();
+  let sessions;
+
+  before(async () => {
+    await resetDatabase();
+    sessions = loadSessionService(DOMAIN);
+  });
+  beforeEach(async () => {
+    await db.run(`DELETE FROM siwe_nonces`);
+    await db.run(`DELETE FROM sessions`);
+  });
+  after(closeDatabase);
+
+  it("opens a session for a signed message and uses its nonce once", async () => {
+    const { nonce } = await sessions.createNonce();
+    const { message, signature } = await signMessage(wallet, nonce);
+
+    const session = await sessions.signIn(message, signature);
+    assert.equal(session.address, wallet.address);
+    assert.equal(session.chainId, 8453);
+    assert.deepEqual(await sessions.getSession(session.token), {
+      address: wallet.address,
+      chainId: 8453,
+      expiresAt: session.expiresAt,
+    });
+
+    await assertRejects(
+      sessions.signIn(message, signature),
+      401,
+      "INVALID_NONCE"
+    );
+
+    await sessions.signOut(session.token);
+    assert.equal(await sessions.getSession(session.token), null);
+  });
+
+  it("rejects a signature from another wallet and burns the nonce", async () => {
+    const { nonce } = await sessions.createNonce();
+    const { message } = await signMessage(wallet, nonce);
+    const forged = await Wallet.createRandom().signMessage(message);
+
+    await assertRejects(
+      sessions.signIn(message, forged),
+      401,
+      "INVALID_SIGNATURE"
+    );
+    const { signature } = await signMessage(wallet, nonce);
+    await assertRejects(
+      sessions.signIn(message, signature),
+      401,
+      "INVALID_NONCE"
+    );
+  });
+
+  it("rejects an expired or unknown nonce", async () => {
+    const { nonce } = await sessions.createNonce();
+    await db.run(`UPDATE siwe_nonces SET expiresAt = ? WHERE nonce = ?`, [
+      Date.now() - 1,
+      nonce,
+    ]);
+
+    const expired = await signMessage(wallet, nonce);
+    await assertRejects(
+      sessions.signIn(expired.message, expired.signature),
+      401,
+      "INVALID_NONCE"
+    );
+
+    const unknown = await signMessage(wallet, "neverIssued123");
+    await assertRejects(
+      sessions.signIn(unknown.message, unknown.signature),
+      401,
+      "INVALID_NONCE"
+    );
+  });
+
+  it("rejects a message for another domain without using its nonce", async () => {
+    const { nonce } = await sessions.createNonce();
+    const phished = await signMessage(wallet, nonce, {
+      domain: "certs-example.phish",
+      uri: "https://certs-example.phish",
+    });
+
+    await assertRejects(
+      sessions.signIn(phished.message, phished.signature),
+      401,
+      "DOMAIN_MISMATCH"
+    );
+
+    const { message, signature } = await signMessage(wallet, nonce);
+    assert.equal(
+      (await sessions.signIn(message, signature)).address,
+      wallet.address
+    );
+  });
+
+  it("refuses every sign-in while SIWE_DOMAINS is unset", async () => {
+    const unconfigured = loadSessionService("");
+    const { nonce } = await unconfigured.createNonce();
+    const { message, signature } = await signMessage(wallet, nonce);
+
+    await assertRejects(
+      unconfigured.signIn(message, signature),
+      503,
+      "SIWE_NOT_CONFIGURED"
+    );
+  });
+});
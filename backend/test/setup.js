@@ -0,0 +1,49 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Runs against TEST_DATABASE_URL when set (e.g. a PostgreSQL container),
+// otherwise against a throwaway SQLite file. Must be required before anything
+// that opens the database.
+const sqliteFile = path.join(os.tmpdir(), `eventcert-test-${process.pid}.db`);
+process.env.DATABASE_URL =
+  process.env.TEST_DATABASE_URL || `sqlite:${sqliteFile}`;
+
+const db = require("../src/config/db");
+const {
+  getMigrationStatus,
+  migrate,
+  rollback,
+} = require("../src/config/migrations");
+
+/**
+ * Rebuilds the schema from scratch, dropping anything a previous run left.
+ */
+async function resetDatabase() {
+  const applied = (await getMigrationStatus()).filter(
+    ({ appliedAt }) => appliedAt
+  );
+  if (applied.length > 0) await rollback(applied.length);
+  await migrate();
+}
+
+/**
+ * Closes the database and removes the SQLite file, if one was used.
+ */
+async function closeDatabase() {
+  await db.close();
+  fs.rmSync(sqliteFile, { force: true });
+}
+
+/**
+ * Replaces a module with a stub for every later require, e.g. to keep
+ * config/web3 off the network. Call it before requiring the code under test.
+ * @param {string} modulePath From the backend directory, e.g. "src/config/web3".
+ * @param {object} exports What requiring the module returns.
+ */
+function stubModule(modulePath, exports) {
+  const filename = require.resolve(path.join(__dirname, "..", modulePath));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+module.exports = { db, resetDatabase, closeDatabase, stubModule };
@@ -0,0 +1,188 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+
+// Short delays so retries happen within the test. Read when the queue loads.
+process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+process.env.WEBHOOK_RETRY_BASE_DELAY_MS = "100";
+process.env.WEBHOOK_POLL_MS = "20";
+
+const { db, resetDatabase, closeDatabase } = require("./setup");
+const {
+  createSubscription,
+  listDeliveries,
+} = require("../src/services/webhookService");
+const {
+  emitWebhookEvent,
+  replayDelivery,
+  startWebhookWorker,
+  stopWebhookWorker,
+} = require("../src/services/webhookQueue");
+
+const TX_1 = `0x${"1".repeat(64)}`;
+
+// What the receiver got, and the statuses it answers with in turn (200 once
+// they run out).
+let requests = [];
+let statuses = [];
+
+const receiver = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    requests.push({
+      headers: req.headers,
+      body: Buffer.concat(chunks).toString(),
+      receivedAt: Date.now(),
+    });
+    res.statusCode = statuses.shift() ?? 200;
+    res.end(res.statusCode === 200 ? "ok" : "boom");
+  });
+});
+
+/**
+ * Waits until a subscription has a delivery in the given status.
+ */
+async function waitForDelivery(subscriptionId, status) {
+  const deadline = Date.now() + 5000;
+  while (Date.now() < deadline) {
+    const [delivery] = await listDeliveries(subscriptionId, { status });
+    if (delivery) return delivery;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`No ${status} delivery within 5s`);
+}
+
+/**
+ * Checks a `t=…,v1=…` signature the way a receiver would.
+ */
+function verifySignature(secret, { headers, body }) {
+  const { t, v1 } = Object.fromEntries(
+    headers["x-eventcert-signature"].split(",").map((part) => part.split("="))
+  );
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${t}.${body}`)
+    .digest("hex");
+  return (
+    crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected)) &&
+    Math.abs(Date.now() / 1000 - Number(t)) < 60
+  );
+}
+
+describe(`webhookQueue (${db.dialect})`, () => {
+  let url;
+
+  before(async () => {
+    await resetDatabase();
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hook`;
+    startWebhookWorker();
+  });
+  beforeEach(async () => {
+    requests = [];
+    statuses = [];
+    await db.run(`DELETE FROM webhook_deliveries`);
+    await db.run(`DELETE FROM webhook_subscriptions`);
+  });
+  after(async () => {
+    stopWebhookWorker();
+    await new Promise((resolve) => receiver.close(resolve));
+    await closeDatabase();
+  });
+
+  it("signs the raw body with the subscription's secret", async () => {
+    const { subscriptionId, secret } = await createSubscription({ url });
+    await emitWebhookEvent("mint.confirmed", 1, { transactionHash: TX_1 });
+
+    const delivery = await waitForDelivery(subscriptionId, "delivered");
+    assert.equal(requests.length, 1);
+    const [request] = requests;
+    assert.equal(verifySignature(secret, request), true);
+    assert.equal(verifySignature("whsec_other", request), false);
+    assert.equal(request.headers["x-eventcert-event"], "mint.confirmed");
+    assert.equal(request.headers["x-eventcert-delivery"], delivery.deliveryId);
+    assert.deepEqual(JSON.parse(request.body), delivery.payload);
+    assert.deepEqual(delivery.payload.data, {
+      campaignId: 1,
+      transactionHash: TX_1,
+    });
+    assert.equal(delivery.attempts, 1);
+  });
+
+  it("retries with backoff after a 500", async () => {
+    const { subscriptionId, secret } = await createSubscription({ url });
+    statuses = [500, 500];
+    await emitWebhookEvent("mint.submitted", 1, { transactionHash: TX_1 });
+
+    const delivery = await waitForDelivery(subscriptionId, "delivered");
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.responseStatus, 200);
+    assert.equal(delivery.error, null);
+
+    assert.equal(requests.length, 3);
+    assert.ok(requests.every((request) => verifySignature(secret, request)));
+    assert.ok(requests.every((request) => request.body === requests[0].body));
+    // 100ms after the first failure, 200ms after the second.
+    assert.ok(requests[1].receivedAt - requests[0].receivedAt >= 100);
+    assert.ok(requests[2].receivedAt - requests[1].receivedAt >= 200);
+  });
+
+  it("marks a delivery failed after the last attempt", async () => {
+    const { subscriptionId } = await createSubscription({ url });
+    statuses = [500, 500, 500, 500];
+    await emitWebhookEvent("mint.failed", 1, { transactionHash: TX_1 });
+
+    const delivery = await waitForDelivery(subscriptionId, "failed");
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.responseStatus, 500);
+    assert.equal(delivery.responseBody, "boom");
+    assert.equal(delivery.error, "Receiver responded with 500");
+    assert.equal(delivery.nextAttemptAt, null);
+    assert.equal(requests.length, 3);
+  });
+
+  it("delivers a replay as a new delivery with the same payload", async () => {
+    const { subscriptionId, secret } = await createSubscription({ url });
+    statuses = [500, 500, 500];
+    await emitWebhookEvent("certificate.burned", 1, { tokenId: "7" });
+    const failed = await waitForDelivery(subscriptionId, "failed");
+
+    const replay = await replayDelivery(failed.deliveryId);
+    assert.equal(replay.replayOf, failed.deliveryId);
+    assert.notEqual(replay.deliveryId, failed.deliveryId);
+
+    const delivered = await waitForDelivery(subscriptionId, "delivered");
+    assert.equal(delivered.deliveryId, replay.deliveryId);
+    assert.equal(delivered.attempts, 1);
+    assert.deepEqual(delivered.payload, failed.payload);
+
+    const request = requests.at(-1);
+    assert.equal(requests.length, 4);
+    assert.equal(verifySignature(secret, request), true);
+    assert.equal(request.headers["x-eventcert-delivery"], replay.deliveryId);
+    assert.equal(request.body, requests[0].body);
+  });
+
+  it("logs a failure to queue on its own, but throws it in a transaction", async () => {
+    await createSubscription({ url });
+    await db.run(`ALTER TABLE webhook_deliveries RENAME TO deliveries_aside`);
+    try {
+      await emitWebhookEvent("mint.confirmed", 1, { transactionHash: TX_1 });
+      await assert.rejects(
+        db.transaction((tx) =>
+          emitWebhookEvent("mint.confirmed", 1, { transactionHash: TX_1 }, tx)
+        )
+      );
+    } finally {
+      await db.run(`ALTER TABLE deliveries_aside RENAME TO webhook_deliveries`);
+    }
+  });
+
+  it("refuses to replay an unknown delivery", async () => {
+    await assert.rejects(replayDelivery(crypto.randomUUID()), {
+      statusCode: 404,
+    });
+  });
+});
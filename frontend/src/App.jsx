@@ -24,6 +24,7 @@ function App() {
     formattedAddress,
     connect,
     disconnect,
+    signIn,
     error: walletError,
   } = useWallet();
 
@@ -47,7 +48,7 @@ function App() {
     claimCertificate,
     reset: resetClaim,
     retry: retryClaim,
-  } = useClaim(CAMPAIGN_ID);
+  } = useClaim(CAMPAIGN_ID, signIn);
 
   // Check eligibility when wallet connects
   useEffect(() => {
@@ -1,11 +1,15 @@
 import { useState, useCallback } from "react";
 import { apiService } from "../services/api.js";
 import { COSMIC_MESSAGES } from "../utils/messages.js";
+import { POLLING_INTERVALS } from "../utils/constants.js";
 
 /**
  * Custom hook for certificate claiming
+ * @param {string|number} campaignId - The campaign to claim from
+ * @param {Function} signIn - From useWallet; the backend only accepts claims
+ *   from a wallet that has signed in
  */
-export const useClaim = (campaignId) => {
+export const useClaim = (campaignId, signIn) => {
   const [isClaiming, setIsClaiming] = useState(false);
   const [txHash, setTxHash] = useState(null);
   const [hasClaimed, setHasClaimed] = useState(false);
@@ -52,15 +56,27 @@ export const useClaim = (campaignId) => {
         setError(null);
         setTxHash(null);
 
+        // Prove ownership of the address before asking for the mint
+        setStatusMessage("Please sign the message in your wallet...");
+        await signIn();
+
         // Start rotating status messages
         const stopRotation = startClaimingMessages();
 
         try {
-          const transactionHash = await apiService.mintCertificate(
+          // The backend queues the mint; wait for the relayer to submit it
+          const job = await apiService.mintCertificate(
             address,
             campaignId,
             merkleProof
           );
+          const transactionHash =
+            job.transactionHash && job.status === "submitted"
+              ? job.transactionHash
+              : await apiService.waitForMintJob(
+                  job.jobId,
+                  POLLING_INTERVALS.TRANSACTION_STATUS
+                );
 
           setTxHash(transactionHash);
           setHasClaimed(true);
@@ -118,12 +134,16 @@ export const useClaim = (campaignId) => {
           stopRotation();
         }
       } catch (err) {
-        setError(err.message || "Unexpected error occurred");
+        if (err.message?.toLowerCase().includes("user rejected")) {
+          setError("Sign-in cancelled. Please sign the message to claim.");
+        } else {
+          setError(err.message || "Unexpected error occurred");
+        }
       } finally {
         setIsClaiming(false);
       }
     },
-    [startClaimingMessages, campaignId]
+    [startClaimingMessages, campaignId, signIn]
   );
 
   /**
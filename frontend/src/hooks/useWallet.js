@@ -1,6 +1,9 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
+import { getAddress, stringToHex } from "viem";
 import { walletService } from "../services/wallet.js";
-import { NETWORKS } from "../utils/constants.js";
+import { apiService } from "../services/api.js";
+import { NETWORKS, SIWE_STATEMENT } from "../utils/constants.js";
+import { createSignInMessage } from "../utils/siwe.js";
 
 /**
  * Custom hook for wallet state management
@@ -13,6 +16,8 @@ export const useWallet = () => {
   const [balance, setBalance] = useState("0");
   const [chainId, setChainId] = useState(null);
   const [error, setError] = useState(null);
+  const [session, setSession] = useState(apiService.session);
+  const [isSigningIn, setIsSigningIn] = useState(false);
 
   // Subscribe to wallet changes
   useEffect(() => {
@@ -56,6 +61,18 @@ export const useWallet = () => {
     };
   }, []);
 
+  // A session only counts for the account that signed in
+  useEffect(() => {
+    if (
+      session &&
+      session.address.toLowerCase() !== address?.toLowerCase() &&
+      address
+    ) {
+      apiService.setSession(null);
+      setSession(null);
+    }
+  }, [address, session]);
+
   /**
    * Update wallet balance
    */
@@ -95,11 +112,66 @@ export const useWallet = () => {
     }
   };
 
+  /**
+   * Sign in with Ethereum (EIP-4361): the wallet signs a message with a
+   * backend nonce, proving it owns the address. Reuses a live session for
+   * the connected address instead of asking again.
+   * @returns {Promise<Object>} The session
+   */
+  const signIn = useCallback(async () => {
+    if (!wallet || !address) {
+      throw new Error("Connect your wallet first");
+    }
+
+    const current = apiService.session;
+    if (
+      current &&
+      current.address.toLowerCase() === address.toLowerCase() &&
+      new Date(current.expiresAt) > new Date()
+    ) {
+      return current;
+    }
+
+    try {
+      setIsSigningIn(true);
+      setError(null);
+
+      const nonce = await apiService.getSignInNonce();
+      const checksumAddress = getAddress(address);
+      const message = createSignInMessage({
+        domain: window.location.host,
+        address: checksumAddress,
+        statement: SIWE_STATEMENT,
+        uri: window.location.origin,
+        chainId: parseInt(chainId, 16),
+        nonce,
+        issuedAt: new Date(),
+      });
+
+      const signature = await wallet.provider.request({
+        method: "personal_sign",
+        params: [stringToHex(message), checksumAddress],
+      });
+
+      const newSession = await apiService.signIn(message, signature);
+      setSession(newSession);
+      return newSession;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsSigningIn(false);
+    }
+  }, [wallet, address, chainId]);
+
   /**
    * Disconnect wallet
    */
   const disconnect = async () => {
     try {
+      await apiService.signOut();
+      setSession(null);
+
       if (wallet) {
         await walletService.disconnect(wallet.label);
       }
@@ -159,10 +231,13 @@ export const useWallet = () => {
     balance,
     chainId,
     error,
+    session,
+    isSigningIn,
 
     // Actions
     connect,
     disconnect,
+    signIn,
     switchNetwork,
     updateBalance,
     clearError,
@@ -176,5 +251,7 @@ export const useWallet = () => {
       : "",
     isOnBaseSepolia: chainId === NETWORKS.BASE_SEPOLIA.id,
     isOnBase: chainId === NETWORKS.BASE_MAINNET.id,
+    isSignedIn:
+      !!session && session.address.toLowerCase() === address?.toLowerCase(),
   };
 };
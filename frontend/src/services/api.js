@@ -2,6 +2,8 @@ import axios from "axios";
 import { API_BASE_URL } from "../utils/constants.js";
 import { formatError } from "../utils/formatters.js";
 
+const SESSION_STORAGE_KEY = "eventcert.session";
+
 /**
  * API service for backend communication using Axios.
  * This service is designed to interact with the multi-campaign certificate API.
@@ -16,9 +18,15 @@ class ApiService {
       },
     });
 
+    // Sign-In with Ethereum session ({ token, address, chainId, expiresAt })
+    this.session = this.loadSession();
+
     // Interceptors for logging and consistent error handling
     this.client.interceptors.request.use(
       (config) => {
+        if (this.session) {
+          config.headers.Authorization = `Bearer ${this.session.token}`;
+        }
         console.log(
           `API Request: ${config.method?.toUpperCase()} ${config.url}`
         );
@@ -84,14 +92,14 @@ class ApiService {
   }
 
   /**
-   * Submits a mint transaction request to the backend relayer.
+   * Queues a mint request with the backend relayer. Requires a session
+   * (see signIn) for the attendee's address.
    * @param {string} attendee - The user's wallet address.
    * @param {string | number} campaignId - The ID of the campaign.
    * @param {string[]} merkleProof - The Merkle proof array.
-   * @returns {Promise<string>} The transaction hash.
+   * @returns {Promise<Object>} The mint job ({ jobId, status, transactionHash, ... }).
    */
   async mintCertificate(attendee, campaignId, merkleProof) {
-    // UPDATED: Calls the new campaign-specific endpoint
     const response = await this.client.post(`/campaigns/${campaignId}/mint`, {
       attendee,
       merkleProof,
@@ -99,7 +107,46 @@ class ApiService {
     if (!response.success) {
       throw new Error(response.error || "Failed to mint certificate");
     }
-    return response.data.transactionHash;
+    return response.data;
+  }
+
+  /**
+   * Fetches the current status of a queued mint.
+   * @param {string} jobId - The job ID returned by mintCertificate.
+   * @returns {Promise<Object>} The mint job.
+   */
+  async getMintJob(jobId) {
+    const response = await this.client.get(`/mint-jobs/${jobId}`);
+    if (!response.success) {
+      throw new Error(response.error || "Failed to get mint status");
+    }
+    return response.data;
+  }
+
+  /**
+   * Polls a queued mint until the relayer has submitted it or given up.
+   * @param {string} jobId - The job ID returned by mintCertificate.
+   * @param {number} interval - Milliseconds between polls.
+   * @param {number} timeout - Milliseconds to wait before giving up.
+   * @returns {Promise<string>} The transaction hash.
+   */
+  async waitForMintJob(jobId, interval = 2000, timeout = 120000) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      const job = await this.getMintJob(jobId);
+
+      if (job.status === "submitted") return job.transactionHash;
+      if (job.status === "failed") {
+        throw new Error(job.error || "Failed to mint certificate");
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+
+    throw new Error(
+      "Your claim is still being processed. Please check back in a few minutes."
+    );
   }
 
   /**
@@ -118,6 +165,78 @@ class ApiService {
     return response.data.transactionHash;
   }
 
+  /**
+   * Restores the session saved for this browser tab, if it is still valid.
+   * @returns {Object|null} The session.
+   */
+  loadSession() {
+    try {
+      const session = JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+      return session && new Date(session.expiresAt) > new Date()
+        ? session
+        : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stores (or clears, with null) the session used to authenticate requests.
+   * @param {Object|null} session - The session returned by signIn.
+   */
+  setSession(session) {
+    this.session = session;
+    if (session) {
+      sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    } else {
+      sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  }
+
+  /**
+   * Fetches a single-use nonce for a Sign-In with Ethereum message.
+   * @returns {Promise<string>} The nonce.
+   */
+  async getSignInNonce() {
+    const response = await this.client.get("/auth/nonce");
+    if (!response.success) {
+      throw new Error(response.error || "Failed to start sign-in");
+    }
+    return response.data.nonce;
+  }
+
+  /**
+   * Verifies a signed SIWE message and stores the resulting session.
+   * @param {string} message - The prepared EIP-4361 message.
+   * @param {string} signature - The wallet's signature of the message.
+   * @returns {Promise<Object>} The session ({ token, address, chainId, expiresAt }).
+   */
+  async signIn(message, signature) {
+    const response = await this.client.post("/auth/verify", {
+      message,
+      signature,
+    });
+    if (!response.success) {
+      throw new Error(response.error || "Failed to sign in");
+    }
+    this.setSession(response.data);
+    return response.data;
+  }
+
+  /**
+   * Ends the current session on the backend and forgets it locally.
+   */
+  async signOut() {
+    if (!this.session) return;
+    try {
+      await this.client.post("/auth/logout");
+    } catch (error) {
+      console.warn("Sign-out failed:", error.message);
+    } finally {
+      this.setSession(null);
+    }
+  }
+
   /**
    * Checks if the backend API is healthy.
    * @returns {Promise<boolean>} True if the API is healthy.
@@ -91,6 +91,10 @@ export const SEO_METADATA = {
   explore: import.meta.env.VITE_DAPP_URL || "https://event-cert.vercel.app/",
 };
 
+// Shown in the wallet when signing in (EIP-4361)
+export const SIWE_STATEMENT =
+  "Sign in to claim your event certificate. This does not cost any gas.";
+
 // Status polling intervals
 export const POLLING_INTERVALS = {
   TRANSACTION_STATUS: 2000, // 2 seconds
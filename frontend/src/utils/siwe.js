@@ -0,0 +1,33 @@
+/**
+ * Builds a Sign-In with Ethereum message (EIP-4361).
+ * @param {Object} fields - Message fields
+ * @param {string} fields.domain - Host requesting the sign-in, e.g. "app.example.com"
+ * @param {string} fields.address - EIP-55 checksummed address
+ * @param {string} fields.statement - Human-readable statement shown in the wallet
+ * @param {string} fields.uri - Origin of the requesting app
+ * @param {number} fields.chainId - Chain the wallet is connected to
+ * @param {string} fields.nonce - Single-use nonce from the backend
+ * @param {Date} [fields.issuedAt] - When the message was created
+ * @returns {string} The message to sign
+ */
+export const createSignInMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  chainId,
+  nonce,
+  issuedAt = new Date(),
+}) =>
+  [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    statement,
+    "",
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+  ].join("\n");